@@ -0,0 +1,3 @@
+namespace VibeSwarm.Client.Components.Common;
+
+public record DragDropTargetArgs(int Index, string TargetValue);
@@ -0,0 +1,247 @@
+using VibeSwarm.Shared.VersionControl;
+using VibeSwarm.Shared.VersionControl.Models;
+
+namespace VibeSwarm.Client.Components.Git;
+
+internal enum DiffItemKind
+{
+	Header,
+	Gap,
+	Line
+}
+
+/// <summary>
+/// One row of DiffFileView: a hunk header, an unchanged region's expander, or a line (old and new side; the same row on
+/// both sides outside the split view).
+/// </summary>
+internal sealed record DiffItem(DiffItemKind Kind, DiffRow? Old = null, DiffRow? New = null, DiffHunk? Hunk = null, int GapIndex = 0, int? Hidden = null);
+
+/// <summary>
+/// Tracks which unchanged lines between the hunks of one file's diff are shown. The lines are read from the same file's
+/// diff fetched again with full context, and looked up by their old line number.
+/// </summary>
+internal sealed class DiffContextExpander
+{
+	private List<DiffHunk> _hunks = [];
+
+	// Lines shown from the top and bottom of each unchanged region, keyed by the index of the hunk the region precedes
+	private readonly Dictionary<int, (int Top, int Bottom)> _revealed = new();
+	private Dictionary<int, DiffRow>? _contextRows;
+	private int _oldLineCount;
+
+	/// <summary>
+	/// Whether the surrounding lines can be fetched at all; the expanders are hidden when they can't.
+	/// </summary>
+	public bool CanExpand { get; set; }
+
+	public bool IsLoading { get; private set; }
+
+	public string? Error { get; private set; }
+
+	public int HunkCount => _hunks.Count;
+
+	public void Reset(List<DiffHunk> hunks)
+	{
+		_hunks = hunks;
+		_revealed.Clear();
+		_contextRows = null;
+		Error = null;
+	}
+
+	public bool IsRevealed(int index) => _revealed.ContainsKey(index);
+
+	public void Collapse(int index) => _revealed.Remove(index);
+
+	public List<DiffItem> BuildItems(bool split)
+	{
+		var items = new List<DiffItem>();
+		for (var index = 0; index <= _hunks.Count; index++)
+		{
+			var (start, end) = GetGap(index);
+			var hiddenCount = end is { } gapEnd ? gapEnd - start + 1 : (int?)null;
+			if (hiddenCount is null or > 0)
+			{
+				AddGap(items, index, start, end, hiddenCount);
+			}
+
+			if (index == _hunks.Count)
+			{
+				break;
+			}
+
+			var hunk = _hunks[index];
+			var gapHidden = hiddenCount is { } count ? count - RevealedCount(index) : 1;
+			if (gapHidden > 0)
+			{
+				items.Add(new DiffItem(DiffItemKind.Header, Hunk: hunk));
+			}
+
+			if (split)
+			{
+				items.AddRange(GitDiffParser.PairRows(hunk).Select(pair => new DiffItem(DiffItemKind.Line, pair.Old, pair.New)));
+			}
+			else
+			{
+				items.AddRange(hunk.Rows.Select(row => new DiffItem(DiffItemKind.Line, row, row)));
+			}
+		}
+
+		return items;
+	}
+
+	/// <summary>
+	/// Shows up to <paramref name="top"/> more lines from the top of the unchanged region before the hunk at
+	/// <paramref name="index"/> and up to <paramref name="bottom"/> from its bottom. Needs the lines loaded first.
+	/// </summary>
+	public void Reveal(int index, int top, int bottom)
+	{
+		if (_contextRows == null)
+		{
+			return;
+		}
+
+		var (start, end) = GetGap(index);
+		var size = (end ?? start - 1) - start + 1;
+		var (shownTop, shownBottom) = _revealed.GetValueOrDefault(index);
+		var hidden = size - shownTop - shownBottom;
+		if (hidden <= 0)
+		{
+			return;
+		}
+
+		// Leading and trailing regions only grow towards their hunk
+		if (index == 0)
+		{
+			(top, bottom) = (0, Math.Max(top, bottom));
+		}
+		else if (index == _hunks.Count)
+		{
+			(top, bottom) = (Math.Max(top, bottom), 0);
+		}
+
+		shownTop += Math.Min(top, hidden);
+		shownBottom += Math.Min(bottom, size - shownTop - shownBottom);
+		_revealed[index] = (shownTop, shownBottom);
+	}
+
+	/// <summary>
+	/// Reads the surrounding lines unless they already are, returning whether they can be shown. IsLoading is set before
+	/// this first yields, so the caller can render the loading state while it waits.
+	/// </summary>
+	public async Task<bool> LoadAsync(Func<Task<string?>> loadDiff)
+	{
+		if (_contextRows != null)
+		{
+			return true;
+		}
+
+		if (IsLoading)
+		{
+			return false;
+		}
+
+		IsLoading = true;
+		Error = null;
+		try
+		{
+			var diff = await loadDiff();
+			if (string.IsNullOrEmpty(diff))
+			{
+				Error = "Surrounding lines are unavailable for this file.";
+				return false;
+			}
+
+			var rows = GitDiffParser.ParseHunks(diff).SelectMany(hunk => hunk.Rows).ToList();
+			var contextRows = rows
+				.Where(row => row.Kind == DiffRowKind.Context && row.OldLine.HasValue)
+				.ToDictionary(row => row.OldLine!.Value);
+
+			// Lines are looked up by their old line number, which only holds while the file is as this diff found it
+			var matches = _hunks
+				.SelectMany(hunk => hunk.Rows)
+				.Where(row => row.Kind == DiffRowKind.Context)
+				.All(row => contextRows.TryGetValue(row.OldLine!.Value, out var current) && current.Text == row.Text);
+			if (!matches)
+			{
+				Error = "Surrounding lines are unavailable; the file has changed since this diff was taken.";
+				return false;
+			}
+
+			_contextRows = contextRows;
+			_oldLineCount = rows.Where(row => row.OldLine.HasValue).Select(row => row.OldLine!.Value).DefaultIfEmpty().Max();
+			return true;
+		}
+		catch (Exception)
+		{
+			Error = "Surrounding lines could not be loaded.";
+			return false;
+		}
+		finally
+		{
+			IsLoading = false;
+		}
+	}
+
+	private void AddGap(List<DiffItem> items, int index, int start, int? end, int? count)
+	{
+		var trailing = index == _hunks.Count;
+		if (!CanExpand || _contextRows == null || end == null)
+		{
+			// Before the lines have been fetched only a trailing region of unknown size is offered, and only when it can be expanded
+			if (CanExpand && (!trailing || _contextRows == null))
+			{
+				items.Add(new DiffItem(DiffItemKind.Gap, GapIndex: index, Hidden: count));
+			}
+			return;
+		}
+
+		var (top, bottom) = _revealed.GetValueOrDefault(index);
+		var hidden = end.Value - start + 1 - top - bottom;
+		if (hidden == 0)
+		{
+			items.Add(new DiffItem(DiffItemKind.Gap, GapIndex: index, Hidden: 0));
+		}
+
+		for (var line = start; line < start + top; line++)
+		{
+			items.Add(ContextItem(line));
+		}
+
+		if (hidden > 0)
+		{
+			items.Add(new DiffItem(DiffItemKind.Gap, GapIndex: index, Hidden: hidden));
+		}
+
+		for (var line = end.Value - bottom + 1; line <= end.Value; line++)
+		{
+			items.Add(ContextItem(line));
+		}
+	}
+
+	private DiffItem ContextItem(int oldLine)
+	{
+		var row = _contextRows![oldLine];
+		return new DiffItem(DiffItemKind.Line, row, row);
+	}
+
+	/// <summary>
+	/// Old-file lines of the unchanged region before the hunk at <paramref name="index"/>; the region after the last hunk
+	/// has no known end until the file's lines have been fetched
+	/// </summary>
+	private (int Start, int? End) GetGap(int index)
+	{
+		var start = index == 0 ? 1 : _hunks[index - 1].OldLastLine + 1;
+		if (index < _hunks.Count)
+		{
+			return (start, _hunks[index].OldFirstLine - 1);
+		}
+
+		return (start, _contextRows != null || !CanExpand ? Math.Max(_oldLineCount, start - 1) : null);
+	}
+
+	private int RevealedCount(int index)
+	{
+		var (top, bottom) = _revealed.GetValueOrDefault(index);
+		return top + bottom;
+	}
+}
@@ -2,6 +2,7 @@ using System.Text.Json;
 using VibeSwarm.Client.Models;
 using VibeSwarm.Shared.Data;
 using VibeSwarm.Shared.Services;
+using VibeSwarm.Shared.Utilities;
 
 namespace VibeSwarm.Client.Components.Jobs;
 
@@ -114,7 +115,7 @@ internal static class JobSessionDisplayBuilder
 		switch (message.Role)
 		{
 			case MessageRole.User:
-				normalized.Source = MessageSource.User;
+				normalized.Source = message.Source == MessageSource.Notification ? MessageSource.Notification : MessageSource.User;
 				break;
 
 			case MessageRole.Assistant:
@@ -274,7 +275,8 @@ internal static class JobSessionDisplayBuilder
 
 	private static IReadOnlyList<JobMessage> ParseOutputMessages(OutputLine line, LiveTranscriptParserState parserState)
 	{
-		var content = line.Content.Trim();
+		// Live output keeps ANSI styling for the terminal view; the transcript shows plain text
+		var content = OutputCleaner.StripAnsiCodes(line.Content).Trim();
 		if (content.Length == 0)
 		{
 			return [];
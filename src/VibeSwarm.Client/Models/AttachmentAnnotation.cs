@@ -0,0 +1,40 @@
+namespace VibeSwarm.Client.Models;
+
+/// <summary>
+/// An annotated copy of an image attachment saved from the annotation editor.
+/// </summary>
+public sealed class AttachmentAnnotation
+{
+	public string SourceClientId { get; set; } = string.Empty;
+
+	/// <summary>
+	/// Name of the image the annotations were drawn on.
+	/// </summary>
+	public string SourceFileName { get; set; } = string.Empty;
+
+	/// <summary>
+	/// Text labels in the order they were placed.
+	/// </summary>
+	public List<string> Labels { get; set; } = [];
+
+	/// <summary>
+	/// When false the annotated copy replaces the original attachment.
+	/// </summary>
+	public bool KeepOriginal { get; set; }
+
+	/// <summary>
+	/// Appends the labels to a description or prompt so agents that cannot read images still get the notes.
+	/// Returns <paramref name="text"/> unchanged when there are no labels.
+	/// </summary>
+	public string? AppendLabelsTo(string? text)
+	{
+		var labels = Labels.Where(label => !string.IsNullOrWhiteSpace(label)).Select(label => $"- {label.Trim()}").ToList();
+		if (labels.Count == 0)
+		{
+			return text;
+		}
+
+		var notes = $"Notes on {SourceFileName}:\n{string.Join('\n', labels)}";
+		return string.IsNullOrWhiteSpace(text) ? notes : $"{text.TrimEnd()}\n\n{notes}";
+	}
+}
@@ -0,0 +1,15 @@
+namespace VibeSwarm.Client.Models;
+
+/// <summary>
+/// Shortcuts with a handler on the current page that share a binding, or where one binding starts another's
+/// sequence, as reported by js/keyboard.js.
+/// </summary>
+public sealed class KeyboardShortcutConflict
+{
+	public string Keys { get; set; } = string.Empty;
+
+	/// <summary>
+	/// Catalog action ids, see <see cref="VibeSwarm.Shared.Utilities.KeyboardShortcutCatalog"/>.
+	/// </summary>
+	public string[] Ids { get; set; } = [];
+}
@@ -0,0 +1,38 @@
+using VibeSwarm.Shared.VersionControl;
+using VibeSwarm.Shared.VersionControl.Models;
+
+namespace VibeSwarm.Client.Models;
+
+/// <summary>
+/// Progress on resolving one conflicted file, kept for as long as the merge modal shows that file.
+/// </summary>
+public sealed class MergeConflictEditState
+{
+	public MergeConflictEditState(string conflictedContent)
+	{
+		ConflictedContent = conflictedContent;
+		Document = MergeConflictParser.Parse(conflictedContent);
+		Resolutions = Enumerable.Repeat<List<string>?>(null, Document.Hunks.Count).ToList();
+	}
+
+	/// <summary>
+	/// The file as the merge left it, before any of it was resolved
+	/// </summary>
+	public string ConflictedContent { get; }
+
+	public MergeConflictDocument Document { get; }
+
+	/// <summary>
+	/// Resolved lines for each conflict; null while a conflict is unresolved
+	/// </summary>
+	public List<List<string>?> Resolutions { get; }
+
+	/// <summary>
+	/// Set once the file is edited as a whole, after which the conflicts no longer line up with the text
+	/// </summary>
+	public bool IsEditingWholeFile { get; set; }
+
+	public int ResolvedCount => Resolutions.Count(resolution => resolution != null);
+
+	public string Compose() => MergeConflictParser.Compose(Document, Resolutions);
+}
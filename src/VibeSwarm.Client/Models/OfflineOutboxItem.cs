@@ -0,0 +1,46 @@
+namespace VibeSwarm.Client.Models;
+
+/// <summary>
+/// An action the service worker queued while offline, as reported by <c>js/outbox.js</c>.
+/// </summary>
+public class OfflineOutboxItem
+{
+	public const string PendingState = "pending";
+	public const string RejectedState = "rejected";
+
+	public string Id { get; set; } = string.Empty;
+	public string Method { get; set; } = "POST";
+	public string Path { get; set; } = string.Empty;
+	public string State { get; set; } = PendingState;
+	public int Attempts { get; set; }
+	public int? Status { get; set; }
+	public string? Error { get; set; }
+	public DateTime CreatedAt { get; set; }
+	public DateTime? LastAttemptAt { get; set; }
+
+	public bool IsRejected => State == RejectedState;
+
+	public string Description
+	{
+		get
+		{
+			var path = Path.Split('?')[0];
+			if (path.EndsWith("/cancel", StringComparison.OrdinalIgnoreCase))
+				return "Cancel job";
+			if (path.EndsWith("/approve", StringComparison.OrdinalIgnoreCase))
+				return "Approve idea expansion";
+			if (path.StartsWith("/api/ideas", StringComparison.OrdinalIgnoreCase))
+				return "Create idea";
+			return $"{Method} {path}";
+		}
+	}
+}
+
+/// <summary>
+/// Outbox contents plus whether the browser can replay them with Background Sync.
+/// </summary>
+public class OfflineOutboxState
+{
+	public List<OfflineOutboxItem> Items { get; set; } = [];
+	public bool BackgroundSync { get; set; }
+}
@@ -0,0 +1,11 @@
+namespace VibeSwarm.Client.Models;
+
+/// <summary>
+/// A project file referenced from job output, such as a compiler error location.
+/// </summary>
+public sealed class OutputFileReference
+{
+	public string Path { get; set; } = string.Empty;
+
+	public int? Line { get; set; }
+}
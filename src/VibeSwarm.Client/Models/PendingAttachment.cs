@@ -0,0 +1,46 @@
+namespace VibeSwarm.Client.Models;
+
+public enum PendingAttachmentState
+{
+	Preparing,
+	Uploading,
+	Uploaded,
+	Failed
+}
+
+/// <summary>
+/// A file added through AttachmentDropZone, tracked while the browser prepares it and uploads it in chunks.
+/// </summary>
+public sealed class PendingAttachment
+{
+	public string ClientId { get; set; } = string.Empty;
+
+	public string FileName { get; set; } = string.Empty;
+
+	public string? ContentType { get; set; }
+
+	public long SizeBytes { get; set; }
+
+	public long UploadedBytes { get; set; }
+
+	/// <summary>
+	/// Small data URL rendered by the browser for images.
+	/// </summary>
+	public string? ThumbnailUrl { get; set; }
+
+	public PendingAttachmentState State { get; set; }
+
+	/// <summary>
+	/// Staged upload to pass to the server once <see cref="State"/> is <see cref="PendingAttachmentState.Uploaded"/>.
+	/// </summary>
+	public Guid? UploadId { get; set; }
+
+	public string? Error { get; set; }
+
+	/// <summary>
+	/// Still images the browser has re-encoded, which the annotation editor can draw on.
+	/// </summary>
+	public bool CanAnnotate => ThumbnailUrl != null && State is PendingAttachmentState.Uploading or PendingAttachmentState.Uploaded;
+
+	public int ProgressPercent => SizeBytes <= 0 ? 0 : (int)Math.Min(100, UploadedBytes * 100 / SizeBytes);
+}
@@ -31,6 +31,10 @@ public sealed class ProjectModalFormModel : IValidatableObject
 	[StringLength(ValidationLimits.ProjectDefaultTargetBranchMaxLength)]
 	public string? DefaultTargetBranch { get; set; }
 
+	[StringLength(ValidationLimits.ProjectAccentColorMaxLength)]
+	[RegularExpression(ValidationLimits.HexColorPattern, ErrorMessage = "Accent colour must be a hex colour such as #5b7cfa.")]
+	public string? AccentColor { get; set; }
+
 	public bool PlanningEnabled { get; set; }
 
 	public Guid? PlanningProviderId { get; set; }
@@ -107,6 +111,7 @@ public sealed class ProjectModalFormModel : IValidatableObject
 			AutoCommitMode = source.AutoCommitMode,
 			GitChangeDeliveryMode = source.GitChangeDeliveryMode,
 			DefaultTargetBranch = source.DefaultTargetBranch,
+			AccentColor = source.AccentColor,
 			PlanningEnabled = source.PlanningEnabled,
 			PlanningProviderId = source.PlanningProviderId,
 			PlanningModelId = source.PlanningModelId,
@@ -143,6 +148,7 @@ public sealed class ProjectModalFormModel : IValidatableObject
 			AutoCommitMode = AutoCommitMode,
 			GitChangeDeliveryMode = GitChangeDeliveryMode,
 			DefaultTargetBranch = string.IsNullOrWhiteSpace(DefaultTargetBranch) ? null : DefaultTargetBranch.Trim(),
+			AccentColor = string.IsNullOrWhiteSpace(AccentColor) ? null : AccentColor.Trim().ToLowerInvariant(),
 			PlanningEnabled = PlanningEnabled,
 			PlanningProviderId = PlanningProviderId,
 			PlanningModelId = string.IsNullOrWhiteSpace(PlanningModelId) ? null : PlanningModelId.Trim(),
@@ -0,0 +1,13 @@
+namespace VibeSwarm.Client.Models;
+
+/// <summary>
+/// A review comment being written on a range of lines in a diff, numbered as in the new version of the file.
+/// </summary>
+public sealed class ReviewCommentDraft
+{
+	public int StartLine { get; set; }
+
+	public int EndLine { get; set; }
+
+	public string Body { get; set; } = string.Empty;
+}
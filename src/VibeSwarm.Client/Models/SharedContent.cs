@@ -0,0 +1,47 @@
+namespace VibeSwarm.Client.Models;
+
+/// <summary>
+/// Text and file count of a share sent to VibeSwarm from another app, as claimed by js/share-target.js.
+/// </summary>
+public sealed class SharedContent
+{
+	public string Title { get; set; } = string.Empty;
+
+	public string Text { get; set; } = string.Empty;
+
+	public string Url { get; set; } = string.Empty;
+
+	/// <summary>
+	/// Files handed to the attachment zone; they show up as pending attachments.
+	/// </summary>
+	public int FileCount { get; set; }
+
+	/// <summary>
+	/// Joins the title, text and URL into an idea description, one per line. Apps often repeat the title or URL
+	/// inside the text, so parts already contained in the text are left out.
+	/// </summary>
+	public string ToIdeaDescription()
+	{
+		var text = Text.Trim();
+		var parts = new List<string>();
+
+		var title = Title.Trim();
+		if (title.Length > 0 && !text.Contains(title, StringComparison.Ordinal))
+		{
+			parts.Add(title);
+		}
+
+		if (text.Length > 0)
+		{
+			parts.Add(text);
+		}
+
+		var url = Url.Trim();
+		if (url.Length > 0 && !text.Contains(url, StringComparison.Ordinal))
+		{
+			parts.Add(url);
+		}
+
+		return string.Join('\n', parts);
+	}
+}
@@ -1,4 +1,5 @@
 using Microsoft.AspNetCore.Components;
+using VibeSwarm.Client.Models;
 using VibeSwarm.Shared.VersionControl;
 using VibeSwarm.Shared.VersionControl.Models;
 
@@ -324,6 +325,27 @@ public partial class JobDetail : ComponentBase
         }
     }
 
+    // Committed jobs are read from their commit range; uncommitted ones compare the working copy with the starting commit
+    private async Task<string?> LoadDiffFileContextAsync(DiffFile file)
+    {
+        if (Job?.Project?.WorkingPath == null || string.IsNullOrEmpty(Job.GitCommitBefore))
+        {
+            return null;
+        }
+
+        return await VersionControlService.GetFileDiffAsync(
+            Job.Project.WorkingPath, file.FileName, Job.GitCommitBefore, Job.GitCommitHash, GitDiffParser.FullFileContextLines);
+    }
+
+    // File references in console output only link to files in this job's diff, so they open in the diff viewer
+    private async Task OpenFileInDiffAsync(OutputFileReference reference)
+    {
+        if (_gitDiffViewer == null || !await _gitDiffViewer.FocusFileAsync(reference.Path, reference.Line))
+        {
+            NotificationService.ShowInfo($"{reference.Path} is not part of this job's changes.");
+        }
+    }
+
     private async Task CommitAndPushChanges()
     {
         if (Job?.Project?.WorkingPath == null || string.IsNullOrWhiteSpace(_commitMessage)) return;
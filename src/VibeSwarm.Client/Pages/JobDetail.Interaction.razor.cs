@@ -1,5 +1,5 @@
 using Microsoft.AspNetCore.Components;
-using Microsoft.AspNetCore.SignalR.Client;
+using VibeSwarm.Client.Services;
 using VibeSwarm.Shared.Data;
 
 namespace VibeSwarm.Client.Pages;
@@ -24,7 +24,7 @@ public partial class JobDetail : ComponentBase
         try
         {
             var trimmedResponse = response.Trim();
-            if (_hubConnection != null && _hubConnection.State == HubConnectionState.Connected)
+            if (_hubConnection != null && _hubConnection.State == JobHubState.Connected)
             {
                 var success = await _hubConnection.InvokeAsync<bool>("SubmitInteractionResponse", JobId.ToString(), trimmedResponse);
                 if (!success)
@@ -1,5 +1,6 @@
 using Microsoft.AspNetCore.Components;
 using VibeSwarm.Client.Components.Jobs;
+using VibeSwarm.Client.Services;
 using VibeSwarm.Shared.Data;
 using VibeSwarm.Shared.VersionControl;
 
@@ -9,6 +10,7 @@ public partial class JobDetail : ComponentBase
 {
     // Job action loading state
     private bool IsCancelling { get; set; }
+    private bool IsCancellationQueued { get; set; }
     private bool IsForceCancelling { get; set; }
     private bool IsRetrying { get; set; }
     private bool IsForceResetting { get; set; }
@@ -17,6 +19,10 @@ public partial class JobDetail : ComponentBase
     private bool _showRetryModal = false;
     private Idea? _linkedIdea;
 
+    // Pop-out monitor window
+    private JobMiniMonitor? _miniMonitor;
+    private bool _isMiniMonitorOpen;
+
 	#region Job Actions
 
 	private void ResetJobDetailState()
@@ -26,11 +32,13 @@ public partial class JobDetail : ComponentBase
 		_liveCommand = null;
 		_showGitDiff = true;
 		_parsedDiffFiles.Clear();
+		_linkableFiles = new();
 		_interactionChoices = null;
 		_interactionError = null;
 		_isSubmittingResponse = false;
 		_showRetryModal = false;
 		IsCancelling = false;
+		IsCancellationQueued = false;
 		IsForceCancelling = false;
 		IsRetrying = false;
 		IsForceResetting = false;
@@ -42,6 +50,7 @@ public partial class JobDetail : ComponentBase
 
 		_pendingSessionMessages.Clear();
 		_pendingOutputUpdate = false;
+		ResetJobEvents();
 
 		_branchName = null;
 		_isGitRepository = false;
@@ -120,7 +129,7 @@ public partial class JobDetail : ComponentBase
                     if (!_liveOutput.Any())
                     {
                         var lines = Job.ConsoleOutput.Split('\n', StringSplitOptions.RemoveEmptyEntries);
-                        foreach (var line in lines.TakeLast(MaxOutputLines))
+                        foreach (var line in lines)
                         {
                             _liveOutput.Add(JobSessionDisplayBuilder.CreateOutputLine(line, DateTime.UtcNow));
                         }
@@ -141,6 +150,7 @@ public partial class JobDetail : ComponentBase
             if (Job != null && !string.IsNullOrEmpty(Job.GitDiff))
             {
                 _parsedDiffFiles = GitDiffParser.ParseDiff(Job.GitDiff);
+                _linkableFiles = _parsedDiffFiles.Select(file => file.FileName).ToList();
 
                 if (string.IsNullOrEmpty(Job.GitCommitHash) && !_changesPushed && !_workingCopyComparisonDone &&
                     !IsJobActive && Job.Project?.WorkingPath != null)
@@ -155,6 +165,8 @@ public partial class JobDetail : ComponentBase
                 catch { /* non-critical — page still works without change history */ }
             }
 
+            await RefreshReviewCommentsIfNeededAsync();
+
             ReconcilePendingSessionMessages();
 
             if (Job != null && (Job.Status == JobStatus.Failed || Job.Status == JobStatus.Cancelled) &&
@@ -184,6 +196,25 @@ public partial class JobDetail : ComponentBase
         }
     }
 
+    private async Task ToggleMiniMonitor()
+    {
+        if (_miniMonitor == null) return;
+
+        if (_miniMonitor.IsOpen)
+        {
+            await _miniMonitor.CloseAsync();
+        }
+        else if (!await _miniMonitor.OpenAsync())
+        {
+            NotificationService.ShowWarning("The browser blocked the monitor window. Allow pop-ups for this site and try again.");
+        }
+    }
+
+    private void OnMiniMonitorOpenChanged(bool isOpen)
+    {
+        _isMiniMonitorOpen = isOpen;
+    }
+
     private async Task CancelJob()
     {
         if (Job == null) return;
@@ -203,6 +234,10 @@ public partial class JobDetail : ComponentBase
                 NotificationService.ShowProjectError(Job.Project?.Name, "Could not cancel the job. It may have already completed.");
             }
         }
+        catch (OfflineActionQueuedException)
+        {
+            IsCancellationQueued = true;
+        }
         catch (Exception ex)
         {
             NotificationService.ShowProjectError(Job.Project?.Name, $"Error cancelling job: {ex.Message}");
@@ -0,0 +1,146 @@
+using Microsoft.AspNetCore.Components;
+using VibeSwarm.Client.Models;
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.VersionControl.Models;
+
+namespace VibeSwarm.Client.Pages;
+
+public partial class JobDetail : ComponentBase
+{
+    // Review comment state
+    private List<JobReviewComment> _reviewComments = new();
+    private List<JobReviewComment> _currentRunReviewComments = new();
+    private int _currentRunIndex = 0;
+    private bool _reviewCommentsLoaded = false;
+    private bool _isRequestingChanges = false;
+
+    private bool CanRequestChanges => Job != null &&
+        Job.Status is JobStatus.Completed or JobStatus.Failed or JobStatus.Stalled;
+
+    // Comments are only read once per finished run; resolution by the next run happens on the server when they are read
+    private async Task RefreshReviewCommentsIfNeededAsync()
+    {
+        if (Job == null || !ShowJobOutcomeSummary)
+        {
+            _reviewCommentsLoaded = false;
+            return;
+        }
+
+        if (!_reviewCommentsLoaded)
+        {
+            await LoadReviewCommentsAsync();
+        }
+    }
+
+    private async Task LoadReviewCommentsAsync()
+    {
+        if (Job == null) return;
+
+        try
+        {
+            var changeSets = await JobService.GetChangeSetsAsync(Job.Id);
+            _currentRunIndex = changeSets.Count(cs => !cs.IsManualEdit);
+            SetReviewComments((await JobService.GetReviewCommentsAsync(Job.Id)).ToList());
+            _reviewCommentsLoaded = ShowJobOutcomeSummary;
+        }
+        catch { /* non-critical — the diff still renders without comments */ }
+    }
+
+    private void SetReviewComments(List<JobReviewComment> comments)
+    {
+        _reviewComments = comments;
+        _currentRunReviewComments = comments.Where(comment => comment.FollowUpIndex == _currentRunIndex).ToList();
+    }
+
+    private async Task<string?> AddReviewCommentAsync(DiffFile file, ReviewCommentDraft draft)
+    {
+        if (Job == null) return "The job is no longer loaded.";
+
+        try
+        {
+            var comment = await JobService.AddReviewCommentAsync(Job.Id, file.FileName, draft.StartLine, draft.EndLine, draft.Body);
+            SetReviewComments([.. _reviewComments, comment]);
+            return null;
+        }
+        catch (Exception ex)
+        {
+            return ex.Message;
+        }
+    }
+
+    private async Task ToggleReviewCommentResolvedAsync(JobReviewComment comment)
+    {
+        if (Job == null) return;
+
+        try
+        {
+            await JobService.SetReviewCommentResolvedAsync(Job.Id, comment.Id, comment.Status != ReviewCommentStatus.Resolved);
+            await LoadReviewCommentsAsync();
+        }
+        catch (Exception ex)
+        {
+            NotificationService.ShowProjectError(Job.Project?.Name, $"Failed to update comment: {ex.Message}");
+        }
+    }
+
+    private async Task DeleteReviewCommentAsync(JobReviewComment comment)
+    {
+        if (Job == null) return;
+
+        try
+        {
+            await JobService.DeleteReviewCommentAsync(Job.Id, comment.Id);
+            SetReviewComments(_reviewComments.Where(existing => existing.Id != comment.Id).ToList());
+        }
+        catch (Exception ex)
+        {
+            NotificationService.ShowProjectError(Job.Project?.Name, $"Failed to delete comment: {ex.Message}");
+        }
+    }
+
+    private async Task FocusReviewCommentAsync(JobReviewComment comment)
+    {
+        if (_gitDiffViewer == null || !await _gitDiffViewer.FocusFileAsync(comment.FilePath, comment.StartLine))
+        {
+            NotificationService.ShowInfo($"{comment.FilePath} is not part of the diff shown.");
+        }
+    }
+
+    // Open comments go out as one follow-up; the server writes them into the prompt and marks them requested
+    private async Task<bool> RequestChangesAsync(string note)
+    {
+        if (Job == null || !CanRequestChanges || _isRequestingChanges) return false;
+
+        _isRequestingChanges = true;
+        StateHasChanged();
+
+        try
+        {
+            var result = await JobService.ContinueJobAsync(Job.Id, note, includeReviewComments: true);
+            if (!result)
+            {
+                NotificationService.ShowProjectError(Job.Project?.Name, "Could not request changes. The job may be active or have no open comments.");
+                return false;
+            }
+
+            Job.Status = JobStatus.New;
+            Job.CompletedAt = null;
+            Job.CurrentActivity = "Queued review comments...";
+            Job.LastActivityAt = DateTime.UtcNow;
+
+            NotificationService.ShowSuccess("Review comments sent. The job will continue shortly.", "Changes Requested");
+            await LoadJob();
+            await LoadReviewCommentsAsync();
+            return true;
+        }
+        catch (Exception ex)
+        {
+            NotificationService.ShowProjectError(Job.Project?.Name, $"Failed to request changes: {ex.Message}");
+            return false;
+        }
+        finally
+        {
+            _isRequestingChanges = false;
+        }
+    }
+}
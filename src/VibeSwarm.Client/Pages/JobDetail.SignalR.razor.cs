@@ -1,16 +1,20 @@
 using Microsoft.AspNetCore.Components;
-using Microsoft.AspNetCore.SignalR.Client;
 using VibeSwarm.Client.Components.Jobs;
+using VibeSwarm.Client.Services;
 using VibeSwarm.Shared.Data;
 
 namespace VibeSwarm.Client.Pages;
 
 public partial class JobDetail : ComponentBase, IAsyncDisposable
 {
-    private HubConnection? _hubConnection;
+    private JobHubConnection? _hubConnection;
     private CancellationTokenSource? _signalRCts;
     private bool _signalRConnected = false;
 
+    // Events sent to the job's group are numbered; the sequencer replays the ones missed while disconnected
+    private JobEventSequencer? _jobEvents;
+    private JobEventSequencer? _catchUpInFlight;
+
     // Batches output-line re-renders to avoid calling StateHasChanged on every line,
     // which causes severe lag (100+ re-renders/sec) during verbose job output.
     private Timer? _outputRenderTimer;
@@ -35,104 +39,56 @@ public partial class JobDetail : ComponentBase, IAsyncDisposable
     {
         try
         {
-            _hubConnection = new HubConnectionBuilder()
-                .WithUrl(NavigationManager.ToAbsoluteUri("/hubs/job"))
-                .WithAutomaticReconnect(new[] { TimeSpan.Zero, TimeSpan.FromSeconds(2), TimeSpan.FromSeconds(5),
-                    TimeSpan.FromSeconds(10) })
-                .Build();
+            _hubConnection = JobHub.CreateConnection();
 
-            _hubConnection.On<string, string>("JobStatusChanged", async (jobId, status) =>
-            {
-                if (_disposed) return;
-                try { await OnJobStatusChanged(jobId, status); }
-                catch (ObjectDisposedException) { }
-                catch { }
-            });
+            _hubConnection.On<string, string, long>("JobStatusChanged", (jobId, status, sequence) =>
+                AcceptJobEventAsync(jobId, sequence, () => OnJobStatusChanged(jobId, status)));
 
-            _hubConnection.On<string, string, DateTime>("JobActivityUpdated", async (jobId, activity, timestamp) =>
-            {
-                if (_disposed) return;
-                try { await OnJobActivityUpdated(jobId, activity, timestamp); }
-                catch (ObjectDisposedException) { }
-                catch { }
-            });
+            _hubConnection.On<string, string, DateTime, long>("JobActivityUpdated", (jobId, activity, timestamp, sequence) =>
+                AcceptJobEventAsync(jobId, sequence, () => OnJobActivityUpdated(jobId, activity, timestamp)));
 
-            _hubConnection.On<string, string, bool, DateTime>("JobOutput", async (jobId, line, isError, timestamp) =>
-            {
-                if (_disposed) return;
-                try { await OnJobOutputReceived(jobId, line, isError, timestamp); }
-                catch (ObjectDisposedException) { }
-                catch { }
-            });
+            _hubConnection.On<string, long>("JobMessageAdded", (jobId, sequence) =>
+                AcceptJobEventAsync(jobId, sequence, () => OnJobMessageAdded(jobId)));
 
-            _hubConnection.On<string, int, string>("ProcessStarted", async (jobId, processId, command) =>
-            {
-                if (_disposed) return;
-                try { await OnProcessStarted(jobId, processId, command); }
-                catch (ObjectDisposedException) { }
-                catch { }
-            });
+            _hubConnection.On<string, DateTime, long>("JobHeartbeat", (jobId, timestamp, sequence) =>
+                AcceptJobEventAsync(jobId, sequence, () => Task.CompletedTask));
 
-			_hubConnection.On<string, int, int, double>("ProcessExited", async (jobId, processId, exitCode, durationSeconds) =>
-			{
-				if (_disposed) return;
-				if (!IsCurrentRouteJob(jobId)) return;
-				try { await InvokeAsync(StateHasChanged); }
-				catch (ObjectDisposedException) { }
-				catch { }
-			});
+            _hubConnection.On<string, string, bool, DateTime, long>("JobOutput", (jobId, line, isError, timestamp, sequence) =>
+                AcceptJobEventAsync(jobId, sequence, () => OnJobOutputReceived(jobId, line, isError, timestamp)));
 
-            _hubConnection.On<string, string, string, List<string>?, string?>("JobInteractionRequired",
-                async (jobId, prompt, interactionType, choices, defaultResponse) =>
-                {
-                    if (_disposed) return;
-                    try { await OnJobInteractionRequested(jobId, prompt, choices); }
-                    catch (ObjectDisposedException) { }
-                    catch { }
-                });
+            _hubConnection.On<string, int, string, long>("ProcessStarted", (jobId, processId, command, sequence) =>
+                AcceptJobEventAsync(jobId, sequence, () => OnProcessStarted(jobId, processId, command)));
 
-            _hubConnection.On<string>("JobResumed", async (jobId) =>
-            {
-                if (_disposed) return;
-                try { await OnJobInteractionCompleted(jobId); }
-                catch (ObjectDisposedException) { }
-                catch { }
-            });
+			_hubConnection.On<string, int, int, double, long>("ProcessExited", (jobId, processId, exitCode, durationSeconds, sequence) =>
+				AcceptJobEventAsync(jobId, sequence, () => InvokeAsync(StateHasChanged)));
 
-            _hubConnection.On<string, bool, string?>("JobCompleted", async (jobId, success, errorMessage) =>
-            {
-                if (_disposed) return;
-                try { await OnJobCompleted(jobId, success, errorMessage); }
-                catch (ObjectDisposedException) { }
-                catch { }
-            });
+            _hubConnection.On<string, string, string, List<string>?, string?, long>("JobInteractionRequired",
+                (jobId, prompt, interactionType, choices, defaultResponse, sequence) =>
+                    AcceptJobEventAsync(jobId, sequence, () => OnJobInteractionRequested(jobId, prompt, choices)));
 
-            _hubConnection.On<string, int, int>("JobCycleProgress", async (jobId, currentCycle, maxCycles) =>
-            {
-                if (_disposed) return;
-                try { await OnJobCycleProgress(jobId, currentCycle, maxCycles); }
-                catch (ObjectDisposedException) { }
-                catch { }
-            });
+            _hubConnection.On<string, long>("JobResumed", (jobId, sequence) =>
+                AcceptJobEventAsync(jobId, sequence, () => OnJobInteractionCompleted(jobId)));
 
-			_hubConnection.On<string, bool>("JobGitDiffUpdated", async (jobId, hasChanges) =>
-			{
-				if (_disposed) return;
-				if (!IsCurrentRouteJob(jobId)) return;
-				try
+            _hubConnection.On<string, bool, string?, long>("JobCompleted", (jobId, success, errorMessage, sequence) =>
+                AcceptJobEventAsync(jobId, sequence, () => OnJobCompleted(jobId, success, errorMessage)));
+
+            _hubConnection.On<string, int, int, long>("JobCycleProgress", (jobId, currentCycle, maxCycles, sequence) =>
+                AcceptJobEventAsync(jobId, sequence, () => OnJobCycleProgress(jobId, currentCycle, maxCycles)));
+
+			_hubConnection.On<string, bool, long>("JobGitDiffUpdated", (jobId, hasChanges, sequence) =>
+				AcceptJobEventAsync(jobId, sequence, async () =>
 				{
 					if (hasChanges)
-                    {
-                        await InvokeAsync(async () => await RefreshJobSafely());
-                    }
-                }
-                catch (ObjectDisposedException) { }
-                catch { }
-            });
+					{
+						await InvokeAsync(async () => await RefreshJobSafely());
+					}
+				}));
 
             _hubConnection.Reconnecting += _ =>
             {
                 _signalRConnected = false;
+                // Live events wait until the ones missed during the outage have been replayed
+                _jobEvents?.BeginCatchUp();
                 return Task.CompletedTask;
             };
 
@@ -180,7 +136,7 @@ public partial class JobDetail : ComponentBase, IAsyncDisposable
 
 	private async Task SubscribeToSignalRGroups()
 	{
-		if (_hubConnection?.State != HubConnectionState.Connected) return;
+		if (_hubConnection?.State != JobHubState.Connected) return;
 
 		try
         {
@@ -188,11 +144,69 @@ public partial class JobDetail : ComponentBase, IAsyncDisposable
             await _hubConnection.InvokeAsync("SubscribeToJobList");
 		}
 		catch { }
+
+		await CatchUpJobEventsAsync();
+	}
+
+	private void ResetJobEvents()
+	{
+		_jobEvents = new JobEventSequencer(() => _ = CatchUpJobEventsAsync());
+	}
+
+	private Task AcceptJobEventAsync(string jobId, long sequence, Func<Task> apply)
+	{
+		if (_disposed || _jobEvents == null || !IsCurrentRouteJob(jobId))
+		{
+			return Task.CompletedTask;
+		}
+
+		return _jobEvents.AcceptAsync(sequence, async () =>
+		{
+			if (_disposed) return;
+			try { await apply(); }
+			catch (ObjectDisposedException) { }
+			catch { }
+		});
+	}
+
+	/// <summary>
+	/// Fetches the job's events after the sequencer's cursor and applies them ahead of the live events that arrived
+	/// meanwhile. The first call for a job only learns the current cursor, since the job was just loaded.
+	/// </summary>
+	private async Task CatchUpJobEventsAsync()
+	{
+		var sequencer = _jobEvents;
+		var connection = _hubConnection;
+		if (sequencer == null || connection == null || _catchUpInFlight == sequencer || _disposed)
+		{
+			return;
+		}
+
+		_catchUpInFlight = sequencer;
+		using var catchUp = sequencer.Cursor == 0 ? null : JobHub.BeginCatchUp();
+		try
+		{
+			var complete = await sequencer.CatchUpAsync(connection, JobId);
+			_pendingOutputUpdate = true;
+			if (!complete && !_disposed && sequencer == _jobEvents)
+			{
+				await InvokeAsync(async () => await RefreshJobSafely());
+			}
+		}
+		catch (ObjectDisposedException) { }
+		catch { }
+		finally
+		{
+			if (_catchUpInFlight == sequencer)
+			{
+				_catchUpInFlight = null;
+			}
+		}
 	}
 
 	private async Task UnsubscribeFromJobAsync(Guid jobId)
 	{
-		if (_hubConnection?.State != HubConnectionState.Connected)
+		if (_hubConnection?.State != JobHubState.Connected)
 		{
 			return;
 		}
@@ -293,12 +307,6 @@ public partial class JobDetail : ComponentBase, IAsyncDisposable
 			_liveOutput.Add(JobSessionDisplayBuilder.CreateOutputLine(
                 isError ? $"[ERR] {line}" : line,
                 timestamp));
-            // Trim from the front in one pass to avoid repeated O(n) RemoveAt(0) calls.
-            if (_liveOutput.Count > MaxOutputLines)
-            {
-                var excess = _liveOutput.Count - MaxOutputLines;
-                _liveOutput.RemoveRange(0, excess);
-            }
         }
         // Signal the batch timer rather than calling StateHasChanged on every line.
         _pendingOutputUpdate = true;
@@ -506,7 +514,7 @@ public partial class JobDetail : ComponentBase, IAsyncDisposable
 		{
 			try
 			{
-				if (_hubConnection.State == HubConnectionState.Connected)
+				if (_hubConnection.State == JobHubState.Connected)
 				{
 					await UnsubscribeFromJobAsync(JobId);
 					await _hubConnection.InvokeAsync("UnsubscribeFromJobList");
@@ -518,5 +526,10 @@ public partial class JobDetail : ComponentBase, IAsyncDisposable
                 // Ignore disposal errors
             }
         }
+
+        if (_clipboardModule != null)
+        {
+            await _clipboardModule.DisposeAsync();
+        }
     }
 }
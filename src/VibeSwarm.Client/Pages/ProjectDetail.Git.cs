@@ -184,6 +184,7 @@ public partial class ProjectDetail
         _mergePreviewMessage = null;
         _isMergeAlreadyUpToDate = false;
         _mergeConflictFiles.Clear();
+        _mergeAgentJobIds.Clear();
         _mergeTargetBranch = SelectDefaultMergeTargetBranch();
         _showMergeBranchModal = true;
         StateHasChanged();
@@ -204,6 +205,7 @@ public partial class ProjectDetail
         _mergePreviewError = null;
         _isMergeAlreadyUpToDate = false;
         _mergeConflictFiles.Clear();
+        _mergeAgentJobIds.Clear();
     }
 
     private async Task HandleMergeTargetBranchChanged(string targetBranch)
@@ -245,6 +247,43 @@ public partial class ProjectDetail
         return Task.CompletedTask;
     }
 
+    private async Task AskAgentToResolveMergeConflictAsync(MergeConflictFile file)
+    {
+        if (Project == null || _askingMergeAgentFileName != null ||
+            string.IsNullOrWhiteSpace(CurrentBranch) || string.IsNullOrWhiteSpace(_mergeTargetBranch))
+        {
+            return;
+        }
+
+        _askingMergeAgentFileName = file.FileName;
+        StateHasChanged();
+
+        try
+        {
+            // The job works on the branch being merged, so the next merge check picks its fix up as "theirs"
+            var job = await JobService.CreateAsync(new Job
+            {
+                ProjectId = ProjectId,
+                Title = $"Resolve merge conflict in {file.FileName}",
+                GoalPrompt = MergeConflictParser.BuildAgentResolutionPrompt(file.FileName, file.Content, CurrentBranch, _mergeTargetBranch),
+                Branch = CurrentBranch,
+                GitChangeDeliveryMode = GitChangeDeliveryMode.CommitToBranch
+            });
+
+            _mergeAgentJobIds[file.FileName] = job.Id;
+            NotificationService.ShowProjectSuccess(Project.Name, $"Queued a job to resolve {file.FileName} on '{CurrentBranch}'.");
+        }
+        catch (Exception ex)
+        {
+            NotificationService.ShowProjectError(Project.Name, $"Failed to queue a conflict resolution job: {ex.Message}");
+        }
+        finally
+        {
+            _askingMergeAgentFileName = null;
+            StateHasChanged();
+        }
+    }
+
     private async Task CheckGitHubCliAvailabilityAsync()
     {
         try
@@ -702,6 +741,27 @@ public partial class ProjectDetail
         }
     }
 
+    private void EditUncommittedFile(DiffFile file) => _editingUncommittedFilePath = file.FileName;
+
+    private void CloseUncommittedFileEditor() => _editingUncommittedFilePath = null;
+
+    // Refreshes the diff under the editor without the loading state, so the modal keeps its expanded files
+    private async Task HandleUncommittedFileSavedAsync(ProjectFileSaveResult result)
+    {
+        if (Project == null || string.IsNullOrEmpty(Project.WorkingPath)) return;
+
+        try
+        {
+            var diffOutput = await VersionControlService.GetWorkingDirectoryDiffAsync(Project.WorkingPath);
+            _uncommittedDiffFiles = string.IsNullOrEmpty(diffOutput) ? new List<DiffFile>() : ParseGitDiff(diffOutput);
+            await RefreshUncommittedChangesStatus();
+        }
+        catch (Exception ex)
+        {
+            _uncommittedDiffError = $"Failed to load diff: {ex.Message}";
+        }
+    }
+
     private async Task CommitAndPushUncommittedChanges(string commitMessage)
     {
         if (string.IsNullOrWhiteSpace(commitMessage)) return;
@@ -1,5 +1,6 @@
 using VibeSwarm.Client.Components.Projects;
 using VibeSwarm.Client.Models;
+using VibeSwarm.Client.Services;
 using VibeSwarm.Shared.Data;
 using VibeSwarm.Shared.Models;
 using VibeSwarm.Shared.Providers;
@@ -458,6 +459,10 @@ public partial class ProjectDetail
             await QueuePanelStateService.RequestRefreshAsync();
             await LoadIdeas(force: true);
         }
+        catch (OfflineActionQueuedException)
+        {
+            // Nothing was created yet; the queue panel lists the idea as pending until the outbox sends it
+        }
         catch (Exception ex)
         {
             NotificationService.ShowProjectError(Project?.Name, $"Error adding idea: {ex.Message}");
@@ -773,6 +778,10 @@ public partial class ProjectDetail
                 NotificationService.ShowSuccess("Specification approved. The idea is ready to run.", "Expansion Approved");
             }
         }
+        catch (OfflineActionQueuedException)
+        {
+            // The idea stays awaiting approval until the outbox sends it; the queue panel lists it as pending
+        }
         catch (Exception ex)
         {
             NotificationService.ShowProjectError(Project?.Name, $"Error approving expansion: {ex.Message}");
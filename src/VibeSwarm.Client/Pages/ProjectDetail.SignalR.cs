@@ -1,4 +1,4 @@
-using Microsoft.AspNetCore.SignalR.Client;
+using VibeSwarm.Client.Services;
 using VibeSwarm.Shared.Data;
 using VibeSwarm.Shared.Providers;
 
@@ -6,7 +6,7 @@ namespace VibeSwarm.Client.Pages;
 
 public partial class ProjectDetail
 {
-	private HubConnection? _hubConnection;
+	private JobHubConnection? _hubConnection;
 	private CancellationTokenSource? _signalRCts;
 	private HashSet<Guid> _localIdeaUpdateIds = new();
 	private HashSet<Guid> _localIdeaCreateIds = new();
@@ -15,7 +15,7 @@ public partial class ProjectDetail
 
 	private static readonly TimeSpan PollingIntervalActive = TimeSpan.FromSeconds(10);
 	private static readonly TimeSpan PollingIntervalSignalRFallback = TimeSpan.FromSeconds(30);
-	private bool IsSignalRConnected => _hubConnection?.State == HubConnectionState.Connected;
+	private bool IsSignalRConnected => _hubConnection?.State == JobHubState.Connected;
 
 	protected override async Task OnInitializedAsync()
 	{
@@ -65,11 +65,7 @@ public partial class ProjectDetail
 
 	private async Task InitializeSignalR(CancellationToken cancellationToken)
 	{
-		_hubConnection = new HubConnectionBuilder()
-		.WithUrl(NavigationManager.ToAbsoluteUri("/hubs/job"))
-		.WithAutomaticReconnect(new[] { TimeSpan.Zero, TimeSpan.FromSeconds(2), TimeSpan.FromSeconds(5),
-TimeSpan.FromSeconds(10) })
-		.Build();
+		_hubConnection = JobHub.CreateConnection();
 
 		RegisterSignalRHandlers();
 
@@ -370,7 +366,7 @@ TimeSpan.FromSeconds(10) })
 
 	private async Task SubscribeToSignalRGroups()
 	{
-		if (_hubConnection?.State != HubConnectionState.Connected) return;
+		if (_hubConnection?.State != JobHubState.Connected) return;
 
 		try
 		{
@@ -518,7 +514,7 @@ TimeSpan.FromSeconds(10) })
 		{
 			try
 			{
-				if (_hubConnection.State == HubConnectionState.Connected)
+				if (_hubConnection.State == JobHubState.Connected)
 				{
 					await _hubConnection.InvokeAsync("UnsubscribeFromProject", ProjectId.ToString());
 					await _hubConnection.InvokeAsync("UnsubscribeFromJobList");
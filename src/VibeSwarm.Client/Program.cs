@@ -14,6 +14,13 @@ builder.RootComponents.Add<HeadOutlet>("head::after");
 // Register the CookieHandler for browser fetch credential inclusion
 builder.Services.AddTransient<CookieHandler>();
 
+// Offline snapshot and outbox tracking are singletons because message handlers are created
+// outside the component scope by IHttpClientFactory
+builder.Services.AddSingleton<OfflineSnapshotService>();
+builder.Services.AddTransient<OfflineSnapshotHandler>();
+builder.Services.AddSingleton<OfflineOutboxService>();
+builder.Services.AddTransient<OfflineOutboxHandler>();
+
 // Configure HttpClient with the CookieHandler for cookie authentication
 // This ensures credentials (cookies) are included with all requests,
 // which is critical for iOS Safari's stricter cookie policies.
@@ -23,7 +30,10 @@ builder.Services.AddHttpClient("VibeSwarm", client =>
 {
     client.BaseAddress = new Uri(builder.HostEnvironment.BaseAddress);
     client.Timeout = Timeout.InfiniteTimeSpan;
-}).AddHttpMessageHandler<CookieHandler>();
+})
+.AddHttpMessageHandler<CookieHandler>()
+.AddHttpMessageHandler<OfflineSnapshotHandler>()
+.AddHttpMessageHandler<OfflineOutboxHandler>();
 
 // Register the default HttpClient as the named client for DI
 builder.Services.AddScoped(sp =>
@@ -50,6 +60,7 @@ builder.Services.AddScoped<ICriticalErrorLogService, HttpCriticalErrorLogService
 builder.Services.AddScoped<IIdeaService, HttpIdeaService>();
 builder.Services.AddScoped<IUserService, HttpUserService>();
 builder.Services.AddScoped<IFileSystemService, HttpFileSystemService>();
+builder.Services.AddScoped<IProjectFileService, HttpProjectFileService>();
 builder.Services.AddScoped<IVersionControlService, HttpVersionControlService>();
 builder.Services.AddScoped<HttpInferenceProviderService>();
 builder.Services.AddScoped<IInferenceProviderService>(sp => sp.GetRequiredService<HttpInferenceProviderService>());
@@ -60,12 +71,20 @@ builder.Services.AddScoped<IDatabaseService, HttpDatabaseService>();
 // Search service
 builder.Services.AddScoped<HttpSearchService>();
 
+// Web Push subscriptions for this user's devices
+builder.Services.AddScoped<HttpPushNotificationService>();
+
 // UI services
 builder.Services.AddScoped<NotificationService>();
 builder.Services.AddScoped<ChangePasswordModalService>();
 builder.Services.AddScoped<ThemeService>();
+builder.Services.AddScoped<KeyboardShortcutService>();
+builder.Services.AddScoped<DiffViewPreferenceService>();
 builder.Services.AddScoped<AppTimeZoneService>();
 builder.Services.AddScoped<QueuePanelStateService>();
+builder.Services.AddScoped<JobActivityBadgeService>();
+builder.Services.AddScoped<JobHubClient>();
+builder.Services.AddScoped<StartedJobTracker>();
 builder.Services.AddScoped<DeveloperUpdateOverlayService>();
 
 // Auth
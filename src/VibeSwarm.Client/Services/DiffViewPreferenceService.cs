@@ -0,0 +1,72 @@
+using System.Net.Http.Json;
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.Models;
+
+namespace VibeSwarm.Client.Services;
+
+/// <summary>
+/// Remembers whether the user reads diffs unified or side by side. The mode is loaded once per session and saved to
+/// the user's account whenever a diff viewer switches it.
+/// </summary>
+public sealed class DiffViewPreferenceService
+{
+	private readonly HttpClient _httpClient;
+	private readonly ILogger<DiffViewPreferenceService> _logger;
+	private Task<DiffViewMode>? _loadTask;
+
+	public DiffViewPreferenceService(HttpClient httpClient, ILogger<DiffViewPreferenceService> logger)
+	{
+		_httpClient = httpClient;
+		_logger = logger;
+	}
+
+	public DiffViewMode Mode { get; private set; } = DiffViewMode.Unified;
+
+	public event Action? ModeChanged;
+
+	/// <summary>
+	/// Loads the saved mode the first time it is asked for; falls back to unified when it can't be read.
+	/// </summary>
+	public Task<DiffViewMode> GetModeAsync()
+	{
+		return _loadTask ??= LoadAsync();
+	}
+
+	public async Task SetModeAsync(DiffViewMode mode)
+	{
+		if (mode == Mode) return;
+
+		Mode = mode;
+		_loadTask = Task.FromResult(mode);
+		ModeChanged?.Invoke();
+
+		try
+		{
+			var response = await _httpClient.PutAsJsonAsync("/api/auth/diff-view-mode", new DiffViewPreferenceDto { Mode = mode });
+			await HttpResponseErrorHelper.EnsureSuccessAsync(response);
+		}
+		catch (Exception ex)
+		{
+			// The choice still applies for this session
+			_logger.LogWarning(ex, "Failed to save diff view mode");
+		}
+	}
+
+	private async Task<DiffViewMode> LoadAsync()
+	{
+		try
+		{
+			var preference = await _httpClient.GetFromJsonAsync<DiffViewPreferenceDto>("/api/auth/diff-view-mode");
+			if (preference != null && Enum.IsDefined(preference.Mode))
+			{
+				Mode = preference.Mode;
+			}
+		}
+		catch (Exception ex)
+		{
+			_logger.LogWarning(ex, "Failed to load diff view mode");
+		}
+
+		return Mode;
+	}
+}
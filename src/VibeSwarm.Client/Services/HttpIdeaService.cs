@@ -9,7 +9,13 @@ namespace VibeSwarm.Client.Services;
 public class HttpIdeaService : IIdeaService
 {
     private readonly HttpClient _http;
-    public HttpIdeaService(HttpClient http) => _http = http;
+    private readonly StartedJobTracker _startedJobs;
+
+    public HttpIdeaService(HttpClient http, StartedJobTracker startedJobs)
+    {
+        _http = http;
+        _startedJobs = startedJobs;
+    }
 
     public async Task<IEnumerable<Idea>> GetByProjectIdAsync(Guid projectId, CancellationToken ct = default)
         => await _http.GetJsonAsync($"/api/ideas/project/{projectId}", new List<Idea>(), ct);
@@ -23,6 +29,7 @@ public class HttpIdeaService : IIdeaService
     public async Task<Idea> CreateAsync(Idea idea, CancellationToken ct = default)
     {
         var response = await _http.PostAsJsonAsync("/api/ideas", idea, ct);
+        HttpResponseErrorHelper.ThrowIfQueuedOffline(response);
         await HttpResponseErrorHelper.EnsureSuccessAsync(response, ct);
         return await response.ReadJsonAsync(idea, ct);
     }
@@ -30,6 +37,7 @@ public class HttpIdeaService : IIdeaService
     public async Task<Idea> CreateAsync(CreateIdeaRequest request, CancellationToken ct = default)
     {
         var response = await _http.PostAsJsonAsync("/api/ideas/create-with-attachments", request, ct);
+        HttpResponseErrorHelper.ThrowIfQueuedOffline(response);
         await HttpResponseErrorHelper.EnsureSuccessAsync(response, ct);
         return await response.ReadJsonAsync(new Idea(), ct);
     }
@@ -51,7 +59,9 @@ public class HttpIdeaService : IIdeaService
     {
         var response = await _http.PostAsJsonAsync($"/api/ideas/{ideaId}/convert-to-job", options ?? new IdeaProcessingOptions(), ct);
         if (!response.IsSuccessStatusCode) return null;
-        return await response.ReadJsonOrNullAsync<Job>(ct);
+        var job = await response.ReadJsonOrNullAsync<Job>(ct);
+        if (job != null) _startedJobs.MarkStarted(job.Id);
+        return job;
     }
 
     public async Task<bool> CompleteIdeaFromJobAsync(Guid jobId, CancellationToken ct = default)
@@ -136,6 +146,7 @@ public class HttpIdeaService : IIdeaService
     public async Task<Idea?> ApproveExpansionAsync(Guid ideaId, string? editedDescription = null, CancellationToken ct = default)
     {
         var response = await _http.PostAsJsonAsync($"/api/ideas/{ideaId}/approve", new { EditedDescription = editedDescription }, ct);
+        HttpResponseErrorHelper.ThrowIfQueuedOffline(response);
         if (!response.IsSuccessStatusCode) return null;
         return await response.ReadJsonOrNullAsync<Idea>(ct);
     }
@@ -8,7 +8,13 @@ namespace VibeSwarm.Client.Services;
 public class HttpJobService : IJobService
 {
     private readonly HttpClient _http;
-    public HttpJobService(HttpClient http) => _http = http;
+    private readonly StartedJobTracker _startedJobs;
+
+    public HttpJobService(HttpClient http, StartedJobTracker startedJobs)
+    {
+        _http = http;
+        _startedJobs = startedJobs;
+    }
 
     public async Task<IEnumerable<Job>> GetAllAsync(CancellationToken ct = default)
         => await _http.GetJsonAsync("/api/jobs", new List<Job>(), ct);
@@ -46,7 +52,9 @@ public class HttpJobService : IJobService
     {
         var response = await _http.PostAsJsonAsync("/api/jobs", job, ct);
         response.EnsureSuccessStatusCode();
-        return await response.ReadJsonAsync(job, ct);
+        var created = await response.ReadJsonAsync(job, ct);
+        _startedJobs.MarkStarted(created.Id);
+        return created;
     }
 
     public async Task<Job> UpdateStatusAsync(Guid id, JobStatus status, string? output = null, string? errorMessage = null, CancellationToken ct = default)
@@ -78,6 +86,7 @@ public class HttpJobService : IJobService
     public async Task<bool> RequestCancellationAsync(Guid id, CancellationToken ct = default)
     {
         var response = await _http.PostAsync($"/api/jobs/{id}/cancel", null, ct);
+        HttpResponseErrorHelper.ThrowIfQueuedOffline(response);
         return response.IsSuccessStatusCode;
     }
 
@@ -98,6 +107,7 @@ public class HttpJobService : IJobService
     public async Task<bool> ResetJobAsync(Guid id, CancellationToken ct = default)
     {
         var response = await _http.PostAsync($"/api/jobs/{id}/reset", null, ct);
+        if (response.IsSuccessStatusCode) _startedJobs.MarkStarted(id);
         return response.IsSuccessStatusCode;
     }
 
@@ -157,9 +167,9 @@ public class HttpJobService : IJobService
 		return response.IsSuccessStatusCode;
 	}
 
-	public async Task<bool> ContinueJobAsync(Guid id, string followUpPrompt, CancellationToken ct = default)
+	public async Task<bool> ContinueJobAsync(Guid id, string followUpPrompt, bool includeReviewComments = false, CancellationToken ct = default)
 	{
-		var response = await _http.PostAsJsonAsync($"/api/jobs/{id}/continue", new { FollowUpPrompt = followUpPrompt }, ct);
+		var response = await _http.PostAsJsonAsync($"/api/jobs/{id}/continue", new { FollowUpPrompt = followUpPrompt, IncludeReviewComments = includeReviewComments }, ct);
 		return response.IsSuccessStatusCode;
 	}
 
@@ -178,6 +188,7 @@ public class HttpJobService : IJobService
     public async Task<bool> ResetJobWithOptionsAsync(Guid id, Guid? providerId = null, string? modelId = null, string? reasoningEffort = null, CancellationToken ct = default)
     {
         var response = await _http.PostAsJsonAsync($"/api/jobs/{id}/retry", new { ProviderId = providerId, ModelId = modelId, ReasoningEffort = reasoningEffort }, ct);
+        if (response.IsSuccessStatusCode) _startedJobs.MarkStarted(id);
         return response.IsSuccessStatusCode;
     }
 
@@ -240,6 +251,28 @@ public class HttpJobService : IJobService
         return await response.Content.ReadFromJsonAsync<List<JobChangeSet>>(ct) ?? [];
     }
 
+    public async Task<IEnumerable<JobReviewComment>> GetReviewCommentsAsync(Guid jobId, CancellationToken ct = default)
+        => await _http.GetJsonAsync($"/api/jobs/{jobId}/review-comments", new List<JobReviewComment>(), ct);
+
+    public async Task<JobReviewComment> AddReviewCommentAsync(Guid jobId, string filePath, int startLine, int endLine, string body, CancellationToken ct = default)
+    {
+        var response = await _http.PostAsJsonAsync($"/api/jobs/{jobId}/review-comments", new { FilePath = filePath, StartLine = startLine, EndLine = endLine, Body = body }, ct);
+        await HttpResponseErrorHelper.EnsureSuccessAsync(response, ct);
+        return await response.ReadJsonAsync(new JobReviewComment(), ct);
+    }
+
+    public async Task<bool> SetReviewCommentResolvedAsync(Guid jobId, Guid commentId, bool resolved, CancellationToken ct = default)
+    {
+        var response = await _http.PutAsJsonAsync($"/api/jobs/{jobId}/review-comments/{commentId}/resolved", new { Resolved = resolved }, ct);
+        return response.IsSuccessStatusCode;
+    }
+
+    public async Task<bool> DeleteReviewCommentAsync(Guid jobId, Guid commentId, CancellationToken ct = default)
+    {
+        var response = await _http.DeleteAsync($"/api/jobs/{jobId}/review-comments/{commentId}", ct);
+        return response.IsSuccessStatusCode;
+    }
+
     private class InteractionInfo
     {
         public string? Prompt { get; set; }
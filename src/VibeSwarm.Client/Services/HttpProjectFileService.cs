@@ -0,0 +1,30 @@
+using System.Net.Http.Json;
+using VibeSwarm.Shared.Services;
+
+namespace VibeSwarm.Client.Services;
+
+/// <summary>
+/// Client-side HTTP wrapper for the project file endpoints used by the file editor.
+/// </summary>
+public class HttpProjectFileService : IProjectFileService
+{
+	private readonly HttpClient _http;
+	public HttpProjectFileService(HttpClient http) => _http = http;
+
+	private static string Base(Guid projectId) => $"/api/filesystem/projects/{projectId}/file";
+
+	public async Task<ProjectFile> GetFileAsync(Guid projectId, string path, CancellationToken ct = default)
+	{
+		var response = await _http.GetAsync($"{Base(projectId)}?path={Uri.EscapeDataString(path)}", ct);
+		await HttpResponseErrorHelper.EnsureSuccessAsync(response, ct);
+		return await response.ReadJsonAsync(new ProjectFile(), ct);
+	}
+
+	// The server records the signed-in user as the editor, so editedBy isn't sent
+	public async Task<ProjectFileSaveResult> SaveFileAsync(Guid projectId, ProjectFileSaveRequest request, string? editedBy = null, CancellationToken ct = default)
+	{
+		var response = await _http.PutAsJsonAsync(Base(projectId), request, ct);
+		await HttpResponseErrorHelper.EnsureSuccessAsync(response, ct);
+		return await response.ReadJsonAsync(new ProjectFileSaveResult(), ct);
+	}
+}
@@ -0,0 +1,40 @@
+using System.Net.Http.Json;
+using VibeSwarm.Shared.Models;
+
+namespace VibeSwarm.Client.Services;
+
+public class HttpPushNotificationService
+{
+	private readonly HttpClient _http;
+
+	public HttpPushNotificationService(HttpClient http)
+	{
+		_http = http;
+	}
+
+	public async Task<WebPushConfigurationDto> GetConfigurationAsync(CancellationToken cancellationToken = default)
+		=> await _http.GetJsonAsync("/api/push/config", new WebPushConfigurationDto(), cancellationToken);
+
+	public async Task<List<WebPushSubscriptionDto>> GetSubscriptionsAsync(CancellationToken cancellationToken = default)
+		=> await _http.GetJsonAsync("/api/push/subscriptions", new List<WebPushSubscriptionDto>(), cancellationToken);
+
+	public async Task<WebPushSubscriptionDto?> SubscribeAsync(WebPushSubscribeRequest request, CancellationToken cancellationToken = default)
+	{
+		var response = await _http.PostAsJsonAsync("/api/push/subscriptions", request, cancellationToken);
+		await HttpResponseErrorHelper.EnsureSuccessAsync(response, cancellationToken);
+		return await response.ReadJsonOrNullAsync<WebPushSubscriptionDto>(cancellationToken);
+	}
+
+	public async Task UnsubscribeAsync(Guid subscriptionId, CancellationToken cancellationToken = default)
+	{
+		var response = await _http.DeleteAsync($"/api/push/subscriptions/{subscriptionId}", cancellationToken);
+		await HttpResponseErrorHelper.EnsureSuccessAsync(response, cancellationToken, "That device is no longer registered.");
+	}
+
+	public async Task<WebPushTestResult> SendTestAsync(Guid subscriptionId, CancellationToken cancellationToken = default)
+	{
+		var response = await _http.PostAsync($"/api/push/subscriptions/{subscriptionId}/test", null, cancellationToken);
+		await HttpResponseErrorHelper.EnsureSuccessAsync(response, cancellationToken, "That device is no longer registered.");
+		return await response.ReadJsonAsync(new WebPushTestResult(), cancellationToken);
+	}
+}
@@ -29,6 +29,17 @@ internal static class HttpResponseErrorHelper
 		response.EnsureSuccessStatusCode();
 	}
 
+	/// <summary>
+	/// The outbox answers a queued request with an empty 202, so there is no result to read from it.
+	/// </summary>
+	public static void ThrowIfQueuedOffline(HttpResponseMessage response)
+	{
+		if (response.Headers.TryGetValues(OfflineOutboxService.QueuedHeaderName, out var outboxItemIds))
+		{
+			throw new OfflineActionQueuedException(outboxItemIds.FirstOrDefault() ?? string.Empty);
+		}
+	}
+
 	private static async Task<string?> TryReadErrorMessageAsync(HttpResponseMessage response, CancellationToken cancellationToken)
 	{
 		var body = await response.Content.ReadAsStringAsync(cancellationToken);
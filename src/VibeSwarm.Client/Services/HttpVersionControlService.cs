@@ -124,6 +124,14 @@ public class HttpVersionControlService : IVersionControlService
         return await GetStringResponseAsync(url, ct);
     }
 
+    public async Task<string?> GetFileDiffAsync(string workingDirectory, string filePath, string? fromCommit, string? toCommit, int contextLines, CancellationToken ct = default)
+    {
+        var url = $"/api/git/file-diff?path={Enc(workingDirectory)}&file={Uri.EscapeDataString(filePath)}&context={contextLines}";
+        if (fromCommit != null) url += $"&from={Uri.EscapeDataString(fromCommit)}";
+        if (toCommit != null) url += $"&to={Uri.EscapeDataString(toCommit)}";
+        return await GetStringResponseAsync(url, ct);
+    }
+
     public async Task<GitDiffSummary?> GetDiffSummaryAsync(string workingDirectory, string? baseCommit = null, CancellationToken ct = default)
     {
         var url = $"/api/git/diff-summary?path={Enc(workingDirectory)}";
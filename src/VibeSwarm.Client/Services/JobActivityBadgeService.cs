@@ -0,0 +1,101 @@
+using Microsoft.JSInterop;
+using VibeSwarm.Shared.Data;
+
+namespace VibeSwarm.Client.Services;
+
+/// <summary>
+/// Counts the jobs that are running or waiting for input and shows the counts in the tab title, favicon and
+/// installed app badge through js/job-badge.js. MainLayout seeds it from the API and feeds it hub events, and keeps
+/// the screen awake while RunningCount is above zero.
+/// </summary>
+public sealed class JobActivityBadgeService : IAsyncDisposable
+{
+	private readonly JsModule _module;
+	private readonly ILogger<JobActivityBadgeService> _logger;
+	private readonly HashSet<Guid> _running = [];
+	private readonly HashSet<Guid> _waiting = [];
+	private (int Running, int Waiting) _published;
+
+	public JobActivityBadgeService(IJSRuntime jsRuntime, ILogger<JobActivityBadgeService> logger)
+	{
+		_module = new JsModule(jsRuntime, JsModule.JobBadge);
+		_logger = logger;
+	}
+
+	public int RunningCount => _running.Count;
+
+	public int WaitingCount => _waiting.Count;
+
+	/// <summary>
+	/// Raised when the running or waiting count changes.
+	/// </summary>
+	public event Action? CountsChanged;
+
+	/// <summary>
+	/// Replaces the tracked jobs, e.g. after the hub connects or reconnects and events may have been missed.
+	/// </summary>
+	public Task ResetAsync(IEnumerable<(Guid JobId, JobStatus Status)> jobs)
+	{
+		_running.Clear();
+		_waiting.Clear();
+		foreach (var (jobId, status) in jobs)
+		{
+			Track(jobId, status);
+		}
+
+		return PublishAsync();
+	}
+
+	public Task SetStatusAsync(Guid jobId, JobStatus status)
+	{
+		Track(jobId, status);
+		return PublishAsync();
+	}
+
+	/// <summary>
+	/// Marks a job as waiting until its next status change, which is what answering the prompt produces.
+	/// </summary>
+	public Task MarkWaitingAsync(Guid jobId)
+	{
+		_running.Remove(jobId);
+		_waiting.Add(jobId);
+		return PublishAsync();
+	}
+
+	private void Track(Guid jobId, JobStatus status)
+	{
+		_running.Remove(jobId);
+		_waiting.Remove(jobId);
+
+		if (status == JobStatus.Paused)
+		{
+			_waiting.Add(jobId);
+		}
+		else if (status is JobStatus.Started or JobStatus.Planning or JobStatus.Processing)
+		{
+			_running.Add(jobId);
+		}
+	}
+
+	private async Task PublishAsync()
+	{
+		var counts = (RunningCount, WaitingCount);
+		if (counts == _published)
+		{
+			return;
+		}
+
+		_published = counts;
+		CountsChanged?.Invoke();
+		try
+		{
+			await _module.InvokeVoidAsync("update", counts.RunningCount, counts.WaitingCount);
+		}
+		catch (JSException ex)
+		{
+			_logger.LogDebug(ex, "Failed to update the job activity badge");
+		}
+	}
+
+	public ValueTask DisposeAsync() => _module.DisposeAsync();
+}
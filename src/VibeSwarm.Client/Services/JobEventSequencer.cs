@@ -0,0 +1,137 @@
+using System.Text.Json;
+using VibeSwarm.Shared.Models;
+
+namespace VibeSwarm.Client.Services;
+
+/// <summary>
+/// Applies one job's numbered hub events exactly once and in order. A gap in the numbering, or a reconnect, puts it
+/// in catch-up: live events wait while the missed ones are fetched from the server's replay buffer, and
+/// <see cref="CompleteCatchUpAsync"/> then applies the missed events before the waiting ones.
+/// </summary>
+public sealed class JobEventSequencer
+{
+	private readonly SortedDictionary<long, Func<Task>> _waiting = new();
+	private readonly Action _onGap;
+
+	/// <param name="onGap">Called when an event arrives out of order; it should fetch the missed events.</param>
+	public JobEventSequencer(Action onGap)
+	{
+		_onGap = onGap;
+	}
+
+	/// <summary>
+	/// Sequence number of the last applied event, or 0 before the stream has been synced.
+	/// </summary>
+	public long Cursor { get; private set; }
+
+	public bool IsCatchingUp { get; private set; }
+
+	/// <summary>
+	/// Applies a live or replayed event. Events without a sequence number are the copies sent to the job list
+	/// group; the job's own group delivers the numbered original, so they are ignored.
+	/// </summary>
+	public async Task AcceptAsync(long sequence, Func<Task> apply)
+	{
+		if (sequence <= 0 || sequence <= Cursor)
+		{
+			return;
+		}
+
+		if (IsCatchingUp)
+		{
+			_waiting[sequence] = apply;
+			return;
+		}
+
+		if (Cursor > 0 && sequence > Cursor + 1)
+		{
+			_waiting[sequence] = apply;
+			BeginCatchUp();
+			_onGap();
+			return;
+		}
+
+		Cursor = sequence;
+		await apply();
+	}
+
+	/// <summary>
+	/// Holds live events back until <see cref="CompleteCatchUpAsync"/>.
+	/// </summary>
+	public void BeginCatchUp()
+	{
+		IsCatchingUp = true;
+	}
+
+	/// <summary>
+	/// Fetches the job's events after <see cref="Cursor"/> from the hub's replay buffer and applies them through the
+	/// connection's handlers, which are expected to pass them to <see cref="AcceptAsync"/>.
+	/// </summary>
+	/// <returns>False when the caller should reload the job; see <see cref="CompleteCatchUpAsync"/>.</returns>
+	public async Task<bool> CatchUpAsync(JobHubConnection connection, Guid jobId)
+	{
+		BeginCatchUp();
+		JobEventReplay? replay = null;
+		try
+		{
+			replay = await connection.InvokeAsync<JobEventReplay>("GetJobEventsSince", jobId.ToString(), Cursor == 0 ? null : Cursor);
+		}
+		catch (Exception)
+		{
+			// Treated like a replay that came up short
+		}
+
+		return await CompleteCatchUpAsync(replay, record => connection.ReplayAsync(
+			record.Method,
+			[.. record.Arguments.Select(ToJsonElement), JsonSerializer.SerializeToElement(record.Sequence)]));
+	}
+
+	/// <summary>
+	/// Applies a replay fetched after <see cref="BeginCatchUp"/>, followed by the live events that arrived meanwhile.
+	/// Pass null when the replay could not be fetched.
+	/// </summary>
+	/// <param name="replay">The server's events after <see cref="Cursor"/>.</param>
+	/// <param name="replayEvent">Dispatches a replayed event to the handlers that call <see cref="AcceptAsync"/>.</param>
+	/// <returns>False when events were missed that the server could not replay; the caller should reload the job.</returns>
+	public async Task<bool> CompleteCatchUpAsync(JobEventReplay? replay, Func<JobEventRecord, Task> replayEvent)
+	{
+		var complete = true;
+		if (replay == null)
+		{
+			complete = Cursor == 0;
+			Cursor = 0;
+		}
+		else if (Cursor == 0 || !replay.IsComplete)
+		{
+			// Nothing to replay for a stream that was just synced; a reload covers a replay that came up short
+			complete = Cursor == 0 || replay.IsComplete;
+			Cursor = replay.LatestSequence;
+		}
+		else
+		{
+			foreach (var record in replay.Events.Where(record => record.Sequence > Cursor).OrderBy(record => record.Sequence))
+			{
+				await replayEvent(record);
+			}
+		}
+
+		while (_waiting.Count > 0)
+		{
+			var (sequence, apply) = _waiting.First();
+			_waiting.Remove(sequence);
+			if (sequence <= Cursor)
+			{
+				continue;
+			}
+
+			Cursor = sequence;
+			await apply();
+		}
+
+		IsCatchingUp = false;
+		return complete;
+	}
+
+	private static JsonElement ToJsonElement(object? value)
+		=> value is JsonElement element ? element : JsonSerializer.SerializeToElement(value);
+}
@@ -0,0 +1,490 @@
+using System.Text.Json;
+using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
+
+namespace VibeSwarm.Client.Services;
+
+/// <summary>
+/// The browser's single JobHub connection. js/hub.js keeps it in a SharedWorker (or a leader tab) so every tab
+/// shares it; components call <see cref="CreateConnection"/> and use the result like a SignalR HubConnection of
+/// their own. Hub-driven toasts are shown by one tab only through <see cref="NotificationService.IsToastTab"/>.
+/// </summary>
+public sealed class JobHubClient : IAsyncDisposable
+{
+	private const string HubPath = "/hubs/job";
+
+	internal static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+	private readonly JsModule _module;
+	private readonly NavigationManager _navigation;
+	private readonly NotificationService _notifications;
+	private readonly ILogger<JobHubClient> _logger;
+	private readonly List<JobHubConnection> _connections = [];
+	private DotNetObjectReference<JobHubClient>? _dotNetRef;
+	private Task? _connectTask;
+	private TaskCompletionSource _connected = new(TaskCreationOptions.RunContinuationsAsynchronously);
+	private string[] _listenedMethods = [];
+	private int _nextLeaseId;
+	private int _catchUpCount;
+
+	public JobHubClient(IJSRuntime jsRuntime, NavigationManager navigation, NotificationService notifications, ILogger<JobHubClient> logger)
+	{
+		_module = new JsModule(jsRuntime, JsModule.Hub);
+		_navigation = navigation;
+		_notifications = notifications;
+		_logger = logger;
+	}
+
+	public JobHubState State { get; private set; } = JobHubState.Disconnected;
+
+	/// <summary>
+	/// True while a component is replaying events it missed during a disconnect (see <see cref="BeginCatchUp"/>).
+	/// </summary>
+	public bool IsCatchingUp => _catchUpCount > 0;
+
+	/// <summary>
+	/// Raised when <see cref="State"/> or <see cref="IsCatchingUp"/> changes.
+	/// </summary>
+	public event Action? StatusChanged;
+
+	/// <summary>
+	/// Jobs whose group a connection in this tab has joined and not left, i.e. the jobs this tab shows live.
+	/// </summary>
+	public IReadOnlySet<Guid> WatchedJobIds => _connections.SelectMany(connection => connection.WatchedJobIds).ToHashSet();
+
+	public JobHubConnection CreateConnection()
+	{
+		var connection = new JobHubConnection(this, ++_nextLeaseId);
+		_connections.Add(connection);
+		return connection;
+	}
+
+	/// <summary>
+	/// Marks the connection as catching up until the returned handle is disposed.
+	/// </summary>
+	public IDisposable BeginCatchUp()
+	{
+		if (++_catchUpCount == 1)
+		{
+			StatusChanged?.Invoke();
+		}
+
+		var ended = false;
+		return new CatchUpHandle(() =>
+		{
+			if (ended)
+			{
+				return;
+			}
+
+			ended = true;
+			if (--_catchUpCount == 0)
+			{
+				StatusChanged?.Invoke();
+			}
+		});
+	}
+
+	internal async Task StartAsync(CancellationToken cancellationToken)
+	{
+		_connectTask ??= ConnectAsync();
+		await _connectTask.WaitAsync(cancellationToken);
+		await PublishListenersAsync();
+		await _connected.Task.WaitAsync(cancellationToken);
+	}
+
+	private async Task ConnectAsync()
+	{
+		_dotNetRef ??= DotNetObjectReference.Create(this);
+		try
+		{
+			var state = await _module.InvokeAsync<string?>("connect", _dotNetRef, _navigation.ToAbsoluteUri(HubPath).ToString());
+			if (state == null)
+			{
+				throw new InvalidOperationException("The shared hub connection is not available.");
+			}
+
+			SetState(state);
+		}
+		catch
+		{
+			_connectTask = null;
+			throw;
+		}
+	}
+
+	/// <summary>
+	/// Tells js/hub.js which events this tab handles, so the host only forwards those.
+	/// </summary>
+	internal async Task PublishListenersAsync()
+	{
+		if (_connectTask is not { IsCompletedSuccessfully: true })
+		{
+			return;
+		}
+
+		var methods = _connections
+			.SelectMany(connection => connection.Methods)
+			.Distinct(StringComparer.Ordinal)
+			.Order(StringComparer.Ordinal)
+			.ToArray();
+		if (methods.SequenceEqual(_listenedMethods))
+		{
+			return;
+		}
+
+		_listenedMethods = methods;
+		try
+		{
+			await _module.InvokeVoidAsync("listen", (object)methods);
+		}
+		catch (JSException ex)
+		{
+			_logger.LogDebug(ex, "Failed to update the hub events this tab listens for");
+		}
+	}
+
+	internal async Task<JsonElement> InvokeAsync(JobHubConnection connection, string methodName, object?[] args)
+	{
+		if (_connectTask is not { IsCompletedSuccessfully: true })
+		{
+			throw new InvalidOperationException("The hub connection has not been started.");
+		}
+
+		var result = await _module.InvokeAsync<JsonElement>("invoke", connection.LeaseId, methodName, args);
+		connection.TrackJobGroup(methodName, args);
+		return result;
+	}
+
+	internal async Task ReleaseAsync(JobHubConnection connection)
+	{
+		_connections.Remove(connection);
+		if (_connectTask is not { IsCompletedSuccessfully: true })
+		{
+			return;
+		}
+
+		try
+		{
+			await _module.InvokeVoidAsync("release", connection.LeaseId);
+			await PublishListenersAsync();
+		}
+		catch (JSException)
+		{
+		}
+		catch (JSDisconnectedException)
+		{
+		}
+	}
+
+	[JSInvokable]
+	public async Task OnHubEvent(string method, JsonElement[] args)
+	{
+		foreach (var connection in _connections.ToArray())
+		{
+			try
+			{
+				await connection.DispatchAsync(method, args);
+			}
+			catch (Exception ex)
+			{
+				_logger.LogWarning(ex, "A handler for hub event {Method} failed", method);
+			}
+		}
+	}
+
+	[JSInvokable]
+	public async Task OnHubStateChanged(string state)
+	{
+		SetState(state);
+		foreach (var connection in _connections.ToArray())
+		{
+			await connection.OnStateChangedAsync(State);
+		}
+	}
+
+	/// <summary>
+	/// A connect attempt by the hub host failed. Callers waiting in <see cref="StartAsync"/> get the error, as they
+	/// would from HubConnection.StartAsync; the host keeps retrying, and later callers wait for the next attempt.
+	/// </summary>
+	[JSInvokable]
+	public void OnHubConnectFailed(string error)
+	{
+		var waiting = _connected;
+		if (waiting.Task.IsCompleted)
+		{
+			return;
+		}
+
+		_connected = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+		waiting.TrySetException(new HttpRequestException($"The hub connection could not be started: {error}"));
+	}
+
+	[JSInvokable]
+	public void OnToastTabChanged(bool isToastTab)
+	{
+		_notifications.IsToastTab = isToastTab;
+	}
+
+	private void SetState(string state)
+	{
+		var previous = State;
+		State = state switch
+		{
+			"connected" => JobHubState.Connected,
+			"connecting" => JobHubState.Connecting,
+			"reconnecting" => JobHubState.Reconnecting,
+			_ => JobHubState.Disconnected
+		};
+
+		if (State == JobHubState.Connected)
+		{
+			_connected.TrySetResult();
+		}
+		else if (_connected.Task.IsCompleted)
+		{
+			_connected = new TaskCompletionSource(TaskCreationOptions.RunContinuationsAsynchronously);
+		}
+
+		if (State != previous)
+		{
+			StatusChanged?.Invoke();
+		}
+	}
+
+	public async ValueTask DisposeAsync()
+	{
+		if (_connectTask is { IsCompletedSuccessfully: true })
+		{
+			try
+			{
+				await _module.InvokeVoidAsync("disconnect");
+			}
+			catch (JSException)
+			{
+			}
+			catch (JSDisconnectedException)
+			{
+			}
+		}
+
+		await _module.DisposeAsync();
+		_dotNetRef?.Dispose();
+	}
+
+	private sealed class CatchUpHandle(Action end) : IDisposable
+	{
+		public void Dispose() => end();
+	}
+}
+
+/// <summary>
+/// One component's share of the <see cref="JobHubClient"/> connection, shaped like SignalR's HubConnection: it
+/// only sees the events it registers handlers for, and disposing it leaves the groups it subscribed to.
+/// </summary>
+public sealed class JobHubConnection : IAsyncDisposable
+{
+	private readonly JobHubClient _client;
+	private readonly Dictionary<string, List<Func<JsonElement[], Task>>> _handlers = new(StringComparer.Ordinal);
+	private readonly HashSet<Guid> _watchedJobIds = [];
+	private JobHubState _lastState = JobHubState.Disconnected;
+	private bool _started;
+	private bool _starting;
+	private bool _disposed;
+
+	internal JobHubConnection(JobHubClient client, int leaseId)
+	{
+		_client = client;
+		LeaseId = leaseId;
+	}
+
+	internal int LeaseId { get; }
+
+	internal IEnumerable<string> Methods => _handlers.Keys;
+
+	internal IReadOnlyCollection<Guid> WatchedJobIds => _watchedJobIds;
+
+	public JobHubState State => _started && !_disposed ? _client.State : JobHubState.Disconnected;
+
+	public event Func<Exception?, Task>? Reconnecting;
+
+	/// <summary>
+	/// Raised when the connection is back after a drop, or when it finally connects after <see cref="StartAsync"/>
+	/// gave up waiting. Groups have to be subscribed again.
+	/// </summary>
+	public event Func<string?, Task>? Reconnected;
+
+	public event Func<Exception?, Task>? Closed;
+
+	/// <summary>
+	/// Waits until the shared connection is connected. Throws <see cref="HttpRequestException"/> when the host's
+	/// next connect attempt fails, so a caller never waits longer than one attempt.
+	/// </summary>
+	public async Task StartAsync(CancellationToken cancellationToken = default)
+	{
+		ObjectDisposedException.ThrowIf(_disposed, this);
+
+		_started = true;
+		_starting = true;
+		try
+		{
+			await _client.StartAsync(cancellationToken);
+		}
+		finally
+		{
+			_starting = false;
+			_lastState = _client.State;
+		}
+	}
+
+	public Task InvokeAsync(string methodName, params object?[] args)
+	{
+		return _client.InvokeAsync(this, methodName, args);
+	}
+
+	public async Task<TResult> InvokeAsync<TResult>(string methodName, params object?[] args)
+	{
+		var result = await _client.InvokeAsync(this, methodName, args);
+		return result.Deserialize<TResult>(JobHubClient.JsonOptions)!;
+	}
+
+	public IDisposable On(string methodName, Func<Task> handler)
+		=> Register(methodName, _ => handler());
+
+	/// <summary>
+	/// Registers a handler that receives the event's arguments undecoded, for handlers that only need some of them.
+	/// </summary>
+	public IDisposable On(string methodName, Func<IReadOnlyList<JsonElement>, Task> handler)
+		=> Register(methodName, args => handler(args));
+
+	public IDisposable On<T1>(string methodName, Func<T1, Task> handler)
+		=> Register(methodName, args => handler(Arg<T1>(args, 0)));
+
+	public IDisposable On<T1, T2>(string methodName, Func<T1, T2, Task> handler)
+		=> Register(methodName, args => handler(Arg<T1>(args, 0), Arg<T2>(args, 1)));
+
+	public IDisposable On<T1, T2, T3>(string methodName, Func<T1, T2, T3, Task> handler)
+		=> Register(methodName, args => handler(Arg<T1>(args, 0), Arg<T2>(args, 1), Arg<T3>(args, 2)));
+
+	public IDisposable On<T1, T2, T3, T4>(string methodName, Func<T1, T2, T3, T4, Task> handler)
+		=> Register(methodName, args => handler(Arg<T1>(args, 0), Arg<T2>(args, 1), Arg<T3>(args, 2), Arg<T4>(args, 3)));
+
+	public IDisposable On<T1, T2, T3, T4, T5>(string methodName, Func<T1, T2, T3, T4, T5, Task> handler)
+		=> Register(methodName, args => handler(Arg<T1>(args, 0), Arg<T2>(args, 1), Arg<T3>(args, 2), Arg<T4>(args, 3), Arg<T5>(args, 4)));
+
+	public IDisposable On<T1, T2, T3, T4, T5, T6>(string methodName, Func<T1, T2, T3, T4, T5, T6, Task> handler)
+		=> Register(methodName, args => handler(Arg<T1>(args, 0), Arg<T2>(args, 1), Arg<T3>(args, 2), Arg<T4>(args, 3), Arg<T5>(args, 4), Arg<T6>(args, 5)));
+
+	/// <summary>
+	/// Runs the handlers for an event fetched from the server instead of received live, such as one returned by
+	/// the hub's GetJobEventsSince.
+	/// </summary>
+	public Task ReplayAsync(string methodName, IEnumerable<JsonElement> args)
+	{
+		return DispatchAsync(methodName, args.ToArray());
+	}
+
+	private IDisposable Register(string methodName, Func<JsonElement[], Task> handler)
+	{
+		if (!_handlers.TryGetValue(methodName, out var handlers))
+		{
+			handlers = [];
+			_handlers[methodName] = handlers;
+		}
+
+		handlers.Add(handler);
+		_ = _client.PublishListenersAsync();
+
+		return new HandlerRegistration(() =>
+		{
+			if (handlers.Remove(handler) && handlers.Count == 0)
+			{
+				_handlers.Remove(methodName);
+			}
+		});
+	}
+
+	private static T Arg<T>(JsonElement[] args, int index)
+	{
+		return index < args.Length ? args[index].Deserialize<T>(JobHubClient.JsonOptions)! : default!;
+	}
+
+	internal async Task DispatchAsync(string methodName, JsonElement[] args)
+	{
+		if (_disposed || !_handlers.TryGetValue(methodName, out var handlers))
+		{
+			return;
+		}
+
+		foreach (var handler in handlers.ToArray())
+		{
+			await handler(args);
+		}
+	}
+
+	internal async Task OnStateChangedAsync(JobHubState state)
+	{
+		if (!_started || _starting || _disposed || state == _lastState)
+		{
+			return;
+		}
+
+		var previous = _lastState;
+		_lastState = state;
+		var handler = state switch
+		{
+			JobHubState.Connected => Reconnected?.Invoke(null),
+			JobHubState.Reconnecting when previous == JobHubState.Connected => Reconnecting?.Invoke(null),
+			JobHubState.Disconnected when previous == JobHubState.Connected => Closed?.Invoke(null),
+			_ => null
+		};
+
+		if (handler != null)
+		{
+			await handler;
+		}
+	}
+
+	internal void TrackJobGroup(string methodName, object?[] args)
+	{
+		if (args is not [string jobId] || !Guid.TryParse(jobId, out var id))
+		{
+			return;
+		}
+
+		if (methodName == "SubscribeToJob")
+		{
+			_watchedJobIds.Add(id);
+		}
+		else if (methodName == "UnsubscribeFromJob")
+		{
+			_watchedJobIds.Remove(id);
+		}
+	}
+
+	public async ValueTask DisposeAsync()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		_disposed = true;
+		_handlers.Clear();
+		_watchedJobIds.Clear();
+		await _client.ReleaseAsync(this);
+	}
+
+	private sealed class HandlerRegistration(Action unregister) : IDisposable
+	{
+		public void Dispose() => unregister();
+	}
+}
+
+public enum JobHubState
+{
+	Disconnected,
+	Connecting,
+	Connected,
+	Reconnecting
+}
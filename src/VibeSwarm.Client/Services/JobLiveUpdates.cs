@@ -0,0 +1,163 @@
+namespace VibeSwarm.Client.Services;
+
+/// <summary>
+/// Live hub events of one job for a view that loads the job over HTTP first and stays usable without the hub. It holds
+/// a hub lease of its own and a <see cref="JobEventSequencer"/> that recovers missed events. Handlers are registered
+/// on <see cref="Connection"/> and hand their events to <see cref="AcceptAsync"/>.
+/// </summary>
+public sealed class JobLiveUpdates : IAsyncDisposable
+{
+	private static readonly TimeSpan StartTimeout = TimeSpan.FromSeconds(10);
+
+	private readonly Guid _jobId;
+	private readonly Func<Task> _reloadAsync;
+	private readonly Action _onChanged;
+	private readonly JobEventSequencer _events;
+	private bool _catchUpInFlight;
+	private bool _disposed;
+
+	/// <param name="reloadAsync">Loads the job again, for when events were missed that can't be replayed.</param>
+	/// <param name="onChanged">Called when <see cref="IsOffline"/> changes or a catch-up has been applied.</param>
+	public JobLiveUpdates(JobHubClient hub, Guid jobId, Func<Task> reloadAsync, Action onChanged)
+	{
+		_jobId = jobId;
+		_reloadAsync = reloadAsync;
+		_onChanged = onChanged;
+
+		// Live events wait until the stream has been synced and the sequencer knows where it stands
+		_events = new JobEventSequencer(() => _ = CatchUpAsync());
+		_events.BeginCatchUp();
+
+		Connection = hub.CreateConnection();
+		Connection.Reconnecting += _ =>
+		{
+			_events.BeginCatchUp();
+			SetOffline(true);
+			return Task.CompletedTask;
+		};
+		Connection.Closed += _ =>
+		{
+			SetOffline(true);
+			return Task.CompletedTask;
+		};
+
+		// Also raised when the shared connection comes up after StartAsync gave up
+		Connection.Reconnected += _ => SyncAsync();
+	}
+
+	public JobHubConnection Connection { get; }
+
+	/// <summary>
+	/// True while the hub can't be reached, so the job shows as it was last loaded.
+	/// </summary>
+	public bool IsOffline { get; private set; }
+
+	/// <summary>
+	/// Starts the connection and syncs the job's events, giving up after a timeout; Reconnected syncs them later.
+	/// Never throws, so it can run in the background once the job has loaded.
+	/// </summary>
+	public async Task StartAsync()
+	{
+		if (_disposed) return;
+
+		try
+		{
+			using var timeout = new CancellationTokenSource(StartTimeout);
+			await Connection.StartAsync(timeout.Token);
+			await SyncAsync();
+		}
+		catch (Exception)
+		{
+			SetOffline(true);
+		}
+	}
+
+	/// <summary>
+	/// Applies an event for this job in sequence order; events for other jobs are ignored.
+	/// </summary>
+	public Task AcceptAsync(string jobId, long sequence, Func<Task> apply)
+	{
+		if (_disposed || !Guid.TryParse(jobId, out var id) || id != _jobId)
+		{
+			return Task.CompletedTask;
+		}
+
+		return _events.AcceptAsync(sequence, async () =>
+		{
+			if (_disposed) return;
+			try { await apply(); }
+			catch (ObjectDisposedException) { }
+			catch { }
+		});
+	}
+
+	/// <summary>
+	/// Joins the job's group and replays the events missed meanwhile. Until the stream has been synced once there is
+	/// nothing to replay from, so the job is loaded again after joining instead.
+	/// </summary>
+	private async Task SyncAsync()
+	{
+		if (_disposed || Connection.State != JobHubState.Connected) return;
+
+		try
+		{
+			await Connection.InvokeAsync("SubscribeToJob", _jobId.ToString());
+		}
+		catch (Exception)
+		{
+			SetOffline(true);
+			return;
+		}
+
+		SetOffline(false);
+		if (_events.Cursor == 0)
+		{
+			await _reloadAsync();
+		}
+
+		await CatchUpAsync();
+	}
+
+	private async Task CatchUpAsync()
+	{
+		if (_catchUpInFlight || _disposed)
+		{
+			return;
+		}
+
+		_catchUpInFlight = true;
+		try
+		{
+			var complete = await _events.CatchUpAsync(Connection, _jobId);
+			if (!complete && !_disposed)
+			{
+				await _reloadAsync();
+			}
+
+			_onChanged();
+		}
+		catch (ObjectDisposedException) { }
+		catch { }
+		finally
+		{
+			_catchUpInFlight = false;
+		}
+	}
+
+	private void SetOffline(bool offline)
+	{
+		if (IsOffline == offline) return;
+
+		IsOffline = offline;
+		_onChanged();
+	}
+
+	public async ValueTask DisposeAsync()
+	{
+		_disposed = true;
+
+		// Releasing the lease also leaves the job's group
+		try { await Connection.DisposeAsync(); }
+		catch { }
+	}
+}
@@ -0,0 +1,95 @@
+using Microsoft.JSInterop;
+
+namespace VibeSwarm.Client.Services;
+
+/// <summary>
+/// An ES module under wwwroot/js, imported through Blazor JS isolation on first use.
+/// The browser keeps one instance per path, so state such as the update subscribers is shared
+/// with the boot module (app.js) and with other components importing the same file.
+/// </summary>
+public sealed class JsModule : IAsyncDisposable
+{
+	public const string Annotation = "./js/annotation.js";
+	public const string Attachments = "./js/attachments.js";
+	public const string Clipboard = "./js/clipboard.js";
+	public const string CodeEditor = "./js/code-editor.js";
+	public const string DiffViewer = "./js/diff-viewer.js";
+	public const string Dom = "./js/dom.js";
+	public const string DragDrop = "./js/drag-drop.js";
+	public const string Hub = "./js/hub.js";
+	public const string Install = "./js/install.js";
+	public const string JobBadge = "./js/job-badge.js";
+	public const string Keyboard = "./js/keyboard.js";
+	public const string LiveOutput = "./js/live-output.js";
+	public const string OfflineSnapshots = "./js/offline-snapshots.js";
+	public const string Outbox = "./js/outbox.js";
+	public const string OutputViewer = "./js/output-viewer.js";
+	public const string PictureInPicture = "./js/pip.js";
+	public const string Push = "./js/push.js";
+	public const string ShareTarget = "./js/share-target.js";
+	public const string Updates = "./js/updates.js";
+	public const string WakeLock = "./js/wake-lock.js";
+
+	private readonly IJSRuntime _jsRuntime;
+	private Task<IJSObjectReference>? _module;
+
+	public JsModule(IJSRuntime jsRuntime, string path)
+	{
+		_jsRuntime = jsRuntime;
+		Path = path;
+	}
+
+	public string Path { get; }
+
+	/// <summary>
+	/// Imports the module without calling into it, so callers can time out the calls alone.
+	/// </summary>
+	public async Task LoadAsync()
+	{
+		await GetModuleAsync();
+	}
+
+	public async ValueTask InvokeVoidAsync(string identifier, params object?[]? args)
+	{
+		var module = await GetModuleAsync();
+		await module.InvokeVoidAsync(identifier, args);
+	}
+
+	public async ValueTask<TValue> InvokeAsync<TValue>(string identifier, params object?[]? args)
+	{
+		var module = await GetModuleAsync();
+		return await module.InvokeAsync<TValue>(identifier, args);
+	}
+
+	public async ValueTask DisposeAsync()
+	{
+		if (_module is not { IsCompletedSuccessfully: true } module)
+		{
+			return;
+		}
+
+		_module = null;
+		try
+		{
+			await module.Result.DisposeAsync();
+		}
+		catch (JSDisconnectedException)
+		{
+		}
+	}
+
+	// A failed import (offline before the module was cached, for example) is retried on the next call
+	private async Task<IJSObjectReference> GetModuleAsync()
+	{
+		_module ??= _jsRuntime.InvokeAsync<IJSObjectReference>("import", Path).AsTask();
+		try
+		{
+			return await _module;
+		}
+		catch
+		{
+			_module = null;
+			throw;
+		}
+	}
+}
@@ -0,0 +1,208 @@
+using System.Net;
+using System.Net.Http.Json;
+using Microsoft.JSInterop;
+using VibeSwarm.Client.Models;
+using VibeSwarm.Shared.Models;
+using VibeSwarm.Shared.Utilities;
+
+namespace VibeSwarm.Client.Services;
+
+/// <summary>
+/// Front end for the keybinding registry in js/keyboard.js. Components register handlers for catalog actions
+/// (see <see cref="KeyboardShortcutCatalog"/>) and the service keeps the user's saved bindings applied in the browser.
+/// </summary>
+public sealed class KeyboardShortcutService : IAsyncDisposable
+{
+	private readonly HttpClient _httpClient;
+	private readonly JsModule _module;
+	private readonly ILogger<KeyboardShortcutService> _logger;
+	private Dictionary<string, string> _overrides = new(StringComparer.Ordinal);
+
+	public KeyboardShortcutService(HttpClient httpClient, IJSRuntime jsRuntime, ILogger<KeyboardShortcutService> logger)
+	{
+		_httpClient = httpClient;
+		_module = new JsModule(jsRuntime, JsModule.Keyboard);
+		_logger = logger;
+	}
+
+	public event Action? BindingsChanged;
+
+	/// <summary>
+	/// Saved overrides only; actions that aren't listed use their default binding.
+	/// </summary>
+	public IReadOnlyDictionary<string, string> Overrides => _overrides;
+
+	/// <summary>
+	/// Conflicts among the shortcuts registered on the current page, as of the last registration or
+	/// <see cref="GetConflictsAsync"/>. Shown in the shortcut help overlay.
+	/// </summary>
+	public IReadOnlyList<KeyboardShortcutConflict> Conflicts { get; private set; } = [];
+
+	public string GetKeys(string actionId)
+	{
+		return _overrides.TryGetValue(actionId, out var keys)
+			? keys
+			: KeyboardShortcutCatalog.Find(actionId)?.DefaultKeys ?? string.Empty;
+	}
+
+	/// <summary>
+	/// Loads the signed-in user's bindings. Shortcuts keep working with their defaults when this fails.
+	/// </summary>
+	public async Task LoadAsync(CancellationToken cancellationToken = default)
+	{
+		try
+		{
+			var response = await _httpClient.GetAsync("/api/auth/keyboard-shortcuts", cancellationToken);
+			if (response.IsSuccessStatusCode)
+			{
+				var preferences = await response.Content.ReadFromJsonAsync<KeyboardShortcutPreferencesDto>(cancellationToken);
+				await ApplyAsync(preferences?.Bindings);
+			}
+			else if (response.StatusCode != HttpStatusCode.Unauthorized && response.StatusCode != HttpStatusCode.Forbidden)
+			{
+				_logger.LogWarning("Unexpected response while loading keyboard shortcuts: {StatusCode}", response.StatusCode);
+			}
+		}
+		catch (Exception ex)
+		{
+			_logger.LogWarning(ex, "Failed to load keyboard shortcut preferences");
+		}
+	}
+
+	public async Task SaveAsync(IReadOnlyDictionary<string, string> overrides, CancellationToken cancellationToken = default)
+	{
+		var response = await _httpClient.PutAsJsonAsync(
+			"/api/auth/keyboard-shortcuts",
+			new KeyboardShortcutPreferencesDto { Bindings = new Dictionary<string, string>(overrides, StringComparer.Ordinal) },
+			cancellationToken);
+
+		await HttpResponseErrorHelper.EnsureSuccessAsync(response, cancellationToken);
+		var saved = await response.Content.ReadFromJsonAsync<KeyboardShortcutPreferencesDto>(cancellationToken);
+		await ApplyAsync(saved?.Bindings);
+	}
+
+	/// <summary>
+	/// Registers handlers for catalog actions until the returned registration is disposed.
+	/// Keys are action ids; bindings come from the catalog defaults and the user's overrides.
+	/// </summary>
+	public async Task<KeyboardShortcutRegistration> RegisterAsync(IReadOnlyDictionary<string, Func<Task>> handlers)
+	{
+		var registration = new KeyboardShortcutRegistration(_module, handlers);
+		var defaults = handlers.Keys.ToDictionary(
+			id => id,
+			id => KeyboardShortcutCatalog.Find(id)?.DefaultKeys ?? string.Empty,
+			StringComparer.Ordinal);
+
+		try
+		{
+			Conflicts = await _module.InvokeAsync<KeyboardShortcutConflict[]?>("register", registration.Id, registration.Reference, defaults) ?? [];
+		}
+		catch (JSException ex)
+		{
+			_logger.LogDebug(ex, "Keyboard shortcuts are unavailable");
+		}
+
+		return registration;
+	}
+
+	/// <summary>
+	/// Action ids that have a handler on the current page.
+	/// </summary>
+	public async Task<IReadOnlyList<string>> GetActiveIdsAsync()
+	{
+		try
+		{
+			return await _module.InvokeAsync<string[]>("getActiveIds");
+		}
+		catch (JSException)
+		{
+			return [];
+		}
+	}
+
+	/// <summary>
+	/// Refreshes <see cref="Conflicts"/>; components leaving the page and saved overrides both change them.
+	/// </summary>
+	public async Task<IReadOnlyList<KeyboardShortcutConflict>> GetConflictsAsync()
+	{
+		try
+		{
+			Conflicts = await _module.InvokeAsync<KeyboardShortcutConflict[]?>("getConflicts") ?? [];
+		}
+		catch (JSException ex)
+		{
+			_logger.LogDebug(ex, "Failed to read keyboard shortcut conflicts");
+		}
+
+		return Conflicts;
+	}
+
+	private async Task ApplyAsync(Dictionary<string, string>? overrides)
+	{
+		_overrides = overrides != null
+			? new Dictionary<string, string>(overrides, StringComparer.Ordinal)
+			: new Dictionary<string, string>(StringComparer.Ordinal);
+
+		try
+		{
+			await _module.InvokeVoidAsync("setOverrides", _overrides);
+		}
+		catch (JSException ex)
+		{
+			_logger.LogDebug(ex, "Failed to apply keyboard shortcut overrides");
+		}
+
+		BindingsChanged?.Invoke();
+	}
+
+	public ValueTask DisposeAsync() => _module.DisposeAsync();
+}
+
+/// <summary>
+/// One component's shortcut handlers, registered with <see cref="KeyboardShortcutService.RegisterAsync"/>.
+/// </summary>
+public sealed class KeyboardShortcutRegistration : IAsyncDisposable
+{
+	private readonly JsModule _module;
+	private readonly IReadOnlyDictionary<string, Func<Task>> _handlers;
+	private bool _disposed;
+
+	internal KeyboardShortcutRegistration(JsModule module, IReadOnlyDictionary<string, Func<Task>> handlers)
+	{
+		_module = module;
+		_handlers = handlers;
+		Reference = DotNetObjectReference.Create(this);
+	}
+
+	internal string Id { get; } = Guid.NewGuid().ToString("N");
+
+	internal DotNetObjectReference<KeyboardShortcutRegistration> Reference { get; }
+
+	[JSInvokable]
+	public Task InvokeShortcut(string id)
+	{
+		return !_disposed && _handlers.TryGetValue(id, out var handler) ? handler() : Task.CompletedTask;
+	}
+
+	public async ValueTask DisposeAsync()
+	{
+		if (_disposed)
+		{
+			return;
+		}
+
+		_disposed = true;
+		try
+		{
+			await _module.InvokeVoidAsync("unregister", Id);
+		}
+		catch (JSException)
+		{
+		}
+		catch (JSDisconnectedException)
+		{
+		}
+
+		Reference.Dispose();
+	}
+}
@@ -26,6 +26,12 @@ public class NotificationService
 
 	public bool IsPanelOpen { get; private set; }
 
+	/// <summary>
+	/// Every open tab receives the same hub events. <see cref="JobHubClient"/> sets this to false in all tabs but
+	/// one, and <see cref="ShowForHubEvent"/> only records the event in the history there.
+	/// </summary>
+	public bool IsToastTab { get; set; } = true;
+
 	public void OpenPanel()
 	{
 		IsPanelOpen = true;
@@ -90,12 +96,28 @@ public class NotificationService
 		if (success)
 		{
 			var message = projectName != null ? $"Job in '{projectName}' completed successfully" : "Job completed successfully";
-			Show(message, "Job Completed", NotificationType.Success, 5000, "View Job", targetUrl);
+			ShowForHubEvent(message, "Job Completed", NotificationType.Success, 5000, "View Job", targetUrl);
 		}
 		else
 		{
 			var message = errorMessage ?? (projectName != null ? $"Job in '{projectName}' failed" : "Job failed");
-			Show(message, "Job Failed", NotificationType.Error, 8000, "View Job", targetUrl);
+			ShowForHubEvent(message, "Job Failed", NotificationType.Error, 8000, "View Job", targetUrl);
+		}
+	}
+
+	/// <summary>
+	/// Shows a toast for a hub event in the toast tab (see <see cref="IsToastTab"/>) and only adds it to the
+	/// history in the others.
+	/// </summary>
+	public void ShowForHubEvent(string message, string title, NotificationType type, int durationMs = 5000, string? actionLabel = null, string? actionUrl = null)
+	{
+		if (IsToastTab)
+		{
+			Show(message, title, type, durationMs, actionLabel, actionUrl);
+		}
+		else
+		{
+			AddHistory(message, title, type, actionLabel, actionUrl);
 		}
 	}
 
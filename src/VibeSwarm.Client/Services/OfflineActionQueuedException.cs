@@ -0,0 +1,16 @@
+namespace VibeSwarm.Client.Services;
+
+/// <summary>
+/// Thrown when the service worker saved a request to the offline outbox instead of sending it.
+/// The action has not happened yet, so callers show it as pending rather than as done or failed.
+/// </summary>
+public sealed class OfflineActionQueuedException : Exception
+{
+	public OfflineActionQueuedException(string outboxItemId)
+		: base("The action was saved to the offline outbox and will be sent when the connection returns.")
+	{
+		OutboxItemId = outboxItemId;
+	}
+
+	public string OutboxItemId { get; }
+}
@@ -0,0 +1,27 @@
+namespace VibeSwarm.Client.Services;
+
+/// <summary>
+/// Tells <see cref="OfflineOutboxService"/> when the service worker answered a request by
+/// saving it to the offline outbox rather than sending it.
+/// </summary>
+public class OfflineOutboxHandler : DelegatingHandler
+{
+	private readonly OfflineOutboxService _offlineOutboxService;
+
+	public OfflineOutboxHandler(OfflineOutboxService offlineOutboxService)
+	{
+		_offlineOutboxService = offlineOutboxService;
+	}
+
+	protected override async Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+	{
+		var response = await base.SendAsync(request, cancellationToken);
+
+		if (response.Headers.Contains(OfflineOutboxService.QueuedHeaderName))
+		{
+			_offlineOutboxService.ReportQueued();
+		}
+
+		return response;
+	}
+}
@@ -0,0 +1,94 @@
+using Microsoft.JSInterop;
+using VibeSwarm.Client.Models;
+
+namespace VibeSwarm.Client.Services;
+
+/// <summary>
+/// Mirrors the service worker's offline outbox so the queue panel can show pending and
+/// rejected actions and let the user retry or discard them.
+/// </summary>
+public sealed class OfflineOutboxService : IAsyncDisposable
+{
+	public const string QueuedHeaderName = "X-VibeSwarm-Outbox-Queued";
+
+	private readonly JsModule _outboxModule;
+	private readonly ILogger<OfflineOutboxService> _logger;
+	private DotNetObjectReference<OfflineOutboxService>? _selfReference;
+	private IReadOnlyList<OfflineOutboxItem> _items = [];
+
+	public OfflineOutboxService(IJSRuntime jsRuntime, ILogger<OfflineOutboxService> logger)
+	{
+		_outboxModule = new JsModule(jsRuntime, JsModule.Outbox);
+		_logger = logger;
+	}
+
+	public event Action? OnChange;
+
+	/// <summary>
+	/// Raised when a request was saved to the outbox instead of reaching the server.
+	/// </summary>
+	public event Action? ItemQueued;
+
+	public IReadOnlyList<OfflineOutboxItem> Items => _items;
+
+	/// <summary>
+	/// False when the browser lacks Background Sync and queued items only go out on "retry now"
+	/// or when the page sees the connection come back.
+	/// </summary>
+	public bool IsBackgroundSyncSupported { get; private set; }
+
+	public async Task RefreshAsync()
+	{
+		try
+		{
+			await EnsureSubscribedAsync();
+			Apply(await _outboxModule.InvokeAsync<OfflineOutboxState?>("list"));
+		}
+		catch (Exception ex) when (ex is JSException or InvalidOperationException)
+		{
+			_logger.LogDebug(ex, "Offline outbox is unavailable");
+		}
+	}
+
+	/// <summary>
+	/// Replays pending items now. Passing an id first returns a rejected item to the pending state.
+	/// </summary>
+	public async Task RetryAsync(string? id = null)
+		=> Apply(await _outboxModule.InvokeAsync<OfflineOutboxState?>("retry", id));
+
+	public async Task DiscardAsync(string id)
+		=> Apply(await _outboxModule.InvokeAsync<OfflineOutboxState?>("discard", id));
+
+	public void ReportQueued()
+	{
+		ItemQueued?.Invoke();
+		_ = RefreshAsync();
+	}
+
+	[JSInvokable]
+	public Task OnOutboxChanged() => RefreshAsync();
+
+	public async ValueTask DisposeAsync()
+	{
+		_selfReference?.Dispose();
+		await _outboxModule.DisposeAsync();
+	}
+
+	private async Task EnsureSubscribedAsync()
+	{
+		if (_selfReference != null)
+		{
+			return;
+		}
+
+		_selfReference = DotNetObjectReference.Create(this);
+		await _outboxModule.InvokeVoidAsync("subscribe", _selfReference);
+	}
+
+	private void Apply(OfflineOutboxState? state)
+	{
+		_items = state?.Items ?? [];
+		IsBackgroundSyncSupported = state?.BackgroundSync ?? false;
+		OnChange?.Invoke();
+	}
+}
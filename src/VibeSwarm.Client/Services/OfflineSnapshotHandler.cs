@@ -0,0 +1,46 @@
+namespace VibeSwarm.Client.Services;
+
+/// <summary>
+/// Reports to <see cref="OfflineSnapshotService"/> whether snapshot-eligible API responses
+/// were served live or replayed by the service worker while offline. Snapshots served while
+/// the worker refreshes them in the background are left for the refresh to report.
+/// </summary>
+public class OfflineSnapshotHandler : DelegatingHandler
+{
+	private static readonly string[] SnapshotPathSuffixes = ["/api/jobs/paged", "/with-messages", "/api/projects/with-stats"];
+
+	private readonly OfflineSnapshotService _offlineSnapshotService;
+
+	public OfflineSnapshotHandler(OfflineSnapshotService offlineSnapshotService)
+	{
+		_offlineSnapshotService = offlineSnapshotService;
+	}
+
+	protected override async Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+	{
+		var response = await base.SendAsync(request, cancellationToken);
+
+		if (response.Headers.TryGetValues(OfflineSnapshotService.SnapshotHeaderName, out var values))
+		{
+			_offlineSnapshotService.ReportSnapshot(values.FirstOrDefault());
+		}
+		else if (response.IsSuccessStatusCode && IsSnapshotRequest(request)
+			&& !response.Headers.Contains(OfflineSnapshotService.RevalidatingHeaderName))
+		{
+			_offlineSnapshotService.ReportLiveResponse();
+		}
+
+		return response;
+	}
+
+	private static bool IsSnapshotRequest(HttpRequestMessage request)
+	{
+		var path = request.RequestUri?.IsAbsoluteUri == true
+			? request.RequestUri.AbsolutePath
+			: request.RequestUri?.OriginalString.Split('?')[0];
+
+		return request.Method == HttpMethod.Get
+			&& path != null
+			&& SnapshotPathSuffixes.Any(suffix => path.EndsWith(suffix, StringComparison.OrdinalIgnoreCase));
+	}
+}
@@ -0,0 +1,69 @@
+using System.Globalization;
+
+namespace VibeSwarm.Client.Services;
+
+/// <summary>
+/// Tracks whether the data on screen came from the service worker's offline snapshot
+/// cache rather than the live API, so pages can warn that it may be out of date.
+/// </summary>
+public sealed class OfflineSnapshotService
+{
+	public const string SnapshotHeaderName = "X-VibeSwarm-Offline-Snapshot";
+
+	/// <summary>
+	/// Marks a snapshot served while the service worker fetches a fresh copy. It is neither live nor known to be
+	/// offline; the worker reports the outcome to the page once the fetch is done.
+	/// </summary>
+	public const string RevalidatingHeaderName = "X-VibeSwarm-Snapshot-Revalidating";
+
+	private readonly object _lock = new();
+	private DateTime? _snapshotSavedAtUtc;
+
+	public event Action? OnChange;
+
+	/// <summary>
+	/// UTC time the oldest snapshot currently being shown was saved, or null when showing live data.
+	/// </summary>
+	public DateTime? SnapshotSavedAtUtc
+	{
+		get { lock (_lock) return _snapshotSavedAtUtc; }
+	}
+
+	public bool IsShowingSnapshot => SnapshotSavedAtUtc.HasValue;
+
+	public void ReportSnapshot(string? savedAtHeaderValue)
+	{
+		if (!DateTimeOffset.TryParse(savedAtHeaderValue, CultureInfo.InvariantCulture, DateTimeStyles.AssumeUniversal, out var savedAt))
+		{
+			return;
+		}
+
+		var savedAtUtc = savedAt.UtcDateTime;
+		lock (_lock)
+		{
+			if (_snapshotSavedAtUtc.HasValue && _snapshotSavedAtUtc.Value <= savedAtUtc)
+			{
+				return;
+			}
+
+			_snapshotSavedAtUtc = savedAtUtc;
+		}
+
+		OnChange?.Invoke();
+	}
+
+	public void ReportLiveResponse()
+	{
+		lock (_lock)
+		{
+			if (!_snapshotSavedAtUtc.HasValue)
+			{
+				return;
+			}
+
+			_snapshotSavedAtUtc = null;
+		}
+
+		OnChange?.Invoke();
+	}
+}
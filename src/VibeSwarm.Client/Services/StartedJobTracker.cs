@@ -0,0 +1,15 @@
+namespace VibeSwarm.Client.Services;
+
+/// <summary>
+/// Jobs created, converted from ideas or retried from this tab. Together with
+/// <see cref="JobHubClient.WatchedJobIds"/> these are the jobs a reload of this tab would interrupt; other tabs and
+/// devices may be running more on the same server.
+/// </summary>
+public sealed class StartedJobTracker
+{
+	private readonly HashSet<Guid> _jobIds = [];
+
+	public IReadOnlyCollection<Guid> JobIds => _jobIds;
+
+	public void MarkStarted(Guid jobId) => _jobIds.Add(jobId);
+}
@@ -20,16 +20,26 @@ public sealed class ThemeService
 	}
 
 	public async Task<ThemePreference> GetThemePreferenceAsync(CancellationToken cancellationToken = default)
+	{
+		var appearance = await GetAppearanceAsync(cancellationToken);
+		return ThemePreferenceExtensions.ParseOrDefault(appearance.Theme);
+	}
+
+	/// <summary>
+	/// Loads the persisted theme, accent palette and density, falling back to what the browser applied
+	/// from the preference cookie when the server can't be reached.
+	/// </summary>
+	public async Task<ThemePreferenceDto> GetAppearanceAsync(CancellationToken cancellationToken = default)
 	{
 		try
 		{
 			var response = await _httpClient.GetAsync("/api/auth/theme-preference", cancellationToken);
 			if (response.IsSuccessStatusCode)
 			{
-				var themePreference = await response.Content.ReadFromJsonAsync<ThemePreferenceDto>(cancellationToken);
-				if (themePreference is not null)
+				var appearance = await response.Content.ReadFromJsonAsync<ThemePreferenceDto>(cancellationToken);
+				if (appearance is not null)
 				{
-					return ThemePreferenceExtensions.ParseOrDefault(themePreference.Theme);
+					return Normalize(appearance);
 				}
 			}
 			else if (response.StatusCode != HttpStatusCode.Unauthorized && response.StatusCode != HttpStatusCode.Forbidden)
@@ -42,7 +52,7 @@ public sealed class ThemeService
 			_logger.LogWarning(ex, "Failed to load persisted theme preference");
 		}
 
-		return await GetBrowserThemePreferenceAsync();
+		return await GetBrowserAppearanceAsync();
 	}
 
 	public async Task UpdateThemePreferenceAsync(ThemePreference preference, CancellationToken cancellationToken = default)
@@ -66,6 +76,33 @@ public sealed class ThemeService
 		}
 	}
 
+	public async Task UpdateAppearanceAsync(ThemePreferenceDto appearance, CancellationToken cancellationToken = default)
+	{
+		var normalized = Normalize(appearance);
+		var previousAppearance = await GetBrowserAppearanceAsync();
+		await _jsRuntime.InvokeVoidAsync("vibeSwarmTheme.setPreference", cancellationToken, normalized, true);
+
+		try
+		{
+			var response = await _httpClient.PutAsJsonAsync(
+				"/api/auth/theme-preference",
+				new UpdateThemePreferenceRequest
+				{
+					Theme = normalized.Theme,
+					Accent = normalized.Accent,
+					Density = normalized.Density
+				},
+				cancellationToken);
+
+			await HttpResponseErrorHelper.EnsureSuccessAsync(response, cancellationToken);
+		}
+		catch
+		{
+			await _jsRuntime.InvokeVoidAsync("vibeSwarmTheme.setPreference", cancellationToken, previousAppearance, true);
+			throw;
+		}
+	}
+
 	private async Task<ThemePreference> GetBrowserThemePreferenceAsync()
 	{
 		try
@@ -79,4 +116,25 @@ public sealed class ThemeService
 			return ThemePreference.System;
 		}
 	}
+
+	private async Task<ThemePreferenceDto> GetBrowserAppearanceAsync()
+	{
+		try
+		{
+			var appearance = await _jsRuntime.InvokeAsync<ThemePreferenceDto?>("vibeSwarmTheme.getAppearance");
+			return Normalize(appearance ?? new ThemePreferenceDto());
+		}
+		catch (Exception ex)
+		{
+			_logger.LogWarning(ex, "Failed to read browser theme preference");
+			return new ThemePreferenceDto();
+		}
+	}
+
+	private static ThemePreferenceDto Normalize(ThemePreferenceDto appearance) => new()
+	{
+		Theme = ThemePreferenceExtensions.ParseOrDefault(appearance.Theme).ToValue(),
+		Accent = ThemeAccentExtensions.ParseAccentOrDefault(appearance.Accent).ToValue(),
+		Density = ThemeAccentExtensions.ParseDensityOrDefault(appearance.Density).ToValue()
+	};
 }
@@ -0,0 +1,337 @@
+// Canvas annotation editor for AttachmentAnnotationEditor.razor. Shapes are kept in image pixels and redrawn over
+// the attachment on every change; saving flattens them into a new image, so blurred and redacted areas are
+// destroyed in the pixels that get uploaded rather than hidden behind an overlay.
+
+import { addAnnotated, getImage } from './attachments.js';
+
+var TOOLS = ['box', 'arrow', 'pen', 'text', 'blur', 'redact'];
+var MIN_SHAPE_SIZE_PX = 4;
+var BLUR_BLOCK_DIVISOR = 60;
+var ENCODE_QUALITY = 0.9;
+
+/**
+ * @typedef {object} AnnotationToolOptions
+ * @property {string} tool One of box, arrow, pen, text, blur or redact.
+ * @property {string} color CSS colour for boxes, arrows, freehand lines and labels.
+ * @property {string} text Label placed by the text tool.
+ */
+
+/** @type {WeakMap<HTMLCanvasElement, object>} */
+var editors = new WeakMap();
+
+/**
+ * Loads an attachment into the canvas and starts listening for drawing gestures.
+ * @param {HTMLCanvasElement} canvas
+ * @param {object} dotNetRef Receives OnAnnotationsChanged(shapeCount).
+ * @param {string} clientId Attachment to annotate.
+ * @param {AnnotationToolOptions} options
+ * @returns {Promise<boolean>} False when the attachment is not an image the editor can open.
+ */
+export async function open(canvas, dotNetRef, clientId, options) {
+	close(canvas);
+
+	var blob = getImage(clientId);
+	if (!canvas || !blob || typeof createImageBitmap !== 'function') return false;
+
+	var image = await createImageBitmap(blob);
+	canvas.width = image.width;
+	canvas.height = image.height;
+
+	var editor = {
+		canvas: canvas,
+		context: canvas.getContext('2d'),
+		dotNetRef: dotNetRef,
+		clientId: clientId,
+		contentType: blob.type,
+		image: image,
+		options: normalizeOptions(options),
+		lineWidth: Math.max(3, Math.round(Math.max(image.width, image.height) / 400)),
+		shapes: [],
+		draft: null,
+		pointerId: null,
+		handlers: {}
+	};
+
+	editor.handlers.pointerdown = function (e) { onPointerDown(editor, e); };
+	editor.handlers.pointermove = function (e) { onPointerMove(editor, e); };
+	editor.handlers.pointerup = function (e) { onPointerUp(editor, e, true); };
+	editor.handlers.pointercancel = function (e) { onPointerUp(editor, e, false); };
+	Object.keys(editor.handlers).forEach(function (type) {
+		canvas.addEventListener(type, editor.handlers[type]);
+	});
+
+	editors.set(canvas, editor);
+	render(editor);
+	return true;
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {AnnotationToolOptions} options
+ */
+export function setTool(canvas, options) {
+	var editor = canvas && editors.get(canvas);
+	if (editor) {
+		editor.options = normalizeOptions(options);
+	}
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ */
+export function undo(canvas) {
+	var editor = canvas && editors.get(canvas);
+	if (editor && editor.shapes.length > 0) {
+		editor.shapes.pop();
+		changed(editor);
+	}
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ */
+export function clear(canvas) {
+	var editor = canvas && editors.get(canvas);
+	if (editor && editor.shapes.length > 0) {
+		editor.shapes = [];
+		changed(editor);
+	}
+}
+
+/**
+ * Flattens the annotations into a new image and adds it next to the original attachment.
+ * @param {HTMLCanvasElement} canvas
+ * @returns {Promise<{ clientId: string | null, labels: string[] }>} The annotated attachment and the text labels
+ * in the order they were placed.
+ */
+export async function save(canvas) {
+	var editor = canvas && editors.get(canvas);
+	if (!editor) return { clientId: null, labels: [] };
+
+	editor.draft = null;
+	render(editor);
+	var blob = await encode(canvas, editor.contentType);
+	var labels = editor.shapes
+		.filter(function (shape) { return shape.type === 'text'; })
+		.map(function (shape) { return shape.text; });
+
+	return { clientId: addAnnotated(editor.clientId, blob), labels: labels };
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ */
+export function close(canvas) {
+	var editor = canvas && editors.get(canvas);
+	if (!editor) return;
+
+	Object.keys(editor.handlers).forEach(function (type) {
+		canvas.removeEventListener(type, editor.handlers[type]);
+	});
+	editor.image.close();
+	editors.delete(canvas);
+}
+
+function normalizeOptions(options) {
+	return {
+		tool: options && TOOLS.indexOf(options.tool) >= 0 ? options.tool : 'box',
+		color: (options && options.color) || '#dc3545',
+		text: ((options && options.text) || '').trim()
+	};
+}
+
+// The canvas is scaled down by CSS to fit the dialog, so pointer positions are mapped back to image pixels
+function toImagePoint(editor, e) {
+	var rect = editor.canvas.getBoundingClientRect();
+	return {
+		x: Math.round((e.clientX - rect.left) * editor.canvas.width / rect.width),
+		y: Math.round((e.clientY - rect.top) * editor.canvas.height / rect.height)
+	};
+}
+
+function onPointerDown(editor, e) {
+	if (e.button !== 0 || editor.pointerId !== null) return;
+
+	var point = toImagePoint(editor, e);
+	var options = editor.options;
+	if (options.tool === 'text') {
+		if (options.text) {
+			editor.shapes.push({ type: 'text', color: options.color, x: point.x, y: point.y, text: options.text });
+			changed(editor);
+		}
+		return;
+	}
+
+	e.preventDefault();
+	editor.canvas.setPointerCapture(e.pointerId);
+	editor.pointerId = e.pointerId;
+	editor.draft = {
+		type: options.tool,
+		color: options.color,
+		x1: point.x,
+		y1: point.y,
+		x2: point.x,
+		y2: point.y,
+		points: options.tool === 'pen' ? [point] : null
+	};
+}
+
+function onPointerMove(editor, e) {
+	if (e.pointerId !== editor.pointerId || !editor.draft) return;
+
+	var point = toImagePoint(editor, e);
+	editor.draft.x2 = point.x;
+	editor.draft.y2 = point.y;
+	if (editor.draft.points) {
+		editor.draft.points.push(point);
+	}
+	render(editor);
+}
+
+function onPointerUp(editor, e, commit) {
+	if (e.pointerId !== editor.pointerId) return;
+
+	var draft = editor.draft;
+	editor.pointerId = null;
+	editor.draft = null;
+	if (commit && draft && isLargeEnough(draft)) {
+		editor.shapes.push(draft);
+		changed(editor);
+	} else {
+		render(editor);
+	}
+}
+
+function isLargeEnough(shape) {
+	if (shape.points) return shape.points.length > 1;
+	return Math.abs(shape.x2 - shape.x1) >= MIN_SHAPE_SIZE_PX || Math.abs(shape.y2 - shape.y1) >= MIN_SHAPE_SIZE_PX;
+}
+
+function changed(editor) {
+	render(editor);
+	editor.dotNetRef.invokeMethodAsync('OnAnnotationsChanged', editor.shapes.length).catch(function () { });
+}
+
+function render(editor) {
+	var ctx = editor.context;
+	var shapes = editor.draft ? editor.shapes.concat([editor.draft]) : editor.shapes;
+
+	ctx.clearRect(0, 0, editor.canvas.width, editor.canvas.height);
+	ctx.drawImage(editor.image, 0, 0);
+
+	// Obscure areas first so labels and arrows drawn over them stay readable
+	shapes.forEach(function (shape) {
+		if (shape.type === 'blur') pixelate(editor, shape);
+		else if (shape.type === 'redact') fillRect(ctx, shape, '#000');
+	});
+	shapes.forEach(function (shape) {
+		if (shape.type === 'box') strokeRect(editor, shape);
+		else if (shape.type === 'arrow') drawArrow(editor, shape);
+		else if (shape.type === 'pen') drawPath(editor, shape);
+		else if (shape.type === 'text') drawLabel(editor, shape);
+	});
+}
+
+function normalizeRect(shape) {
+	return {
+		x: Math.min(shape.x1, shape.x2),
+		y: Math.min(shape.y1, shape.y2),
+		width: Math.abs(shape.x2 - shape.x1),
+		height: Math.abs(shape.y2 - shape.y1)
+	};
+}
+
+function fillRect(ctx, shape, color) {
+	var rect = normalizeRect(shape);
+	ctx.fillStyle = color;
+	ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+}
+
+// Averages the area into large blocks: coarse enough that text underneath cannot be read back
+function pixelate(editor, shape) {
+	var rect = normalizeRect(shape);
+	if (rect.width < 1 || rect.height < 1) return;
+
+	var block = Math.max(8, Math.round(Math.max(editor.canvas.width, editor.canvas.height) / BLUR_BLOCK_DIVISOR));
+	var small = document.createElement('canvas');
+	small.width = Math.max(1, Math.ceil(rect.width / block));
+	small.height = Math.max(1, Math.ceil(rect.height / block));
+	var smallCtx = small.getContext('2d');
+	smallCtx.imageSmoothingEnabled = true;
+	smallCtx.drawImage(editor.canvas, rect.x, rect.y, rect.width, rect.height, 0, 0, small.width, small.height);
+
+	var ctx = editor.context;
+	ctx.save();
+	ctx.imageSmoothingEnabled = false;
+	ctx.drawImage(small, 0, 0, small.width, small.height, rect.x, rect.y, rect.width, rect.height);
+	ctx.restore();
+}
+
+function applyStroke(editor, color) {
+	var ctx = editor.context;
+	ctx.strokeStyle = color;
+	ctx.fillStyle = color;
+	ctx.lineWidth = editor.lineWidth;
+	ctx.lineCap = 'round';
+	ctx.lineJoin = 'round';
+	return ctx;
+}
+
+function strokeRect(editor, shape) {
+	var rect = normalizeRect(shape);
+	applyStroke(editor, shape.color).strokeRect(rect.x, rect.y, rect.width, rect.height);
+}
+
+function drawArrow(editor, shape) {
+	var ctx = applyStroke(editor, shape.color);
+	var angle = Math.atan2(shape.y2 - shape.y1, shape.x2 - shape.x1);
+	var head = editor.lineWidth * 5;
+
+	ctx.beginPath();
+	ctx.moveTo(shape.x1, shape.y1);
+	ctx.lineTo(shape.x2, shape.y2);
+	ctx.stroke();
+
+	ctx.beginPath();
+	ctx.moveTo(shape.x2, shape.y2);
+	ctx.lineTo(shape.x2 - head * Math.cos(angle - Math.PI / 6), shape.y2 - head * Math.sin(angle - Math.PI / 6));
+	ctx.lineTo(shape.x2 - head * Math.cos(angle + Math.PI / 6), shape.y2 - head * Math.sin(angle + Math.PI / 6));
+	ctx.closePath();
+	ctx.fill();
+}
+
+function drawPath(editor, shape) {
+	var ctx = applyStroke(editor, shape.color);
+	ctx.beginPath();
+	shape.points.forEach(function (point, i) {
+		if (i === 0) ctx.moveTo(point.x, point.y);
+		else ctx.lineTo(point.x, point.y);
+	});
+	ctx.stroke();
+}
+
+// Labels sit on a dark backing so they stay legible on any screenshot
+function drawLabel(editor, shape) {
+	var ctx = editor.context;
+	var fontSize = editor.lineWidth * 6;
+	var padding = Math.round(fontSize / 3);
+	ctx.font = '600 ' + fontSize + 'px system-ui, sans-serif';
+	ctx.textBaseline = 'top';
+
+	var width = ctx.measureText(shape.text).width;
+	ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+	ctx.fillRect(shape.x, shape.y, width + padding * 2, fontSize + padding * 2);
+	ctx.fillStyle = shape.color;
+	ctx.fillText(shape.text, shape.x + padding, shape.y + padding);
+}
+
+// Keeps the attachment's format: PNG screenshots stay lossless, photos stay compressed
+function encode(canvas, contentType) {
+	var type = contentType === 'image/jpeg' || contentType === 'image/webp' ? contentType : 'image/png';
+	return new Promise(function (resolve, reject) {
+		canvas.toBlob(function (blob) {
+			if (blob) resolve(blob);
+			else reject(new Error('Unable to encode the annotated image.'));
+		}, type, ENCODE_QUALITY);
+	});
+}
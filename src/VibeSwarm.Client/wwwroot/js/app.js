@@ -0,0 +1,166 @@
+// Boot module loaded by index.html: starts Blazor with startup error handling, captures the
+// install prompt, retries the offline outbox and registers the service worker.
+import { reportCriticalError } from './diagnostics.js';
+import { capture as captureInstallPrompt } from './install.js';
+import { retry as retryOutbox } from './outbox.js';
+import { notifyWaiting } from './updates.js';
+
+function showErrorUi() {
+	document.getElementById('blazor-error-ui').style.display = 'block';
+	document.getElementById('app').style.display = 'none';
+}
+
+// Unregisters the service worker, clears all caches and localStorage,
+// then performs a clean navigation to bypass stale resources.
+function clearCacheAndReload() {
+	var tasks = [];
+
+	// Unregister all service workers so stale workers don't re-cache old assets
+	if ('serviceWorker' in navigator) {
+		tasks.push(
+			navigator.serviceWorker.getRegistrations().then(function (registrations) {
+				return Promise.all(registrations.map(function (r) { return r.unregister(); }));
+			})
+		);
+	}
+
+	// Delete all Cache Storage entries
+	if ('caches' in window) {
+		tasks.push(
+			caches.keys().then(function (names) {
+				return Promise.all(names.map(function (n) { return caches.delete(n); }));
+			})
+		);
+	}
+
+	Promise.all(tasks).finally(function () {
+		try { localStorage.clear(); } catch (e) { }
+		reportCriticalError({
+			source: 'client-startup',
+			category: 'manual-cache-reset',
+			message: 'User cleared cached app resources and triggered a reload.',
+			triggeredRefresh: true,
+			refreshAction: 'clear-cache-reload'
+		});
+		// Navigate with a cache-bust param; Blazor router ignores unknown query params
+		window.location.href = window.location.pathname + '?_cb=' + Date.now();
+	});
+}
+
+function registerServiceWorker() {
+	navigator.serviceWorker.register('/service-worker.js')
+		.then(function (registration) {
+			console.log('ServiceWorker registered:', registration.scope);
+			// Check for updates on first load and hourly thereafter
+			registration.update();
+			setInterval(function () { registration.update(); }, 60 * 60 * 1000);
+
+			// If a SW is already waiting when the page loads, surface the banner
+			if (registration.waiting) {
+				notifyWaiting();
+			}
+
+			// When a new SW finishes installing and enters the waiting state,
+			// publish the update so the Blazor banner can show.
+			registration.addEventListener('updatefound', function () {
+				var newWorker = registration.installing;
+				if (!newWorker) return;
+
+				newWorker.addEventListener('statechange', function () {
+					if (newWorker.state === 'installed' && registration.active) {
+						console.log('[ServiceWorker] Update available');
+						notifyWaiting();
+					}
+				});
+			});
+		})
+		.catch(function (error) {
+			console.log('ServiceWorker registration failed:', error);
+		});
+
+	navigator.serviceWorker.addEventListener('message', function (event) {
+		if (event.data && event.data.type === 'SW_UPDATE_WAITING') {
+			notifyWaiting();
+		}
+	});
+}
+
+window.addEventListener('error', function (event) {
+	if (!event) return;
+
+	reportCriticalError({
+		source: 'client-startup',
+		category: 'window-error',
+		message: event.message || 'Unhandled browser error.',
+		details: event.error && event.error.stack ? event.error.stack : (event.filename ? event.filename + ':' + event.lineno + ':' + event.colno : null)
+	});
+});
+
+window.addEventListener('unhandledrejection', function (event) {
+	var reason = event && event.reason ? event.reason : null;
+	reportCriticalError({
+		source: 'client-startup',
+		category: 'unhandled-rejection',
+		message: 'Unhandled promise rejection during startup.',
+		details: reason && reason.stack ? reason.stack : String(reason)
+	});
+});
+
+document.getElementById('reload-app-button').addEventListener('click', function () {
+	window.location.reload();
+});
+document.getElementById('clear-cache-button').addEventListener('click', clearCacheAndReload);
+
+// Show loading status if Blazor takes too long
+var loadTimeout = setTimeout(function () {
+	var loadingMsg = document.getElementById('loading-message');
+	if (loadingMsg) {
+		loadingMsg.textContent = 'Loading is taking longer than expected...';
+	}
+}, 10000);
+
+// Show error UI after extended timeout (30s)
+var errorTimeout = setTimeout(function () {
+	reportCriticalError({
+		source: 'client-startup',
+		category: 'startup-timeout',
+		message: 'Blazor WebAssembly did not finish loading before the startup timeout.',
+		triggeredRefresh: true,
+		refreshAction: 'reload-app'
+	});
+	showErrorUi();
+}, 30000);
+
+captureInstallPrompt();
+
+Blazor.start().then(function () {
+	clearTimeout(loadTimeout);
+	clearTimeout(errorTimeout);
+	console.log('Blazor WebAssembly started successfully');
+}).catch(function (err) {
+	clearTimeout(loadTimeout);
+	clearTimeout(errorTimeout);
+	console.error('Blazor WebAssembly failed to start:', err);
+	reportCriticalError({
+		source: 'client-startup',
+		category: 'blazor-start-failure',
+		message: 'Blazor WebAssembly failed to start.',
+		details: err && err.stack ? err.stack : String(err),
+		triggeredRefresh: true,
+		refreshAction: 'reload-app'
+	});
+	showErrorUi();
+});
+
+window.addEventListener('online', function () {
+	retryOutbox().catch(function () { });
+});
+
+if ('serviceWorker' in navigator && window.location.protocol === 'https:') {
+	// Module scripts run after parsing, so the load event may already have fired
+	if (document.readyState === 'complete') {
+		registerServiceWorker();
+	} else {
+		window.addEventListener('load', registerServiceWorker);
+	}
+}
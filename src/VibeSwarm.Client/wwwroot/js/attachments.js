@@ -0,0 +1,482 @@
+// Attachment intake for AttachmentDropZone.razor. Files dropped on the zone, pasted into it or picked with its
+// file input are prepared in the browser (images are downscaled and re-encoded, which also drops EXIF data such
+// as GPS location) and sent to the server in resumable chunks, so only upload ids cross into .NET. Images that
+// can't be re-encoded are refused rather than uploaded with their metadata.
+
+var UPLOAD_URL = '/api/ideas/attachments/uploads';
+var MAX_IMAGE_DIMENSION = 2560;
+var THUMBNAIL_DIMENSION = 96;
+var ENCODE_QUALITY = 0.85;
+var MAX_CHUNK_ATTEMPTS = 5;
+var RETRY_BASE_DELAY_MS = 500;
+var DROP_ACTIVE_CLASS = 'attachment-drop-active';
+
+// Raster formats the canvas can decode and re-encode
+var PROCESSED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/bmp'];
+
+// Photo formats some browsers report without a content type. Matches UnstrippedImageExtensions in
+// AttachmentUploadStore.cs, which refuses them too.
+var UNPROCESSED_IMAGE_EXTENSIONS = /\.(heic|heif|avif|gif|tiff?|dng|jxl)$/i;
+
+/**
+ * @typedef {object} AttachmentZoneOptions
+ * @property {string} fileInputId Id of the file input whose selections are uploaded.
+ * @property {number} maxFileBytes Files still larger than this after processing are rejected before uploading.
+ */
+
+/** @type {WeakMap<HTMLElement, object>} */
+var zones = new WeakMap();
+
+/** @type {Object<string, object>} */
+var entries = {};
+var nextEntryId = 1;
+
+/**
+ * Starts accepting files for a zone.
+ * @param {HTMLElement} element
+ * @param {object} dotNetRef Receives OnAttachmentAdded(attachment), OnAttachmentPrepared(attachment),
+ * OnAttachmentProgress(clientId, uploadedBytes), OnAttachmentUploaded(clientId, uploadId) and
+ * OnAttachmentFailed(clientId, message).
+ * @param {AttachmentZoneOptions} options
+ */
+export function register(element, dotNetRef, options) {
+	if (!element || zones.has(element)) return;
+
+	var zone = {
+		element: element,
+		dotNetRef: dotNetRef,
+		maxFileBytes: options.maxFileBytes,
+		fileInput: document.getElementById(options.fileInputId),
+		dragDepth: 0,
+		handlers: {}
+	};
+
+	zone.handlers.dragenter = function (e) {
+		if (!hasFiles(e)) return;
+		e.preventDefault();
+		zone.dragDepth++;
+		element.classList.add(DROP_ACTIVE_CLASS);
+	};
+	zone.handlers.dragover = function (e) {
+		if (!hasFiles(e)) return;
+		e.preventDefault();
+		e.dataTransfer.dropEffect = 'copy';
+	};
+	zone.handlers.dragleave = function (e) {
+		if (!hasFiles(e)) return;
+		zone.dragDepth = Math.max(zone.dragDepth - 1, 0);
+		if (zone.dragDepth === 0) element.classList.remove(DROP_ACTIVE_CLASS);
+	};
+	zone.handlers.drop = function (e) {
+		if (!hasFiles(e)) return;
+		e.preventDefault();
+		zone.dragDepth = 0;
+		element.classList.remove(DROP_ACTIVE_CLASS);
+		addFiles(zone, e.dataTransfer.files);
+	};
+	zone.handlers.paste = function (e) {
+		var files = e.clipboardData ? Array.from(e.clipboardData.files || []) : [];
+		if (files.length === 0) return;
+		e.preventDefault();
+		addFiles(zone, files);
+	};
+	zone.handlers.change = function () {
+		addFiles(zone, zone.fileInput.files);
+		zone.fileInput.value = '';
+	};
+
+	['dragenter', 'dragover', 'dragleave', 'drop', 'paste'].forEach(function (type) {
+		element.addEventListener(type, zone.handlers[type]);
+	});
+	if (zone.fileInput) {
+		zone.fileInput.addEventListener('change', zone.handlers.change);
+	}
+	zones.set(element, zone);
+}
+
+/**
+ * Stops accepting files and discards attachments that were not released.
+ * @param {HTMLElement} element
+ */
+export function unregister(element) {
+	var zone = element && zones.get(element);
+	if (!zone) return;
+
+	['dragenter', 'dragover', 'dragleave', 'drop', 'paste'].forEach(function (type) {
+		element.removeEventListener(type, zone.handlers[type]);
+	});
+	if (zone.fileInput) {
+		zone.fileInput.removeEventListener('change', zone.handlers.change);
+	}
+	element.classList.remove(DROP_ACTIVE_CLASS);
+	zones.delete(element);
+
+	Object.keys(entries).forEach(function (clientId) {
+		if (entries[clientId].zone === zone) {
+			remove(clientId);
+		}
+	});
+}
+
+/**
+ * Forgets attachments that were handed to the server, e.g. after the idea or job was created.
+ * @param {string[]} clientIds
+ */
+export function release(clientIds) {
+	(clientIds || []).forEach(function (clientId) {
+		delete entries[clientId];
+	});
+}
+
+/**
+ * Resumes a failed upload from the last chunk the server acknowledged.
+ * @param {string} clientId
+ */
+export function retry(clientId) {
+	var entry = entries[clientId];
+	if (entry && entry.blob && !entry.uploading) {
+		upload(entry);
+	}
+}
+
+/**
+ * Cancels an attachment and discards whatever the server has staged for it.
+ * @param {string} clientId
+ */
+export function remove(clientId) {
+	var entry = entries[clientId];
+	if (!entry) return;
+
+	delete entries[clientId];
+	entry.cancelled = true;
+	if (entry.abort) entry.abort.abort();
+	if (entry.uploadId) {
+		fetch(UPLOAD_URL + '/' + entry.uploadId, { method: 'DELETE', credentials: 'include' }).catch(function () { });
+	}
+}
+
+/**
+ * Returns the prepared image behind an attachment so it can be annotated, or null when it is not a still image.
+ * @param {string} clientId
+ * @returns {Blob | null}
+ */
+export function getImage(clientId) {
+	var entry = entries[clientId];
+	return entry && entry.blob && isAnnotatableImage(entry.blob.type) ? entry.blob : null;
+}
+
+/**
+ * Adds an annotated copy of an attachment to the same zone and starts uploading it. The image is already
+ * flattened and encoded, so only its thumbnail is rendered before the upload.
+ * @param {string} clientId Attachment the annotations were drawn on.
+ * @param {Blob} blob
+ * @returns {string | null} Client id of the new attachment.
+ */
+export function addAnnotated(clientId, blob) {
+	var source = entries[clientId];
+	if (!source) return null;
+
+	var entry = createEntry(source.zone, blob, replaceExtension(appendToFileName(source.fileName, '-annotated'), blob.type));
+	entry.encoded = true;
+	addEntry(entry);
+	return entry.clientId;
+}
+
+/**
+ * Adds files that arrived outside the zone, e.g. from the Web Share Target, and starts uploading them.
+ * @param {HTMLElement} element A registered zone.
+ * @param {Array<{name: string, type: string, blob: Blob}>} files
+ * @returns {number} How many files were added.
+ */
+export function add(element, files) {
+	var zone = element && zones.get(element);
+	if (!zone) return 0;
+
+	(files || []).forEach(function (file) {
+		addEntry(createEntry(zone, file.blob, file.name || createPastedFileName(file.type)));
+	});
+	return (files || []).length;
+}
+
+function isAnnotatableImage(contentType) {
+	return PROCESSED_IMAGE_TYPES.indexOf(contentType) >= 0;
+}
+
+function hasFiles(e) {
+	return !!e.dataTransfer && Array.prototype.indexOf.call(e.dataTransfer.types || [], 'Files') >= 0;
+}
+
+function addFiles(zone, fileList) {
+	Array.from(fileList || []).forEach(function (file) {
+		addEntry(createEntry(zone, file, file.name || createPastedFileName(file.type)));
+	});
+}
+
+function createEntry(zone, file, fileName) {
+	return {
+		clientId: 'attachment-' + nextEntryId++,
+		zone: zone,
+		file: file,
+		blob: null,
+		fileName: fileName,
+		contentType: file.type || null,
+		encoded: false,
+		uploadId: null,
+		chunkSize: 0,
+		uploading: false,
+		cancelled: false,
+		abort: null
+	};
+}
+
+function addEntry(entry) {
+	entries[entry.clientId] = entry;
+	notify(entry, 'OnAttachmentAdded', describe(entry, null));
+	prepareAndUpload(entry);
+}
+
+async function prepareAndUpload(entry) {
+	var prepared;
+	try {
+		prepared = entry.encoded
+			? { blob: entry.file, fileName: entry.fileName, thumbnailUrl: await createThumbnailUrl(entry.file).catch(function () { return null; }) }
+			: await prepareFile(entry.file, entry.fileName);
+	} catch (error) {
+		// The original is never sent instead: it would still carry its EXIF data
+		if (!entry.cancelled) {
+			notify(entry, 'OnAttachmentFailed', entry.clientId,
+				entry.fileName + " couldn't be read as an image, so its photo metadata can't be removed.");
+		}
+		return;
+	}
+	if (entry.cancelled) return;
+	if (prepared.error) {
+		notify(entry, 'OnAttachmentFailed', entry.clientId, prepared.error);
+		return;
+	}
+
+	entry.blob = prepared.blob;
+	entry.fileName = prepared.fileName;
+	entry.contentType = prepared.blob.type || entry.contentType;
+	entry.file = null;
+	notify(entry, 'OnAttachmentPrepared', describe(entry, prepared.thumbnailUrl));
+
+	if (entry.blob.size > entry.zone.maxFileBytes) {
+		notify(entry, 'OnAttachmentFailed', entry.clientId,
+			entry.fileName + ' is larger than ' + Math.round(entry.zone.maxFileBytes / (1024 * 1024)) + ' MB.');
+		return;
+	}
+
+	upload(entry);
+}
+
+function describe(entry, thumbnailUrl) {
+	return {
+		clientId: entry.clientId,
+		fileName: entry.fileName,
+		contentType: entry.contentType,
+		sizeBytes: entry.blob ? entry.blob.size : entry.file.size,
+		thumbnailUrl: thumbnailUrl
+	};
+}
+
+function createPastedFileName(contentType) {
+	var extension = ((contentType || 'image/png').split('/')[1] || 'png').replace('jpeg', 'jpg');
+	return 'pasted-' + new Date().toISOString().replace(/[:.]/g, '-') + '.' + extension;
+}
+
+// Images are redrawn onto a canvas, which keeps the pixels (rotated per their EXIF orientation) and nothing else.
+// Photos become WebP, or JPEG where the browser cannot encode WebP; PNGs that need no scaling stay lossless.
+async function prepareFile(file, fileName) {
+	if (PROCESSED_IMAGE_TYPES.indexOf(file.type) < 0) {
+		return isUnprocessedImage(file, fileName)
+			? { error: fileName + " can't have its photo metadata removed, so it can't be attached. Save it as PNG, JPEG or WebP first." }
+			: { blob: file, fileName: fileName, thumbnailUrl: null };
+	}
+
+	if (typeof createImageBitmap !== 'function') {
+		return { error: "This browser can't remove photo metadata, so " + fileName + " can't be attached." };
+	}
+
+	var bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+	try {
+		var scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+		var width = Math.max(1, Math.round(bitmap.width * scale));
+		var height = Math.max(1, Math.round(bitmap.height * scale));
+
+		// A re-encoded PNG can come out larger; it still replaces the original so its metadata is gone
+		var blob = file.type === 'image/png' && scale === 1
+			? await encode(bitmap, width, height, 'image/png')
+			: await encodeCompressed(bitmap, width, height);
+
+		return {
+			blob: blob,
+			fileName: replaceExtension(fileName, blob.type),
+			thumbnailUrl: await renderThumbnail(bitmap)
+		};
+	} finally {
+		bitmap.close();
+	}
+}
+
+function isUnprocessedImage(file, fileName) {
+	return (/^image\//.test(file.type) && file.type !== 'image/svg+xml') || UNPROCESSED_IMAGE_EXTENSIONS.test(fileName);
+}
+
+async function createThumbnailUrl(blob) {
+	if (typeof createImageBitmap !== 'function') return null;
+
+	var bitmap = await createImageBitmap(blob);
+	try {
+		return await renderThumbnail(bitmap);
+	} finally {
+		bitmap.close();
+	}
+}
+
+async function renderThumbnail(bitmap) {
+	var scale = Math.min(1, THUMBNAIL_DIMENSION / Math.max(bitmap.width, bitmap.height));
+	var thumbnail = await encodeCompressed(bitmap,
+		Math.max(1, Math.round(bitmap.width * scale)),
+		Math.max(1, Math.round(bitmap.height * scale)));
+	return readAsDataUrl(thumbnail);
+}
+
+async function encodeCompressed(bitmap, width, height) {
+	var blob = await encode(bitmap, width, height, 'image/webp');
+	// Browsers fall back to PNG for types they cannot encode
+	return blob.type === 'image/webp' ? blob : encode(bitmap, width, height, 'image/jpeg');
+}
+
+function encode(bitmap, width, height, type) {
+	if (typeof OffscreenCanvas === 'function') {
+		var offscreen = new OffscreenCanvas(width, height);
+		offscreen.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+		return offscreen.convertToBlob({ type: type, quality: ENCODE_QUALITY });
+	}
+
+	var canvas = document.createElement('canvas');
+	canvas.width = width;
+	canvas.height = height;
+	canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+	return new Promise(function (resolve, reject) {
+		canvas.toBlob(function (blob) {
+			if (blob) resolve(blob);
+			else reject(new Error('Unable to encode image.'));
+		}, type, ENCODE_QUALITY);
+	});
+}
+
+function replaceExtension(fileName, contentType) {
+	var extension = { 'image/webp': '.webp', 'image/jpeg': '.jpg', 'image/png': '.png' }[contentType];
+	if (!extension) return fileName;
+
+	var dot = fileName.lastIndexOf('.');
+	return (dot > 0 ? fileName.substring(0, dot) : fileName) + extension;
+}
+
+function appendToFileName(fileName, suffix) {
+	var dot = fileName.lastIndexOf('.');
+	return dot > 0 ? fileName.substring(0, dot) + suffix + fileName.substring(dot) : fileName + suffix;
+}
+
+function readAsDataUrl(blob) {
+	return new Promise(function (resolve) {
+		var reader = new FileReader();
+		reader.onload = function () { resolve(reader.result); };
+		reader.onerror = function () { resolve(null); };
+		reader.readAsDataURL(blob);
+	});
+}
+
+async function upload(entry) {
+	entry.uploading = true;
+	entry.abort = new AbortController();
+	try {
+		var status = entry.uploadId
+			? await requestJson('GET', UPLOAD_URL + '/' + entry.uploadId, null, entry)
+			: await requestJson('POST', UPLOAD_URL, { fileName: entry.fileName, contentType: entry.contentType, sizeBytes: entry.blob.size }, entry);
+		entry.uploadId = status.uploadId;
+		entry.chunkSize = status.chunkSizeBytes;
+
+		var offset = status.receivedBytes;
+		while (offset < entry.blob.size) {
+			offset = await sendChunk(entry, offset);
+			notify(entry, 'OnAttachmentProgress', entry.clientId, offset);
+		}
+
+		notify(entry, 'OnAttachmentUploaded', entry.clientId, entry.uploadId);
+	} catch (error) {
+		if (!entry.cancelled) {
+			notify(entry, 'OnAttachmentFailed', entry.clientId, (error && error.message) || 'Upload failed.');
+		}
+	} finally {
+		entry.uploading = false;
+	}
+}
+
+// Sends the chunk at offset and returns the new offset. Network errors and server errors are retried with backoff;
+// a 409 means the server holds a different amount than expected, so the upload continues from its count.
+async function sendChunk(entry, offset) {
+	var chunk = entry.blob.slice(offset, offset + entry.chunkSize);
+	for (var attempt = 1; ; attempt++) {
+		var response;
+		try {
+			response = await fetch(UPLOAD_URL + '/' + entry.uploadId + '?offset=' + offset, {
+				method: 'PUT',
+				credentials: 'include',
+				headers: { 'Content-Type': 'application/octet-stream' },
+				body: chunk,
+				signal: entry.abort.signal
+			});
+		} catch (error) {
+			if (entry.cancelled || attempt >= MAX_CHUNK_ATTEMPTS) throw error;
+			await delay(attempt);
+			continue;
+		}
+
+		if (response.ok || response.status === 409) {
+			return (await response.json()).receivedBytes;
+		}
+		if (response.status < 500 || attempt >= MAX_CHUNK_ATTEMPTS) {
+			throw new Error(await readError(response));
+		}
+		await delay(attempt);
+	}
+}
+
+async function requestJson(method, url, body, entry) {
+	var response = await fetch(url, {
+		method: method,
+		credentials: 'include',
+		headers: body ? { 'Content-Type': 'application/json' } : {},
+		body: body ? JSON.stringify(body) : undefined,
+		signal: entry.abort.signal
+	});
+	if (!response.ok) {
+		throw new Error(await readError(response));
+	}
+	return response.json();
+}
+
+async function readError(response) {
+	try {
+		var error = await response.json();
+		return error.message || error.title || 'Upload failed (' + response.status + ').';
+	} catch (e) {
+		return 'Upload failed (' + response.status + ').';
+	}
+}
+
+function delay(attempt) {
+	return new Promise(function (resolve) {
+		setTimeout(resolve, RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1));
+	});
+}
+
+function notify(entry, method) {
+	if (entry.cancelled) return;
+
+	var args = Array.prototype.slice.call(arguments, 1);
+	entry.zone.dotNetRef.invokeMethodAsync.apply(entry.zone.dotNetRef, args).catch(function () { });
+}
@@ -0,0 +1,25 @@
+/**
+ * Clipboard helper with fallback for older browsers and non-HTTPS contexts
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+export function copyText(text) {
+	if (navigator.clipboard && navigator.clipboard.writeText) {
+		return navigator.clipboard.writeText(text);
+	}
+
+	// Fallback: use a temporary textarea and execCommand
+	var textarea = document.createElement('textarea');
+	textarea.value = text;
+	textarea.style.position = 'fixed';
+	textarea.style.opacity = '0';
+	document.body.appendChild(textarea);
+	textarea.select();
+	try {
+		document.execCommand('copy');
+	} catch (err) {
+		console.error('Clipboard fallback failed:', err);
+	}
+	document.body.removeChild(textarea);
+	return Promise.resolve();
+}
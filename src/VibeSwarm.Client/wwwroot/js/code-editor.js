@@ -0,0 +1,204 @@
+// Keyboard and scrolling behaviour for ProjectFileEditor.razor. The editor is a plain textarea laid over a
+// highlighted copy of the text; this module keeps the copy and the line numbers scrolled with the textarea, makes
+// Tab indent, forwards the save and find shortcuts, and warns before leaving the page with unsaved changes.
+
+/** @type {WeakMap<HTMLTextAreaElement, object>} */
+var editors = new WeakMap();
+
+/** @type {Set<HTMLTextAreaElement>} */
+var dirtyEditors = new Set();
+
+function onBeforeUnload(e) {
+	e.preventDefault();
+	e.returnValue = '';
+}
+
+/**
+ * @param {HTMLTextAreaElement} textarea
+ * @param {object} dotNetRef Receives OnSaveShortcut() and OnFindShortcut(selectedText).
+ * @param {string} indent Inserted by Tab, such as '\t' or four spaces.
+ */
+export function attach(textarea, dotNetRef, indent) {
+	detach(textarea);
+	if (!textarea) return;
+
+	var container = textarea.closest('.code-editor');
+	var editor = {
+		dotNetRef: dotNetRef,
+		indent: indent || '\t',
+		// Escape hands Tab back to focus navigation until the next other key, so the editor never traps the keyboard
+		tabReleased: false,
+		followers: container ? Array.prototype.slice.call(container.querySelectorAll('[data-editor-scroll]')) : [],
+		handlers: {}
+	};
+
+	editor.handlers.scroll = function () { syncScroll(textarea, editor); };
+	editor.handlers.keydown = function (e) { onKeyDown(textarea, editor, e); };
+	Object.keys(editor.handlers).forEach(function (type) {
+		textarea.addEventListener(type, editor.handlers[type]);
+	});
+
+	editors.set(textarea, editor);
+	syncScroll(textarea, editor);
+}
+
+/**
+ * @param {HTMLTextAreaElement} textarea
+ */
+export function detach(textarea) {
+	var editor = textarea && editors.get(textarea);
+	if (!editor) return;
+
+	Object.keys(editor.handlers).forEach(function (type) {
+		textarea.removeEventListener(type, editor.handlers[type]);
+	});
+	editors.delete(textarea);
+	setDirty(textarea, false);
+}
+
+/**
+ * Re-reads the scrolled elements after the highlighted copy was re-rendered or switched off.
+ * @param {HTMLTextAreaElement} textarea
+ */
+export function refresh(textarea) {
+	var editor = textarea && editors.get(textarea);
+	if (!editor) return;
+
+	var container = textarea.closest('.code-editor');
+	editor.followers = container ? Array.prototype.slice.call(container.querySelectorAll('[data-editor-scroll]')) : [];
+	syncScroll(textarea, editor);
+}
+
+/**
+ * Selects a range, such as a find match, and scrolls it to the middle of the editor.
+ * @param {HTMLTextAreaElement} textarea
+ * @param {number} start
+ * @param {number} end
+ * @param {boolean} focus False keeps focus in the find field while stepping through matches.
+ */
+export function selectRange(textarea, start, end, focus) {
+	if (!textarea) return;
+
+	if (focus !== false) {
+		textarea.focus({ preventScroll: true });
+	}
+	textarea.setSelectionRange(start, end);
+
+	var style = getComputedStyle(textarea);
+	var lineHeight = parseFloat(style.lineHeight) || parseFloat(style.fontSize) * 1.5;
+	var line = textarea.value.slice(0, start).split('\n').length - 1;
+	textarea.scrollTop = Math.max(0, line * lineHeight - (textarea.clientHeight - lineHeight) / 2);
+
+	var editor = editors.get(textarea);
+	if (editor) syncScroll(textarea, editor);
+}
+
+/**
+ * @param {HTMLTextAreaElement} textarea
+ * @param {boolean} dirty While any editor is dirty, leaving the page asks for confirmation.
+ */
+export function setDirty(textarea, dirty) {
+	var wasGuarded = dirtyEditors.size > 0;
+	if (dirty && textarea) {
+		dirtyEditors.add(textarea);
+	} else {
+		dirtyEditors.delete(textarea);
+	}
+
+	var isGuarded = dirtyEditors.size > 0;
+	if (isGuarded && !wasGuarded) {
+		window.addEventListener('beforeunload', onBeforeUnload);
+	} else if (!isGuarded && wasGuarded) {
+		window.removeEventListener('beforeunload', onBeforeUnload);
+	}
+}
+
+function syncScroll(textarea, editor) {
+	editor.followers.forEach(function (element) {
+		element.scrollTop = textarea.scrollTop;
+		if (element.getAttribute('data-editor-scroll') !== 'vertical') {
+			element.scrollLeft = textarea.scrollLeft;
+		}
+	});
+}
+
+function onKeyDown(textarea, editor, e) {
+	var key = e.key.toLowerCase();
+	if ((e.ctrlKey || e.metaKey) && !e.altKey && key === 's') {
+		e.preventDefault();
+		editor.dotNetRef.invokeMethodAsync('OnSaveShortcut');
+		return;
+	}
+
+	if ((e.ctrlKey || e.metaKey) && !e.altKey && key === 'f') {
+		e.preventDefault();
+		var selected = textarea.value.slice(textarea.selectionStart, textarea.selectionEnd);
+		editor.dotNetRef.invokeMethodAsync('OnFindShortcut', selected.indexOf('\n') >= 0 ? '' : selected);
+		return;
+	}
+
+	if (e.key === 'Escape') {
+		editor.tabReleased = true;
+		return;
+	}
+
+	if (e.key !== 'Tab') {
+		editor.tabReleased = false;
+		return;
+	}
+
+	if (editor.tabReleased || e.ctrlKey || e.metaKey || e.altKey) return;
+
+	e.preventDefault();
+	if (e.shiftKey) {
+		outdent(textarea, editor.indent);
+	} else if (textarea.selectionStart === textarea.selectionEnd) {
+		insertText(textarea, editor.indent);
+	} else {
+		indentLines(textarea, editor.indent);
+	}
+}
+
+function indentLines(textarea, indent) {
+	var range = selectedLines(textarea);
+	var lines = textarea.value.slice(range.start, range.end).split('\n');
+	textarea.setSelectionRange(range.start, range.end);
+	insertText(textarea, lines.map(function (line) { return indent + line; }).join('\n'));
+	textarea.setSelectionRange(range.start, range.end + indent.length * lines.length);
+}
+
+function outdent(textarea, indent) {
+	var range = selectedLines(textarea);
+	var lines = textarea.value.slice(range.start, range.end).split('\n');
+	var outdented = lines.map(function (line) {
+		if (line.startsWith(indent)) return line.slice(indent.length);
+		if (line.startsWith('\t')) return line.slice(1);
+		return line.replace(/^ {1,4}/, '');
+	}).join('\n');
+
+	if (outdented.length === range.end - range.start) return;
+
+	textarea.setSelectionRange(range.start, range.end);
+	insertText(textarea, outdented);
+	textarea.setSelectionRange(range.start, range.start + outdented.length);
+}
+
+function selectedLines(textarea) {
+	var value = textarea.value;
+	var start = value.lastIndexOf('\n', textarea.selectionStart - 1) + 1;
+	// A selection ending at the start of a line doesn't include that line
+	var selectionEnd = textarea.selectionEnd > textarea.selectionStart && value[textarea.selectionEnd - 1] === '\n'
+		? textarea.selectionEnd - 1
+		: textarea.selectionEnd;
+	var end = value.indexOf('\n', selectionEnd);
+	return { start: start, end: end < 0 ? value.length : end };
+}
+
+// execCommand keeps the edit on the browser's undo stack; where it is unavailable the text is replaced directly and
+// the input event raised by hand so Blazor still sees the change
+function insertText(textarea, text) {
+	if (document.execCommand && document.execCommand('insertText', false, text)) return;
+
+	textarea.setRangeText(text, textarea.selectionStart, textarea.selectionEnd, 'end');
+	textarea.dispatchEvent(new Event('input', { bubbles: true }));
+}
@@ -0,0 +1,28 @@
+/**
+ * Posts startup and runtime failures to the server's critical error log
+ * @param {{source?: string, category?: string, severity?: string, message?: string, details?: string | null, triggeredRefresh?: boolean, refreshAction?: string | null, additionalDataJson?: string | null}} payload
+ * @returns {Promise<void>}
+ */
+export function reportCriticalError(payload) {
+	try {
+		return fetch('/api/diagnostics/critical-errors', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			credentials: 'include',
+			body: JSON.stringify({
+				source: payload.source || 'client-startup',
+				category: payload.category || 'startup-failure',
+				severity: payload.severity || 'critical',
+				message: payload.message || 'Critical startup error',
+				details: payload.details || null,
+				url: window.location.href,
+				userAgent: navigator.userAgent,
+				triggeredRefresh: !!payload.triggeredRefresh,
+				refreshAction: payload.refreshAction || null,
+				additionalDataJson: payload.additionalDataJson || null
+			})
+		}).catch(function () { });
+	} catch (e) {
+		return Promise.resolve();
+	}
+}
@@ -0,0 +1,30 @@
+/**
+ * Scrolls a GitDiffViewer file panel to the row for a line of the new file and marks it
+ * @param {string} containerId
+ * @param {number | null} line
+ */
+export function revealLine(containerId, line) {
+	var container = document.getElementById(containerId);
+	if (!container) {
+		return;
+	}
+
+	var target = null;
+	if (line) {
+		container.querySelectorAll('[data-new-line]').forEach(function (row) {
+			if (Number(row.getAttribute('data-new-line')) <= line) {
+				target = row;
+			}
+		});
+	}
+
+	document.querySelectorAll('.diff-line-focus').forEach(function (row) {
+		row.classList.remove('diff-line-focus');
+	});
+
+	if (target) {
+		target.classList.add('diff-line-focus');
+	}
+
+	(target || container).scrollIntoView({ block: 'center' });
+}
@@ -0,0 +1,44 @@
+// Small DOM helpers shared by modal and layout components
+
+var openModalCount = 0;
+
+/**
+ * Locks page scrolling while any modal is open. Calls are counted so closing a modal opened from inside
+ * another one leaves the page locked.
+ * @param {boolean} open
+ */
+export function setModalOpen(open) {
+	openModalCount = Math.max(0, openModalCount + (open ? 1 : -1));
+	document.body.classList.toggle('vs-modal-open', openModalCount > 0);
+}
+
+/**
+ * @param {string} selector
+ * @param {number} [delayMs]
+ */
+export function focusElement(selector, delayMs) {
+	setTimeout(function () {
+		var element = document.querySelector(selector);
+		if (element) {
+			element.focus();
+		}
+	}, delayMs || 0);
+}
+
+/**
+ * @param {HTMLElement} element
+ */
+export function scrollToEnd(element) {
+	if (element) {
+		element.scrollLeft = element.scrollWidth;
+	}
+}
+
+/**
+ * Opens a Bootstrap dropdown from its toggle button, unless the button is hidden at the current breakpoint.
+ * @param {HTMLElement} toggleElement
+ */
+export function showDropdown(toggleElement) {
+	if (!toggleElement || toggleElement.offsetParent === null || !window.bootstrap) return;
+	window.bootstrap.Dropdown.getOrCreateInstance(toggleElement).show();
+}
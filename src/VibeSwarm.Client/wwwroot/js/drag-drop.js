@@ -0,0 +1,336 @@
+// Pointer-events drag engine for DragDropList.razor. One delegated listener per list covers mouse, pen and
+// touch, so handles rendered after the first attach work without re-binding. Items carry data-drag-index and
+// a [data-drag-handle]; elements with data-drop-target and a matching data-drop-group accept items from other lists.
+
+var DRAG_THRESHOLD_PX = 4;
+var EDGE_SCROLL_PX = 48;
+var MAX_SCROLL_STEP_PX = 18;
+
+/**
+ * @typedef {object} DragDropOptions
+ * @property {boolean} reorder Whether items can be reordered within the list.
+ * @property {string | null} dropGroup Drop targets with this data-drop-group accept items from the list.
+ */
+
+/** @type {WeakMap<HTMLElement, { dotNetRef: object, options: DragDropOptions, onPointerDown: Function }>} */
+var lists = new WeakMap();
+
+/**
+ * Starts handling drags for a list, or updates its options when it is already attached.
+ * @param {HTMLElement} containerElement
+ * @param {object} dotNetRef Receives OnPointerDragStart(index), OnPointerDragEnd(), OnPointerReorder(oldIndex, newIndex)
+ * and OnPointerDrop(index, targetValue).
+ * @param {DragDropOptions} options
+ */
+export function attach(containerElement, dotNetRef, options) {
+	if (!containerElement) return;
+
+	var existing = lists.get(containerElement);
+	if (existing) {
+		existing.dotNetRef = dotNetRef;
+		existing.options = normalizeOptions(options);
+		return;
+	}
+
+	var list = { dotNetRef: dotNetRef, options: normalizeOptions(options), onPointerDown: null };
+	list.onPointerDown = function (e) {
+		onPointerDown(containerElement, list, e);
+	};
+	containerElement.addEventListener('pointerdown', list.onPointerDown);
+	lists.set(containerElement, list);
+}
+
+/**
+ * @param {HTMLElement} containerElement
+ */
+export function detach(containerElement) {
+	var list = containerElement && lists.get(containerElement);
+	if (list) {
+		containerElement.removeEventListener('pointerdown', list.onPointerDown);
+		lists.delete(containerElement);
+	}
+}
+
+/**
+ * Keeps keyboard focus on the lifted item's handle after Blazor re-renders the list in its new order.
+ * @param {HTMLElement} containerElement
+ * @param {number} index
+ */
+export function focusHandle(containerElement, index) {
+	if (!containerElement) return;
+
+	var item = containerElement.querySelector('[data-drag-index="' + index + '"]');
+	var handle = item && item.querySelector('[data-drag-handle]');
+	if (handle) {
+		handle.focus({ preventScroll: false });
+	}
+}
+
+function normalizeOptions(options) {
+	return {
+		reorder: !options || options.reorder !== false,
+		dropGroup: (options && options.dropGroup) || null
+	};
+}
+
+function onPointerDown(container, list, e) {
+	if (e.button !== 0 || !e.isPrimary) return;
+
+	var handle = e.target.closest('[data-drag-handle]');
+	if (!handle || !container.contains(handle)) return;
+
+	var item = handle.closest('[data-drag-index]');
+	if (!item || item.parentElement !== container) return;
+
+	// Stops text selection and, for touch, the page pan that would otherwise take the gesture
+	e.preventDefault();
+
+	var drag = {
+		container: container,
+		list: list,
+		handle: handle,
+		item: item,
+		pointerId: e.pointerId,
+		startX: e.clientX,
+		startY: e.clientY,
+		pointerX: e.clientX,
+		pointerY: e.clientY,
+		fromIndex: parseInt(item.getAttribute('data-drag-index'), 10),
+		targetIndex: -1,
+		dropTarget: null,
+		started: false,
+		items: [],
+		slots: [],
+		ghost: null,
+		offsetX: 0,
+		offsetY: 0,
+		scrollParent: null,
+		frame: 0
+	};
+	drag.targetIndex = drag.fromIndex;
+
+	function onMove(ev) {
+		if (ev.pointerId !== drag.pointerId) return;
+		drag.pointerX = ev.clientX;
+		drag.pointerY = ev.clientY;
+
+		if (!drag.started) {
+			if (Math.abs(ev.clientX - drag.startX) < DRAG_THRESHOLD_PX && Math.abs(ev.clientY - drag.startY) < DRAG_THRESHOLD_PX) {
+				return;
+			}
+			startDrag(drag);
+		}
+
+		ev.preventDefault();
+		update(drag);
+	}
+
+	function onKeyDown(ev) {
+		if (ev.key === 'Escape') {
+			ev.preventDefault();
+			finish(false);
+		}
+	}
+
+	function onUp(ev) {
+		if (ev.pointerId === drag.pointerId) {
+			finish(ev.type === 'pointerup');
+		}
+	}
+
+	function finish(commit) {
+		handle.removeEventListener('pointermove', onMove);
+		handle.removeEventListener('pointerup', onUp);
+		handle.removeEventListener('pointercancel', onUp);
+		document.removeEventListener('keydown', onKeyDown, true);
+		if (handle.hasPointerCapture && handle.hasPointerCapture(drag.pointerId)) {
+			handle.releasePointerCapture(drag.pointerId);
+		}
+
+		if (drag.started) {
+			endDrag(drag, commit);
+		}
+	}
+
+	handle.setPointerCapture(e.pointerId);
+	handle.addEventListener('pointermove', onMove);
+	handle.addEventListener('pointerup', onUp);
+	handle.addEventListener('pointercancel', onUp);
+	document.addEventListener('keydown', onKeyDown, true);
+}
+
+function startDrag(drag) {
+	drag.started = true;
+	drag.items = Array.prototype.filter.call(drag.container.children, function (el) {
+		return el.hasAttribute('data-drag-index');
+	});
+
+	var containerRect = drag.container.getBoundingClientRect();
+	drag.slots = drag.items.map(function (el) {
+		var rect = el.getBoundingClientRect();
+		return { top: rect.top - containerRect.top, height: rect.height };
+	});
+
+	var itemRect = drag.item.getBoundingClientRect();
+	drag.offsetX = drag.startX - itemRect.left;
+	drag.offsetY = drag.startY - itemRect.top;
+
+	// The ghost follows the pointer; the original stays in the list as the placeholder for the drop position
+	var ghost = drag.item.cloneNode(true);
+	ghost.removeAttribute('data-drag-index');
+	ghost.removeAttribute('id');
+	ghost.setAttribute('aria-hidden', 'true');
+	ghost.classList.add('drag-drop-ghost');
+	ghost.style.width = itemRect.width + 'px';
+	ghost.style.height = itemRect.height + 'px';
+	document.body.appendChild(ghost);
+	drag.ghost = ghost;
+
+	drag.item.classList.add('drag-drop-placeholder');
+	drag.items.forEach(function (el) {
+		if (el !== drag.item) el.classList.add('drag-drop-shifting');
+	});
+	document.body.classList.add('drag-drop-active');
+	drag.scrollParent = findScrollParent(drag.container);
+
+	drag.list.dotNetRef.invokeMethodAsync('OnPointerDragStart', drag.fromIndex).catch(function () { });
+	scheduleAutoScroll(drag);
+}
+
+function update(drag) {
+	drag.ghost.style.transform = 'translate(' + (drag.pointerX - drag.offsetX) + 'px, ' + (drag.pointerY - drag.offsetY) + 'px)';
+
+	var dropTarget = findDropTarget(drag);
+	if (dropTarget !== drag.dropTarget) {
+		if (drag.dropTarget) drag.dropTarget.classList.remove('drag-drop-target-over');
+		if (dropTarget) dropTarget.classList.add('drag-drop-target-over');
+		drag.dropTarget = dropTarget;
+	}
+
+	drag.targetIndex = !dropTarget && drag.list.options.reorder && isOverContainer(drag)
+		? findTargetIndex(drag)
+		: drag.fromIndex;
+	applyShifts(drag);
+}
+
+function findDropTarget(drag) {
+	var group = drag.list.options.dropGroup;
+	if (!group) return null;
+
+	var element = document.elementFromPoint(drag.pointerX, drag.pointerY);
+	var target = element && element.closest('[data-drop-target]');
+	return target && target.getAttribute('data-drop-group') === group ? target : null;
+}
+
+function isOverContainer(drag) {
+	var rect = drag.container.getBoundingClientRect();
+	return drag.pointerX >= rect.left - EDGE_SCROLL_PX && drag.pointerX <= rect.right + EDGE_SCROLL_PX
+		&& drag.pointerY >= rect.top - EDGE_SCROLL_PX && drag.pointerY <= rect.bottom + EDGE_SCROLL_PX;
+}
+
+// Index the item would have after being removed and re-inserted, measured against the positions captured at lift
+function findTargetIndex(drag) {
+	var y = drag.pointerY - drag.container.getBoundingClientRect().top;
+	var index = 0;
+	drag.slots.forEach(function (slot, i) {
+		if (i !== drag.fromIndex && slot.top + slot.height / 2 < y) {
+			index++;
+		}
+	});
+	return index;
+}
+
+function applyShifts(drag) {
+	var from = drag.fromIndex;
+	var to = drag.targetIndex;
+	var sourceOffset = 0;
+
+	drag.items.forEach(function (el, i) {
+		if (i === from) return;
+
+		var shift = 0;
+		if (from < to && i > from && i <= to) {
+			shift = -pitch(drag, from);
+			sourceOffset += pitch(drag, i);
+		} else if (to < from && i >= to && i < from) {
+			shift = pitch(drag, from);
+			sourceOffset -= pitch(drag, i);
+		}
+		el.style.transform = shift ? 'translateY(' + shift + 'px)' : '';
+	});
+
+	drag.item.style.transform = sourceOffset ? 'translateY(' + sourceOffset + 'px)' : '';
+}
+
+// Height of a slot including the gap below it, so shifted items keep the list's spacing
+function pitch(drag, index) {
+	var slots = drag.slots;
+	if (index < slots.length - 1) {
+		return slots[index + 1].top - slots[index].top;
+	}
+
+	var gap = slots.length > 1 ? slots[1].top - slots[0].top - slots[0].height : 0;
+	return slots[index].height + Math.max(gap, 0);
+}
+
+function scheduleAutoScroll(drag) {
+	drag.frame = requestAnimationFrame(function () {
+		if (!drag.started || !drag.ghost) return;
+
+		var step = getScrollStep(drag);
+		if (step !== 0) {
+			drag.scrollParent.scrollTop += step;
+			update(drag);
+		}
+		scheduleAutoScroll(drag);
+	});
+}
+
+function getScrollStep(drag) {
+	var scroller = drag.scrollParent;
+	var isPage = scroller === document.scrollingElement;
+	var top = isPage ? 0 : scroller.getBoundingClientRect().top;
+	var bottom = isPage ? window.innerHeight : scroller.getBoundingClientRect().bottom;
+
+	if (drag.pointerY < top + EDGE_SCROLL_PX) {
+		return -Math.ceil(MAX_SCROLL_STEP_PX * (top + EDGE_SCROLL_PX - drag.pointerY) / EDGE_SCROLL_PX);
+	}
+	if (drag.pointerY > bottom - EDGE_SCROLL_PX) {
+		return Math.ceil(MAX_SCROLL_STEP_PX * (drag.pointerY - (bottom - EDGE_SCROLL_PX)) / EDGE_SCROLL_PX);
+	}
+	return 0;
+}
+
+function findScrollParent(element) {
+	for (var el = element.parentElement; el && el !== document.body; el = el.parentElement) {
+		var overflowY = getComputedStyle(el).overflowY;
+		if ((overflowY === 'auto' || overflowY === 'scroll') && el.scrollHeight > el.clientHeight) {
+			return el;
+		}
+	}
+	return document.scrollingElement || document.documentElement;
+}
+
+function endDrag(drag, commit) {
+	cancelAnimationFrame(drag.frame);
+	drag.started = false;
+
+	// Undo every visual change before Blazor re-renders the list in its new order
+	drag.ghost.remove();
+	drag.ghost = null;
+	drag.item.classList.remove('drag-drop-placeholder');
+	drag.items.forEach(function (el) {
+		el.classList.remove('drag-drop-shifting');
+		el.style.transform = '';
+	});
+	if (drag.dropTarget) drag.dropTarget.classList.remove('drag-drop-target-over');
+	document.body.classList.remove('drag-drop-active');
+
+	var dotNetRef = drag.list.dotNetRef;
+	if (commit && drag.dropTarget) {
+		dotNetRef.invokeMethodAsync('OnPointerDrop', drag.fromIndex, drag.dropTarget.getAttribute('data-drop-target')).catch(function () { });
+	} else if (commit && drag.targetIndex !== drag.fromIndex) {
+		dotNetRef.invokeMethodAsync('OnPointerReorder', drag.fromIndex, drag.targetIndex).catch(function () { });
+	}
+	dotNetRef.invokeMethodAsync('OnPointerDragEnd').catch(function () { });
+}
@@ -0,0 +1,292 @@
+// Owner of the one JobHub connection a browser keeps open for all of its VibeSwarm tabs. It runs inside the
+// SharedWorker in hub-worker.js, or in the tab that won the leader election in hub.js when SharedWorker is
+// missing. Tabs talk to it through plain messages: they choose which hub events they want, invoke hub methods
+// and report focus; the host counts group subscriptions so each group is joined on the server once, fans events
+// out to the tabs listening for them and picks a single tab to show toasts for them.
+import '../lib/signalr/signalr.min.js';
+
+var RECONNECT_DELAYS_MS = [0, 2000, 5000, 10000];
+var RESTART_DELAY_MS = 30000;
+
+/** Prefix of the Web Lock each tab holds while it is open. */
+export var TAB_LOCK_PREFIX = 'vibeswarm-hub-tab:';
+
+// Hub methods that join or leave a SignalR group. Subscribe and unsubscribe calls from tabs are counted per
+// group; the server only sees the first subscribe and the last unsubscribe.
+var GROUP_METHODS = [
+	{ subscribe: 'SubscribeToJob', unsubscribe: 'UnsubscribeFromJob', group: 'job-' },
+	{ subscribe: 'SubscribeToJobList', unsubscribe: 'UnsubscribeFromJobList', group: 'job-list' },
+	{ subscribe: 'SubscribeToProject', unsubscribe: 'UnsubscribeFromProject', group: 'project-' },
+	{ subscribe: 'SubscribeToAutoPilot', unsubscribe: 'UnsubscribeFromAutoPilot', group: 'project-' },
+	{ subscribe: 'SubscribeToGlobalEvents', unsubscribe: 'UnsubscribeFromGlobalEvents', group: 'global-events' }
+];
+
+/**
+ * @typedef {object} HubHost
+ * @property {(tabId: string, post: (message: object) => void) => void} attach Adds a tab; post delivers messages to it.
+ * @property {(tabId: string, message: object) => void} receive Handles a message from a tab.
+ * @property {(tabId: string) => void} detach Forgets a tab and releases everything it subscribed to.
+ */
+
+/**
+ * @param {string} hubUrl Absolute or root-relative URL of the JobHub.
+ * @returns {HubHost}
+ */
+export function createHubHost(hubUrl) {
+	var connection = null;
+	var state = 'disconnected';
+	var restartTimer = null;
+	var toastTabId = null;
+
+	/** @type {Map<string, {post: Function, methods: Set<string>, visible: boolean, focusedAt: number}>} */
+	var tabs = new Map();
+
+	/** @type {Map<string, {method: string, args: Array, holders: Set<string>}>} */
+	var groups = new Map();
+
+	var listening = new Set();
+
+	function attach(tabId, post) {
+		var existing = tabs.get(tabId);
+		if (existing) {
+			existing.post = post;
+		} else {
+			tabs.set(tabId, { post: post, methods: new Set(), visible: false, focusedAt: 0 });
+			watchTab(tabId);
+		}
+
+		chooseToastTab();
+		post({ type: 'state', state: state });
+		post({ type: 'toast-tab', active: toastTabId === tabId });
+		start();
+	}
+
+	// Closing a tab doesn't tell the host, so each tab holds a Web Lock named after itself and the host waits for
+	// it to be released. Tabs also send detach on pagehide for browsers without Web Locks.
+	function watchTab(tabId) {
+		if (!self.navigator.locks) return;
+
+		self.navigator.locks.request(TAB_LOCK_PREFIX + tabId, function () {
+			detach(tabId);
+		});
+	}
+
+	function detach(tabId) {
+		if (!tabs.delete(tabId)) return;
+
+		groups.forEach(function (entry, key) {
+			entry.holders.forEach(function (holder) {
+				if (holder.indexOf(tabId + '/') === 0) {
+					releaseGroup(key, holder);
+				}
+			});
+		});
+		chooseToastTab();
+
+		if (tabs.size === 0) {
+			stop();
+		}
+	}
+
+	function receive(tabId, message) {
+		var tab = tabs.get(tabId);
+		if (!tab || !message) return;
+
+		switch (message.type) {
+			case 'listen':
+				tab.methods = new Set(message.methods || []);
+				tab.methods.forEach(listen);
+				break;
+			case 'invoke':
+				invoke(tabId, message).then(
+					function (result) { tab.post({ type: 'result', callId: message.callId, result: result === undefined ? null : result }); },
+					function (error) { tab.post({ type: 'result', callId: message.callId, error: String(error && error.message || error) }); });
+				break;
+			case 'release':
+				releaseLease(tabId + '/' + message.leaseId);
+				break;
+			case 'focus':
+				tab.visible = !!message.visible;
+				if (message.focused) tab.focusedAt = Date.now();
+				chooseToastTab();
+				break;
+			case 'detach':
+				detach(tabId);
+				break;
+		}
+	}
+
+	function invoke(tabId, message) {
+		var holder = tabId + '/' + message.leaseId;
+		var args = message.args || [];
+
+		for (var i = 0; i < GROUP_METHODS.length; i++) {
+			var definition = GROUP_METHODS[i];
+			if (message.method === definition.subscribe) {
+				return holdGroup(definition, args, holder);
+			}
+			if (message.method === definition.unsubscribe) {
+				return Promise.resolve(releaseGroup(getGroupKey(definition, args), holder));
+			}
+		}
+
+		if (!connection || state !== 'connected') {
+			return Promise.reject(new Error('The hub connection is not connected.'));
+		}
+		return connection.invoke.apply(connection, [message.method].concat(args));
+	}
+
+	function getGroupKey(definition, args) {
+		return definition.group + (definition.group.slice(-1) === '-' ? String(args[0]) : '');
+	}
+
+	function holdGroup(definition, args, holder) {
+		var key = getGroupKey(definition, args);
+		var entry = groups.get(key);
+		if (!entry) {
+			entry = { method: definition.subscribe, args: args, holders: new Set() };
+			groups.set(key, entry);
+		}
+
+		var first = entry.holders.size === 0;
+		entry.holders.add(holder);
+		if (!first || !connection || state !== 'connected') {
+			// Joined when the connection (re)connects
+			return Promise.resolve(null);
+		}
+		return connection.invoke.apply(connection, [entry.method].concat(entry.args));
+	}
+
+	function releaseGroup(key, holder) {
+		var entry = groups.get(key);
+		if (!entry || !entry.holders.delete(holder) || entry.holders.size > 0) return null;
+
+		groups.delete(key);
+		var definition = GROUP_METHODS.find(function (candidate) { return candidate.subscribe === entry.method; });
+		if (connection && state === 'connected') {
+			connection.invoke.apply(connection, [definition.unsubscribe].concat(entry.args)).catch(function () { });
+		}
+		return null;
+	}
+
+	function releaseLease(holder) {
+		groups.forEach(function (entry, key) {
+			if (entry.holders.has(holder)) {
+				releaseGroup(key, holder);
+			}
+		});
+	}
+
+	function listen(method) {
+		if (listening.has(method)) return;
+
+		listening.add(method);
+		if (connection) {
+			connection.on(method, function () { publish(method, Array.prototype.slice.call(arguments)); });
+		}
+	}
+
+	function publish(method, args) {
+		tabs.forEach(function (tab) {
+			if (tab.methods.has(method)) {
+				tab.post({ type: 'event', method: method, args: args });
+			}
+		});
+	}
+
+	function setState(next) {
+		if (state === next) return;
+
+		state = next;
+		tabs.forEach(function (tab) { tab.post({ type: 'state', state: state }); });
+	}
+
+	// Toasts go to the visible tab focused last, or to the tab focused last when none is visible
+	function chooseToastTab() {
+		var best = null;
+		tabs.forEach(function (tab, tabId) {
+			if (!best || (tab.visible && !best.tab.visible) ||
+				(tab.visible === best.tab.visible && tab.focusedAt > best.tab.focusedAt)) {
+				best = { tabId: tabId, tab: tab };
+			}
+		});
+
+		var next = best ? best.tabId : null;
+		if (next === toastTabId) return;
+
+		toastTabId = next;
+		tabs.forEach(function (tab, tabId) { tab.post({ type: 'toast-tab', active: tabId === toastTabId }); });
+	}
+
+	function start() {
+		if (connection) return;
+
+		connection = new self.signalR.HubConnectionBuilder()
+			.withUrl(hubUrl)
+			.withAutomaticReconnect(RECONNECT_DELAYS_MS)
+			.build();
+		listening.forEach(function (method) {
+			connection.on(method, function () { publish(method, Array.prototype.slice.call(arguments)); });
+		});
+
+		connection.onreconnecting(function () { setState('reconnecting'); });
+		connection.onreconnected(function () { joinGroups(); });
+		// Automatic reconnect gave up; keep retrying while any tab is open
+		connection.onclose(function () {
+			if (tabs.size > 0) {
+				setState('reconnecting');
+				scheduleRestart(RESTART_DELAY_MS);
+			}
+		});
+
+		setState('connecting');
+		connect();
+	}
+
+	function connect() {
+		if (!connection) return;
+
+		var current = connection;
+		current.start().then(
+			function () {
+				if (current === connection) joinGroups();
+			},
+			function (error) {
+				if (current !== connection) return;
+				// Tabs still starting fail the way HubConnection.StartAsync does; the host itself keeps retrying
+				tabs.forEach(function (tab) { tab.post({ type: 'connect-failed', error: String(error && error.message || error) }); });
+				scheduleRestart(RESTART_DELAY_MS);
+			});
+	}
+
+	function scheduleRestart(delay) {
+		clearTimeout(restartTimer);
+		restartTimer = setTimeout(function () {
+			if (connection && connection.state === self.signalR.HubConnectionState.Disconnected) {
+				connect();
+			}
+		}, delay);
+	}
+
+	// Groups belong to the server-side connection, so a new connection id has to rejoin all of them
+	function joinGroups() {
+		var joins = [];
+		groups.forEach(function (entry) {
+			joins.push(connection.invoke.apply(connection, [entry.method].concat(entry.args)).catch(function () { }));
+		});
+		Promise.all(joins).then(function () { setState('connected'); });
+	}
+
+	function stop() {
+		clearTimeout(restartTimer);
+		if (!connection) return;
+
+		var current = connection;
+		connection = null;
+		groups.clear();
+		state = 'disconnected';
+		current.stop().catch(function () { });
+	}
+
+	return { attach: attach, receive: receive, detach: detach };
+}
@@ -0,0 +1,27 @@
+// SharedWorker that keeps the JobHub connection for every VibeSwarm tab of this browser (see hub-host.js).
+// Each tab connects a port and introduces itself with a hello message carrying its tab id and the hub URL.
+import { createHubHost } from './hub-host.js';
+
+var host = null;
+
+self.addEventListener('connect', function (event) {
+	var port = event.ports[0];
+	var tabId = null;
+
+	port.onmessage = function (e) {
+		var message = e.data;
+		if (!message) return;
+
+		if (message.type === 'hello') {
+			host = host || createHubHost(message.hubUrl);
+			tabId = message.tabId;
+			host.attach(tabId, function (reply) { port.postMessage(reply); });
+			return;
+		}
+
+		if (host && tabId) {
+			host.receive(tabId, message);
+		}
+	};
+	port.start();
+});
@@ -0,0 +1,263 @@
+// Tab side of the shared JobHub connection used by JobHubClient.cs. Messages go to the hub host (hub-host.js)
+// in a SharedWorker; without SharedWorker the tabs elect a leader through Web Locks that hosts the connection
+// and reach it over a BroadcastChannel, and without either the tab hosts its own connection.
+import { createHubHost, TAB_LOCK_PREFIX } from './hub-host.js';
+
+var CHANNEL_NAME = 'vibeswarm-hub';
+var LEADER_LOCK = 'vibeswarm-hub-leader';
+
+var tabId = createTabId();
+var dotNetRef = null;
+var hubUrl = null;
+var opened = null;
+var post = null;
+var methods = [];
+var state = 'disconnected';
+var pending = new Map();
+var nextCallId = 1;
+
+/**
+ * Joins the shared connection, starting it when this is the first tab.
+ * @param {object} ref Receives OnHubStateChanged(state), OnHubConnectFailed(error), OnHubEvent(method, args) and
+ * OnToastTabChanged(active).
+ * @param {string} url Absolute URL of the JobHub.
+ * @returns {Promise<string>} Connection state: connecting, connected, reconnecting or disconnected.
+ */
+export async function connect(ref, url) {
+	dotNetRef = ref;
+	hubUrl = url;
+	if (!opened) {
+		opened = open();
+		listenForPageEvents();
+	}
+	await opened;
+	return state === 'disconnected' ? 'connecting' : state;
+}
+
+/**
+ * Chooses the hub events delivered to this tab.
+ * @param {string[]} names
+ */
+export function listen(names) {
+	methods = names || [];
+	send({ type: 'listen', methods: methods });
+}
+
+/**
+ * Invokes a hub method for one JobHubConnection. Group subscriptions are counted per connection, so repeating
+ * a subscribe is harmless and releasing the connection leaves all of its groups.
+ * @param {number} leaseId
+ * @param {string} method
+ * @param {Array} args
+ * @returns {Promise<*>}
+ */
+export function invoke(leaseId, method, args) {
+	return new Promise(function (resolve, reject) {
+		var callId = nextCallId++;
+		pending.set(callId, { resolve: resolve, reject: reject });
+		if (!send({ type: 'invoke', callId: callId, leaseId: leaseId, method: method, args: args || [] })) {
+			pending.delete(callId);
+			reject(new Error('The hub connection is not open.'));
+		}
+	});
+}
+
+/**
+ * @param {number} leaseId
+ */
+export function release(leaseId) {
+	send({ type: 'release', leaseId: leaseId });
+}
+
+export function disconnect() {
+	send({ type: 'detach' });
+	dotNetRef = null;
+}
+
+function send(message) {
+	if (!post) return false;
+	post(message);
+	return true;
+}
+
+async function open() {
+	await holdTabLock();
+
+	if (typeof SharedWorker === 'function') {
+		try {
+			openSharedWorker();
+			return;
+		} catch (e) {
+			// Fall through to the leader election
+		}
+	}
+
+	if (typeof BroadcastChannel === 'function' && navigator.locks) {
+		openChannel();
+	} else {
+		openLocal();
+	}
+}
+
+// Held until the tab closes, which tells the host to drop this tab's subscriptions
+function holdTabLock() {
+	if (!navigator.locks) return Promise.resolve();
+
+	return new Promise(function (resolve) {
+		navigator.locks.request(TAB_LOCK_PREFIX + tabId, function () {
+			resolve();
+			return new Promise(function () { });
+		});
+	});
+}
+
+function openSharedWorker() {
+	var worker = new SharedWorker(new URL('./hub-worker.js', import.meta.url), { type: 'module', name: 'vibeswarm-hub' });
+	var answered = false;
+
+	// Browsers without module workers load the script as a classic one, which fails on its first import
+	worker.addEventListener('error', function () {
+		if (answered) return;
+		post = null;
+		if (typeof BroadcastChannel === 'function' && navigator.locks) {
+			openChannel();
+		} else {
+			openLocal();
+		}
+	});
+	worker.port.onmessage = function (e) {
+		answered = true;
+		receive(e.data);
+	};
+	worker.port.start();
+
+	post = function (message) { worker.port.postMessage(message); };
+	introduce();
+}
+
+function openChannel() {
+	var channel = new BroadcastChannel(CHANNEL_NAME);
+	var host = null;
+
+	channel.onmessage = function (e) {
+		var envelope = e.data;
+		if (!envelope) return;
+
+		if (envelope.type === 'leader') {
+			resync();
+		} else if (envelope.to === tabId) {
+			receive(envelope.message);
+		} else if (envelope.to === 'host' && host) {
+			deliver(host, envelope.from, envelope.message, function (message) {
+				channel.postMessage({ to: envelope.from, message: message });
+			});
+		}
+	};
+
+	post = function (message) {
+		if (host) {
+			deliver(host, tabId, message, receive);
+		} else {
+			channel.postMessage({ to: 'host', from: tabId, message: message });
+		}
+	};
+	introduce();
+
+	// The winner keeps the lock, and with it the connection, until the tab closes
+	navigator.locks.request(LEADER_LOCK, function () {
+		host = createHubHost(hubUrl);
+		channel.postMessage({ type: 'leader' });
+		resync();
+		return new Promise(function () { });
+	});
+}
+
+function openLocal() {
+	var host = createHubHost(hubUrl);
+	post = function (message) { deliver(host, tabId, message, receive); };
+	introduce();
+}
+
+function deliver(host, fromTabId, message, reply) {
+	if (message.type === 'hello') {
+		host.attach(fromTabId, reply);
+	} else {
+		host.receive(fromTabId, message);
+	}
+}
+
+function introduce() {
+	send({ type: 'hello', tabId: tabId, hubUrl: hubUrl });
+	if (methods.length > 0) {
+		send({ type: 'listen', methods: methods });
+	}
+	reportFocus();
+}
+
+// A new host knows nothing about this tab: calls in flight are lost and JobHubClient resubscribes its
+// connections once the reconnecting state turns back into connected
+function resync() {
+	pending.forEach(function (call) { call.reject(new Error('The hub host changed.')); });
+	pending.clear();
+	setState(state === 'disconnected' ? 'connecting' : 'reconnecting');
+	introduce();
+}
+
+function receive(message) {
+	if (!message) return;
+
+	switch (message.type) {
+		case 'state':
+			setState(message.state);
+			break;
+		case 'event':
+			notify('OnHubEvent', message.method, message.args);
+			break;
+		case 'connect-failed':
+			notify('OnHubConnectFailed', message.error || 'The hub connection could not be started.');
+			break;
+		case 'toast-tab':
+			notify('OnToastTabChanged', !!message.active);
+			break;
+		case 'result':
+			var call = pending.get(message.callId);
+			if (!call) return;
+			pending.delete(message.callId);
+			if (message.error) call.reject(new Error(message.error));
+			else call.resolve(message.result);
+			break;
+	}
+}
+
+function setState(next) {
+	if (state === next) return;
+	state = next;
+	notify('OnHubStateChanged', next);
+}
+
+function notify(method) {
+	if (!dotNetRef) return;
+	var args = Array.prototype.slice.call(arguments, 1);
+	dotNetRef.invokeMethodAsync.apply(dotNetRef, [method].concat(args)).catch(function () { });
+}
+
+function reportFocus() {
+	send({ type: 'focus', visible: document.visibilityState === 'visible', focused: document.hasFocus() });
+}
+
+function listenForPageEvents() {
+	document.addEventListener('visibilitychange', reportFocus);
+	window.addEventListener('focus', reportFocus);
+	window.addEventListener('pagehide', function () { send({ type: 'detach' }); });
+	// Restored from the back/forward cache after detaching
+	window.addEventListener('pageshow', function (e) {
+		if (e.persisted) resync();
+	});
+}
+
+function createTabId() {
+	if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+		return crypto.randomUUID();
+	}
+	return Date.now().toString(36) + Math.random().toString(36).slice(2);
+}
@@ -0,0 +1,51 @@
+// PWA install prompt for InstallPromptBanner.razor. app.js calls capture() at startup so the
+// beforeinstallprompt event isn't missed before Blazor has rendered the banner.
+var deferredPrompt = null;
+var installable = false;
+
+/**
+ * Starts listening for beforeinstallprompt and appinstalled.
+ */
+export function capture() {
+	window.addEventListener('beforeinstallprompt', function (e) {
+		e.preventDefault();
+		deferredPrompt = e;
+		installable = true;
+	});
+
+	window.addEventListener('appinstalled', function () {
+		deferredPrompt = null;
+		installable = false;
+	});
+}
+
+/**
+ * Returns true when the app is in standalone/installed mode
+ * @returns {boolean}
+ */
+export function isStandalone() {
+	return window.matchMedia('(display-mode: standalone)').matches
+		|| window.navigator.standalone === true;
+}
+
+/**
+ * @returns {boolean}
+ */
+export function checkAvailable() {
+	// Don't show install prompt if already installed
+	if (isStandalone()) return false;
+	return installable;
+}
+
+/**
+ * @returns {Promise<boolean>} True when the user accepted.
+ */
+export function prompt() {
+	if (!deferredPrompt) return Promise.resolve(false);
+	deferredPrompt.prompt();
+	return deferredPrompt.userChoice.then(function (result) {
+		deferredPrompt = null;
+		installable = false;
+		return result.outcome === 'accepted';
+	});
+}
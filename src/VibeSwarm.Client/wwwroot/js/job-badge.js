@@ -0,0 +1,151 @@
+// Running and waiting job counts for when VibeSwarm sits in a background tab or runs as an installed app: a prefix
+// on document.title, a dot over the favicon and the app icon badge (App Badging API). JobActivityBadgeService
+// calls update() as the JobStatusChanged and JobInteractionRequired hub events arrive.
+
+var TITLE_PREFIX_PATTERN = /^\([0-9]+[▶⏸](?: [0-9]+⏸)?\) /;
+var FAVICON_SOURCE = '/favicon-96x96.png';
+var FAVICON_SIZE = 64;
+var RUNNING_COLOR = '#0d6efd';
+var WAITING_COLOR = '#ffc107';
+
+var counts = { running: 0, waiting: 0 };
+var titleObserver = null;
+var originalIcons = null;
+var faviconImage = null;
+var faviconVersion = 0;
+
+/**
+ * @param {number} running Jobs currently executing.
+ * @param {number} waiting Jobs paused until someone answers them.
+ */
+export function update(running, waiting) {
+	counts = { running: Math.max(0, running | 0), waiting: Math.max(0, waiting | 0) };
+	observeTitle();
+	applyTitle();
+	applyFavicon();
+	applyAppBadge();
+}
+
+function getTitlePrefix() {
+	var parts = [];
+	if (counts.running > 0) parts.push(counts.running + '▶');
+	if (counts.waiting > 0) parts.push(counts.waiting + '⏸');
+	return parts.length > 0 ? '(' + parts.join(' ') + ') ' : '';
+}
+
+function applyTitle() {
+	var title = getTitlePrefix() + document.title.replace(TITLE_PREFIX_PATTERN, '');
+	if (document.title !== title) {
+		document.title = title;
+	}
+}
+
+// Page components replace the title on navigation, so the prefix is put back whenever the head changes
+function observeTitle() {
+	if (titleObserver || typeof MutationObserver !== 'function') return;
+
+	// applyTitle only writes when the text differs, so its own change does not trigger another write
+	titleObserver = new MutationObserver(applyTitle);
+	titleObserver.observe(document.head, { childList: true, subtree: true, characterData: true });
+}
+
+function getIconLinks() {
+	return Array.prototype.slice.call(document.querySelectorAll('link[rel="icon"]'));
+}
+
+async function applyFavicon() {
+	var version = ++faviconVersion;
+	var total = counts.running + counts.waiting;
+	if (total === 0) {
+		restoreFavicon();
+		return;
+	}
+
+	var href;
+	try {
+		href = await drawFavicon(total, counts.waiting > 0 ? WAITING_COLOR : RUNNING_COLOR);
+	} catch (e) {
+		return;
+	}
+	// A later update may have finished first
+	if (version !== faviconVersion) return;
+
+	if (!originalIcons) {
+		originalIcons = getIconLinks().map(function (link) {
+			return { link: link, href: link.getAttribute('href'), type: link.getAttribute('type') };
+		});
+	}
+	originalIcons.forEach(function (icon) {
+		icon.link.setAttribute('type', 'image/png');
+		icon.link.setAttribute('href', href);
+	});
+}
+
+function restoreFavicon() {
+	if (!originalIcons) return;
+
+	originalIcons.forEach(function (icon) {
+		icon.link.setAttribute('href', icon.href);
+		if (icon.type) icon.link.setAttribute('type', icon.type);
+		else icon.link.removeAttribute('type');
+	});
+	originalIcons = null;
+}
+
+async function drawFavicon(total, color) {
+	var image = await loadFaviconImage();
+	var canvas = document.createElement('canvas');
+	canvas.width = FAVICON_SIZE;
+	canvas.height = FAVICON_SIZE;
+
+	var ctx = canvas.getContext('2d');
+	ctx.drawImage(image, 0, 0, FAVICON_SIZE, FAVICON_SIZE);
+
+	var radius = FAVICON_SIZE * 0.3;
+	var centerX = FAVICON_SIZE - radius;
+	var centerY = FAVICON_SIZE - radius;
+	ctx.beginPath();
+	ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+	ctx.fillStyle = color;
+	ctx.fill();
+	ctx.lineWidth = FAVICON_SIZE * 0.05;
+	ctx.strokeStyle = '#ffffff';
+	ctx.stroke();
+
+	ctx.fillStyle = color === WAITING_COLOR ? '#000000' : '#ffffff';
+	ctx.font = 'bold ' + Math.round(radius * 1.3) + 'px system-ui, sans-serif';
+	ctx.textAlign = 'center';
+	ctx.textBaseline = 'middle';
+	ctx.fillText(total > 9 ? '9+' : String(total), centerX, centerY + 1);
+
+	return canvas.toDataURL('image/png');
+}
+
+function loadFaviconImage() {
+	if (!faviconImage) {
+		faviconImage = new Promise(function (resolve, reject) {
+			var image = new Image();
+			image.onload = function () { resolve(image); };
+			image.onerror = function () {
+				faviconImage = null;
+				reject(new Error('Unable to load the favicon.'));
+			};
+			image.src = FAVICON_SOURCE;
+		});
+	}
+	return faviconImage;
+}
+
+function applyAppBadge() {
+	var total = counts.running + counts.waiting;
+	var request = null;
+	if (total > 0 && typeof navigator.setAppBadge === 'function') {
+		request = navigator.setAppBadge(total);
+	} else if (total === 0 && typeof navigator.clearAppBadge === 'function') {
+		request = navigator.clearAppBadge();
+	}
+	// Browsers reject badging outside an installed app; the title and favicon still show the counts
+	if (request && typeof request.catch === 'function') {
+		request.catch(function () { });
+	}
+}
@@ -0,0 +1,226 @@
+// Keybinding registry. Components register their shortcuts through KeyboardShortcutService; one document
+// listener matches key presses (including multi-key sequences such as "g j") against every registered scope.
+// Bindings use the syntax from KeyboardShortcutCatalog: space-separated chords like "mod+k", "g j" or "?".
+
+var SEQUENCE_TIMEOUT_MS = 1200;
+
+/** @type {Map<string, { dotNetRef: object, defaults: Record<string, string>, order: number }>} */
+var registrations = new Map();
+/** @type {Record<string, string>} */
+var overrides = {};
+var registrationCounter = 0;
+var pendingChords = [];
+var pendingTimer = null;
+var listening = false;
+
+/**
+ * @typedef {object} ShortcutConflict
+ * @property {string} keys
+ * @property {string[]} ids
+ */
+
+/**
+ * Registers (or replaces) the shortcuts one component handles.
+ * @param {string} registrationId Unique per component instance.
+ * @param {object} dotNetRef Receives InvokeShortcut(id).
+ * @param {Record<string, string>} defaults Action id to default binding.
+ * @returns {ShortcutConflict[]} Conflicts across everything registered after this call.
+ */
+export function register(registrationId, dotNetRef, defaults) {
+	registrations.set(registrationId, {
+		dotNetRef: dotNetRef,
+		defaults: defaults || {},
+		order: ++registrationCounter
+	});
+	ensureListener();
+
+	return getConflicts();
+}
+
+/**
+ * @param {string} registrationId
+ */
+export function unregister(registrationId) {
+	registrations.delete(registrationId);
+	resetSequence();
+}
+
+/**
+ * Applies the user's saved bindings. Actions missing from the map keep their default; an empty string disables one.
+ * @param {Record<string, string> | null} bindings
+ */
+export function setOverrides(bindings) {
+	overrides = bindings || {};
+	resetSequence();
+}
+
+/**
+ * Active shortcuts that share a binding, or where one binding starts another's sequence.
+ * The same action registered by two component instances is not a conflict.
+ * @returns {ShortcutConflict[]}
+ */
+export function getConflicts() {
+	var bindings = collectBindings();
+	var conflicts = [];
+
+	for (var i = 0; i < bindings.length; i++) {
+		for (var j = i + 1; j < bindings.length; j++) {
+			var first = bindings[i];
+			var second = bindings[j];
+			if (first.id === second.id) {
+				continue;
+			}
+
+			if (first.keys === second.keys
+				|| second.keys.indexOf(first.keys + ' ') === 0
+				|| first.keys.indexOf(second.keys + ' ') === 0) {
+				conflicts.push({ keys: first.keys === second.keys ? first.keys : first.keys + ' / ' + second.keys, ids: [first.id, second.id] });
+			}
+		}
+	}
+
+	return conflicts;
+}
+
+/**
+ * Action ids with a handler on the current page.
+ * @returns {string[]}
+ */
+export function getActiveIds() {
+	var ids = [];
+	collectBindings().forEach(function (binding) {
+		if (ids.indexOf(binding.id) < 0) {
+			ids.push(binding.id);
+		}
+	});
+	return ids;
+}
+
+function ensureListener() {
+	if (!listening) {
+		document.addEventListener('keydown', handleKeyDown);
+		listening = true;
+	}
+}
+
+// Newest registration first, so a freshly mounted component wins when the same action is registered twice
+function collectBindings() {
+	var entries = Array.from(registrations.values()).sort(function (a, b) {
+		return b.order - a.order;
+	});
+	var bindings = [];
+
+	entries.forEach(function (entry) {
+		Object.keys(entry.defaults).forEach(function (id) {
+			var keys = Object.prototype.hasOwnProperty.call(overrides, id) ? overrides[id] : entry.defaults[id];
+			if (keys) {
+				bindings.push({ id: id, keys: keys, dotNetRef: entry.dotNetRef });
+			}
+		});
+	});
+
+	return bindings;
+}
+
+function handleKeyDown(e) {
+	if (e.defaultPrevented || e.isComposing) {
+		return;
+	}
+
+	var chord = toChord(e);
+	if (!chord) {
+		return;
+	}
+
+	// Plain keys stay with text fields and open dialogs; chords with Ctrl/Cmd still work there
+	var hasMod = chord.indexOf('mod+') === 0;
+	if (!hasMod && (isEditable(e.target) || document.body.classList.contains('vs-modal-open'))) {
+		resetSequence();
+		return;
+	}
+
+	var bindings = collectBindings();
+	if (tryMatch(bindings, pendingChords.concat(chord), e)) {
+		return;
+	}
+
+	// The pending sequence went nowhere; the key may still start or finish something on its own
+	if (pendingChords.length > 0) {
+		resetSequence();
+		tryMatch(bindings, [chord], e);
+	}
+}
+
+function tryMatch(bindings, chords, e) {
+	var typed = chords.join(' ');
+	var exact = null;
+	var isPrefix = false;
+
+	bindings.forEach(function (binding) {
+		if (binding.keys === typed) {
+			exact = exact || binding;
+		} else if (binding.keys.indexOf(typed + ' ') === 0) {
+			isPrefix = true;
+		}
+	});
+
+	if (exact) {
+		e.preventDefault();
+		resetSequence();
+		exact.dotNetRef.invokeMethodAsync('InvokeShortcut', exact.id).catch(function () { });
+		return true;
+	}
+
+	if (isPrefix) {
+		e.preventDefault();
+		pendingChords = chords;
+		clearTimeout(pendingTimer);
+		pendingTimer = setTimeout(resetSequence, SEQUENCE_TIMEOUT_MS);
+		return true;
+	}
+
+	return false;
+}
+
+function resetSequence() {
+	pendingChords = [];
+	clearTimeout(pendingTimer);
+	pendingTimer = null;
+}
+
+// Mirrors KeyboardShortcutCatalog.TryNormalize: shift is only kept for letters and named keys,
+// because a shifted symbol already arrives as its own character ("?" rather than "shift+/").
+function toChord(e) {
+	var key = e.key;
+	if (!key || key === 'Shift' || key === 'Control' || key === 'Alt' || key === 'Meta' || key === 'Dead') {
+		return null;
+	}
+
+	if (key === ' ') {
+		key = 'space';
+	}
+
+	var isSymbol = key.length === 1 && !/[a-z]/i.test(key);
+	var parts = [];
+	if (e.ctrlKey || e.metaKey) {
+		parts.push('mod');
+	}
+	if (e.altKey) {
+		parts.push('alt');
+	}
+	if (e.shiftKey && !isSymbol) {
+		parts.push('shift');
+	}
+
+	parts.push(key.toLowerCase());
+	return parts.join('+');
+}
+
+function isEditable(target) {
+	if (!target || !target.tagName) {
+		return false;
+	}
+
+	var tag = target.tagName;
+	return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || target.isContentEditable;
+}
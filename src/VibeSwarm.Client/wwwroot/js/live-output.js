@@ -0,0 +1,43 @@
+// Stick-to-bottom scrolling for live job output (JobSessionPanel.razor). Scrolling up
+// pauses auto-scroll until the user returns to the bottom.
+
+/**
+ * @param {HTMLElement} element
+ * @returns {boolean}
+ */
+export function isNearBottom(element) {
+	if (!element) {
+		return false;
+	}
+
+	return element.scrollHeight - element.scrollTop - element.clientHeight <= 4;
+}
+
+/**
+ * @param {HTMLElement} element
+ */
+export function sync(element) {
+	if (!element) {
+		return;
+	}
+
+	var shouldStick = element.dataset.vsAutoscroll !== 'false';
+	if (shouldStick) {
+		var reduceMotion = window.vibeSwarmTheme && window.vibeSwarmTheme.prefersReducedMotion();
+		element.scrollTo({
+			top: element.scrollHeight,
+			behavior: reduceMotion ? 'instant' : 'smooth'
+		});
+	}
+
+	var updateAutoscrollState = function () {
+		element.dataset.vsAutoscroll = isNearBottom(element) ? 'true' : 'false';
+	};
+
+	if (!element.dataset.vsAutoscrollInitialized) {
+		element.dataset.vsAutoscrollInitialized = 'true';
+		element.addEventListener('scroll', updateAutoscrollState, { passive: true });
+	}
+
+	updateAutoscrollState();
+}
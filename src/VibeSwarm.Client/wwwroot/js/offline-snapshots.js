@@ -0,0 +1,42 @@
+// Offline snapshots: the service worker answers snapshot-eligible API requests from its saved
+// copy first and tells the page once the background refresh is done. Subscribers
+// (OfflineSnapshotBanner.razor) receive the outcome through a DotNetObjectReference.
+
+var subscribers = {};
+var nextSubscriptionId = 1;
+
+function deliver(method, value) {
+	Object.keys(subscribers).forEach(function (subscriptionId) {
+		subscribers[subscriptionId].invokeMethodAsync(method, value).catch(function () {
+			// The component was disposed without unsubscribing
+			delete subscribers[subscriptionId];
+		});
+	});
+}
+
+if ('serviceWorker' in navigator) {
+	navigator.serviceWorker.addEventListener('message', function (event) {
+		if (event.data && event.data.type === 'SNAPSHOT_REFRESHED') {
+			deliver('OnSnapshotRefreshed', event.data.path);
+		} else if (event.data && event.data.type === 'SNAPSHOT_OFFLINE') {
+			deliver('OnSnapshotOffline', event.data.savedAt);
+		}
+	});
+}
+
+/**
+ * @param {object} dotNetRef Receives OnSnapshotRefreshed(path) and OnSnapshotOffline(savedAt).
+ * @returns {number} Subscription id for unsubscribe().
+ */
+export function subscribe(dotNetRef) {
+	var subscriptionId = nextSubscriptionId++;
+	subscribers[subscriptionId] = dotNetRef;
+	return subscriptionId;
+}
+
+/**
+ * @param {number} subscriptionId
+ */
+export function unsubscribe(subscriptionId) {
+	delete subscribers[subscriptionId];
+}
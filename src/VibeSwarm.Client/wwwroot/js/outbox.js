@@ -0,0 +1,66 @@
+// Offline outbox: actions the service worker queued while the network was down.
+// The service worker owns the queue; this module talks to it over a MessageChannel.
+/**
+ * @typedef {{items: Array<object>, backgroundSync: boolean}} OutboxState
+ */
+
+var listeners = [];
+var emptyState = { items: [], backgroundSync: false };
+
+function send(message) {
+	if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) {
+		return Promise.resolve(emptyState);
+	}
+
+	return new Promise(function (resolve, reject) {
+		var channel = new MessageChannel();
+		channel.port1.onmessage = function (event) {
+			if (event.data && event.data.error) {
+				reject(new Error(event.data.error));
+			} else {
+				resolve(event.data || emptyState);
+			}
+		};
+		navigator.serviceWorker.controller.postMessage(message, [channel.port2]);
+	});
+}
+
+if ('serviceWorker' in navigator) {
+	navigator.serviceWorker.addEventListener('message', function (event) {
+		if (event.data && event.data.type === 'OUTBOX_CHANGED') {
+			listeners.forEach(function (dotNetRef) {
+				dotNetRef.invokeMethodAsync('OnOutboxChanged').catch(function () { });
+			});
+		}
+	});
+}
+
+/**
+ * @returns {Promise<OutboxState>}
+ */
+export function list() {
+	return send({ type: 'OUTBOX_LIST' });
+}
+
+/**
+ * @param {string} [id] A rejected item to return to the pending state first.
+ * @returns {Promise<OutboxState>}
+ */
+export function retry(id) {
+	return send({ type: 'OUTBOX_RETRY', id: id || null });
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<OutboxState>}
+ */
+export function discard(id) {
+	return send({ type: 'OUTBOX_DISCARD', id: id });
+}
+
+/**
+ * @param {object} dotNetRef Receives OnOutboxChanged().
+ */
+export function subscribe(dotNetRef) {
+	listeners.push(dotNetRef);
+}
@@ -0,0 +1,564 @@
+// Virtualized job output viewer used by LiveOutputPanel.razor. Rows live in a ring buffer
+// and only the visible slice is in the DOM, so long runs stay responsive.
+import { isNearBottom } from './live-output.js';
+
+/**
+ * @typedef {{lineCount: number, matchCount: number, matchIndex: number, invalidPattern: boolean}} ViewerState
+ */
+
+var DEFAULT_CAPACITY = 50000;
+var OVERSCAN_ROWS = 20;
+var FALLBACK_ROW_HEIGHT = 20;
+var viewers = {};
+var nextViewerId = 1;
+
+// Fixed-size ring buffer of output rows. Every row gets an increasing sequence
+// number so the filtered view and search matches can refer to rows cheaply.
+function RingBuffer(capacity) {
+	this.capacity = capacity;
+	this.items = new Array(capacity);
+	this.start = 0;
+	this.count = 0;
+	this.nextSeq = 0;
+}
+
+// Returns true when the oldest row was evicted to make room
+RingBuffer.prototype.push = function (item) {
+	item.seq = this.nextSeq++;
+	if (this.count < this.capacity) {
+		this.items[(this.start + this.count) % this.capacity] = item;
+		this.count++;
+		return false;
+	}
+
+	this.items[this.start] = item;
+	this.start = (this.start + 1) % this.capacity;
+	return true;
+};
+
+RingBuffer.prototype.firstSeq = function () {
+	return this.nextSeq - this.count;
+};
+
+RingBuffer.prototype.get = function (seq) {
+	var offset = seq - this.firstSeq();
+	if (offset < 0 || offset >= this.count) {
+		return null;
+	}
+
+	return this.items[(this.start + offset) % this.capacity];
+};
+
+RingBuffer.prototype.clear = function () {
+	this.items = new Array(this.capacity);
+	this.start = 0;
+	this.count = 0;
+};
+
+// Index of the first entry in a sorted array that is >= value
+function lowerBound(values, value) {
+	var low = 0;
+	var high = values.length;
+	while (low < high) {
+		var mid = (low + high) >>> 1;
+		if (values[mid] < value) {
+			low = mid + 1;
+		} else {
+			high = mid;
+		}
+	}
+
+	return low;
+}
+
+function matchesFilter(row, filter) {
+	switch (filter) {
+		case 'text':
+			return !row.isThinking && (!row.category || row.category === 'text');
+		case 'thinking':
+			return row.isThinking;
+		case 'tool':
+			return row.category === 'tool';
+		default:
+			return true;
+	}
+}
+
+function escapeRegex(value) {
+	return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function measureRowHeight(viewer) {
+	var probe = buildRow(viewer, { time: '00:00:00', text: 'M', seq: -1 });
+	viewer.rows.appendChild(probe);
+	var height = probe.getBoundingClientRect().height;
+	viewer.rows.removeChild(probe);
+	return height > 0 ? height : FALLBACK_ROW_HEIGHT;
+}
+
+function appendHighlighted(target, text, pattern) {
+	if (!pattern) {
+		target.textContent = text;
+		return;
+	}
+
+	var last = 0;
+	var match;
+	pattern.lastIndex = 0;
+	while ((match = pattern.exec(text)) !== null) {
+		if (match[0].length === 0) {
+			pattern.lastIndex++;
+			continue;
+		}
+
+		if (match.index > last) {
+			target.appendChild(document.createTextNode(text.slice(last, match.index)));
+		}
+
+		var mark = document.createElement('mark');
+		mark.className = 'output-match';
+		mark.textContent = match[0];
+		target.appendChild(mark);
+		last = match.index + match[0].length;
+	}
+
+	if (last < text.length) {
+		target.appendChild(document.createTextNode(text.slice(last)));
+	}
+}
+
+function buildRow(viewer, row) {
+	var element = document.createElement('div');
+	element.className = 'output-line output-viewer-row d-flex gap-2 '
+		+ (row.isThinking ? 'output-thinking' : row.isError ? 'output-error' : 'output-stdout')
+		+ (row.seq === viewer.focusSeq ? ' output-line-focus' : '');
+
+	var time = document.createElement('span');
+	time.className = 'output-time flex-shrink-0 small d-none d-sm-inline';
+	time.textContent = '[' + row.time + ']';
+	element.appendChild(time);
+
+	if (row.isThinking) {
+		var icon = document.createElement('span');
+		icon.className = 'output-icon flex-shrink-0';
+		icon.title = 'Thinking';
+		icon.textContent = '\uD83D\uDCA1';
+		element.appendChild(icon);
+	}
+
+	var text = document.createElement('span');
+	text.className = row.isThinking ? 'output-text fst-italic text-body-secondary' : 'output-text';
+	if (row.segments) {
+		row.segments.forEach(function (segment) {
+			text.appendChild(buildSegment(viewer, segment));
+		});
+	} else {
+		appendHighlighted(text, row.text, viewer.highlightPattern);
+	}
+
+	element.appendChild(text);
+	return element;
+}
+
+// Segments come pre-parsed and sanitized from AnsiTextParser: ANSI styles, OSC-8
+// hyperlinks (http, https and file only) and references to project files.
+function buildSegment(viewer, segment) {
+	var node;
+	if (segment.filePath) {
+		node = document.createElement('a');
+		node.href = '';
+		node.className = 'ansi-file-link';
+		node.title = 'Open ' + segment.filePath;
+		node.dataset.file = segment.filePath;
+		if (segment.fileLine) {
+			node.dataset.line = String(segment.fileLine);
+		}
+	} else if (segment.href) {
+		node = document.createElement('a');
+		node.href = segment.href;
+		node.target = '_blank';
+		node.rel = 'noopener noreferrer';
+	} else {
+		node = document.createElement('span');
+	}
+
+	if (segment.cssClass) {
+		node.className = (node.className ? node.className + ' ' : '') + segment.cssClass;
+	}
+
+	if (segment.style) {
+		node.style.cssText = segment.style;
+	}
+
+	appendHighlighted(node, segment.text || '', viewer.highlightPattern);
+	return node;
+}
+
+function render(viewer) {
+	viewer.frame = 0;
+	var element = viewer.element;
+	var total = viewer.view.length;
+	var first = Math.max(0, Math.floor(element.scrollTop / viewer.rowHeight) - OVERSCAN_ROWS);
+	var last = Math.min(total, Math.ceil((element.scrollTop + element.clientHeight) / viewer.rowHeight) + OVERSCAN_ROWS);
+	var fragment = document.createDocumentFragment();
+
+	for (var index = first; index < last; index++) {
+		var row = viewer.buffer.get(viewer.view[index]);
+		if (row) {
+			fragment.appendChild(buildRow(viewer, row));
+		}
+	}
+
+	viewer.rows.style.transform = 'translateY(' + (first * viewer.rowHeight) + 'px)';
+	viewer.rows.replaceChildren(fragment);
+}
+
+function scheduleRender(viewer) {
+	if (!viewer.frame) {
+		viewer.frame = requestAnimationFrame(function () {
+			render(viewer);
+		});
+	}
+}
+
+// Resizes the scroll area, then either sticks to the bottom or keeps the rows the
+// user is reading in place when older rows were evicted above them.
+function layout(viewer, droppedRows) {
+	var element = viewer.element;
+	viewer.spacer.style.height = (viewer.view.length * viewer.rowHeight) + 'px';
+
+	if (viewer.stick) {
+		element.scrollTop = element.scrollHeight;
+	} else if (droppedRows > 0) {
+		element.scrollTop = Math.max(0, element.scrollTop - droppedRows * viewer.rowHeight);
+	}
+
+	scheduleRender(viewer);
+}
+
+function getState(viewer) {
+	return {
+		lineCount: viewer.view.length,
+		matchCount: viewer.matches.length,
+		matchIndex: viewer.matchIndex + 1,
+		invalidPattern: viewer.invalidPattern
+	};
+}
+
+function collectMatches(viewer) {
+	viewer.matches = [];
+	if (!viewer.testPattern) {
+		return;
+	}
+
+	for (var index = 0; index < viewer.view.length; index++) {
+		var row = viewer.buffer.get(viewer.view[index]);
+		if (row && viewer.testPattern.test(row.text)) {
+			viewer.matches.push(row.seq);
+		}
+	}
+}
+
+function rebuildView(viewer) {
+	viewer.view = [];
+	for (var seq = viewer.buffer.firstSeq(); seq < viewer.buffer.nextSeq; seq++) {
+		var row = viewer.buffer.get(seq);
+		if (row && matchesFilter(row, viewer.filter)) {
+			viewer.view.push(seq);
+		}
+	}
+
+	collectMatches(viewer);
+	viewer.matchIndex = -1;
+}
+
+// Drops evicted rows from the view and matches; returns how many view rows went
+function trimEvicted(viewer) {
+	var firstSeq = viewer.buffer.firstSeq();
+	var droppedRows = lowerBound(viewer.view, firstSeq);
+	if (droppedRows > 0) {
+		viewer.view.splice(0, droppedRows);
+	}
+
+	var droppedMatches = lowerBound(viewer.matches, firstSeq);
+	if (droppedMatches > 0) {
+		viewer.matches.splice(0, droppedMatches);
+		viewer.matchIndex = Math.max(-1, viewer.matchIndex - droppedMatches);
+	}
+
+	return droppedRows;
+}
+
+function reveal(viewer, seq) {
+	var element = viewer.element;
+	var index = lowerBound(viewer.view, seq);
+	viewer.focusSeq = seq;
+	element.scrollTop = Math.max(0, index * viewer.rowHeight - (element.clientHeight - viewer.rowHeight) / 2);
+	viewer.stick = isNearBottom(element);
+	scheduleRender(viewer);
+}
+
+/**
+ * @param {HTMLElement} element
+ * @param {number} capacity Maximum rows kept; older rows are evicted.
+ * @param {object} [dotNetRef] Receives OpenFile(path, line) when a file link is clicked.
+ * @returns {number} Viewer id passed to the other exports.
+ */
+export function create(element, capacity, dotNetRef) {
+	if (!element) {
+		return 0;
+	}
+
+	var spacer = document.createElement('div');
+	spacer.className = 'output-viewer-spacer';
+	var rows = document.createElement('div');
+	rows.className = 'output-viewer-rows';
+	spacer.appendChild(rows);
+	element.replaceChildren(spacer);
+
+	var viewer = {
+		element: element,
+		spacer: spacer,
+		rows: rows,
+		buffer: new RingBuffer(capacity > 0 ? capacity : DEFAULT_CAPACITY),
+		filter: 'all',
+		view: [],
+		matches: [],
+		matchIndex: -1,
+		testPattern: null,
+		highlightPattern: null,
+		invalidPattern: false,
+		focusSeq: null,
+		stick: true,
+		frame: 0,
+		rowHeight: FALLBACK_ROW_HEIGHT
+	};
+
+	viewer.rowHeight = measureRowHeight(viewer);
+	viewer.onScroll = function () {
+		viewer.stick = isNearBottom(element);
+		scheduleRender(viewer);
+	};
+	element.addEventListener('scroll', viewer.onScroll, { passive: true });
+	viewer.onClick = function (event) {
+		var link = event.target.closest ? event.target.closest('a.ansi-file-link') : null;
+		if (!link || !element.contains(link)) {
+			return;
+		}
+
+		event.preventDefault();
+		if (dotNetRef) {
+			dotNetRef.invokeMethodAsync('OpenFile', link.dataset.file,
+				link.dataset.line ? parseInt(link.dataset.line, 10) : null);
+		}
+	};
+	element.addEventListener('click', viewer.onClick);
+
+	var id = nextViewerId++;
+	viewers[id] = viewer;
+	layout(viewer, 0);
+	return id;
+}
+
+/**
+ * Appends a batch of { time, text, isError, isThinking, category, segments } lines.
+ * Multi-line content is split so every row keeps the same height; lines with
+ * styled segments are already one row each.
+ * @param {number} id
+ * @param {Array<object>} lines
+ * @returns {ViewerState | null}
+ */
+export function append(id, lines) {
+	var viewer = viewers[id];
+	if (!viewer) {
+		return null;
+	}
+
+	var evicted = false;
+	(lines || []).forEach(function (line) {
+		var parts = line.segments ? [String(line.text || '')] : String(line.text || '').split(/\r?\n/);
+		if (parts.length > 1 && parts[parts.length - 1] === '') {
+			parts.pop();
+		}
+
+		parts.forEach(function (text) {
+			var row = {
+				time: line.time || '',
+				text: text,
+				isError: !!line.isError,
+				isThinking: !!line.isThinking,
+				category: line.category || null,
+				segments: line.segments || null
+			};
+
+			if (viewer.buffer.push(row)) {
+				evicted = true;
+			}
+
+			if (matchesFilter(row, viewer.filter)) {
+				viewer.view.push(row.seq);
+				if (viewer.testPattern && viewer.testPattern.test(text)) {
+					viewer.matches.push(row.seq);
+				}
+			}
+		});
+	});
+
+	layout(viewer, evicted ? trimEvicted(viewer) : 0);
+	return getState(viewer);
+}
+
+/**
+ * @param {number} id
+ * @param {string} filter 'all', 'text', 'thinking' or 'tool'.
+ * @returns {ViewerState | null}
+ */
+export function setFilter(id, filter) {
+	var viewer = viewers[id];
+	if (!viewer) {
+		return null;
+	}
+
+	viewer.filter = filter || 'all';
+	viewer.focusSeq = null;
+	viewer.stick = true;
+	rebuildView(viewer);
+	layout(viewer, 0);
+	return getState(viewer);
+}
+
+/**
+ * Case-insensitive regex search; input that isn't a valid pattern is searched literally
+ * @param {number} id
+ * @param {string} query
+ * @returns {ViewerState | null}
+ */
+export function search(id, query) {
+	var viewer = viewers[id];
+	if (!viewer) {
+		return null;
+	}
+
+	var source = String(query || '');
+	viewer.invalidPattern = false;
+	viewer.focusSeq = null;
+
+	if (!source) {
+		viewer.testPattern = null;
+		viewer.highlightPattern = null;
+	} else {
+		try {
+			new RegExp(source);
+		} catch (e) {
+			viewer.invalidPattern = true;
+			source = escapeRegex(source);
+		}
+
+		viewer.testPattern = new RegExp(source, 'i');
+		viewer.highlightPattern = new RegExp(source, 'gi');
+	}
+
+	collectMatches(viewer);
+	viewer.matchIndex = viewer.matches.length > 0 ? 0 : -1;
+	if (viewer.matchIndex >= 0) {
+		reveal(viewer, viewer.matches[0]);
+	} else {
+		scheduleRender(viewer);
+	}
+
+	return getState(viewer);
+}
+
+function step(id, direction) {
+	var viewer = viewers[id];
+	if (!viewer) {
+		return null;
+	}
+
+	var count = viewer.matches.length;
+	if (count > 0) {
+		viewer.matchIndex = viewer.matchIndex < 0
+			? (direction < 0 ? count - 1 : 0)
+			: (viewer.matchIndex + (direction < 0 ? -1 : 1) + count) % count;
+		reveal(viewer, viewer.matches[viewer.matchIndex]);
+	}
+
+	return getState(viewer);
+}
+
+/**
+ * @param {number} id
+ * @returns {boolean} False when no visible row is an error.
+ */
+export function jumpToFirstError(id) {
+	var viewer = viewers[id];
+	if (!viewer) {
+		return false;
+	}
+
+	for (var index = 0; index < viewer.view.length; index++) {
+		var row = viewer.buffer.get(viewer.view[index]);
+		if (row && row.isError) {
+			reveal(viewer, row.seq);
+			return true;
+		}
+	}
+
+	return false;
+}
+
+/**
+ * @param {number} id
+ * @returns {ViewerState | null}
+ */
+export function clear(id) {
+	var viewer = viewers[id];
+	if (!viewer) {
+		return null;
+	}
+
+	viewer.buffer.clear();
+	viewer.view = [];
+	viewer.matches = [];
+	viewer.matchIndex = -1;
+	viewer.focusSeq = null;
+	viewer.stick = true;
+	layout(viewer, 0);
+	return getState(viewer);
+}
+
+/**
+ * @param {number} id
+ */
+export function dispose(id) {
+	var viewer = viewers[id];
+	if (!viewer) {
+		return;
+	}
+
+	if (viewer.frame) {
+		cancelAnimationFrame(viewer.frame);
+	}
+
+	viewer.element.removeEventListener('scroll', viewer.onScroll);
+	viewer.element.removeEventListener('click', viewer.onClick);
+	viewer.element.replaceChildren();
+	delete viewers[id];
+}
+
+
+/**
+ * @param {number} id
+ * @returns {ViewerState | null}
+ */
+export function next(id) {
+	return step(id, 1);
+}
+
+/**
+ * @param {number} id
+ * @returns {ViewerState | null}
+ */
+export function previous(id) {
+	return step(id, -1);
+}
@@ -0,0 +1,174 @@
+// Always-on-top mini monitor for JobMiniMonitor.razor. The view lives in a Document Picture-in-Picture window where
+// the browser has the API and in a small popup elsewhere. Blazor cannot render into another window, so the view is
+// plain DOM built here from the page's stylesheets and refreshed through update().
+var current = null;
+
+/**
+ * @param {any} dotNetRef Receives SubmitReply(text) and MonitorClosed().
+ * @param {string} title
+ * @returns {Promise<string|null>} 'pip' or 'popup', or null when no window could be opened.
+ */
+export async function open(dotNetRef, title) {
+	close();
+
+	var mode = 'pip';
+	var win = null;
+	if ('documentPictureInPicture' in window) {
+		try {
+			win = await window.documentPictureInPicture.requestWindow({ width: 380, height: 320 });
+		} catch (e) {
+			win = null;
+		}
+	}
+	if (!win) {
+		mode = 'popup';
+		win = window.open('', 'vibeswarm-job-monitor', 'popup,width=400,height=360');
+	}
+	if (!win) return null;
+
+	var monitor = { win: win, mode: mode, dotNetRef: dotNetRef, fields: {}, closedTimer: null, closing: false };
+	current = monitor;
+	build(monitor, title);
+
+	win.addEventListener('pagehide', function () { notifyClosed(monitor); });
+	if (mode === 'popup') {
+		// Popups opened on about:blank do not reliably report their own closing
+		monitor.closedTimer = setInterval(function () {
+			if (win.closed) notifyClosed(monitor);
+		}, 1000);
+	}
+	return mode;
+}
+
+/**
+ * @param {{title: string, status: string, statusClass: string, activity: string|null, cost: string|null,
+ *   lines: string[], prompt: string|null, choices: string[]|null, isSubmitting: boolean, error: string|null}} state
+ */
+export function update(state) {
+	if (!current || current.win.closed) return;
+
+	var fields = current.fields;
+	current.win.document.title = state.title;
+	fields.title.textContent = state.title;
+	fields.title.title = state.title;
+	fields.status.textContent = state.status;
+	fields.status.className = 'badge ' + state.statusClass;
+	fields.cost.textContent = state.cost || '';
+	fields.activity.textContent = state.activity || '';
+	fields.activity.hidden = !state.activity;
+
+	var output = fields.output;
+	var stick = output.scrollHeight - output.scrollTop - output.clientHeight <= 4;
+	output.textContent = state.lines.join('\n');
+	if (stick) output.scrollTop = output.scrollHeight;
+
+	fields.reply.hidden = !state.prompt;
+	fields.prompt.textContent = state.prompt || '';
+	fields.error.textContent = state.error || '';
+	fields.input.disabled = state.isSubmitting;
+	fields.send.disabled = state.isSubmitting;
+	fields.choices.replaceChildren.apply(fields.choices, (state.choices || []).map(function (choice) {
+		var button = current.win.document.createElement('button');
+		button.type = 'button';
+		button.className = 'btn btn-sm btn-outline-primary';
+		button.textContent = choice;
+		button.disabled = state.isSubmitting;
+		button.addEventListener('click', function () { submit(choice); });
+		return button;
+	}));
+}
+
+export function close() {
+	var monitor = current;
+	if (!monitor) return;
+
+	monitor.closing = true;
+	current = null;
+	if (monitor.closedTimer) clearInterval(monitor.closedTimer);
+	if (!monitor.win.closed) monitor.win.close();
+}
+
+function build(monitor, title) {
+	var doc = monitor.win.document;
+	doc.title = title;
+	doc.documentElement.setAttribute('data-bs-theme', document.documentElement.getAttribute('data-bs-theme') || 'light');
+	// Theme classes and accent colours are set on the page's root element
+	doc.documentElement.className = document.documentElement.className;
+	doc.documentElement.style.cssText = document.documentElement.style.cssText;
+	doc.head.replaceChildren();
+	doc.body.replaceChildren();
+
+	var charset = doc.createElement('meta');
+	charset.setAttribute('charset', 'utf-8');
+	doc.head.appendChild(charset);
+	document.querySelectorAll('link[rel="stylesheet"], style').forEach(function (sheet) {
+		if (sheet.tagName === 'LINK') {
+			var link = doc.createElement('link');
+			link.rel = 'stylesheet';
+			link.href = sheet.href;
+			doc.head.appendChild(link);
+		} else {
+			var style = doc.createElement('style');
+			style.textContent = sheet.textContent;
+			doc.head.appendChild(style);
+		}
+	});
+
+	var root = element(doc, 'div', 'job-mini-monitor d-flex flex-column gap-2 p-2');
+	var header = element(doc, 'div', 'd-flex align-items-center gap-2 min-width-0');
+	monitor.fields.status = element(doc, 'span', 'badge');
+	monitor.fields.title = element(doc, 'strong', 'text-truncate small');
+	monitor.fields.cost = element(doc, 'span', 'ms-auto small text-body-secondary flex-shrink-0');
+	header.append(monitor.fields.status, monitor.fields.title, monitor.fields.cost);
+
+	monitor.fields.activity = element(doc, 'div', 'small text-body-secondary text-truncate');
+	monitor.fields.output = element(doc, 'pre', 'job-mini-monitor-output flex-grow-1 mb-0 p-2 rounded');
+
+	var reply = element(doc, 'form', 'd-flex flex-column gap-1 small');
+	reply.hidden = true;
+	monitor.fields.prompt = element(doc, 'div', 'fw-semibold job-mini-monitor-prompt');
+	monitor.fields.choices = element(doc, 'div', 'd-flex flex-wrap gap-1');
+	var group = element(doc, 'div', 'input-group input-group-sm');
+	monitor.fields.input = element(doc, 'input', 'form-control');
+	monitor.fields.input.type = 'text';
+	monitor.fields.input.placeholder = 'Reply...';
+	monitor.fields.input.setAttribute('aria-label', 'Reply to the job');
+	monitor.fields.send = element(doc, 'button', 'btn btn-primary');
+	monitor.fields.send.type = 'submit';
+	monitor.fields.send.textContent = 'Send';
+	group.append(monitor.fields.input, monitor.fields.send);
+	monitor.fields.error = element(doc, 'div', 'text-danger');
+	reply.append(monitor.fields.prompt, monitor.fields.choices, group, monitor.fields.error);
+	reply.addEventListener('submit', function (event) {
+		event.preventDefault();
+		var text = monitor.fields.input.value.trim();
+		if (!text) return;
+		monitor.fields.input.value = '';
+		submit(text);
+	});
+	monitor.fields.reply = reply;
+
+	root.append(header, monitor.fields.activity, monitor.fields.output, reply);
+	doc.body.appendChild(root);
+}
+
+function element(doc, tag, className) {
+	var node = doc.createElement(tag);
+	node.className = className;
+	return node;
+}
+
+function submit(text) {
+	if (!current) return;
+	current.dotNetRef.invokeMethodAsync('SubmitReply', text).catch(function () { });
+}
+
+function notifyClosed(monitor) {
+	if (monitor.closedTimer) clearInterval(monitor.closedTimer);
+	monitor.closedTimer = null;
+	if (current === monitor) current = null;
+	if (monitor.closing) return;
+
+	monitor.closing = true;
+	monitor.dotNetRef.invokeMethodAsync('MonitorClosed').catch(function () { });
+}
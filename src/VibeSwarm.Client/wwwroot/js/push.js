@@ -0,0 +1,127 @@
+// Web Push subscriptions for SettingsNotificationsTab.razor
+
+/**
+ * @typedef {{endpoint: string, p256dh: string, auth: string}} PushSubscriptionInfo
+ */
+
+/**
+ * @returns {boolean}
+ */
+export function isSupported() {
+	return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+function toUint8Array(base64Url) {
+	var padding = '='.repeat((4 - base64Url.length % 4) % 4);
+	var raw = atob((base64Url + padding).replace(/-/g, '+').replace(/_/g, '/'));
+	var bytes = new Uint8Array(raw.length);
+	for (var i = 0; i < raw.length; i++) {
+		bytes[i] = raw.charCodeAt(i);
+	}
+	return bytes;
+}
+
+function toSubscriptionInfo(subscription) {
+	if (!subscription) return null;
+	var json = subscription.toJSON();
+	return {
+		endpoint: json.endpoint,
+		p256dh: json.keys ? json.keys.p256dh : '',
+		auth: json.keys ? json.keys.auth : ''
+	};
+}
+
+async function getRegistration() {
+	if (!isSupported()) return null;
+	return await navigator.serviceWorker.getRegistration();
+}
+
+/**
+ * Best-effort label so devices are recognizable in Settings
+ * @returns {string}
+ */
+export function getDeviceName() {
+	var ua = navigator.userAgent || '';
+	var platform = /iPhone/.test(ua) ? 'iPhone'
+		: /iPad/.test(ua) ? 'iPad'
+		: /Android/.test(ua) ? 'Android'
+		: /Mac OS X/.test(ua) ? 'Mac'
+		: /Windows/.test(ua) ? 'Windows'
+		: /Linux/.test(ua) ? 'Linux'
+		: 'Device';
+	var browser = /Edg\//.test(ua) ? 'Edge'
+		: /Firefox\//.test(ua) ? 'Firefox'
+		: /Chrome\//.test(ua) ? 'Chrome'
+		: /Safari\//.test(ua) ? 'Safari'
+		: 'Browser';
+	return platform + ' · ' + browser;
+}
+
+/**
+ * @returns {NotificationPermission | 'unsupported'}
+ */
+export function getPermission() {
+	return isSupported() ? Notification.permission : 'unsupported';
+}
+
+/**
+ * @returns {Promise<PushSubscriptionInfo | null>}
+ */
+export async function getSubscription() {
+	var registration = await getRegistration();
+	if (!registration) return null;
+	return toSubscriptionInfo(await registration.pushManager.getSubscription());
+}
+
+/**
+ * Returns the subscription for this device, or null when permission is denied
+ * @param {string} publicKey VAPID public key, base64url encoded.
+ * @returns {Promise<PushSubscriptionInfo | null>}
+ */
+export async function subscribe(publicKey) {
+	if (!isSupported()) return null;
+	var permission = await Notification.requestPermission();
+	if (permission !== 'granted') return null;
+
+	var registration = await navigator.serviceWorker.ready;
+	var existing = await registration.pushManager.getSubscription();
+	if (existing) {
+		return toSubscriptionInfo(existing);
+	}
+
+	return toSubscriptionInfo(await registration.pushManager.subscribe({
+		userVisibleOnly: true,
+		applicationServerKey: toUint8Array(publicKey)
+	}));
+}
+
+/**
+ * Replaces this device's subscription with a new endpoint, for when the current one is registered to
+ * another account on the server
+ * @param {string} publicKey VAPID public key, base64url encoded.
+ * @returns {Promise<PushSubscriptionInfo | null>}
+ */
+export async function renew(publicKey) {
+	if (!isSupported() || Notification.permission !== 'granted') return null;
+
+	var registration = await navigator.serviceWorker.ready;
+	var existing = await registration.pushManager.getSubscription();
+	if (existing) {
+		await existing.unsubscribe();
+	}
+
+	return toSubscriptionInfo(await registration.pushManager.subscribe({
+		userVisibleOnly: true,
+		applicationServerKey: toUint8Array(publicKey)
+	}));
+}
+
+/**
+ * @returns {Promise<boolean>}
+ */
+export async function unsubscribe() {
+	var registration = await getRegistration();
+	if (!registration) return false;
+	var subscription = await registration.pushManager.getSubscription();
+	return subscription ? await subscription.unsubscribe() : false;
+}
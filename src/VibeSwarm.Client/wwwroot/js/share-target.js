@@ -0,0 +1,55 @@
+// Content shared to VibeSwarm from other apps through the Web Share Target in manifest.json. The service worker
+// keeps each share in IndexedDB; the share page claims it here, hands the files to its attachment zone and
+// discards the share once the idea is created.
+import { add } from './attachments.js';
+
+/**
+ * @typedef {{title: string, text: string, url: string, fileCount: number}} SharedContent
+ */
+
+async function send(message) {
+	if (!('serviceWorker' in navigator)) return { share: null };
+
+	// The share page is the redirect target of the service worker, but a hard reload can leave it uncontrolled
+	var registration = await navigator.serviceWorker.ready;
+	var worker = navigator.serviceWorker.controller || registration.active;
+	if (!worker) return { share: null };
+
+	return new Promise(function (resolve, reject) {
+		var channel = new MessageChannel();
+		channel.port1.onmessage = function (event) {
+			if (event.data && event.data.error) {
+				reject(new Error(event.data.error));
+			} else {
+				resolve(event.data || { share: null });
+			}
+		};
+		worker.postMessage(message, [channel.port2]);
+	});
+}
+
+/**
+ * Reads a share and adds its files to an AttachmentDropZone, which uploads them like dropped files.
+ * @param {string} id Share id from the /share?id= redirect.
+ * @param {HTMLElement} zoneElement Registered attachment zone.
+ * @returns {Promise<SharedContent | null>} Null when the share no longer exists.
+ */
+export async function claim(id, zoneElement) {
+	var result = await send({ type: 'SHARE_GET', id: id });
+	var share = result.share;
+	if (!share) return null;
+
+	return {
+		title: share.title || '',
+		text: share.text || '',
+		url: share.url || '',
+		fileCount: add(zoneElement, share.files)
+	};
+}
+
+/**
+ * @param {string} id
+ */
+export async function discard(id) {
+	await send({ type: 'SHARE_DELETE', id: id });
+}
@@ -0,0 +1,96 @@
+// Update-ready event bus. app.js calls notifyWaiting() when a new service worker is installed
+// and waiting; subscribers (AppUpdateBanner.razor) receive the new build's version and
+// changelog through a DotNetObjectReference.
+/**
+ * @typedef {{version: string | null, changelog: string[]}} UpdateInfo
+ */
+
+var subscribers = {};
+var nextSubscriptionId = 1;
+var pendingUpdate = null;
+var pendingRequest = null;
+
+function fetchRelease() {
+	return fetch('/api/version', {
+		cache: 'no-store',
+		credentials: 'same-origin',
+		headers: { 'X-Requested-With': 'XMLHttpRequest' }
+	})
+		.then(function (response) { return response.ok ? response.json() : null; })
+		.catch(function () { return null; });
+}
+
+function deliver(subscriptionId, update) {
+	var dotNetRef = subscribers[subscriptionId];
+	if (!dotNetRef) return;
+
+	dotNetRef.invokeMethodAsync('OnUpdateReady', update).catch(function () {
+		// The component was disposed without unsubscribing
+		delete subscribers[subscriptionId];
+	});
+}
+
+/**
+ * @returns {Promise<UpdateInfo>}
+ */
+export function notifyWaiting() {
+	if (pendingRequest) return pendingRequest;
+
+	pendingRequest = fetchRelease().then(function (release) {
+		pendingUpdate = {
+			version: release && release.version ? release.version : null,
+			changelog: release && release.changelog ? release.changelog : []
+		};
+		Object.keys(subscribers).forEach(function (subscriptionId) {
+			deliver(subscriptionId, pendingUpdate);
+		});
+		return pendingUpdate;
+	});
+	return pendingRequest;
+}
+
+/**
+ * @param {object} dotNetRef Receives OnUpdateReady(update).
+ * @returns {number} Subscription id for unsubscribe().
+ */
+export function subscribe(dotNetRef) {
+	var subscriptionId = nextSubscriptionId++;
+	subscribers[subscriptionId] = dotNetRef;
+	if (pendingUpdate) {
+		deliver(subscriptionId, pendingUpdate);
+	}
+	return subscriptionId;
+}
+
+/**
+ * @param {number} subscriptionId
+ */
+export function unsubscribe(subscriptionId) {
+	delete subscribers[subscriptionId];
+}
+
+/**
+ * Called when the user approves the reload. Tells the waiting service worker to activate,
+ * then reloads after it takes control.
+ */
+export function applyUpdate() {
+	if (!navigator.serviceWorker || !navigator.serviceWorker.controller) {
+		window.location.reload();
+		return;
+	}
+
+	// When the controller changes (new SW took over), reload the page
+	navigator.serviceWorker.addEventListener('controllerchange', function () {
+		window.location.reload();
+	}, { once: true });
+
+	// Tell the waiting service worker to skip waiting and activate
+	navigator.serviceWorker.ready.then(function (registration) {
+		if (registration.waiting) {
+			registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+		} else {
+			// No waiting SW; just reload to pick up any server-side changes
+			window.location.reload();
+		}
+	});
+}
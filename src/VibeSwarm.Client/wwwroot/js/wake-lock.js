@@ -0,0 +1,50 @@
+// Screen Wake Lock for WakeLockManager.razor. Browsers release the lock when the page is hidden, so it is
+// requested again when the page becomes visible for as long as a manager still wants it.
+var sentinel = null;
+var wanted = false;
+
+document.addEventListener('visibilitychange', function () {
+	if (wanted && !sentinel && document.visibilityState === 'visible') {
+		request();
+	}
+});
+
+/**
+ * @returns {Promise<boolean>} False when the API is missing or the request was refused.
+ */
+export async function acquire() {
+	if (!('wakeLock' in navigator)) return false;
+	wanted = true;
+	return request();
+}
+
+async function request() {
+	try {
+		sentinel = await navigator.wakeLock.request('screen');
+		sentinel.addEventListener('release', function () {
+			sentinel = null;
+		});
+		return true;
+	} catch (e) {
+		sentinel = null;
+		return false;
+	}
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+export async function release() {
+	wanted = false;
+	if (sentinel) {
+		await sentinel.release();
+		sentinel = null;
+	}
+}
+
+/**
+ * @returns {boolean}
+ */
+export function isActive() {
+	return sentinel !== null;
+}
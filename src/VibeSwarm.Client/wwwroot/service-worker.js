@@ -1,41 +1,110 @@
 // VibeSwarm Service Worker
-// Increment CACHE_VERSION when icons or critical assets change to force cache refresh
-const CACHE_VERSION = 9;
-const CACHE_NAME = `vibeswarm-v${CACHE_VERSION}`;
+// self.assetsManifest is generated at build/publish time (ServiceWorkerAssetsManifest in
+// VibeSwarm.Client.csproj) and lists every static web asset with its SHA-256 hash.
+// The SDK also stamps the manifest version into this file, so any asset change
+// produces a new worker and the update banner.
+self.importScripts("./service-worker-assets.js");
+
+const PRECACHE_NAME = "vibeswarm-precache";
+const PRECACHE_STAGING_NAME = `vibeswarm-precache-staging-${self.assetsManifest.version}`;
+const PRECACHE_MANIFEST_KEY = "/__vibeswarm/precache-manifest.json";
+const RUNTIME_CACHE_NAME = "vibeswarm-runtime";
+const SHELL_URL = "/";
 const OFFLINE_URL = "/offline.html";
 
-// Static assets to cache for offline use
-// Add ?v=VERSION query param to icons to bust browser cache
-const STATIC_ASSETS = [
-	"/",
-	"/offline.html",
-	"/css/site.css",
-	"/lib/bootstrap/css/bootstrap.min.css",
-	"/lib/bootstrap/js/bootstrap.bundle.min.js",
-	`/favicon.svg?v=${CACHE_VERSION}`,
-	`/favicon-96x96.png?v=${CACHE_VERSION}`,
-	`/apple-touch-icon.png?v=${CACHE_VERSION}`,
-	`/apple-touch-icon-120x120.png?v=${CACHE_VERSION}`,
-	`/apple-touch-icon-152x152.png?v=${CACHE_VERSION}`,
-	`/apple-touch-icon-167x167.png?v=${CACHE_VERSION}`,
-	`/apple-touch-icon-180x180.png?v=${CACHE_VERSION}`,
-	`/web-app-manifest-192x192.png?v=${CACHE_VERSION}`,
-	`/web-app-manifest-512x512.png?v=${CACHE_VERSION}`,
-	"/manifest.json",
+// IndexedDB store for read-only offline snapshots of selected API responses.
+// Snapshots are keyed by signed-in user so a shared device never leaks history
+// between accounts, and they are wiped whenever the user logs out.
+const OFFLINE_DB_NAME = "vibeswarm-offline";
+const OFFLINE_DB_VERSION = 3;
+const SNAPSHOT_STORE = "snapshots";
+const SESSION_STORE = "session";
+const OUTBOX_STORE = "outbox";
+const SHARE_STORE = "shares";
+const SNAPSHOT_HEADER = "X-VibeSwarm-Offline-Snapshot";
+const SNAPSHOT_REVALIDATING_HEADER = "X-VibeSwarm-Snapshot-Revalidating";
+const MAX_SNAPSHOTS_PER_USER = 100;
+const AUTH_USER_PATH = "/api/auth/user";
+
+// API GET endpoints whose responses are kept for offline viewing
+const SNAPSHOT_API_PATTERNS = [
+	/^\/api\/jobs\/paged$/,
+	/^\/api\/jobs\/[0-9a-fA-F-]{36}\/with-messages$/,
+	/^\/api\/projects\/with-stats$/,
+];
+
+// Fresh copies fetched in the background while a page was shown its snapshot,
+// handed to that page's next request for the same URL
+const REVALIDATED_MAX_AGE_MS = 60 * 1000;
+const revalidatedSnapshots = new Map();
+
+// Mutating API routes that are kept in the outbox when the network drops and
+// replayed later through Background Sync (or "retry now" from the queue panel)
+const OUTBOX_API_PATTERNS = [
+	/^\/api\/ideas$/,
+	/^\/api\/ideas\/create-with-attachments$/,
+	/^\/api\/ideas\/[0-9a-fA-F-]{36}\/approve$/,
+	/^\/api\/jobs\/[0-9a-fA-F-]{36}\/cancel$/,
+];
+const OUTBOX_HEADER = "X-VibeSwarm-Outbox-Queued";
+const OUTBOX_SYNC_TAG = "vibeswarm-outbox";
+
+// Web Share Target: the manifest points shares from other apps at this path. The
+// payload is parked in IndexedDB and the page at SHARE_PAGE_PATH picks it up.
+const SHARE_TARGET_PATH = "/share-target";
+const SHARE_PAGE_PATH = "/share";
+const SHARE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Client routes that can render from snapshots, so offline navigations to them
+// load the cached app shell instead of offline.html
+const SNAPSHOT_ROUTE_PATTERNS = [
+	/^\/jobs(\/[0-9a-fA-F-]{36})?\/?$/,
+	/^\/jobs\/view\/[0-9a-fA-F-]{36}\/?$/,
+	/^\/projects\/?$/,
 ];
 
-// Install event - cache static assets
+// Paths the server answers itself: APIs, SignalR, and the server-rendered pages
+// and downloads (Razor Pages in VibeSwarm.Web/Pages, endpoints in
+// VibeSwarm.Web/Endpoints). Navigations to them must never get the app shell.
+const NETWORK_ONLY_PATH_PREFIXES = [
+	"/api/",
+	"/_blazor",
+	"/hubs/",
+	"/login",
+	"/logout",
+	"/account/",
+	"/setup",
+	"/cert",
+];
+
+// Which manifest entries to precache: the Blazor payload, the app shell and the
+// styles, fonts and icons it needs. Source maps, debug symbols, pre-compressed
+// copies and unused Bootstrap variants are left out.
+const PRECACHE_INCLUDE = [
+	/^_framework\//,
+	/^css\//,
+	/^fonts\//,
+	/^img\//,
+	/^js\//,
+	/^lib\/bootstrap\/css\/bootstrap\.min\.css$/,
+	/^lib\/bootstrap\/js\/bootstrap\.bundle\.min\.js$/,
+	/^[^/]+\.(png|svg|ico)$/,
+	/^index\.html$/,
+	/^offline\.html$/,
+	/^manifest\.json$/,
+	/^VibeSwarm\.Client\.styles\.css$/,
+];
+const PRECACHE_EXCLUDE = [/\.pdb$/, /\.map$/, /\.(br|gz)$/, /^service-worker/];
+
+// Install event - download only the assets whose hash changed since the active
+// worker's manifest into a staging cache, so the live cache keeps serving the
+// current version until this worker takes over.
 // NOTE: skipWaiting() is intentionally NOT called here. The new service worker
 // waits in the "installed" state until the page sends a SKIP_WAITING message.
 // This prevents mid-session takeovers that can disrupt running jobs.
 self.addEventListener("install", (event) => {
 	event.waitUntil(
-		caches
-			.open(CACHE_NAME)
-			.then((cache) => {
-				console.log("[ServiceWorker] Caching static assets");
-				return cache.addAll(STATIC_ASSETS);
-			})
+		stagePrecache()
 			.then(() => {
 				// Notify all open clients that an update is waiting
 				return self.clients.matchAll({ type: "window" }).then((clients) => {
@@ -48,21 +117,54 @@ self.addEventListener("install", (event) => {
 });
 
 // Listen for SKIP_WAITING message from the page (sent when user approves reload)
+// and for outbox and share requests from js/outbox.js and js/share-target.js,
+// which reply on a MessageChannel
 self.addEventListener("message", (event) => {
 	if (event.data && event.data.type === "SKIP_WAITING") {
 		self.skipWaiting();
+		return;
+	}
+
+	if (event.data && OUTBOX_MESSAGE_TYPES.includes(event.data.type) && event.ports[0]) {
+		const port = event.ports[0];
+		event.waitUntil(
+			handleOutboxMessage(event.data).then(
+				(result) => port.postMessage(result),
+				(error) => port.postMessage({ error: String(error) }),
+			),
+		);
+		return;
+	}
+
+	if (event.data && SHARE_MESSAGE_TYPES.includes(event.data.type) && event.ports[0]) {
+		const port = event.ports[0];
+		event.waitUntil(
+			handleShareMessage(event.data).then(
+				(result) => port.postMessage(result),
+				(error) => port.postMessage({ error: String(error) }),
+			),
+		);
+	}
+});
+
+// Background Sync - replay queued actions once connectivity returns. Rejecting
+// keeps the sync registered so the browser retries with backoff.
+self.addEventListener("sync", (event) => {
+	if (event.tag === OUTBOX_SYNC_TAG) {
+		event.waitUntil(replayOutbox());
 	}
 });
 
-// Activate event - clean up old caches
+// Activate event - apply the manifest diff to the live precache (promote staged
+// downloads, drop assets no longer in the build) and clean up old caches
 self.addEventListener("activate", (event) => {
 	event.waitUntil(
-		caches
-			.keys()
+		activatePrecache()
+			.then(() => caches.keys())
 			.then((cacheNames) => {
 				return Promise.all(
 					cacheNames
-						.filter((cacheName) => cacheName !== CACHE_NAME)
+						.filter((cacheName) => cacheName !== PRECACHE_NAME && cacheName !== RUNTIME_CACHE_NAME)
 						.map((cacheName) => caches.delete(cacheName)),
 				);
 			})
@@ -81,6 +183,16 @@ self.addEventListener("activate", (event) => {
 self.addEventListener("fetch", (event) => {
 	const request = event.request;
 
+	if (request.method === "POST" && isOutboxRequest(request)) {
+		event.respondWith(handleOutboxRequest(request));
+		return;
+	}
+
+	if (request.method === "POST" && isShareTargetRequest(request)) {
+		event.respondWith(handleShareTargetRequest(request));
+		return;
+	}
+
 	// Skip non-GET requests
 	if (request.method !== "GET") {
 		return;
@@ -92,16 +204,42 @@ self.addEventListener("fetch", (event) => {
 		return;
 	}
 
-	// Skip API, SignalR, and Blazor framework requests - these must go to network
+	const url = new URL(request.url);
+
+	// Logging out must not leave another user's history on the device
+	if (url.pathname.startsWith("/account/logout")) {
+		event.waitUntil(clearOfflineSnapshots());
+		return;
+	}
+
+	if (url.origin === self.location.origin) {
+		if (PRECACHE_URLS.has(url.pathname) && url.pathname !== SHELL_URL) {
+			event.respondWith(handlePrecachedRequest(request, url));
+			return;
+		}
+
+		if (request.mode === "navigate" && !isNetworkOnlyPath(url.pathname)) {
+			event.respondWith(handleShellNavigation(request, url));
+			return;
+		}
+
+		if (url.pathname === AUTH_USER_PATH) {
+			event.respondWith(handleAuthUserRequest(request));
+			return;
+		}
+
+		if (SNAPSHOT_API_PATTERNS.some((pattern) => pattern.test(url.pathname))) {
+			event.respondWith(handleSnapshotRequest(event, request, url));
+			return;
+		}
+	}
+
+	// Skip API, SignalR and auth requests - these must go to network. Framework
+	// files that are in the precache manifest were already served above.
 	// This is critical for authentication to work correctly on iOS Safari
 	if (
-		request.url.includes("/api/") ||
-		request.url.includes("_blazor") ||
 		request.url.includes("_framework") ||
-		request.url.includes("negotiate") ||
-		request.url.includes("/login") ||
-		request.url.includes("/logout") ||
-		request.url.includes("/account/")
+		isNetworkOnlyPath(url.pathname)
 	) {
 		return;
 	}
@@ -114,7 +252,7 @@ self.addEventListener("fetch", (event) => {
 
 				// Cache successful responses for static assets
 				if (response.ok && isStaticAsset(request.url)) {
-					caches.open(CACHE_NAME).then((cache) => {
+					caches.open(RUNTIME_CACHE_NAME).then((cache) => {
 						cache.put(request, responseClone);
 					});
 				}
@@ -128,11 +266,6 @@ self.addEventListener("fetch", (event) => {
 						return cachedResponse;
 					}
 
-					// For navigation requests, show offline page
-					if (request.mode === "navigate") {
-						return caches.match(OFFLINE_URL);
-					}
-
 					return new Response("Network error", {
 						status: 408,
 						headers: { "Content-Type": "text/plain" },
@@ -142,6 +275,252 @@ self.addEventListener("fetch", (event) => {
 	);
 });
 
+// Push event - show job notifications sent by the server (see WebPushSender)
+self.addEventListener("push", (event) => {
+	let payload = {};
+	try {
+		payload = event.data ? event.data.json() : {};
+	} catch {
+		payload = { body: event.data ? event.data.text() : "" };
+	}
+
+	const title = payload.title || "VibeSwarm";
+	const actions = Array.isArray(payload.actions) ? payload.actions : [];
+	event.waitUntil(
+		self.registration.showNotification(title, {
+			body: payload.body || "",
+			tag: payload.tag || undefined,
+			renotify: Boolean(payload.tag),
+			requireInteraction: Boolean(payload.requireInteraction),
+			icon: "/web-app-manifest-192x192.png",
+			badge: "/favicon-96x96.png",
+			// Browsers without text actions render "text" entries as plain buttons;
+			// notificationclick opens the job when no reply comes back
+			actions: actions.map((action) => ({
+				action: action.action,
+				title: action.title,
+				type: action.type === "text" ? "text" : "button",
+				placeholder: action.placeholder || undefined,
+			})),
+			data: {
+				url: payload.url || "/",
+				jobId: payload.jobId || null,
+				kind: payload.kind || null,
+				actions,
+			},
+		}),
+	);
+});
+
+// Notification click - focus a tab already showing the target, reuse any open tab,
+// or open a new window
+self.addEventListener("notificationclick", (event) => {
+	event.notification.close();
+
+	const data = event.notification.data || {};
+	const targetUrl = new URL(data.url || "/", self.location.origin).href;
+
+	const reply = getNotificationReply(data, event.action, event.reply);
+	if (reply !== null) {
+		event.waitUntil(
+			sendNotificationReply(data.jobId, reply).catch(() =>
+				self.registration.showNotification("Reply not delivered", {
+					body: "Open the job to respond.",
+					tag: event.notification.tag || undefined,
+					icon: "/web-app-manifest-192x192.png",
+					badge: "/favicon-96x96.png",
+					data: { url: data.url || "/", jobId: data.jobId || null },
+				}),
+			),
+		);
+		return;
+	}
+
+	event.waitUntil(
+		self.clients
+			.matchAll({ type: "window", includeUncontrolled: true })
+			.then((clients) => {
+				const exact = clients.find((client) => client.url === targetUrl);
+				if (exact) {
+					return exact.focus();
+				}
+
+				const sameOrigin = clients.find((client) =>
+					client.url.startsWith(self.location.origin),
+				);
+				if (sameOrigin) {
+					return sameOrigin
+						.focus()
+						.then((client) => (client || sameOrigin).navigate(targetUrl))
+						.catch(() => self.clients.openWindow(targetUrl));
+				}
+
+				return self.clients.openWindow(targetUrl);
+			}),
+	);
+});
+
+// Resolve the text a notification action should send to a paused job, or null
+// when the click should just open the job instead
+function getNotificationReply(data, actionName, typedReply) {
+	if (!actionName || !data.jobId || !Array.isArray(data.actions)) {
+		return null;
+	}
+
+	const action = data.actions.find((candidate) => candidate.action === actionName);
+	if (!action) {
+		return null;
+	}
+
+	const response = action.type === "text" ? typedReply : action.response;
+	return typeof response === "string" && response.trim() ? response.trim() : null;
+}
+
+// Post a notification reply with the signed-in user's cookie; rejects if the job
+// was not waiting so the caller can tell the user
+function sendNotificationReply(jobId, response) {
+	return fetch(`/api/push/jobs/${jobId}/reply`, {
+		method: "POST",
+		credentials: "same-origin",
+		headers: {
+			"Content-Type": "application/json",
+			"X-Requested-With": "XMLHttpRequest",
+		},
+		body: JSON.stringify({ response }),
+	}).then((result) => {
+		if (!result.ok) {
+			throw new Error(`Reply failed with status ${result.status}`);
+		}
+	});
+}
+
+// Precache ---------------------------------------------------------------
+
+const PRECACHE_ASSETS = self.assetsManifest.assets.filter(
+	(asset) =>
+		PRECACHE_INCLUDE.some((pattern) => pattern.test(asset.url)) &&
+		!PRECACHE_EXCLUDE.some((pattern) => pattern.test(asset.url)),
+);
+const PRECACHE_URLS = new Set(PRECACHE_ASSETS.map((asset) => getPrecacheKey(asset.url)));
+
+// index.html is stored as the app shell under "/"
+function getPrecacheKey(assetUrl) {
+	return assetUrl === "index.html" ? SHELL_URL : `/${assetUrl}`;
+}
+
+function isNetworkOnlyPath(pathname) {
+	return (
+		NETWORK_ONLY_PATH_PREFIXES.some((prefix) => pathname.startsWith(prefix)) ||
+		pathname.includes("negotiate")
+	);
+}
+
+// Reads the manifest the live precache was built from as a url -> hash map
+async function readPrecacheManifest() {
+	try {
+		const cache = await caches.open(PRECACHE_NAME);
+		const response = await cache.match(PRECACHE_MANIFEST_KEY);
+		if (!response) {
+			return new Map();
+		}
+		const manifest = await response.json();
+		return new Map(manifest.assets.map((asset) => [asset.url, asset.hash]));
+	} catch {
+		return new Map();
+	}
+}
+
+async function stagePrecache() {
+	const previous = await readPrecacheManifest();
+	const live = await caches.open(PRECACHE_NAME);
+	const staging = await caches.open(PRECACHE_STAGING_NAME);
+
+	const changed = [];
+	for (const asset of PRECACHE_ASSETS) {
+		const unchanged =
+			previous.get(asset.url) === asset.hash &&
+			(await live.match(getPrecacheKey(asset.url)));
+		if (!unchanged) {
+			changed.push(asset);
+		}
+	}
+
+	console.log(
+		`[ServiceWorker] Downloading ${changed.length} of ${PRECACHE_ASSETS.length} precached assets`,
+	);
+
+	await Promise.all(
+		changed.map(async (asset) => {
+			const response = await fetch(
+				new Request(asset.url, { integrity: asset.hash, cache: "no-cache" }),
+			);
+			if (!response.ok) {
+				throw new Error(`Failed to precache ${asset.url}: HTTP ${response.status}`);
+			}
+			await staging.put(getPrecacheKey(asset.url), response);
+		}),
+	);
+}
+
+async function activatePrecache() {
+	const live = await caches.open(PRECACHE_NAME);
+
+	if (await caches.has(PRECACHE_STAGING_NAME)) {
+		const staging = await caches.open(PRECACHE_STAGING_NAME);
+		for (const request of await staging.keys()) {
+			await live.put(request, await staging.match(request));
+		}
+	}
+
+	const currentKeys = new Set(
+		[...PRECACHE_URLS, PRECACHE_MANIFEST_KEY].map(
+			(key) => new URL(key, self.location.origin).href,
+		),
+	);
+	for (const request of await live.keys()) {
+		if (!currentKeys.has(request.url)) {
+			await live.delete(request);
+		}
+	}
+
+	await live.put(
+		PRECACHE_MANIFEST_KEY,
+		new Response(JSON.stringify(self.assetsManifest), {
+			headers: { "Content-Type": "application/json" },
+		}),
+	);
+}
+
+// Hashed build assets never change under the same manifest, so serve them from
+// the precache and only hit the network if the entry is missing
+async function handlePrecachedRequest(request, url) {
+	const cached = await caches.match(url.pathname, { cacheName: PRECACHE_NAME });
+	return cached || fetch(request);
+}
+
+// Serve the precached shell for app routes so the page always matches the
+// precached Blazor payload. Offline, routes that can't render from snapshots
+// get offline.html instead.
+async function handleShellNavigation(request, url) {
+	const shell = await caches.match(SHELL_URL, { cacheName: PRECACHE_NAME });
+	if (!shell) {
+		try {
+			return await fetch(request);
+		} catch {
+			return (await caches.match(OFFLINE_URL)) || Response.error();
+		}
+	}
+
+	if (
+		!self.navigator.onLine &&
+		!SNAPSHOT_ROUTE_PATTERNS.some((pattern) => pattern.test(url.pathname))
+	) {
+		return (await caches.match(OFFLINE_URL)) || shell;
+	}
+
+	return shell;
+}
+
 // Helper to determine if URL is a static asset worth caching
 function isStaticAsset(url) {
 	const staticExtensions = [
@@ -157,3 +536,560 @@ function isStaticAsset(url) {
 	];
 	return staticExtensions.some((ext) => url.toLowerCase().includes(ext));
 }
+
+// Network-first for the current user; remember who is signed in so snapshots can
+// be scoped to them, and replay the last known user while offline so the app
+// stays authenticated long enough to show cached history.
+async function handleAuthUserRequest(request) {
+	try {
+		const response = await fetch(request);
+		if (response.ok) {
+			const body = await response.clone().text();
+			try {
+				const user = JSON.parse(body);
+				await setSessionUser(
+					user && user.userId ? { userId: user.userId, body, savedAt: new Date().toISOString() } : null,
+				);
+			} catch {
+				await setSessionUser(null);
+			}
+		} else if (response.status === 401 || response.status === 403) {
+			await clearOfflineSnapshots();
+		}
+		return response;
+	} catch (error) {
+		const session = await getSessionUser();
+		if (session) {
+			// Tagged with the time the user was last confirmed, not the time of the replay
+			const headers = { "Content-Type": "application/json" };
+			if (session.savedAt) {
+				headers[SNAPSHOT_HEADER] = session.savedAt;
+			}
+			return new Response(session.body, { status: 200, headers });
+		}
+		throw error;
+	}
+}
+
+// Stale-while-revalidate: a saved snapshot is returned straight away and a fresh
+// copy is fetched in the background. The page that asked is then told either
+// SNAPSHOT_REFRESHED, and its next request for the URL gets the fresh copy, or
+// SNAPSHOT_OFFLINE with the time the snapshot was saved. When the browser already
+// knows it is offline the snapshot is tagged with that time directly.
+async function handleSnapshotRequest(event, request, url) {
+	const session = await getSessionUser();
+	if (!session) {
+		return fetch(request);
+	}
+
+	const key = `${session.userId}|${url.pathname}${url.search}`;
+	const revalidated = takeRevalidatedSnapshot(key);
+	if (revalidated) {
+		return new Response(revalidated.body || null, {
+			status: revalidated.status,
+			headers: { "Content-Type": revalidated.contentType },
+		});
+	}
+
+	const snapshot = await getSnapshot(key);
+	if (!snapshot) {
+		const response = await fetch(request);
+		if (response.ok) {
+			const copy = response.clone();
+			event.waitUntil(
+				copy
+					.text()
+					.then((body) => saveSnapshot(session, key, body, copy.headers.get("Content-Type")))
+					.catch(() => {}),
+			);
+		}
+		return response;
+	}
+
+	if (!self.navigator.onLine) {
+		return snapshotResponse(snapshot, SNAPSHOT_HEADER);
+	}
+
+	event.waitUntil(revalidateSnapshot(event.clientId, request, session, key, snapshot.savedAt));
+	return snapshotResponse(snapshot, SNAPSHOT_REVALIDATING_HEADER);
+}
+
+async function revalidateSnapshot(clientId, request, session, key, savedAt) {
+	let message;
+	try {
+		const response = await fetch(request);
+		const body = await response.text();
+		const contentType = response.headers.get("Content-Type") || "application/json";
+		if (response.ok) {
+			await saveSnapshot(session, key, body, contentType);
+		}
+
+		// Errors are handed on too, so a job deleted meanwhile shows as not found
+		revalidatedSnapshots.set(key, { status: response.status, body, contentType, fetchedAt: Date.now() });
+		message = { type: "SNAPSHOT_REFRESHED", path: key.slice(key.indexOf("|") + 1) };
+	} catch {
+		message = { type: "SNAPSHOT_OFFLINE", savedAt };
+	}
+
+	const client = clientId ? await self.clients.get(clientId) : null;
+	if (client) {
+		client.postMessage(message);
+	}
+}
+
+function takeRevalidatedSnapshot(key) {
+	const revalidated = revalidatedSnapshots.get(key);
+	revalidatedSnapshots.delete(key);
+	return revalidated && Date.now() - revalidated.fetchedAt < REVALIDATED_MAX_AGE_MS ? revalidated : null;
+}
+
+function snapshotResponse(snapshot, header) {
+	return new Response(snapshot.body, {
+		status: 200,
+		headers: {
+			"Content-Type": snapshot.contentType,
+			[header]: snapshot.savedAt,
+		},
+	});
+}
+
+function saveSnapshot(session, key, body, contentType) {
+	return putSnapshot({
+		key,
+		userId: session.userId,
+		body,
+		contentType: contentType || "application/json",
+		savedAt: new Date().toISOString(),
+	});
+}
+
+function openOfflineDb() {
+	return new Promise((resolve, reject) => {
+		const open = indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+		open.onupgradeneeded = () => {
+			const db = open.result;
+			if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+				const store = db.createObjectStore(OUTBOX_STORE, { keyPath: "id" });
+				store.createIndex("userId", "userId");
+			}
+			if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+				const store = db.createObjectStore(SNAPSHOT_STORE, { keyPath: "key" });
+				store.createIndex("userId", "userId");
+			}
+			if (!db.objectStoreNames.contains(SESSION_STORE)) {
+				db.createObjectStore(SESSION_STORE);
+			}
+			if (!db.objectStoreNames.contains(SHARE_STORE)) {
+				db.createObjectStore(SHARE_STORE, { keyPath: "id" });
+			}
+		};
+		open.onsuccess = () => resolve(open.result);
+		open.onerror = () => reject(open.error);
+	});
+}
+
+// Runs a callback inside a single transaction and resolves once it commits
+async function withOfflineStore(storeNames, mode, callback) {
+	const db = await openOfflineDb();
+	try {
+		return await new Promise((resolve, reject) => {
+			const tx = db.transaction(storeNames, mode);
+			let result;
+			tx.oncomplete = () => resolve(result);
+			tx.onerror = () => reject(tx.error);
+			tx.onabort = () => reject(tx.error);
+			result = callback(tx);
+		});
+	} finally {
+		db.close();
+	}
+}
+
+function requestResult(request) {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+async function getSessionUser() {
+	try {
+		const db = await openOfflineDb();
+		try {
+			const tx = db.transaction(SESSION_STORE, "readonly");
+			return (await requestResult(tx.objectStore(SESSION_STORE).get("user"))) || null;
+		} finally {
+			db.close();
+		}
+	} catch {
+		return null;
+	}
+}
+
+async function setSessionUser(session) {
+	try {
+		const previous = await getSessionUser();
+		if (previous && (!session || previous.userId !== session.userId)) {
+			await clearOfflineSnapshots();
+		}
+
+		await withOfflineStore(SESSION_STORE, "readwrite", (tx) => {
+			const store = tx.objectStore(SESSION_STORE);
+			if (session) {
+				store.put(session, "user");
+			} else {
+				store.delete("user");
+			}
+		});
+	} catch (error) {
+		console.warn("[ServiceWorker] Failed to store session user", error);
+	}
+}
+
+async function getSnapshot(key) {
+	try {
+		const db = await openOfflineDb();
+		try {
+			const tx = db.transaction(SNAPSHOT_STORE, "readonly");
+			return (await requestResult(tx.objectStore(SNAPSHOT_STORE).get(key))) || null;
+		} finally {
+			db.close();
+		}
+	} catch {
+		return null;
+	}
+}
+
+async function putSnapshot(snapshot) {
+	try {
+		await withOfflineStore(SNAPSHOT_STORE, "readwrite", (tx) => {
+			const store = tx.objectStore(SNAPSHOT_STORE);
+			store.put(snapshot);
+
+			// Keep only the most recently saved snapshots for this user
+			const all = store.index("userId").getAll(snapshot.userId);
+			all.onsuccess = () => {
+				const stale = all.result
+					.sort((a, b) => b.savedAt.localeCompare(a.savedAt))
+					.slice(MAX_SNAPSHOTS_PER_USER);
+				stale.forEach((entry) => store.delete(entry.key));
+			};
+		});
+	} catch (error) {
+		console.warn("[ServiceWorker] Failed to store offline snapshot", error);
+	}
+}
+
+async function clearOfflineSnapshots() {
+	revalidatedSnapshots.clear();
+	try {
+		await withOfflineStore([SNAPSHOT_STORE, SESSION_STORE, OUTBOX_STORE, SHARE_STORE], "readwrite", (tx) => {
+			tx.objectStore(SNAPSHOT_STORE).clear();
+			tx.objectStore(SESSION_STORE).clear();
+			// Queued actions were authorized by the previous user and must not replay as someone else
+			tx.objectStore(OUTBOX_STORE).clear();
+			tx.objectStore(SHARE_STORE).clear();
+		});
+	} catch (error) {
+		console.warn("[ServiceWorker] Failed to clear offline snapshots", error);
+	}
+}
+
+const OUTBOX_MESSAGE_TYPES = ["OUTBOX_LIST", "OUTBOX_RETRY", "OUTBOX_DISCARD"];
+let outboxReplay = null;
+
+function isOutboxRequest(request) {
+	const url = new URL(request.url);
+	return (
+		url.origin === self.location.origin &&
+		OUTBOX_API_PATTERNS.some((pattern) => pattern.test(url.pathname))
+	);
+}
+
+// Send the action straight through while online. When the network fails, keep it
+// in the outbox and answer 202 so the page can tell the user it was queued.
+async function handleOutboxRequest(request) {
+	const body = await request.clone().text();
+
+	try {
+		return await fetch(request);
+	} catch (error) {
+		const session = await getSessionUser();
+		if (!session) {
+			throw error;
+		}
+
+		const url = new URL(request.url);
+		const entry = {
+			id: self.crypto.randomUUID(),
+			userId: session.userId,
+			method: request.method,
+			path: url.pathname + url.search,
+			contentType: request.headers.get("Content-Type"),
+			body,
+			state: "pending",
+			attempts: 0,
+			status: null,
+			error: null,
+			createdAt: new Date().toISOString(),
+			lastAttemptAt: null,
+		};
+
+		await putOutboxEntry(entry);
+		await registerOutboxSync();
+		await notifyOutboxChanged();
+
+		return new Response(null, {
+			status: 202,
+			headers: { [OUTBOX_HEADER]: entry.id },
+		});
+	}
+}
+
+async function registerOutboxSync() {
+	if (!("sync" in self.registration)) {
+		return;
+	}
+
+	try {
+		await self.registration.sync.register(OUTBOX_SYNC_TAG);
+	} catch (error) {
+		console.warn("[ServiceWorker] Background Sync registration failed", error);
+	}
+}
+
+// Replays pending entries oldest first. Entries the server rejects stay in the
+// outbox as "rejected" until the user retries or discards them.
+function replayOutbox() {
+	if (!outboxReplay) {
+		outboxReplay = replayOutboxEntries().finally(() => {
+			outboxReplay = null;
+		});
+	}
+	return outboxReplay;
+}
+
+async function replayOutboxEntries() {
+	const session = await getSessionUser();
+	if (!session) {
+		return;
+	}
+
+	const entries = (await getOutboxEntries(session.userId))
+		.filter((entry) => entry.state === "pending")
+		.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+	let networkFailed = false;
+	for (const entry of entries) {
+		const attempt = {
+			...entry,
+			attempts: entry.attempts + 1,
+			lastAttemptAt: new Date().toISOString(),
+		};
+
+		try {
+			const response = await fetch(entry.path, {
+				method: entry.method,
+				credentials: "same-origin",
+				headers: entry.contentType
+					? { "Content-Type": entry.contentType, "X-Requested-With": "XMLHttpRequest" }
+					: { "X-Requested-With": "XMLHttpRequest" },
+				body: entry.body || undefined,
+			});
+
+			if (response.ok) {
+				await deleteOutboxEntry(entry.id);
+			} else {
+				await putOutboxEntry({
+					...attempt,
+					state: "rejected",
+					status: response.status,
+					error: await readOutboxError(response),
+				});
+			}
+		} catch {
+			networkFailed = true;
+			await putOutboxEntry(attempt);
+			break;
+		}
+	}
+
+	await notifyOutboxChanged();
+	if (networkFailed) {
+		throw new Error("Still offline; queued actions will be retried");
+	}
+}
+
+async function readOutboxError(response) {
+	try {
+		const text = await response.text();
+		try {
+			const parsed = JSON.parse(text);
+			if (parsed && (parsed.message || parsed.title)) {
+				return parsed.message || parsed.title;
+			}
+		} catch {
+			// Not JSON; fall through to the raw text
+		}
+		if (text) {
+			return text.length > 200 ? `${text.slice(0, 200)}…` : text;
+		}
+	} catch {
+		// Ignore unreadable bodies
+	}
+	return `The server rejected the request (HTTP ${response.status}).`;
+}
+
+async function handleOutboxMessage(message) {
+	if (message.type === "OUTBOX_DISCARD" && message.id) {
+		await deleteOutboxEntry(message.id);
+		await notifyOutboxChanged();
+	}
+
+	if (message.type === "OUTBOX_RETRY") {
+		if (message.id) {
+			const entry = await getOutboxEntry(message.id);
+			if (entry) {
+				await putOutboxEntry({ ...entry, state: "pending", status: null, error: null });
+			}
+		}
+
+		try {
+			await replayOutbox();
+		} catch {
+			// Still offline; re-arm Background Sync and report the entries as pending
+			await registerOutboxSync();
+		}
+	}
+
+	const session = await getSessionUser();
+	const entries = session ? await getOutboxEntries(session.userId) : [];
+	return {
+		backgroundSync: "sync" in self.registration,
+		items: entries
+			.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+			.map(({ body, userId, ...item }) => item),
+	};
+}
+
+async function notifyOutboxChanged() {
+	const clients = await self.clients.matchAll({ type: "window" });
+	clients.forEach((client) => client.postMessage({ type: "OUTBOX_CHANGED" }));
+}
+
+async function getOutboxEntries(userId) {
+	try {
+		const db = await openOfflineDb();
+		try {
+			const tx = db.transaction(OUTBOX_STORE, "readonly");
+			return (await requestResult(tx.objectStore(OUTBOX_STORE).index("userId").getAll(userId))) || [];
+		} finally {
+			db.close();
+		}
+	} catch {
+		return [];
+	}
+}
+
+async function getOutboxEntry(id) {
+	try {
+		const db = await openOfflineDb();
+		try {
+			const tx = db.transaction(OUTBOX_STORE, "readonly");
+			return (await requestResult(tx.objectStore(OUTBOX_STORE).get(id))) || null;
+		} finally {
+			db.close();
+		}
+	} catch {
+		return null;
+	}
+}
+
+function putOutboxEntry(entry) {
+	return withOfflineStore(OUTBOX_STORE, "readwrite", (tx) => {
+		tx.objectStore(OUTBOX_STORE).put(entry);
+	});
+}
+
+async function deleteOutboxEntry(id) {
+	try {
+		await withOfflineStore(OUTBOX_STORE, "readwrite", (tx) => {
+			tx.objectStore(OUTBOX_STORE).delete(id);
+		});
+	} catch (error) {
+		console.warn("[ServiceWorker] Failed to remove outbox entry", error);
+	}
+}
+
+const SHARE_MESSAGE_TYPES = ["SHARE_GET", "SHARE_DELETE"];
+
+function isShareTargetRequest(request) {
+	const url = new URL(request.url);
+	return url.origin === self.location.origin && url.pathname === SHARE_TARGET_PATH;
+}
+
+// The share sheet posts multipart form data here. Keep it until the share page
+// claims it, then redirect there with 303 so a reload doesn't post it again.
+async function handleShareTargetRequest(request) {
+	let target = SHARE_PAGE_PATH;
+
+	try {
+		const form = await request.formData();
+		const share = {
+			id: crypto.randomUUID(),
+			title: getFormText(form, "title"),
+			text: getFormText(form, "text"),
+			url: getFormText(form, "url"),
+			files: form
+				.getAll("files")
+				.filter((file) => file instanceof File && file.size > 0)
+				.map((file) => ({ name: file.name, type: file.type, blob: file })),
+			createdAt: Date.now(),
+		};
+
+		await withOfflineStore(SHARE_STORE, "readwrite", (tx) => {
+			const store = tx.objectStore(SHARE_STORE);
+			store.put(share);
+
+			// Drop shares that were never picked up
+			const all = store.getAll();
+			all.onsuccess = () => {
+				all.result
+					.filter((entry) => share.createdAt - entry.createdAt > SHARE_MAX_AGE_MS)
+					.forEach((entry) => store.delete(entry.id));
+			};
+		});
+
+		target = `${SHARE_PAGE_PATH}?id=${encodeURIComponent(share.id)}`;
+	} catch (error) {
+		console.warn("[ServiceWorker] Failed to store shared content", error);
+	}
+
+	return Response.redirect(new URL(target, self.location.origin).href, 303);
+}
+
+function getFormText(form, name) {
+	const value = form.get(name);
+	return typeof value === "string" ? value : "";
+}
+
+async function handleShareMessage(message) {
+	if (!message.id) {
+		return { share: null };
+	}
+
+	if (message.type === "SHARE_DELETE") {
+		await withOfflineStore(SHARE_STORE, "readwrite", (tx) => {
+			tx.objectStore(SHARE_STORE).delete(message.id);
+		});
+		return { share: null };
+	}
+
+	const db = await openOfflineDb();
+	try {
+		const tx = db.transaction(SHARE_STORE, "readonly");
+		return { share: (await requestResult(tx.objectStore(SHARE_STORE).get(message.id))) || null };
+	} finally {
+		db.close();
+	}
+}
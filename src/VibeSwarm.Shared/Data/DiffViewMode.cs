@@ -0,0 +1,10 @@
+namespace VibeSwarm.Shared.Data;
+
+/// <summary>
+/// How diffs are laid out: one column of interleaved changes, or old and new side by side.
+/// </summary>
+public enum DiffViewMode
+{
+	Unified,
+	Split
+}
@@ -89,6 +89,13 @@ public class Job
     /// </summary>
     public string? AttachedFilesJson { get; set; }
 
+    /// <summary>
+    /// Completed chunked uploads to attach when the job is created. They are moved into the project's
+    /// <c>.vibeswarm/job-attachments</c> folder and recorded in <see cref="AttachedFilesJson"/>.
+    /// </summary>
+    [NotMapped]
+    public List<Guid>? AttachmentUploadIds { get; set; }
+
     public JobStatus Status { get; set; } = JobStatus.New;
 
     public Guid ProjectId { get; set; }
@@ -1,4 +1,5 @@
 using System.ComponentModel.DataAnnotations;
+using VibeSwarm.Shared.Validation;
 
 namespace VibeSwarm.Shared.Data;
 
@@ -6,6 +7,8 @@ namespace VibeSwarm.Shared.Data;
 /// Captures the change-set snapshot of a job before it is reset for a follow-up.
 /// One record is saved per follow-up continuation so users can review every
 /// commit / diff produced across all follow-up iterations of the same job.
+/// Files saved from the in-browser editor are recorded here too, one record per save,
+/// so the history shows what a person changed apart from what the agent did.
 /// </summary>
 public class JobChangeSet
 {
@@ -16,9 +19,29 @@ public class JobChangeSet
 
 	/// <summary>
 	/// 0-based index. 0 = initial run, 1 = first follow-up, etc.
+	/// Manual edits carry the index of the run they were made after.
 	/// </summary>
 	public int FollowUpIndex { get; set; }
 
+	/// <summary>
+	/// Saved by a person in the file editor rather than captured from a run; manual edits don't count as runs.
+	/// </summary>
+	public bool IsManualEdit { get; set; }
+
+	[StringLength(ValidationLimits.ChangeSetEditedByMaxLength)]
+	public string? EditedBy { get; set; }
+
+	/// <summary>
+	/// The file a manual edit saved, relative to the project's working directory
+	/// </summary>
+	[StringLength(ValidationLimits.ProjectFilePathMaxLength)]
+	public string? FilePath { get; set; }
+
+	/// <summary>
+	/// Unified diff of a manual edit
+	/// </summary>
+	public string? GitDiff { get; set; }
+
 	public DateTime? CompletedAt { get; set; }
 
 	[StringLength(100)]
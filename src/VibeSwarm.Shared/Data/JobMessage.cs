@@ -39,9 +39,9 @@ public class JobMessage
     public int? TokenCount { get; set; }
 
     /// <summary>
-    /// Where this message originated from. Not persisted — assigned at display time.
+    /// Where this message originated from. Persisted for user replies sent from a push notification; otherwise
+    /// assigned at display time.
     /// </summary>
-    [NotMapped]
     public MessageSource Source { get; set; } = MessageSource.System;
 
 	/// <summary>
@@ -73,7 +73,9 @@ public enum MessageSource
     /// <summary>A CLI coding provider (Claude, Copilot, etc.).</summary>
     Provider,
     /// <summary>User-initiated action.</summary>
-    User
+    User,
+    /// <summary>User reply sent from a push notification action.</summary>
+    Notification
 }
 
 /// <summary>
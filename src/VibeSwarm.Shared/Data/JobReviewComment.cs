@@ -0,0 +1,83 @@
+using System.ComponentModel.DataAnnotations;
+using VibeSwarm.Shared.Validation;
+
+namespace VibeSwarm.Shared.Data;
+
+public enum ReviewCommentStatus
+{
+	/// <summary>
+	/// Left on the diff and not yet sent to the agent
+	/// </summary>
+	Open,
+
+	/// <summary>
+	/// Sent to the agent in a "request changes" follow-up that has not touched the lines yet
+	/// </summary>
+	Requested,
+
+	/// <summary>
+	/// The next change set touched the commented lines, or the user resolved the comment
+	/// </summary>
+	Resolved
+}
+
+/// <summary>
+/// A comment left on a range of lines in a job's diff. The lines are numbered as in the new version of the file
+/// produced by the run the comment was made on.
+/// </summary>
+public class JobReviewComment
+{
+	public Guid Id { get; set; }
+
+	public Guid JobId { get; set; }
+	public Job? Job { get; set; }
+
+	/// <summary>
+	/// The run whose diff was commented on; matches <see cref="JobChangeSet.FollowUpIndex"/>
+	/// </summary>
+	public int FollowUpIndex { get; set; }
+
+	/// <summary>
+	/// Set once the run is captured as a change set by a follow-up
+	/// </summary>
+	public Guid? ChangeSetId { get; set; }
+	public JobChangeSet? ChangeSet { get; set; }
+
+	[Required]
+	[StringLength(ValidationLimits.ReviewCommentFilePathMaxLength, MinimumLength = 1)]
+	public string FilePath { get; set; } = string.Empty;
+
+	public int StartLine { get; set; }
+
+	public int EndLine { get; set; }
+
+	[Required]
+	[StringLength(ValidationLimits.ReviewCommentBodyMaxLength, MinimumLength = 1)]
+	public string Body { get; set; } = string.Empty;
+
+	/// <summary>
+	/// The commented lines as they read when the comment was made, quoted in the follow-up prompt
+	/// </summary>
+	[StringLength(ValidationLimits.ReviewCommentLineTextMaxLength)]
+	public string? LineText { get; set; }
+
+	/// <summary>
+	/// Whether every commented line was added by the run, rather than being existing code shown as context
+	/// </summary>
+	public bool IsOnAddedLines { get; set; }
+
+	public ReviewCommentStatus Status { get; set; } = ReviewCommentStatus.Open;
+
+	public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+
+	public DateTime? RequestedAt { get; set; }
+
+	public DateTime? ResolvedAt { get; set; }
+
+	/// <summary>
+	/// The run whose changes resolved the comment; null when it was resolved by hand or is still open
+	/// </summary>
+	public int? ResolvedInFollowUpIndex { get; set; }
+
+	public string LineLabel => StartLine == EndLine ? $"line {StartLine}" : $"lines {StartLine}-{EndLine}";
+}
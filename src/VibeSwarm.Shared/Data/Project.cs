@@ -62,6 +62,14 @@ public class Project
 	[StringLength(ValidationLimits.ProjectDefaultTargetBranchMaxLength)]
 	public string? DefaultTargetBranch { get; set; }
 
+	/// <summary>
+	/// Optional "#rrggbb" accent applied to the UI while this project (or one of its jobs) is open,
+	/// so tabs for different projects are easy to tell apart.
+	/// </summary>
+	[StringLength(ValidationLimits.ProjectAccentColorMaxLength)]
+	[RegularExpression(ValidationLimits.HexColorPattern, ErrorMessage = "Accent colour must be a hex colour such as #5b7cfa.")]
+	public string? AccentColor { get; set; }
+
 	/// <summary>
 	/// Whether idea expansion should use provider-native planning mode.
 	/// When enabled, idea expansion uses the configured planning provider/model to generate
@@ -0,0 +1,62 @@
+namespace VibeSwarm.Shared.Data;
+
+/// <summary>
+/// Named accent palettes. The colour values live in theme.js so the palette can be applied
+/// before the stylesheet loads.
+/// </summary>
+public enum ThemeAccent
+{
+	Indigo,
+	Teal,
+	Violet,
+	Rose,
+	Amber,
+	Emerald
+}
+
+public enum ThemeDensity
+{
+	Comfortable,
+	Compact
+}
+
+public static class ThemeAccentExtensions
+{
+	public static string ToValue(this ThemeAccent accent) => accent.ToString().ToLowerInvariant();
+
+	public static string ToValue(this ThemeDensity density) => density.ToString().ToLowerInvariant();
+
+	public static bool TryParse(string? value, out ThemeAccent accent)
+	{
+		return TryParseName(value, out accent);
+	}
+
+	public static bool TryParse(string? value, out ThemeDensity density)
+	{
+		return TryParseName(value, out density);
+	}
+
+	public static ThemeAccent ParseAccentOrDefault(string? value)
+	{
+		return TryParse(value, out ThemeAccent accent) ? accent : ThemeAccent.Indigo;
+	}
+
+	public static ThemeDensity ParseDensityOrDefault(string? value)
+	{
+		return TryParse(value, out ThemeDensity density) ? density : ThemeDensity.Comfortable;
+	}
+
+	private static bool TryParseName<TEnum>(string? value, out TEnum result) where TEnum : struct, Enum
+	{
+		var trimmed = value?.Trim();
+		if (!string.IsNullOrEmpty(trimmed) &&
+			!char.IsDigit(trimmed[0]) &&
+			Enum.TryParse(trimmed, ignoreCase: true, out result))
+		{
+			return true;
+		}
+
+		result = default;
+		return false;
+	}
+}
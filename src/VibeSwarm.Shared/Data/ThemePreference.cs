@@ -4,7 +4,9 @@ public enum ThemePreference
 {
 	System,
 	Light,
-	Dark
+	Dark,
+	HighContrastDark,
+	HighContrastLight
 }
 
 public static class ThemePreferenceExtensions
@@ -13,6 +15,8 @@ public static class ThemePreferenceExtensions
 	{
 		ThemePreference.Light => "light",
 		ThemePreference.Dark => "dark",
+		ThemePreference.HighContrastDark => "high-contrast-dark",
+		ThemePreference.HighContrastLight => "high-contrast-light",
 		_ => "system"
 	};
 
@@ -20,6 +24,8 @@ public static class ThemePreferenceExtensions
 	{
 		ThemePreference.Light => "Light",
 		ThemePreference.Dark => "Dark",
+		ThemePreference.HighContrastDark => "High contrast dark",
+		ThemePreference.HighContrastLight => "High contrast light",
 		_ => "System"
 	};
 
@@ -33,6 +39,12 @@ public static class ThemePreferenceExtensions
 			case "dark":
 				preference = ThemePreference.Dark;
 				return true;
+			case "high-contrast-dark":
+				preference = ThemePreference.HighContrastDark;
+				return true;
+			case "high-contrast-light":
+				preference = ThemePreference.HighContrastLight;
+				return true;
 			case "system":
 				preference = ThemePreference.System;
 				return true;
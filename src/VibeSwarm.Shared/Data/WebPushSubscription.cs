@@ -0,0 +1,52 @@
+using System.ComponentModel.DataAnnotations;
+using VibeSwarm.Shared.Validation;
+
+namespace VibeSwarm.Shared.Data;
+
+/// <summary>
+/// A browser push subscription registered by one of a user's devices.
+/// </summary>
+public class WebPushSubscription
+{
+	public Guid Id { get; set; }
+
+	public Guid UserId { get; set; }
+
+	/// <summary>
+	/// Push service URL issued by the browser. Unique per device and browser profile.
+	/// </summary>
+	[Required]
+	[StringLength(ValidationLimits.WebPushEndpointMaxLength)]
+	public string Endpoint { get; set; } = string.Empty;
+
+	/// <summary>
+	/// Base64url-encoded P-256 public key of the subscribing browser.
+	/// </summary>
+	[Required]
+	[StringLength(ValidationLimits.WebPushKeyMaxLength)]
+	public string P256dh { get; set; } = string.Empty;
+
+	/// <summary>
+	/// Base64url-encoded authentication secret of the subscribing browser.
+	/// </summary>
+	[Required]
+	[StringLength(ValidationLimits.WebPushKeyMaxLength)]
+	public string Auth { get; set; } = string.Empty;
+
+	[StringLength(ValidationLimits.WebPushDeviceNameMaxLength)]
+	public string? DeviceName { get; set; }
+
+	[StringLength(ValidationLimits.WebPushUserAgentMaxLength)]
+	public string? UserAgent { get; set; }
+
+	public DateTime CreatedAt { get; set; }
+
+	public DateTime? LastDeliveredAt { get; set; }
+
+	public DateTime? LastFailedAt { get; set; }
+
+	/// <summary>
+	/// Consecutive delivery failures. Subscriptions that keep failing are removed.
+	/// </summary>
+	public int FailureCount { get; set; }
+}
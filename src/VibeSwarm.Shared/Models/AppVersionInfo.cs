@@ -0,0 +1,10 @@
+namespace VibeSwarm.Shared.Models;
+
+/// <summary>
+/// Version of the running server build and the release notes that ship with it.
+/// </summary>
+public class AppVersionInfo
+{
+	public string Version { get; set; } = string.Empty;
+	public List<string> Changelog { get; set; } = [];
+}
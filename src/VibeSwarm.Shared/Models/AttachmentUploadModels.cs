@@ -0,0 +1,32 @@
+using System.ComponentModel.DataAnnotations;
+using VibeSwarm.Shared.Validation;
+
+namespace VibeSwarm.Shared.Models;
+
+public sealed class StartAttachmentUploadRequest
+{
+	[Required]
+	[StringLength(ValidationLimits.IdeaAttachmentFileNameMaxLength, MinimumLength = 1)]
+	public string FileName { get; set; } = string.Empty;
+
+	[StringLength(ValidationLimits.IdeaAttachmentContentTypeMaxLength)]
+	public string? ContentType { get; set; }
+
+	[Range(1, ValidationLimits.IdeaAttachmentMaxFileBytes)]
+	public long SizeBytes { get; set; }
+}
+
+/// <summary>
+/// Progress of a resumable upload. Chunks are appended at <see cref="ReceivedBytes"/>; once the upload is complete its
+/// id can be passed to <see cref="CreateIdeaRequest.AttachmentUploadIds"/> or <see cref="Data.Job.AttachmentUploadIds"/>.
+/// </summary>
+public sealed class AttachmentUploadStatus
+{
+	public Guid UploadId { get; set; }
+	public string FileName { get; set; } = string.Empty;
+	public string? ContentType { get; set; }
+	public long SizeBytes { get; set; }
+	public long ReceivedBytes { get; set; }
+	public int ChunkSizeBytes { get; set; } = ValidationLimits.AttachmentUploadChunkMaxBytes;
+	public bool IsComplete => ReceivedBytes >= SizeBytes;
+}
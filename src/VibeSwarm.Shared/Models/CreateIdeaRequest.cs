@@ -13,6 +13,11 @@ public sealed class CreateIdeaRequest
 	public string Description { get; set; } = string.Empty;
 
 	public List<IdeaAttachmentUpload> Attachments { get; set; } = [];
+
+	/// <summary>
+	/// Completed chunked uploads (see <see cref="AttachmentUploadStatus"/>) to store with the idea.
+	/// </summary>
+	public List<Guid> AttachmentUploadIds { get; set; } = [];
 }
 
 public sealed class IdeaAttachmentUpload
@@ -34,6 +34,7 @@ public class ProjectExportDto
 	public AutoCommitMode AutoCommitMode { get; set; }
 	public GitChangeDeliveryMode GitChangeDeliveryMode { get; set; }
 	public string? DefaultTargetBranch { get; set; }
+	public string? AccentColor { get; set; }
 	public bool PlanningEnabled { get; set; }
 	public string? PromptContext { get; set; }
 	public bool IdeasAutoCommit { get; set; }
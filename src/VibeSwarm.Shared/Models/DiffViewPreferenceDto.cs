@@ -0,0 +1,11 @@
+using VibeSwarm.Shared.Data;
+
+namespace VibeSwarm.Shared.Models;
+
+/// <summary>
+/// The user's preferred diff layout.
+/// </summary>
+public sealed class DiffViewPreferenceDto
+{
+	public DiffViewMode Mode { get; set; }
+}
@@ -0,0 +1,31 @@
+namespace VibeSwarm.Shared.Models;
+
+/// <summary>
+/// A job hub event as it was sent to the job's group. <see cref="Arguments"/> excludes the trailing sequence number
+/// that live events carry.
+/// </summary>
+public sealed class JobEventRecord
+{
+	public long Sequence { get; set; }
+	public string Method { get; set; } = string.Empty;
+	public object?[] Arguments { get; set; } = [];
+}
+
+/// <summary>
+/// The events of one job emitted after a client's cursor, returned by the hub's <c>GetJobEventsSince</c>.
+/// </summary>
+public sealed class JobEventReplay
+{
+	/// <summary>
+	/// Sequence number of the newest event emitted for the job, or 0 when the server has none buffered.
+	/// </summary>
+	public long LatestSequence { get; set; }
+
+	/// <summary>
+	/// False when some of the events after the cursor have already left the replay buffer; the client has to reload
+	/// the job instead.
+	/// </summary>
+	public bool IsComplete { get; set; } = true;
+
+	public List<JobEventRecord> Events { get; set; } = [];
+}
@@ -0,0 +1,9 @@
+namespace VibeSwarm.Shared.Models;
+
+/// <summary>
+/// The user's keyboard shortcut overrides, keyed by action id. Actions that aren't listed keep their default binding.
+/// </summary>
+public sealed class KeyboardShortcutPreferencesDto
+{
+	public Dictionary<string, string> Bindings { get; set; } = new(StringComparer.Ordinal);
+}
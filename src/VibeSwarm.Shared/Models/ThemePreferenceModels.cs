@@ -6,10 +6,22 @@ namespace VibeSwarm.Shared.Models;
 public sealed class ThemePreferenceDto
 {
 	public string Theme { get; set; } = ThemePreference.System.ToValue();
+	public string Accent { get; set; } = ThemeAccent.Indigo.ToValue();
+	public string Density { get; set; } = ThemeDensity.Comfortable.ToValue();
 }
 
 public sealed class UpdateThemePreferenceRequest
 {
 	[Required]
 	public string Theme { get; set; } = ThemePreference.System.ToValue();
+
+	/// <summary>
+	/// Accent palette name. Null leaves the stored accent unchanged.
+	/// </summary>
+	public string? Accent { get; set; }
+
+	/// <summary>
+	/// "comfortable" or "compact". Null leaves the stored density unchanged.
+	/// </summary>
+	public string? Density { get; set; }
 }
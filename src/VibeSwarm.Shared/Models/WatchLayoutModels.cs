@@ -0,0 +1,34 @@
+using System.ComponentModel.DataAnnotations;
+using VibeSwarm.Shared.Validation;
+
+namespace VibeSwarm.Shared.Models;
+
+/// <summary>
+/// The user's watch wall: which jobs are tiled, in order, and how.
+/// </summary>
+public sealed class WatchLayoutDto
+{
+	[MaxLength(ValidationLimits.WatchWallMaxJobs)]
+	public List<Guid> JobIds { get; set; } = [];
+
+	/// <summary>
+	/// Tiles per row, or 0 to fit the grid to the number of jobs.
+	/// </summary>
+	[Range(0, ValidationLimits.WatchWallMaxColumns)]
+	public int Columns { get; set; }
+
+	/// <summary>
+	/// Add running jobs to the wall automatically as they start.
+	/// </summary>
+	public bool FollowAllRunning { get; set; }
+
+	/// <summary>
+	/// Returns a copy without empty or repeated job ids, limited to the wall's size.
+	/// </summary>
+	public WatchLayoutDto Normalize() => new()
+	{
+		JobIds = JobIds.Where(id => id != Guid.Empty).Distinct().Take(ValidationLimits.WatchWallMaxJobs).ToList(),
+		Columns = Math.Clamp(Columns, 0, ValidationLimits.WatchWallMaxColumns),
+		FollowAllRunning = FollowAllRunning
+	};
+}
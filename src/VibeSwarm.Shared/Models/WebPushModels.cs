@@ -0,0 +1,115 @@
+using System.ComponentModel.DataAnnotations;
+using VibeSwarm.Shared.Validation;
+
+namespace VibeSwarm.Shared.Models;
+
+public sealed class WebPushConfigurationDto
+{
+	public bool IsEnabled { get; set; }
+
+	/// <summary>
+	/// Base64url-encoded VAPID public key passed to <c>PushManager.subscribe</c>.
+	/// </summary>
+	public string? PublicKey { get; set; }
+}
+
+public sealed class WebPushSubscriptionDto
+{
+	public Guid Id { get; set; }
+	public string Endpoint { get; set; } = string.Empty;
+	public string? DeviceName { get; set; }
+	public string? UserAgent { get; set; }
+	public DateTime CreatedAt { get; set; }
+	public DateTime? LastDeliveredAt { get; set; }
+	public DateTime? LastFailedAt { get; set; }
+}
+
+public sealed class WebPushSubscribeRequest
+{
+	[Required]
+	[StringLength(ValidationLimits.WebPushEndpointMaxLength)]
+	public string Endpoint { get; set; } = string.Empty;
+
+	[Required]
+	[StringLength(ValidationLimits.WebPushKeyMaxLength)]
+	public string P256dh { get; set; } = string.Empty;
+
+	[Required]
+	[StringLength(ValidationLimits.WebPushKeyMaxLength)]
+	public string Auth { get; set; } = string.Empty;
+
+	[StringLength(ValidationLimits.WebPushDeviceNameMaxLength)]
+	public string? DeviceName { get; set; }
+}
+
+public sealed class WebPushTestResult
+{
+	/// <summary>
+	/// Delivery outcome reported by the push service: Delivered, Expired or Failed.
+	/// </summary>
+	public string Status { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// JSON payload delivered to the service worker's <c>push</c> handler.
+/// </summary>
+public sealed class WebPushNotificationPayload
+{
+	public string Title { get; set; } = string.Empty;
+	public string Body { get; set; } = string.Empty;
+
+	/// <summary>
+	/// App-relative URL opened when the notification is clicked.
+	/// </summary>
+	public string Url { get; set; } = "/";
+
+	/// <summary>
+	/// Notifications with the same tag replace each other on the device.
+	/// </summary>
+	public string? Tag { get; set; }
+
+	public string Kind { get; set; } = WebPushNotificationKinds.Test;
+	public Guid? JobId { get; set; }
+	public bool RequireInteraction { get; set; }
+
+	/// <summary>
+	/// Inline actions offered on the notification. Platforms show as many as they support.
+	/// </summary>
+	public List<WebPushNotificationAction> Actions { get; set; } = [];
+}
+
+/// <summary>
+/// A notification button or inline text field that answers a paused job without opening the app.
+/// </summary>
+public sealed class WebPushNotificationAction
+{
+	public string Action { get; set; } = string.Empty;
+	public string Title { get; set; } = string.Empty;
+
+	/// <summary>
+	/// "button" sends <see cref="Response"/>; "text" sends whatever the user typed.
+	/// </summary>
+	public string Type { get; set; } = "button";
+
+	public string? Response { get; set; }
+	public string? Placeholder { get; set; }
+}
+
+/// <summary>
+/// Reply posted by the service worker when a notification action is used.
+/// </summary>
+public sealed class WebPushInteractionReplyRequest
+{
+	[Required]
+	[StringLength(ValidationLimits.WebPushInteractionReplyMaxLength)]
+	public string Response { get; set; } = string.Empty;
+}
+
+public static class WebPushNotificationKinds
+{
+	public const string JobCompleted = "job-completed";
+	public const string JobFailed = "job-failed";
+	public const string JobStalled = "job-stalled";
+	public const string JobInteractionRequired = "job-interaction-required";
+	public const string Test = "test";
+}
@@ -66,9 +66,13 @@ public interface IJobService
 	/// Continues a completed job with follow-up instructions while preserving the existing session context.
 	/// </summary>
 	/// <param name="id">The job ID</param>
-	/// <param name="followUpPrompt">The follow-up instructions to send</param>
+	/// <param name="followUpPrompt">The follow-up instructions to send; optional when sending review comments</param>
+	/// <param name="includeReviewComments">
+	/// Sends the job's open review comments as the instructions, with the follow-up prompt added after them, and marks
+	/// them requested
+	/// </param>
 	/// <param name="cancellationToken">Cancellation token</param>
-	Task<bool> ContinueJobAsync(Guid id, string followUpPrompt, CancellationToken cancellationToken = default);
+	Task<bool> ContinueJobAsync(Guid id, string followUpPrompt, bool includeReviewComments = false, CancellationToken cancellationToken = default);
 
     /// <summary>
     /// Gets all paused jobs waiting for user interaction
@@ -174,4 +178,43 @@ public interface IJobService
     /// <param name="jobId">The job ID</param>
     /// <param name="cancellationToken">Cancellation token</param>
     Task<IEnumerable<JobChangeSet>> GetChangeSetsAsync(Guid jobId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Returns the review comments left on a job's diffs across all of its runs, resolving those the latest run
+    /// changed the lines of.
+    /// </summary>
+    /// <param name="jobId">The job ID</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    Task<IEnumerable<JobReviewComment>> GetReviewCommentsAsync(Guid jobId, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Leaves a comment on lines of the job's current diff.
+    /// </summary>
+    /// <param name="jobId">The job ID</param>
+    /// <param name="filePath">The file as named in the diff</param>
+    /// <param name="startLine">First commented line, numbered as in the new version of the file</param>
+    /// <param name="endLine">Last commented line, numbered as in the new version of the file</param>
+    /// <param name="body">The comment text</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>The saved comment</returns>
+    Task<JobReviewComment> AddReviewCommentAsync(Guid jobId, string filePath, int startLine, int endLine, string body, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Resolves a review comment, or reopens it so it is sent with the next change request.
+    /// </summary>
+    /// <param name="jobId">The job ID</param>
+    /// <param name="commentId">The comment ID</param>
+    /// <param name="resolved">True to resolve, false to reopen</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>False if the comment was not found</returns>
+    Task<bool> SetReviewCommentResolvedAsync(Guid jobId, Guid commentId, bool resolved, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Deletes a review comment.
+    /// </summary>
+    /// <param name="jobId">The job ID</param>
+    /// <param name="commentId">The comment ID</param>
+    /// <param name="cancellationToken">Cancellation token</param>
+    /// <returns>False if the comment was not found</returns>
+    Task<bool> DeleteReviewCommentAsync(Guid jobId, Guid commentId, CancellationToken cancellationToken = default);
 }
@@ -0,0 +1,74 @@
+using System.ComponentModel.DataAnnotations;
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.Validation;
+
+namespace VibeSwarm.Shared.Services;
+
+/// <summary>
+/// A text file inside a project's working directory, as opened in the file editor.
+/// </summary>
+public class ProjectFile
+{
+	/// <summary>
+	/// Path relative to the working directory, with forward slashes
+	/// </summary>
+	public string Path { get; set; } = string.Empty;
+
+	/// <summary>
+	/// The file's text with line endings normalised to \n, as a browser text field holds it
+	/// </summary>
+	public string Content { get; set; } = string.Empty;
+
+	/// <summary>
+	/// SHA-256 of the file as stored, used to refuse a save over changes made since it was opened
+	/// </summary>
+	public string ContentHash { get; set; } = string.Empty;
+
+	public bool UsesCrLf { get; set; }
+
+	public DateTime LastModified { get; set; }
+}
+
+public class ProjectFileSaveRequest
+{
+	[Required]
+	[StringLength(ValidationLimits.ProjectFilePathMaxLength, MinimumLength = 1)]
+	public string Path { get; set; } = string.Empty;
+
+	public string Content { get; set; } = string.Empty;
+
+	/// <summary>
+	/// <see cref="ProjectFile.ContentHash"/> the edit started from; the save is refused when the file no longer has it
+	/// </summary>
+	public string? ExpectedHash { get; set; }
+
+	/// <summary>
+	/// Job to record the save on as a manual change set
+	/// </summary>
+	public Guid? JobId { get; set; }
+}
+
+public class ProjectFileSaveResult
+{
+	public ProjectFile File { get; set; } = new();
+
+	/// <summary>
+	/// The manual change set recorded on the job; null when no job was given or the content was unchanged
+	/// </summary>
+	public JobChangeSet? ChangeSet { get; set; }
+}
+
+public interface IProjectFileService
+{
+	/// <summary>
+	/// Reads a text file from the project's working directory.
+	/// </summary>
+	/// <param name="path">Path relative to the working directory; paths outside it and inside .git are refused</param>
+	Task<ProjectFile> GetFileAsync(Guid projectId, string path, CancellationToken cancellationToken = default);
+
+	/// <summary>
+	/// Overwrites an existing text file in the project's working directory, keeping its line endings.
+	/// </summary>
+	/// <param name="editedBy">Who saved the file, recorded on the manual change set; the server sets it from the signed-in user</param>
+	Task<ProjectFileSaveResult> SaveFileAsync(Guid projectId, ProjectFileSaveRequest request, string? editedBy = null, CancellationToken cancellationToken = default);
+}
@@ -216,7 +216,7 @@ public static partial class JobSummaryGenerator
 		if (string.IsNullOrWhiteSpace(consoleOutput))
 			return null;
 
-		var match = CommitSummaryTagRegex().Match(consoleOutput);
+		var match = CommitSummaryTagRegex().Match(OutputCleaner.StripAnsiCodes(consoleOutput));
 		if (match.Success)
 		{
 			var raw = match.Groups[1].Value;
@@ -1,6 +1,7 @@
 using System.Text;
 using VibeSwarm.Shared.Data;
 using VibeSwarm.Shared.Providers;
+using VibeSwarm.Shared.Utilities;
 using VibeSwarm.Shared.Validation;
 
 namespace VibeSwarm.Shared.Services;
@@ -249,7 +250,7 @@ public static class PromptBuilder
 		if (!string.IsNullOrWhiteSpace(recentConsoleOutput))
 		{
 			sb.AppendLine("<recent_console_output>");
-			sb.AppendLine(recentConsoleOutput.Trim());
+			sb.AppendLine(OutputCleaner.StripAnsiCodes(recentConsoleOutput).Trim());
 			sb.AppendLine("</recent_console_output>");
 		}
 
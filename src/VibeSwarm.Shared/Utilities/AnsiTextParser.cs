@@ -0,0 +1,343 @@
+using System.Text;
+using System.Text.RegularExpressions;
+
+namespace VibeSwarm.Shared.Utilities;
+
+/// <summary>
+/// A run of output text that shares one terminal style.
+/// </summary>
+public sealed record AnsiSegment(string Text, string? CssClass = null, string? Style = null, string? Href = null)
+{
+	/// <summary>
+	/// Project-relative path when the text references a file the viewer can open.
+	/// </summary>
+	public string? FilePath { get; init; }
+
+	public int? FileLine { get; init; }
+
+	public bool IsPlain => CssClass == null && Style == null && Href == null && FilePath == null;
+}
+
+/// <summary>
+/// Parses output that went through <see cref="OutputCleaner.SanitizeAnsi"/> into styled segments, one list per line.
+/// SGR state carries across lines the way it does in a terminal. Colours 0-15 map to <c>ansi-fg-*</c> / <c>ansi-bg-*</c>
+/// classes so the stylesheet can theme them; 256-colour and true-colour values become inline styles.
+/// </summary>
+public static partial class AnsiTextParser
+{
+	private static readonly Regex FileReferenceRegex = FileReferencePattern();
+
+	public static List<List<AnsiSegment>> ParseLines(string? text)
+	{
+		var lines = new List<List<AnsiSegment>>();
+		if (string.IsNullOrEmpty(text))
+			return lines;
+
+		var state = new StyleState();
+		var buffer = new StringBuilder();
+		var currentLine = new List<AnsiSegment>();
+		var index = 0;
+
+		while (index < text.Length)
+		{
+			var character = text[index];
+			if (character == '\u001B')
+			{
+				Flush(buffer, state, currentLine);
+				index = ApplyEscape(text, index, state);
+				continue;
+			}
+
+			if (character == '\n')
+			{
+				Flush(buffer, state, currentLine);
+				lines.Add(currentLine);
+				currentLine = new List<AnsiSegment>();
+			}
+			else if (character != '\r')
+			{
+				buffer.Append(character);
+			}
+
+			index++;
+		}
+
+		Flush(buffer, state, currentLine);
+		lines.Add(currentLine);
+		return lines;
+	}
+
+	public static string GetPlainText(IEnumerable<AnsiSegment> segments) => string.Concat(segments.Select(segment => segment.Text));
+
+	/// <summary>
+	/// Splits segments around file references such as <c>src/App.cs:42</c> or <c>App.cs(42,7)</c> whose path
+	/// <paramref name="resolveFile"/> maps to a known project file. Text inside hyperlinks is left alone.
+	/// </summary>
+	public static List<AnsiSegment> LinkFileReferences(List<AnsiSegment> segments, Func<string, string?> resolveFile)
+	{
+		var linked = new List<AnsiSegment>(segments.Count);
+
+		foreach (var segment in segments)
+		{
+			if (segment.Href != null || segment.FilePath != null)
+			{
+				linked.Add(segment);
+				continue;
+			}
+
+			var position = 0;
+			foreach (Match match in FileReferenceRegex.Matches(segment.Text))
+			{
+				var filePath = resolveFile(match.Groups["path"].Value);
+				if (filePath == null)
+					continue;
+
+				if (match.Index > position)
+					linked.Add(segment with { Text = segment.Text[position..match.Index] });
+
+				linked.Add(segment with
+				{
+					Text = match.Value,
+					FilePath = filePath,
+					FileLine = int.TryParse(match.Groups["line"].Value, out var line) && line > 0 ? line : null
+				});
+				position = match.Index + match.Length;
+			}
+
+			if (position == 0)
+				linked.Add(segment);
+			else if (position < segment.Text.Length)
+				linked.Add(segment with { Text = segment.Text[position..] });
+		}
+
+		return linked;
+	}
+
+	/// <summary>
+	/// Builds a resolver that maps a path printed in output (relative, <c>./</c>-prefixed or absolute inside the
+	/// working tree) to the matching entry of <paramref name="knownFiles"/>.
+	/// </summary>
+	public static Func<string, string?> CreateFileResolver(IEnumerable<string> knownFiles)
+	{
+		var files = knownFiles
+			.Where(file => !string.IsNullOrWhiteSpace(file))
+			.Select(file => (Normalized: NormalizePath(file), Original: file))
+			.DistinctBy(file => file.Normalized, StringComparer.Ordinal)
+			.ToList();
+		var exact = files.ToDictionary(file => file.Normalized, file => file.Original, StringComparer.Ordinal);
+
+		return candidate =>
+		{
+			var normalized = NormalizePath(candidate);
+			if (exact.TryGetValue(normalized, out var match))
+				return match;
+
+			foreach (var file in files)
+			{
+				if (normalized.EndsWith("/" + file.Normalized, StringComparison.Ordinal))
+					return file.Original;
+			}
+
+			return null;
+		};
+	}
+
+	private static string NormalizePath(string path)
+	{
+		var normalized = path.Trim().Replace('\\', '/');
+		while (normalized.StartsWith("./", StringComparison.Ordinal))
+			normalized = normalized[2..];
+		return normalized;
+	}
+
+	private static void Flush(StringBuilder buffer, StyleState state, List<AnsiSegment> line)
+	{
+		if (buffer.Length == 0)
+			return;
+
+		line.Add(new AnsiSegment(buffer.ToString(), state.GetCssClass(), state.GetStyle(), state.Href));
+		buffer.Clear();
+	}
+
+	// Returns the index just past the escape sequence starting at escapeIndex
+	private static int ApplyEscape(string text, int escapeIndex, StyleState state)
+	{
+		var introducerIndex = escapeIndex + 1;
+		if (introducerIndex >= text.Length)
+			return text.Length;
+
+		if (text[introducerIndex] == '[')
+		{
+			var finalIndex = introducerIndex + 1;
+			while (finalIndex < text.Length && text[finalIndex] is < '@' or > '~')
+				finalIndex++;
+
+			if (finalIndex >= text.Length)
+				return text.Length;
+
+			if (text[finalIndex] == 'm')
+				state.ApplySgr(text[(introducerIndex + 1)..finalIndex]);
+
+			return finalIndex + 1;
+		}
+
+		if (text[introducerIndex] == ']')
+		{
+			var bodyStart = introducerIndex + 1;
+			var bellIndex = text.IndexOf('\u0007', bodyStart);
+			var stIndex = text.IndexOf("\u001B\\", bodyStart, StringComparison.Ordinal);
+			var endIndex = bellIndex >= 0 && (stIndex < 0 || bellIndex < stIndex) ? bellIndex : stIndex;
+			if (endIndex < 0)
+				return text.Length;
+
+			var body = text[bodyStart..endIndex];
+			if (body.StartsWith("8;", StringComparison.Ordinal))
+			{
+				var uriStart = body.IndexOf(';', 2);
+				var uri = uriStart < 0 ? string.Empty : body[(uriStart + 1)..];
+				state.Href = OutputCleaner.IsAllowedHyperlink(uri) ? uri : null;
+			}
+
+			return endIndex == bellIndex ? endIndex + 1 : endIndex + 2;
+		}
+
+		return introducerIndex + 1;
+	}
+
+	private sealed class StyleState
+	{
+		private bool _bold;
+		private bool _dim;
+		private bool _italic;
+		private bool _underline;
+		private bool _strikethrough;
+		private int? _foregroundIndex;
+		private string? _foregroundRgb;
+		private int? _backgroundIndex;
+		private string? _backgroundRgb;
+
+		public string? Href { get; set; }
+
+		public void ApplySgr(string parameters)
+		{
+			var codes = parameters.Length == 0 ? ["0"] : parameters.Split(';');
+
+			for (var index = 0; index < codes.Length; index++)
+			{
+				var code = codes[index].Length == 0 ? 0 : int.TryParse(codes[index], out var parsed) ? parsed : -1;
+				switch (code)
+				{
+					case 0:
+						_bold = _dim = _italic = _underline = _strikethrough = false;
+						SetForeground(null, null);
+						SetBackground(null, null);
+						break;
+					case 1: _bold = true; break;
+					case 2: _dim = true; break;
+					case 3: _italic = true; break;
+					case 4: _underline = true; break;
+					case 9: _strikethrough = true; break;
+					case 22: _bold = _dim = false; break;
+					case 23: _italic = false; break;
+					case 24: _underline = false; break;
+					case 29: _strikethrough = false; break;
+					case >= 30 and <= 37: SetForeground(code - 30, null); break;
+					case >= 90 and <= 97: SetForeground(code - 90 + 8, null); break;
+					case 39: SetForeground(null, null); break;
+					case >= 40 and <= 47: SetBackground(code - 40, null); break;
+					case >= 100 and <= 107: SetBackground(code - 100 + 8, null); break;
+					case 49: SetBackground(null, null); break;
+					case 38:
+					case 48:
+						var (paletteIndex, rgb, consumed) = ReadExtendedColor(codes, index + 1);
+						if (code == 38)
+							SetForeground(paletteIndex, rgb);
+						else
+							SetBackground(paletteIndex, rgb);
+						index += consumed;
+						break;
+				}
+			}
+		}
+
+		public string? GetCssClass()
+		{
+			var classes = new List<string>();
+			if (_bold) classes.Add("ansi-bold");
+			if (_dim) classes.Add("ansi-dim");
+			if (_italic) classes.Add("ansi-italic");
+			if (_underline) classes.Add("ansi-underline");
+			if (_strikethrough) classes.Add("ansi-strike");
+			if (_foregroundIndex.HasValue) classes.Add($"ansi-fg-{_foregroundIndex.Value}");
+			if (_backgroundIndex.HasValue) classes.Add($"ansi-bg-{_backgroundIndex.Value}");
+			return classes.Count == 0 ? null : string.Join(' ', classes);
+		}
+
+		public string? GetStyle()
+		{
+			if (_foregroundRgb == null && _backgroundRgb == null)
+				return null;
+
+			var style = new StringBuilder();
+			if (_foregroundRgb != null) style.Append($"color: {_foregroundRgb};");
+			if (_backgroundRgb != null) style.Append($"background-color: {_backgroundRgb};");
+			return style.ToString();
+		}
+
+		private void SetForeground(int? paletteIndex, string? rgb)
+		{
+			_foregroundIndex = paletteIndex;
+			_foregroundRgb = rgb;
+		}
+
+		private void SetBackground(int? paletteIndex, string? rgb)
+		{
+			_backgroundIndex = paletteIndex;
+			_backgroundRgb = rgb;
+		}
+
+		// Reads "5;n" or "2;r;g;b" after a 38/48 code. Returns how many extra codes were consumed.
+		private static (int? PaletteIndex, string? Rgb, int Consumed) ReadExtendedColor(string[] codes, int start)
+		{
+			if (start + 1 < codes.Length && codes[start] == "5" && TryReadByte(codes[start + 1], out var colorIndex))
+			{
+				return colorIndex < 16
+					? (colorIndex, null, 2)
+					: (null, GetXtermColor(colorIndex), 2);
+			}
+
+			if (start + 3 < codes.Length && codes[start] == "2"
+				&& TryReadByte(codes[start + 1], out var red)
+				&& TryReadByte(codes[start + 2], out var green)
+				&& TryReadByte(codes[start + 3], out var blue))
+			{
+				return (null, $"#{red:x2}{green:x2}{blue:x2}", 4);
+			}
+
+			return (null, null, codes.Length - start);
+		}
+
+		private static bool TryReadByte(string value, out int number)
+		{
+			return int.TryParse(value, out number) && number is >= 0 and <= 255;
+		}
+
+		// xterm 256-colour palette: a 6x6x6 colour cube (16-231) followed by a 24-step grey ramp
+		private static string GetXtermColor(int colorIndex)
+		{
+			if (colorIndex >= 232)
+			{
+				var grey = 8 + (colorIndex - 232) * 10;
+				return $"#{grey:x2}{grey:x2}{grey:x2}";
+			}
+
+			var cube = colorIndex - 16;
+			static int Level(int value) => value == 0 ? 0 : 55 + value * 40;
+			return $"#{Level(cube / 36):x2}{Level(cube / 6 % 6):x2}{Level(cube % 6):x2}";
+		}
+	}
+
+	// A path with an extension, optionally followed by :line[:column] or (line[,column])
+	[GeneratedRegex(@"(?<path>(?:[A-Za-z]:)?[\w.~@+/\\-]*[\w-]\.[A-Za-z0-9]{1,10})(?::(?<line>\d+)(?::\d+)?|\((?<line>\d+)(?:,\d+)?\))?")]
+	private static partial Regex FileReferencePattern();
+}
@@ -0,0 +1,194 @@
+namespace VibeSwarm.Shared.Utilities;
+
+/// <summary>
+/// A rebindable keyboard action. <see cref="Scope"/> names the component that handles it and groups
+/// the cheat sheet; <see cref="DefaultKeys"/> uses the binding syntax described on <see cref="KeyboardShortcutCatalog"/>.
+/// </summary>
+public sealed record KeyboardShortcutDefinition(string Id, string Scope, string Description, string DefaultKeys);
+
+/// <summary>
+/// Every keyboard shortcut the client registers, plus parsing and conflict checks for user bindings.
+/// A binding is one to three space-separated chords, each an optional <c>mod+</c>, <c>alt+</c> or <c>shift+</c>
+/// prefix followed by a key: <c>mod+k</c>, <c>g j</c>, <c>?</c>. <c>mod</c> is Ctrl, or Cmd on macOS.
+/// An empty binding turns the shortcut off.
+/// </summary>
+public static class KeyboardShortcutCatalog
+{
+	public const string GlobalScope = "Global";
+	public const string JobsScope = "Jobs list";
+	public const string IdeasScope = "Ideas";
+	public const string DiffScope = "Diff viewer";
+
+	public const string OpenSearch = "search.open";
+	public const string ShowHelp = "help.show";
+	public const string GoToJobs = "go.jobs";
+	public const string GoToProjects = "go.projects";
+	public const string NewIdea = "ideas.new";
+	public const string NextJob = "jobs.next";
+	public const string PreviousJob = "jobs.previous";
+	public const string CancelJob = "jobs.cancel";
+	public const string NextFile = "diff.next-file";
+	public const string PreviousFile = "diff.previous-file";
+
+	private const int MaxChords = 3;
+	private static readonly string[] ModifierOrder = ["mod", "alt", "shift"];
+
+	public static IReadOnlyList<KeyboardShortcutDefinition> Definitions { get; } =
+	[
+		new(OpenSearch, GlobalScope, "Open search", "mod+k"),
+		new(ShowHelp, GlobalScope, "Show keyboard shortcuts", "?"),
+		new(GoToJobs, GlobalScope, "Go to jobs", "g j"),
+		new(GoToProjects, GlobalScope, "Go to projects", "g p"),
+		new(NewIdea, IdeasScope, "Write a new idea", "n"),
+		new(NextJob, JobsScope, "Focus next job", "j"),
+		new(PreviousJob, JobsScope, "Focus previous job", "k"),
+		new(CancelJob, JobsScope, "Cancel focused job", "c"),
+		new(NextFile, DiffScope, "Next file", "]"),
+		new(PreviousFile, DiffScope, "Previous file", "[")
+	];
+
+	public static KeyboardShortcutDefinition? Find(string id)
+	{
+		return Definitions.FirstOrDefault(definition => string.Equals(definition.Id, id, StringComparison.Ordinal));
+	}
+
+	/// <summary>
+	/// Returns the binding for each action, taking <paramref name="overrides"/> over the defaults.
+	/// Disabled actions map to an empty string.
+	/// </summary>
+	public static Dictionary<string, string> Resolve(IReadOnlyDictionary<string, string>? overrides)
+	{
+		return Definitions.ToDictionary(
+			definition => definition.Id,
+			definition => overrides != null && overrides.TryGetValue(definition.Id, out var keys) ? keys : definition.DefaultKeys,
+			StringComparer.Ordinal);
+	}
+
+	/// <summary>
+	/// Parses a binding into its canonical form: lower-case keys, modifiers in mod/alt/shift order, and
+	/// <c>shift</c> dropped from symbols where the shifted character already says it (<c>shift+/</c> is typed as <c>?</c>).
+	/// </summary>
+	public static bool TryNormalize(string? keys, out string normalized)
+	{
+		normalized = string.Empty;
+		if (string.IsNullOrWhiteSpace(keys))
+			return true;
+
+		var chords = keys.Split(' ', StringSplitOptions.RemoveEmptyEntries);
+		if (chords.Length > MaxChords)
+			return false;
+
+		var normalizedChords = new List<string>(chords.Length);
+		foreach (var chord in chords)
+		{
+			if (!TryNormalizeChord(chord, out var normalizedChord))
+				return false;
+			normalizedChords.Add(normalizedChord);
+		}
+
+		normalized = string.Join(' ', normalizedChords);
+		return true;
+	}
+
+	/// <summary>
+	/// Checks user overrides before they are stored: every id must be a known action, every binding must parse
+	/// and the merged bindings must be conflict-free. Overrides that match the default are dropped.
+	/// </summary>
+	public static bool TryNormalizeOverrides(IReadOnlyDictionary<string, string>? overrides, out Dictionary<string, string> normalized, out string? error)
+	{
+		normalized = new Dictionary<string, string>(StringComparer.Ordinal);
+		error = null;
+
+		foreach (var (id, keys) in overrides ?? new Dictionary<string, string>())
+		{
+			var definition = Find(id);
+			if (definition == null)
+			{
+				error = $"Unknown keyboard shortcut \"{id}\".";
+				return false;
+			}
+
+			if (!TryNormalize(keys, out var normalizedKeys))
+			{
+				error = $"\"{keys}\" is not a valid binding for \"{definition.Description}\".";
+				return false;
+			}
+
+			if (normalizedKeys != definition.DefaultKeys)
+			{
+				normalized[id] = normalizedKeys;
+			}
+		}
+
+		var conflicts = FindConflicts(Resolve(normalized));
+		if (conflicts.Count > 0)
+		{
+			error = conflicts[0];
+			return false;
+		}
+
+		return true;
+	}
+
+	/// <summary>
+	/// Finds pairs of actions that can't both work: the same binding, or one binding that is the start of
+	/// another (<c>g</c> would fire before <c>g j</c> could be typed).
+	/// </summary>
+	public static List<string> FindConflicts(IReadOnlyDictionary<string, string> bindings)
+	{
+		var conflicts = new List<string>();
+		var active = Definitions
+			.Where(definition => bindings.TryGetValue(definition.Id, out var keys) && !string.IsNullOrEmpty(keys))
+			.Select(definition => (Definition: definition, Keys: bindings[definition.Id]))
+			.ToList();
+
+		for (var first = 0; first < active.Count; first++)
+		{
+			for (var second = first + 1; second < active.Count; second++)
+			{
+				var (firstDefinition, firstKeys) = active[first];
+				var (secondDefinition, secondKeys) = active[second];
+				if (firstKeys == secondKeys)
+				{
+					conflicts.Add($"\"{firstDefinition.Description}\" and \"{secondDefinition.Description}\" are both bound to {firstKeys}.");
+				}
+				else if (secondKeys.StartsWith(firstKeys + " ", StringComparison.Ordinal)
+					|| firstKeys.StartsWith(secondKeys + " ", StringComparison.Ordinal))
+				{
+					conflicts.Add($"\"{firstDefinition.Description}\" ({firstKeys}) and \"{secondDefinition.Description}\" ({secondKeys}) overlap; the shorter one always fires first.");
+				}
+			}
+		}
+
+		return conflicts;
+	}
+
+	private static bool TryNormalizeChord(string chord, out string normalized)
+	{
+		normalized = string.Empty;
+		var parts = chord.ToLowerInvariant().Split('+');
+		var key = parts[^1];
+		if (key.Length == 0 || (key.Length > 1 && !key.All(char.IsAsciiLetterOrDigit)))
+			return false;
+
+		var modifiers = new HashSet<string>(StringComparer.Ordinal);
+		foreach (var part in parts[..^1])
+		{
+			var modifier = part switch
+			{
+				"mod" or "ctrl" or "control" or "cmd" or "meta" => "mod",
+				"alt" or "option" => "alt",
+				"shift" => "shift",
+				_ => null
+			};
+			if (modifier == null || !modifiers.Add(modifier))
+				return false;
+		}
+
+		if (key.Length == 1 && !char.IsAsciiLetter(key[0]))
+			modifiers.Remove("shift");
+
+		normalized = string.Join('+', ModifierOrder.Where(modifiers.Contains).Append(key));
+		return true;
+	}
+}
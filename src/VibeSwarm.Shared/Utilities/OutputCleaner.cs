@@ -6,6 +6,12 @@ namespace VibeSwarm.Shared.Utilities;
 public static partial class OutputCleaner
 {
 	private static readonly Regex AnsiCodeRegex = AnsiCodePattern();
+	private static readonly Regex ControlCharacterRegex = ControlCharacterPattern();
+
+	/// <summary>
+	/// Escape sequence that closes an OSC-8 hyperlink.
+	/// </summary>
+	public const string HyperlinkTerminator = "\u001B]8;;\u001B\\";
 
 	private static readonly string[] ToolUsagePatterns =
 	[
@@ -40,6 +46,115 @@ public static partial class OutputCleaner
 		return AnsiCodeRegex.Replace(input, string.Empty);
 	}
 
+	/// <summary>
+	/// Keeps the subset of terminal escapes the output viewers can render — SGR styling (bold, italic,
+	/// underline, 16/256/true colour) and OSC-8 hyperlinks to http, https or file URIs — and removes
+	/// every other escape sequence and control character.
+	/// </summary>
+	public static string SanitizeAnsi(string input)
+	{
+		if (string.IsNullOrEmpty(input) || (input.IndexOf('\u001B') < 0 && !ControlCharacterRegex.IsMatch(input)))
+			return input;
+
+		var sanitized = AnsiCodeRegex.Replace(input, match =>
+		{
+			var sequence = match.Value;
+			if (sequence.Length > 2 && sequence[1] == '[' && sequence[^1] == 'm')
+			{
+				var parameters = SanitizeSgrParameters(sequence[2..^1]);
+				return parameters == null ? string.Empty : $"\u001B[{parameters}m";
+			}
+
+			if (sequence.Length > 2 && sequence[1] == ']')
+			{
+				return SanitizeHyperlink(sequence);
+			}
+
+			return string.Empty;
+		});
+
+		return ControlCharacterRegex.Replace(sanitized, string.Empty);
+	}
+
+	/// <summary>
+	/// Whether an OSC-8 hyperlink target is safe to render as a link.
+	/// </summary>
+	public static bool IsAllowedHyperlink(string? uri)
+	{
+		return Uri.TryCreate(uri, UriKind.Absolute, out var parsed)
+			&& (parsed.Scheme == Uri.UriSchemeHttp || parsed.Scheme == Uri.UriSchemeHttps || parsed.Scheme == Uri.UriSchemeFile);
+	}
+
+	private static string? SanitizeSgrParameters(string parameters)
+	{
+		if (parameters.Length == 0)
+			return "0";
+
+		var codes = parameters.Split(';');
+		var kept = new List<string>();
+
+		for (var index = 0; index < codes.Length; index++)
+		{
+			if (!int.TryParse(codes[index], out var code))
+			{
+				if (codes[index].Length == 0)
+					kept.Add("0");
+				continue;
+			}
+
+			if (code is 38 or 48)
+			{
+				// Extended colours: 5;n (256-colour palette) or 2;r;g;b (true colour)
+				if (index + 2 < codes.Length && codes[index + 1] == "5" && IsByte(codes[index + 2]))
+				{
+					kept.Add($"{code};5;{codes[index + 2]}");
+					index += 2;
+				}
+				else if (index + 4 < codes.Length && codes[index + 1] == "2"
+					&& IsByte(codes[index + 2]) && IsByte(codes[index + 3]) && IsByte(codes[index + 4]))
+				{
+					kept.Add($"{code};2;{codes[index + 2]};{codes[index + 3]};{codes[index + 4]}");
+					index += 4;
+				}
+				else
+				{
+					break;
+				}
+
+				continue;
+			}
+
+			if (code is 0 or 1 or 2 or 3 or 4 or 9 or 22 or 23 or 24 or 29 or 39 or 49
+				|| code is >= 30 and <= 37 || code is >= 40 and <= 47
+				|| code is >= 90 and <= 97 || code is >= 100 and <= 107)
+			{
+				kept.Add(code.ToString());
+			}
+		}
+
+		return kept.Count == 0 ? null : string.Join(';', kept);
+	}
+
+	private static string SanitizeHyperlink(string sequence)
+	{
+		// ESC ] 8 ; params ; URI (BEL | ESC \)
+		var body = sequence.EndsWith('\u0007') ? sequence[2..^1] : sequence[2..^2];
+		if (!body.StartsWith("8;", StringComparison.Ordinal))
+			return string.Empty;
+
+		var uriStart = body.IndexOf(';', 2);
+		if (uriStart < 0)
+			return string.Empty;
+
+		var uri = body[(uriStart + 1)..];
+		if (uri.Length == 0)
+			return HyperlinkTerminator;
+
+		return IsAllowedHyperlink(uri) ? $"\u001B]8;;{uri}\u001B\\" : string.Empty;
+	}
+
+	private static bool IsByte(string value) => int.TryParse(value, out var number) && number is >= 0 and <= 255;
+
 	public static string StripToolUsage(string output)
 	{
 		if (string.IsNullOrEmpty(output))
@@ -97,6 +212,10 @@ public static partial class OutputCleaner
 		return withoutToolUsage;
 	}
 
-	[GeneratedRegex(@"\x1B(?:[@-Z\\-_]|\[[0-?]*[ -/]*[@-~])", RegexOptions.Compiled)]
+	[GeneratedRegex(@"\x1B\][^\x07\x1B]*(?:\x07|\x1B\\)|\x1B(?:[@-Z\\-_]|\[[0-?]*[ -/]*[@-~])", RegexOptions.Compiled)]
 	private static partial Regex AnsiCodePattern();
+
+	// C0 controls other than tab, newline and carriage return, plus DEL and stray ESC characters
+	[GeneratedRegex(@"[\x00-\x08\x0B\x0C\x0E-\x1A\x1C-\x1F\x7F]|\x1B(?![\[\]\\])", RegexOptions.Compiled)]
+	private static partial Regex ControlCharacterPattern();
 }
@@ -0,0 +1,319 @@
+namespace VibeSwarm.Shared.Utilities;
+
+/// <summary>
+/// A run of source text with its token class, if any, and whether it is part of an intraline change.
+/// </summary>
+public sealed record HighlightedSpan(string Text, string? TokenClass = null, bool IsChanged = false)
+{
+	public string? CssClass => IsChanged
+		? TokenClass == null ? "diff-word-change" : $"{TokenClass} diff-word-change"
+		: TokenClass;
+}
+
+/// <summary>
+/// Block comment state carried from one line of a file to the next.
+/// </summary>
+public sealed class SyntaxHighlightState
+{
+	internal string? OpenBlockCommentEnd { get; set; }
+
+	public void Reset() => OpenBlockCommentEnd = null;
+}
+
+/// <summary>
+/// A small line-at-a-time highlighter for diffs. It recognises comments, strings, numbers and keywords of the languages
+/// projects usually contain and marks them with <c>tok-*</c> classes; it is not a parser, so unusual syntax such as
+/// multi-line strings is shown plain.
+/// </summary>
+public static class SyntaxHighlighter
+{
+	private const string KeywordClass = "tok-keyword";
+	private const string TypeClass = "tok-type";
+	private const string StringClass = "tok-string";
+	private const string CommentClass = "tok-comment";
+	private const string NumberClass = "tok-number";
+
+	private sealed record Language(
+		string Name,
+		HashSet<string> Keywords,
+		HashSet<string> Types,
+		string[] LineComments,
+		(string Start, string End)[] BlockComments,
+		char[] Quotes,
+		bool IsMarkup = false,
+		bool IgnoreCase = false);
+
+	private static readonly (string Start, string End)[] CStyleBlockComments = [("/*", "*/")];
+
+	private static readonly Language CSharp = new("csharp",
+		Words("abstract as async await base break case catch checked class const continue default delegate do else enum event explicit extern false finally fixed for foreach get goto if implicit in init interface internal is lock namespace new null operator out override params private protected public readonly record ref required return sealed set sizeof stackalloc static struct switch this throw true try typeof unchecked unsafe using value var virtual volatile when where while with yield"),
+		Words("bool byte char decimal double dynamic float int long nint nuint object sbyte short string uint ulong ushort void"),
+		["//"], CStyleBlockComments, ['"', '\'']);
+
+	private static readonly Language JavaScript = new("javascript",
+		Words("abstract as async await break case catch class const continue debugger declare default delete do else enum export extends false finally for from function get if implements import in instanceof interface let new null of private protected public readonly return set static super switch this throw true try type typeof undefined var void while with yield"),
+		Words("any bigint boolean never number object string symbol unknown"),
+		["//"], CStyleBlockComments, ['"', '\'', '`']);
+
+	private static readonly Language Json = new("json", Words("true false null"), [], [], [], ['"']);
+
+	private static readonly Language Css = new("css",
+		Words("important inherit initial none unset auto"), [], [], CStyleBlockComments, ['"', '\'']);
+
+	private static readonly Language Markup = new("markup", [], [], [], [("<!--", "-->"), ("@*", "*@")], ['"', '\''], IsMarkup: true);
+
+	private static readonly Language Python = new("python",
+		Words("and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield"),
+		Words("bool bytes dict float int list object set str tuple"),
+		["#"], [], ['"', '\'']);
+
+	private static readonly Language Go = new("go",
+		Words("break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var"),
+		Words("bool byte complex128 complex64 error float32 float64 int int16 int32 int64 int8 rune string uint uint16 uint32 uint64 uint8 uintptr"),
+		["//"], CStyleBlockComments, ['"', '\'', '`']);
+
+	private static readonly Language Rust = new("rust",
+		Words("as async await break const continue crate dyn else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while"),
+		Words("bool char f32 f64 i128 i16 i32 i64 i8 isize str String u128 u16 u32 u64 u8 usize Vec Option Result"),
+		["//"], CStyleBlockComments, ['"']);
+
+	private static readonly Language Java = new("java",
+		Words("abstract assert break case catch class const continue default do else enum extends false final finally for fun if implements import instanceof interface is native new null object override package private protected public return static super switch synchronized this throw throws transient true try val var void volatile when while"),
+		Words("boolean byte char double float int long short String"),
+		["//"], CStyleBlockComments, ['"', '\'']);
+
+	private static readonly Language Shell = new("shell",
+		Words("case do done elif else esac exit export fi for function if in local return set then until while"),
+		[], ["#"], [], ['"', '\'']);
+
+	private static readonly Language Yaml = new("yaml", Words("true false null yes no on off"), [], ["#"], [], ['"', '\'']);
+
+	private static readonly Language Sql = new("sql",
+		Words("add alter and as asc begin by case commit create default delete desc distinct drop else end exists foreign from group having in index inner insert into is join key left like limit not null on or order outer primary references right rollback select set table then union unique update values view when where"),
+		Words("bigint blob boolean char date datetime decimal double float int integer numeric real text timestamp varchar"),
+		["--"], CStyleBlockComments, ['\'', '"'], IgnoreCase: true);
+
+	private static readonly Dictionary<string, Language> LanguagesByExtension = new(StringComparer.OrdinalIgnoreCase)
+	{
+		[".cs"] = CSharp,
+		[".csx"] = CSharp,
+		[".js"] = JavaScript,
+		[".mjs"] = JavaScript,
+		[".cjs"] = JavaScript,
+		[".jsx"] = JavaScript,
+		[".ts"] = JavaScript,
+		[".tsx"] = JavaScript,
+		[".json"] = Json,
+		[".css"] = Css,
+		[".scss"] = Css,
+		[".html"] = Markup,
+		[".htm"] = Markup,
+		[".xml"] = Markup,
+		[".svg"] = Markup,
+		[".razor"] = Markup,
+		[".cshtml"] = Markup,
+		[".csproj"] = Markup,
+		[".props"] = Markup,
+		[".targets"] = Markup,
+		[".py"] = Python,
+		[".go"] = Go,
+		[".rs"] = Rust,
+		[".java"] = Java,
+		[".kt"] = Java,
+		[".sh"] = Shell,
+		[".bash"] = Shell,
+		[".zsh"] = Shell,
+		[".yml"] = Yaml,
+		[".yaml"] = Yaml,
+		[".sql"] = Sql
+	};
+
+	private static readonly Dictionary<string, Language> LanguagesByName = LanguagesByExtension.Values
+		.DistinctBy(language => language.Name)
+		.ToDictionary(language => language.Name);
+
+	/// <summary>
+	/// Picks the language from the file's extension.
+	/// </summary>
+	/// <returns>The language name, or null when the file is not highlighted</returns>
+	public static string? DetectLanguage(string? fileName)
+	{
+		if (string.IsNullOrEmpty(fileName))
+			return null;
+
+		return LanguagesByExtension.TryGetValue(Path.GetExtension(fileName), out var language) ? language.Name : null;
+	}
+
+	/// <summary>
+	/// Splits a line into highlighted spans, marking the characters in <paramref name="changedRanges"/> as changed.
+	/// </summary>
+	/// <param name="line">The line without its diff prefix</param>
+	/// <param name="language">A name returned by <see cref="DetectLanguage"/>; null leaves the text plain</param>
+	/// <param name="state">Carries open block comments to the next line of the same file; null highlights the line on its own</param>
+	/// <param name="changedRanges">Character ranges to mark as an intraline change</param>
+	public static List<HighlightedSpan> Highlight(string line, string? language, SyntaxHighlightState? state = null,
+		IReadOnlyList<(int Start, int Length)>? changedRanges = null)
+	{
+		var tokens = language != null && LanguagesByName.TryGetValue(language, out var definition)
+			? Tokenize(line, definition, state ?? new SyntaxHighlightState())
+			: new List<(int Start, int Length, string? Class)> { (0, line.Length, null) };
+		return ApplyChanges(line, tokens, changedRanges);
+	}
+
+	private static List<(int Start, int Length, string? Class)> Tokenize(string line, Language language, SyntaxHighlightState state)
+	{
+		var tokens = new List<(int Start, int Length, string? Class)>();
+		var index = 0;
+		var plainStart = 0;
+
+		void Emit(int start, int end, string? cssClass)
+		{
+			if (plainStart < start)
+				tokens.Add((plainStart, start - plainStart, null));
+			if (end > start)
+				tokens.Add((start, end - start, cssClass));
+			plainStart = end;
+		}
+
+		if (state.OpenBlockCommentEnd is { } openEnd)
+		{
+			var close = line.IndexOf(openEnd, StringComparison.Ordinal);
+			index = close < 0 ? line.Length : close + openEnd.Length;
+			if (close >= 0)
+				state.OpenBlockCommentEnd = null;
+			Emit(0, index, CommentClass);
+		}
+
+		while (index < line.Length)
+		{
+			var c = line[index];
+
+			var blockComment = language.BlockComments.FirstOrDefault(comment => string.CompareOrdinal(line, index, comment.Start, 0, comment.Start.Length) == 0);
+			if (blockComment.Start != null)
+			{
+				var close = line.IndexOf(blockComment.End, index + blockComment.Start.Length, StringComparison.Ordinal);
+				var end = close < 0 ? line.Length : close + blockComment.End.Length;
+				if (close < 0)
+					state.OpenBlockCommentEnd = blockComment.End;
+				Emit(index, end, CommentClass);
+				index = end;
+				continue;
+			}
+
+			if (language.LineComments.Any(prefix => string.CompareOrdinal(line, index, prefix, 0, prefix.Length) == 0)
+				&& (c != '#' || index == 0 || char.IsWhiteSpace(line[index - 1])))
+			{
+				Emit(index, line.Length, CommentClass);
+				break;
+			}
+
+			if (Array.IndexOf(language.Quotes, c) >= 0 && !(language.IsMarkup && !IsInsideTag(line, index)))
+			{
+				var end = index + 1;
+				while (end < line.Length && line[end] != c)
+				{
+					end += line[end] == '\\' && !language.IsMarkup ? 2 : 1;
+				}
+				end = Math.Min(end + 1, line.Length);
+				Emit(index, end, StringClass);
+				index = end;
+				continue;
+			}
+
+			if (char.IsDigit(c) && (index == 0 || !IsWordChar(line[index - 1])))
+			{
+				var end = index + 1;
+				while (end < line.Length && (char.IsLetterOrDigit(line[end]) || line[end] is '.' or '_'))
+					end++;
+				Emit(index, end, NumberClass);
+				index = end;
+				continue;
+			}
+
+			if (IsWordChar(c))
+			{
+				var end = index + 1;
+				while (end < line.Length && (IsWordChar(line[end]) || (language.IsMarkup && line[end] is '-' or ':' or '.')))
+					end++;
+
+				var word = line[index..end];
+				if (language.IsMarkup)
+				{
+					var previous = index > 0 ? line[index - 1] : ' ';
+					if (previous == '<' || (previous == '/' && index > 1 && line[index - 2] == '<'))
+						Emit(index, end, KeywordClass);
+				}
+				else if (Contains(language.Keywords, word, language.IgnoreCase))
+				{
+					Emit(index, end, KeywordClass);
+				}
+				else if (Contains(language.Types, word, language.IgnoreCase))
+				{
+					Emit(index, end, TypeClass);
+				}
+
+				index = end;
+				continue;
+			}
+
+			index++;
+		}
+
+		Emit(line.Length, line.Length, null);
+		return tokens;
+	}
+
+	private static List<HighlightedSpan> ApplyChanges(string line, List<(int Start, int Length, string? Class)> tokens,
+		IReadOnlyList<(int Start, int Length)>? changedRanges)
+	{
+		var spans = new List<HighlightedSpan>();
+		foreach (var (start, length, cssClass) in tokens)
+		{
+			var position = start;
+			var end = start + length;
+			while (position < end)
+			{
+				var isChanged = IsChanged(changedRanges, position, out var boundary);
+				var next = Math.Min(end, boundary);
+				spans.Add(new HighlightedSpan(line[position..next], cssClass, isChanged));
+				position = next;
+			}
+		}
+
+		return spans;
+	}
+
+	/// <summary>
+	/// Whether <paramref name="position"/> falls in a changed range, and where that stops being true
+	/// </summary>
+	private static bool IsChanged(IReadOnlyList<(int Start, int Length)>? changedRanges, int position, out int boundary)
+	{
+		boundary = int.MaxValue;
+		if (changedRanges == null)
+			return false;
+
+		foreach (var (start, length) in changedRanges)
+		{
+			if (position >= start && position < start + length)
+			{
+				boundary = start + length;
+				return true;
+			}
+
+			if (start > position)
+				boundary = Math.Min(boundary, start);
+		}
+
+		return false;
+	}
+
+	private static bool IsInsideTag(string line, int index)
+		=> line.LastIndexOf('<', index) > line.LastIndexOf('>', index);
+
+	private static bool IsWordChar(char c) => char.IsLetterOrDigit(c) || c == '_';
+
+	private static bool Contains(HashSet<string> words, string word, bool ignoreCase)
+		=> words.Contains(ignoreCase ? word.ToLowerInvariant() : word);
+
+	private static HashSet<string> Words(string words) => new(words.Split(' '), StringComparer.Ordinal);
+}
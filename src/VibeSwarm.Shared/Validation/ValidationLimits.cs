@@ -8,6 +8,8 @@ public static class ValidationLimits
 	public const int ProjectGitHubRepositoryMaxLength = 200;
 	public const int ProjectGitHubDescriptionMaxLength = 1000;
 	public const int ProjectDefaultTargetBranchMaxLength = 250;
+	public const int ProjectAccentColorMaxLength = 7;
+	public const string HexColorPattern = "^#[0-9a-fA-F]{6}$";
 	public const int ProjectPlanningModelIdMaxLength = 200;
 	public const int ReasoningEffortMaxLength = 32;
 	public const int ProjectPromptContextMaxLength = 4000;
@@ -36,6 +38,8 @@ public static class ValidationLimits
 	public const int IdeaAttachmentFileNameMaxLength = 255;
 	public const int IdeaAttachmentContentTypeMaxLength = 200;
 	public const int IdeaAttachmentRelativePathMaxLength = 500;
+	public const int AttachmentUploadChunkMaxBytes = 1024 * 1024;
+	public const long AttachmentUploadStagingMaxBytes = 512L * 1024 * 1024;
 	public const int CriticalErrorLogFieldMaxLength = 100;
 	public const int CriticalErrorLogMessageMaxLength = 1000;
 	public const int CriticalErrorLogDetailsMaxLength = 8000;
@@ -43,4 +47,19 @@ public static class ValidationLimits
 	public const int CriticalErrorLogUrlMaxLength = 2000;
 	public const int CriticalErrorLogUserAgentMaxLength = 1000;
 	public const int CriticalErrorLogMetadataMaxLength = 4000;
+	public const int WebPushEndpointMaxLength = 2000;
+	public const int WebPushKeyMaxLength = 200;
+	public const int WebPushDeviceNameMaxLength = 100;
+	public const int WebPushUserAgentMaxLength = 1000;
+	public const int WebPushInteractionReplyMaxLength = 2000;
+	public const int KeyboardShortcutsJsonMaxLength = 4000;
+	public const int WatchWallMaxJobs = 9;
+	public const int WatchWallMaxColumns = 3;
+	public const int WatchLayoutJsonMaxLength = 1000;
+	public const int ReviewCommentBodyMaxLength = 4000;
+	public const int ReviewCommentFilePathMaxLength = 500;
+	public const int ReviewCommentLineTextMaxLength = 4000;
+	public const int ProjectFilePathMaxLength = 500;
+	public const int ProjectFileMaxEditableBytes = 1024 * 1024;
+	public const int ChangeSetEditedByMaxLength = 256;
 }
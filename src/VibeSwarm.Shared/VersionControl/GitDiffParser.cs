@@ -148,7 +148,7 @@ public static class GitDiffParser
 			}
 			else if (line.StartsWith("+") && !line.StartsWith("+++"))
 			{
-				result.Append($"<div class=\"diff-add d-flex text-success bg-success bg-opacity-10\"><span class=\"diff-line-nums text-end pe-2 opacity-75 flex-shrink-0\">{newLine}</span><span class=\"px-2 flex-grow-1\">{escapedLine}</span></div>");
+				result.Append($"<div class=\"diff-add d-flex text-success bg-success bg-opacity-10\" data-new-line=\"{newLine}\"><span class=\"diff-line-nums text-end pe-2 opacity-75 flex-shrink-0\">{newLine}</span><span class=\"px-2 flex-grow-1\">{escapedLine}</span></div>");
 				newLine++;
 			}
 			else if (line.StartsWith("-") && !line.StartsWith("---"))
@@ -160,7 +160,7 @@ public static class GitDiffParser
 			{
 				// Context line - both line numbers advance
 				var lineNum = oldLine > 0 ? oldLine.ToString() : "";
-				result.Append($"<div class=\"diff-context d-flex\"><span class=\"diff-line-nums text-end pe-2 opacity-50 flex-shrink-0\">{lineNum}</span><span class=\"px-2 flex-grow-1\">{escapedLine}</span></div>");
+				result.Append($"<div class=\"diff-context d-flex\" data-new-line=\"{newLine}\"><span class=\"diff-line-nums text-end pe-2 opacity-50 flex-shrink-0\">{lineNum}</span><span class=\"px-2 flex-grow-1\">{escapedLine}</span></div>");
 				oldLine++;
 				newLine++;
 			}
@@ -170,6 +170,137 @@ public static class GitDiffParser
 		return result.ToString();
 	}
 
+	/// <summary>
+	/// Lines of context to request when a file's whole content is wanted around its changes; larger than any source file
+	/// the viewer is expected to expand.
+	/// </summary>
+	public const int FullFileContextLines = 100000;
+
+	/// <summary>
+	/// Parses one file's diff into hunks of numbered rows. Metadata lines are skipped, so content from
+	/// <see cref="ParseDiff"/> or a raw single-file diff can be passed.
+	/// </summary>
+	/// <param name="diffContent">The diff of a single file</param>
+	/// <returns>The file's hunks in order; empty for binary files and diffs without hunks</returns>
+	public static List<DiffHunk> ParseHunks(string diffContent)
+	{
+		var hunks = new List<DiffHunk>();
+		var normalizedDiff = NormalizeDiffContent(diffContent);
+		if (string.IsNullOrEmpty(normalizedDiff))
+			return hunks;
+
+		DiffHunk? current = null;
+		int oldLine = 0;
+		int newLine = 0;
+
+		foreach (var line in normalizedDiff.Split('\n'))
+		{
+			if (line.StartsWith("@@"))
+			{
+				var match = HunkHeaderRegex.Match(line);
+				if (!match.Success)
+				{
+					current = null;
+					continue;
+				}
+
+				current = new DiffHunk
+				{
+					OldStart = int.Parse(match.Groups[1].Value),
+					OldCount = match.Groups[2].Success ? int.Parse(match.Groups[2].Value) : 1,
+					NewStart = int.Parse(match.Groups[3].Value),
+					NewCount = match.Groups[4].Success ? int.Parse(match.Groups[4].Value) : 1,
+					Section = match.Groups[5].Value.Trim()
+				};
+				hunks.Add(current);
+				oldLine = current.OldStart;
+				newLine = current.NewStart;
+				continue;
+			}
+
+			if (current == null || !IsHunkBodyLine(line))
+			{
+				if (line.StartsWith("diff --git"))
+					current = null;
+				continue;
+			}
+
+			if (line[0] == '\\')
+			{
+				current.Rows.Add(new DiffRow { Kind = DiffRowKind.Note, Text = line });
+			}
+			else if (line[0] == '+')
+			{
+				current.Rows.Add(new DiffRow { Kind = DiffRowKind.Addition, NewLine = newLine++, Text = line[1..] });
+			}
+			else if (line[0] == '-')
+			{
+				current.Rows.Add(new DiffRow { Kind = DiffRowKind.Deletion, OldLine = oldLine++, Text = line[1..] });
+			}
+			else
+			{
+				current.Rows.Add(new DiffRow { Kind = DiffRowKind.Context, OldLine = oldLine++, NewLine = newLine++, Text = line[1..] });
+			}
+		}
+
+		return hunks;
+	}
+
+	/// <summary>
+	/// Lines a hunk up for side-by-side display. Context rows appear on both sides; within each run of changes the
+	/// n-th deleted line is paired with the n-th added line, and the longer side's extra lines stand alone.
+	/// </summary>
+	/// <returns>One pair per displayed line, with null for the side that has no line</returns>
+	public static List<(DiffRow? Old, DiffRow? New)> PairRows(DiffHunk hunk)
+	{
+		var pairs = new List<(DiffRow? Old, DiffRow? New)>();
+		var deletions = new List<DiffRow>();
+		var additions = new List<DiffRow>();
+
+		void Flush()
+		{
+			for (var i = 0; i < Math.Max(deletions.Count, additions.Count); i++)
+			{
+				pairs.Add((i < deletions.Count ? deletions[i] : null, i < additions.Count ? additions[i] : null));
+			}
+			deletions.Clear();
+			additions.Clear();
+		}
+
+		foreach (var row in hunk.Rows)
+		{
+			switch (row.Kind)
+			{
+				case DiffRowKind.Deletion:
+					// A deletion after additions starts a new run of changes
+					if (additions.Count > 0)
+						Flush();
+					deletions.Add(row);
+					break;
+				case DiffRowKind.Addition:
+					additions.Add(row);
+					break;
+				case DiffRowKind.Note:
+					// The marker belongs to whichever side's last line it follows
+					var onOldSide = additions.Count == 0 && deletions.Count > 0;
+					var onNewSide = additions.Count > 0;
+					Flush();
+					pairs.Add((onNewSide ? null : row, onOldSide ? null : row));
+					break;
+				default:
+					Flush();
+					pairs.Add((row, row));
+					break;
+			}
+		}
+
+		Flush();
+		return pairs;
+	}
+
+	private static readonly System.Text.RegularExpressions.Regex HunkHeaderRegex =
+		new(@"^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$", System.Text.RegularExpressions.RegexOptions.Compiled);
+
 	private static string NormalizeDiffContent(string diff)
 	{
 		if (string.IsNullOrWhiteSpace(diff))
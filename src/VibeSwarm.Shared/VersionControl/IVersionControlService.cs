@@ -92,6 +92,19 @@ public interface IVersionControlService
 	/// <returns>The diff output, or null if not available.</returns>
 	Task<string?> GetCommitRangeDiffAsync(string workingDirectory, string fromCommit, string? toCommit = null, CancellationToken cancellationToken = default);
 
+	/// <summary>
+	/// Gets the diff of a single file with the given amount of surrounding context, so a viewer can show lines the
+	/// regular diff left out.
+	/// </summary>
+	/// <param name="workingDirectory">The repository working directory.</param>
+	/// <param name="filePath">The file's path relative to the repository root.</param>
+	/// <param name="fromCommit">The commit to compare from (defaults to HEAD).</param>
+	/// <param name="toCommit">The commit to compare to, or null to compare with the working directory.</param>
+	/// <param name="contextLines">Unchanged lines to include around each change.</param>
+	/// <param name="cancellationToken">Cancellation token.</param>
+	/// <returns>The file's diff, or null if the file is unchanged or the diff is not available.</returns>
+	Task<string?> GetFileDiffAsync(string workingDirectory, string filePath, string? fromCommit, string? toCommit, int contextLines, CancellationToken cancellationToken = default);
+
 	/// <summary>
 	/// Gets a summary of changed files without full diff content.
 	/// </summary>
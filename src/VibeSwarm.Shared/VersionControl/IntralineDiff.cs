@@ -0,0 +1,159 @@
+using VibeSwarm.Shared.VersionControl.Models;
+
+namespace VibeSwarm.Shared.VersionControl;
+
+/// <summary>
+/// Finds the words that changed between a deleted line and the added line that replaced it, so the viewer can
+/// emphasise them within the otherwise unchanged text.
+/// </summary>
+public static class IntralineDiff
+{
+	/// <summary>
+	/// Largest token comparison table built for one pair of lines; longer lines are shown without intraline changes
+	/// </summary>
+	private const int MaxComparisonCells = 250_000;
+
+	/// <summary>
+	/// Share of the two lines' text that must be unchanged for the changes to be worth pointing out
+	/// </summary>
+	private const double MinimumSimilarity = 0.4;
+
+	/// <summary>
+	/// Sets <see cref="DiffRow.ChangedRanges"/> on every deleted and added line that pairs up with a line on the other
+	/// side, as paired by <see cref="GitDiffParser.PairRows"/>.
+	/// </summary>
+	public static void Annotate(IEnumerable<DiffHunk> hunks)
+	{
+		foreach (var hunk in hunks)
+		{
+			foreach (var (oldRow, newRow) in GitDiffParser.PairRows(hunk))
+			{
+				if (oldRow?.Kind != DiffRowKind.Deletion || newRow?.Kind != DiffRowKind.Addition)
+					continue;
+
+				var ranges = Compare(oldRow.Text, newRow.Text);
+				oldRow.ChangedRanges = ranges?.Old;
+				newRow.ChangedRanges = ranges?.New;
+			}
+		}
+	}
+
+	/// <summary>
+	/// Compares two versions of a line word by word.
+	/// </summary>
+	/// <returns>
+	/// The character ranges only present in each version, or null when the lines are too long to compare or have too
+	/// little in common for the ranges to help
+	/// </returns>
+	public static (IReadOnlyList<(int Start, int Length)> Old, IReadOnlyList<(int Start, int Length)> New)? Compare(string oldText, string newText)
+	{
+		var oldTokens = Tokenize(oldText);
+		var newTokens = Tokenize(newText);
+		if ((long)(oldTokens.Count + 1) * (newTokens.Count + 1) > MaxComparisonCells)
+			return null;
+
+		// Longest common subsequence of tokens, filled from the end so the walk below can go forwards
+		var lengths = new int[oldTokens.Count + 1, newTokens.Count + 1];
+		for (var i = oldTokens.Count - 1; i >= 0; i--)
+		{
+			for (var j = newTokens.Count - 1; j >= 0; j--)
+			{
+				lengths[i, j] = TokenEquals(oldText, oldTokens[i], newText, newTokens[j])
+					? lengths[i + 1, j + 1] + 1
+					: Math.Max(lengths[i + 1, j], lengths[i, j + 1]);
+			}
+		}
+
+		var oldKept = new bool[oldTokens.Count];
+		var newKept = new bool[newTokens.Count];
+		var unchangedLength = 0;
+		for (int i = 0, j = 0; i < oldTokens.Count && j < newTokens.Count;)
+		{
+			if (TokenEquals(oldText, oldTokens[i], newText, newTokens[j]))
+			{
+				oldKept[i] = true;
+				newKept[j] = true;
+				if (!char.IsWhiteSpace(oldText[oldTokens[i].Start]))
+					unchangedLength += oldTokens[i].Length;
+				i++;
+				j++;
+			}
+			else if (lengths[i + 1, j] >= lengths[i, j + 1])
+			{
+				i++;
+			}
+			else
+			{
+				j++;
+			}
+		}
+
+		var totalLength = VisibleLength(oldText) + VisibleLength(newText);
+		if (totalLength == 0 || 2.0 * unchangedLength / totalLength < MinimumSimilarity)
+			return null;
+
+		return (ToRanges(oldTokens, oldKept), ToRanges(newTokens, newKept));
+	}
+
+	/// <summary>
+	/// Splits a line into runs of word characters, runs of whitespace and single punctuation characters
+	/// </summary>
+	private static List<(int Start, int Length)> Tokenize(string text)
+	{
+		var tokens = new List<(int Start, int Length)>();
+		var index = 0;
+		while (index < text.Length)
+		{
+			var start = index;
+			if (IsWordChar(text[index]))
+			{
+				while (index < text.Length && IsWordChar(text[index]))
+					index++;
+			}
+			else if (char.IsWhiteSpace(text[index]))
+			{
+				while (index < text.Length && char.IsWhiteSpace(text[index]))
+					index++;
+			}
+			else
+			{
+				index++;
+			}
+
+			tokens.Add((start, index - start));
+		}
+
+		return tokens;
+	}
+
+	private static bool IsWordChar(char c) => char.IsLetterOrDigit(c) || c == '_';
+
+	private static bool TokenEquals(string oldText, (int Start, int Length) oldToken, string newText, (int Start, int Length) newToken)
+		=> oldToken.Length == newToken.Length
+			&& oldText.AsSpan(oldToken.Start, oldToken.Length).SequenceEqual(newText.AsSpan(newToken.Start, newToken.Length));
+
+	private static int VisibleLength(string text) => text.Count(c => !char.IsWhiteSpace(c));
+
+	// Adjacent changed tokens become one range
+	private static List<(int Start, int Length)> ToRanges(List<(int Start, int Length)> tokens, bool[] kept)
+	{
+		var ranges = new List<(int Start, int Length)>();
+		for (var i = 0; i < tokens.Count; i++)
+		{
+			if (kept[i])
+				continue;
+
+			var start = tokens[i].Start;
+			var end = start + tokens[i].Length;
+			while (i + 1 < tokens.Count && !kept[i + 1])
+			{
+				i++;
+				end = tokens[i].Start + tokens[i].Length;
+			}
+
+			ranges.Add((start, end - start));
+		}
+
+		return ranges;
+	}
+}
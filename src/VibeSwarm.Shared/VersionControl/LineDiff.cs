@@ -0,0 +1,182 @@
+using System.Text;
+
+namespace VibeSwarm.Shared.VersionControl;
+
+/// <summary>
+/// Builds a git-style unified diff between two versions of a file's text, for changes that never went through git
+/// such as a save from the file editor.
+/// </summary>
+public static class LineDiff
+{
+	/// <summary>
+	/// Largest line comparison table built for the changed middle of a file; beyond it the whole middle is shown as
+	/// removed and re-added
+	/// </summary>
+	private const int MaxComparisonCells = 4_000_000;
+
+	private enum LineChange
+	{
+		Unchanged,
+		Removed,
+		Added
+	}
+
+	/// <summary>
+	/// Compares two versions of a file line by line.
+	/// </summary>
+	/// <param name="filePath">Path shown in the diff header</param>
+	/// <param name="oldContent">Text before the change, with \n line endings</param>
+	/// <param name="newContent">Text after the change, with \n line endings</param>
+	/// <param name="contextLines">Unchanged lines kept around each change</param>
+	/// <returns>The diff, or an empty string when the texts have the same lines</returns>
+	public static string BuildUnifiedDiff(string filePath, string oldContent, string newContent, int contextLines = 3)
+	{
+		var oldLines = SplitLines(oldContent);
+		var newLines = SplitLines(newContent);
+		var changes = Compare(oldLines, newLines);
+		if (changes.All(change => change.Kind == LineChange.Unchanged))
+			return string.Empty;
+
+		var diff = new StringBuilder();
+		diff.Append($"diff --git a/{filePath} b/{filePath}\n");
+		diff.Append($"--- a/{filePath}\n");
+		diff.Append($"+++ b/{filePath}\n");
+
+		var index = 0;
+		while (index < changes.Count)
+		{
+			var firstChange = changes.FindIndex(index, change => change.Kind != LineChange.Unchanged);
+			if (firstChange < 0)
+				break;
+
+			// Extend the hunk while the next change is close enough for the context around both to touch
+			var start = Math.Max(index, firstChange - contextLines);
+			var lastChange = firstChange;
+			for (var i = firstChange + 1; i < changes.Count && i <= lastChange + 2 * contextLines + 1; i++)
+			{
+				if (changes[i].Kind != LineChange.Unchanged)
+					lastChange = i;
+			}
+
+			var end = Math.Min(changes.Count, lastChange + contextLines + 1);
+			AppendHunk(diff, changes, start, end);
+			index = end;
+		}
+
+		return diff.ToString();
+	}
+
+	private static void AppendHunk(StringBuilder diff, List<(LineChange Kind, string Text, int OldLine, int NewLine)> changes, int start, int end)
+	{
+		var hunk = changes.GetRange(start, end - start);
+		var oldCount = hunk.Count(change => change.Kind != LineChange.Added);
+		var newCount = hunk.Count(change => change.Kind != LineChange.Removed);
+
+		// An empty side starts at the line before it, as git writes it
+		var oldStart = hunk.First().OldLine - (oldCount == 0 ? 1 : 0);
+		var newStart = hunk.First().NewLine - (newCount == 0 ? 1 : 0);
+
+		diff.Append($"@@ -{oldStart},{oldCount} +{newStart},{newCount} @@\n");
+		foreach (var change in hunk)
+		{
+			var prefix = change.Kind switch
+			{
+				LineChange.Removed => '-',
+				LineChange.Added => '+',
+				_ => ' '
+			};
+			diff.Append(prefix).Append(change.Text).Append('\n');
+		}
+	}
+
+	// Each entry carries the 1-based line it is at, or would be inserted at, on both sides
+	private static List<(LineChange Kind, string Text, int OldLine, int NewLine)> Compare(string[] oldLines, string[] newLines)
+	{
+		var prefix = 0;
+		while (prefix < oldLines.Length && prefix < newLines.Length && oldLines[prefix] == newLines[prefix])
+			prefix++;
+
+		var suffix = 0;
+		while (suffix < oldLines.Length - prefix && suffix < newLines.Length - prefix
+			&& oldLines[oldLines.Length - 1 - suffix] == newLines[newLines.Length - 1 - suffix])
+			suffix++;
+
+		var oldMiddle = oldLines[prefix..(oldLines.Length - suffix)];
+		var newMiddle = newLines[prefix..(newLines.Length - suffix)];
+
+		var kinds = new List<LineChange>();
+		kinds.AddRange(Enumerable.Repeat(LineChange.Unchanged, prefix));
+		kinds.AddRange(CompareMiddle(oldMiddle, newMiddle));
+		kinds.AddRange(Enumerable.Repeat(LineChange.Unchanged, suffix));
+
+		var changes = new List<(LineChange, string, int, int)>(kinds.Count);
+		int oldIndex = 0, newIndex = 0;
+		foreach (var kind in kinds)
+		{
+			var text = kind == LineChange.Added ? newLines[newIndex] : oldLines[oldIndex];
+			changes.Add((kind, text, oldIndex + 1, newIndex + 1));
+			if (kind != LineChange.Added)
+				oldIndex++;
+			if (kind != LineChange.Removed)
+				newIndex++;
+		}
+
+		return changes;
+	}
+
+	private static IEnumerable<LineChange> CompareMiddle(string[] oldLines, string[] newLines)
+	{
+		if ((long)(oldLines.Length + 1) * (newLines.Length + 1) > MaxComparisonCells)
+		{
+			return Enumerable.Repeat(LineChange.Removed, oldLines.Length)
+				.Concat(Enumerable.Repeat(LineChange.Added, newLines.Length));
+		}
+
+		// Longest common subsequence of lines, filled from the end so the walk below can go forwards
+		var lengths = new int[oldLines.Length + 1, newLines.Length + 1];
+		for (var i = oldLines.Length - 1; i >= 0; i--)
+		{
+			for (var j = newLines.Length - 1; j >= 0; j--)
+			{
+				lengths[i, j] = oldLines[i] == newLines[j]
+					? lengths[i + 1, j + 1] + 1
+					: Math.Max(lengths[i + 1, j], lengths[i, j + 1]);
+			}
+		}
+
+		var kinds = new List<LineChange>();
+		int oldIndex = 0, newIndex = 0;
+		while (oldIndex < oldLines.Length || newIndex < newLines.Length)
+		{
+			if (oldIndex < oldLines.Length && newIndex < newLines.Length && oldLines[oldIndex] == newLines[newIndex])
+			{
+				kinds.Add(LineChange.Unchanged);
+				oldIndex++;
+				newIndex++;
+			}
+			else if (newIndex == newLines.Length
+				|| (oldIndex < oldLines.Length && lengths[oldIndex + 1, newIndex] >= lengths[oldIndex, newIndex + 1]))
+			{
+				kinds.Add(LineChange.Removed);
+				oldIndex++;
+			}
+			else
+			{
+				kinds.Add(LineChange.Added);
+				newIndex++;
+			}
+		}
+
+		return kinds;
+	}
+
+	// A final newline ends the last line rather than starting an empty one
+	private static string[] SplitLines(string content)
+	{
+		if (content.Length == 0)
+			return [];
+
+		var lines = content.Split('\n');
+		return content.EndsWith('\n') ? lines[..^1] : lines;
+	}
+}
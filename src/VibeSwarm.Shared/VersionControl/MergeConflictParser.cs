@@ -0,0 +1,165 @@
+using VibeSwarm.Shared.VersionControl.Models;
+
+namespace VibeSwarm.Shared.VersionControl;
+
+/// <summary>
+/// Reads the conflict markers git leaves in a file after a failed merge and writes the file back once some or all of
+/// its conflicts have been resolved.
+/// </summary>
+public static class MergeConflictParser
+{
+	private const string OursMarker = "<<<<<<<";
+	private const string BaseMarker = "|||||||";
+	private const string SeparatorMarker = "=======";
+	private const string TheirsMarker = ">>>>>>>";
+
+	/// <summary>
+	/// Longest goal prompt a job accepts
+	/// </summary>
+	private const int MaxAgentPromptLength = 2000;
+
+	/// <summary>
+	/// Splits a conflicted file into its conflicts. A conflict without a closing marker is kept as ordinary lines.
+	/// </summary>
+	public static MergeConflictDocument Parse(string content)
+	{
+		var newLine = content.Contains("\r\n", StringComparison.Ordinal) ? "\r\n" : "\n";
+		var lines = content.Split('\n').Select(line => line.TrimEnd('\r')).ToArray();
+		var document = new MergeConflictDocument { NewLine = newLine };
+		var pending = new List<string>();
+
+		var index = 0;
+		while (index < lines.Length)
+		{
+			if (IsMarker(lines[index], OursMarker) && TryReadHunk(lines, index, out var hunk, out var nextIndex))
+			{
+				hunk.LinesBefore.AddRange(pending);
+				pending.Clear();
+				document.Hunks.Add(hunk);
+				index = nextIndex;
+				continue;
+			}
+
+			pending.Add(lines[index]);
+			index++;
+		}
+
+		document.TrailingLines.AddRange(pending);
+		return document;
+	}
+
+	/// <summary>
+	/// Writes the file back with each conflict replaced by its resolution. Conflicts without a resolution keep their
+	/// markers, so the result still reads as conflicted until every one is settled.
+	/// </summary>
+	/// <param name="document">The parsed conflicted file</param>
+	/// <param name="resolutions">Resolved lines for each conflict, in order; null for one still unresolved</param>
+	public static string Compose(MergeConflictDocument document, IReadOnlyList<IReadOnlyList<string>?> resolutions)
+	{
+		var lines = new List<string>();
+		for (var i = 0; i < document.Hunks.Count; i++)
+		{
+			var hunk = document.Hunks[i];
+			lines.AddRange(hunk.LinesBefore);
+			lines.AddRange(i < resolutions.Count && resolutions[i] is { } resolved ? resolved : hunk.MarkedLines);
+		}
+
+		lines.AddRange(document.TrailingLines);
+		return string.Join(document.NewLine, lines);
+	}
+
+	/// <summary>
+	/// Writes the instructions for a job that resolves one conflicted file on the branch being merged. The conflicts
+	/// are quoted when they fit in a job's prompt; otherwise the agent is pointed at the git command that shows them.
+	/// </summary>
+	/// <param name="fileName">The conflicted file</param>
+	/// <param name="conflictedContent">The file as the failed merge left it</param>
+	/// <param name="sourceBranch">The branch being merged, which the job runs on</param>
+	/// <param name="targetBranch">The branch being merged into</param>
+	public static string BuildAgentResolutionPrompt(string fileName, string conflictedContent, string sourceBranch, string targetBranch)
+	{
+		var instructions = string.Join('\n',
+			$"Resolve the merge conflicts in `{fileName}` between this branch (`{sourceBranch}`) and `{targetBranch}`.",
+			string.Empty,
+			$"Update `{fileName}` so it keeps this branch's changes and also includes what `{targetBranch}` changed in it since the branches diverged; `git diff {sourceBranch}...{targetBranch} -- {fileName}` shows those changes.",
+			"Only edit this file, leave no conflict markers in it, and do not merge, rebase or switch branches.");
+
+		var hunks = Parse(conflictedContent).Hunks;
+		if (hunks.Count == 0)
+			return instructions;
+
+		var quoted = new List<string>
+		{
+			instructions,
+			string.Empty,
+			$"The conflicts as the merge left them, `{targetBranch}` first, then the common ancestor, then this branch:"
+		};
+		foreach (var hunk in hunks)
+		{
+			quoted.Add(string.Empty);
+			quoted.Add("```");
+			quoted.AddRange(hunk.MarkedLines);
+			quoted.Add("```");
+		}
+
+		var prompt = string.Join('\n', quoted);
+		return prompt.Length <= MaxAgentPromptLength ? prompt : instructions;
+	}
+
+	private static bool TryReadHunk(string[] lines, int start, out MergeConflictHunk hunk, out int nextIndex)
+	{
+		var ours = new List<string>();
+		List<string>? baseLines = null;
+		var theirs = new List<string>();
+		var section = ours;
+
+		for (var index = start + 1; index < lines.Length; index++)
+		{
+			var line = lines[index];
+			if (IsMarker(line, BaseMarker) && section == ours)
+			{
+				baseLines = new List<string>();
+				section = baseLines;
+			}
+			else if (line == SeparatorMarker && section != theirs)
+			{
+				section = theirs;
+			}
+			else if (IsMarker(line, TheirsMarker) && section == theirs)
+			{
+				hunk = new MergeConflictHunk
+				{
+					StartLine = start + 1,
+					OursLabel = MarkerLabel(lines[start]),
+					BaseLines = baseLines,
+					TheirsLabel = MarkerLabel(line)
+				};
+				hunk.OursLines.AddRange(ours);
+				hunk.TheirsLines.AddRange(theirs);
+				hunk.MarkedLines.AddRange(lines[start..(index + 1)]);
+				nextIndex = index + 1;
+				return true;
+			}
+			else if (IsMarker(line, OursMarker))
+			{
+				break;
+			}
+			else
+			{
+				section.Add(line);
+			}
+		}
+
+		hunk = null!;
+		nextIndex = start;
+		return false;
+	}
+
+	// Markers are seven characters, optionally followed by a space and the side's label
+	private static bool IsMarker(string line, string marker)
+		=> line.StartsWith(marker, StringComparison.Ordinal)
+			&& (line.Length == marker.Length || line[marker.Length] == ' ');
+
+	private static string MarkerLabel(string line)
+		=> line.Length > OursMarker.Length ? line[(OursMarker.Length + 1)..].Trim() : string.Empty;
+}
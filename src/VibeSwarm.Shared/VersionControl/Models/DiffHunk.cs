@@ -0,0 +1,65 @@
+namespace VibeSwarm.Shared.VersionControl.Models;
+
+public enum DiffRowKind
+{
+	Context,
+	Addition,
+	Deletion,
+
+	/// <summary>
+	/// A "\ No newline at end of file" marker
+	/// </summary>
+	Note
+}
+
+/// <summary>
+/// One line of a hunk, with its number in the old and new file where it has one.
+/// </summary>
+public sealed class DiffRow
+{
+	public DiffRowKind Kind { get; init; }
+
+	public int? OldLine { get; init; }
+
+	public int? NewLine { get; init; }
+
+	/// <summary>
+	/// The line without its diff prefix
+	/// </summary>
+	public string Text { get; init; } = string.Empty;
+
+	/// <summary>
+	/// Character ranges of <see cref="Text"/> that differ from the paired line on the other side of a change. Null when
+	/// the row has no pair or the two lines have too little in common, in which case the whole line is the change.
+	/// </summary>
+	public IReadOnlyList<(int Start, int Length)>? ChangedRanges { get; set; }
+}
+
+/// <summary>
+/// A hunk of a file's diff: the header's line ranges and the rows it covers.
+/// </summary>
+public sealed class DiffHunk
+{
+	public int OldStart { get; init; }
+
+	public int OldCount { get; init; }
+
+	public int NewStart { get; init; }
+
+	public int NewCount { get; init; }
+
+	/// <summary>
+	/// Text after the closing @@, usually the enclosing function or class
+	/// </summary>
+	public string Section { get; init; } = string.Empty;
+
+	public List<DiffRow> Rows { get; } = new();
+
+	/// <summary>
+	/// First line of the old file inside the hunk. A hunk that only adds lines has none; git then gives the line the
+	/// additions follow as its start, and this is the line after it.
+	/// </summary>
+	public int OldFirstLine => OldCount == 0 ? OldStart + 1 : OldStart;
+
+	public int OldLastLine => OldFirstLine + OldCount - 1;
+}
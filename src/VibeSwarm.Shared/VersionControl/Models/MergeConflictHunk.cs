@@ -0,0 +1,53 @@
+namespace VibeSwarm.Shared.VersionControl.Models;
+
+/// <summary>
+/// A conflicted file split at its conflict markers, so each conflict can be resolved on its own.
+/// </summary>
+public sealed class MergeConflictDocument
+{
+	public List<MergeConflictHunk> Hunks { get; } = new();
+
+	/// <summary>
+	/// Lines after the last conflict
+	/// </summary>
+	public List<string> TrailingLines { get; } = new();
+
+	/// <summary>
+	/// Line ending the file used, kept when the resolved file is written back
+	/// </summary>
+	public string NewLine { get; init; } = "\n";
+}
+
+/// <summary>
+/// One conflict between the target branch (ours) and the branch being merged in (theirs).
+/// </summary>
+public sealed class MergeConflictHunk
+{
+	/// <summary>
+	/// Lines between the previous conflict (or the start of the file) and this one
+	/// </summary>
+	public List<string> LinesBefore { get; } = new();
+
+	/// <summary>
+	/// Line of the opening marker in the conflicted file
+	/// </summary>
+	public int StartLine { get; init; }
+
+	public string OursLabel { get; init; } = string.Empty;
+
+	public List<string> OursLines { get; } = new();
+
+	/// <summary>
+	/// Common ancestor's lines; null when the conflict was written without them
+	/// </summary>
+	public List<string>? BaseLines { get; init; }
+
+	public string TheirsLabel { get; init; } = string.Empty;
+
+	public List<string> TheirsLines { get; } = new();
+
+	/// <summary>
+	/// The conflict as it appears in the file, markers included
+	/// </summary>
+	public List<string> MarkedLines { get; } = new();
+}
@@ -0,0 +1,176 @@
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.Validation;
+using VibeSwarm.Shared.VersionControl.Models;
+
+namespace VibeSwarm.Shared.VersionControl;
+
+/// <summary>
+/// Ties review comments to the lines of a job's diff: captures the commented lines when a comment is made, decides
+/// whether the following run changed them, and writes the comments up as follow-up instructions.
+/// </summary>
+public static class ReviewCommentMatcher
+{
+	/// <summary>
+	/// Most commented lines quoted for each comment in a follow-up prompt
+	/// </summary>
+	private const int MaxQuotedLines = 3;
+
+	/// <summary>
+	/// Finds the commented lines among the new-file lines shown in a diff.
+	/// </summary>
+	/// <param name="gitDiff">The job's full diff</param>
+	/// <param name="filePath">The file as named in the diff</param>
+	/// <param name="startLine">First commented line in the new version of the file</param>
+	/// <param name="endLine">Last commented line in the new version of the file</param>
+	/// <param name="lineText">The commented lines, one per line</param>
+	/// <param name="isOnAddedLines">Whether the diff added every commented line</param>
+	/// <returns>False when the file is not in the diff or any of the lines is not shown in it</returns>
+	public static bool TryCaptureLines(string? gitDiff, string filePath, int startLine, int endLine, out string lineText, out bool isOnAddedLines)
+	{
+		lineText = string.Empty;
+		isOnAddedLines = false;
+		if (string.IsNullOrEmpty(gitDiff) || startLine < 1 || endLine < startLine)
+			return false;
+
+		var file = GitDiffParser.ParseDiff(gitDiff).FirstOrDefault(f => f.FileName == filePath);
+		if (file == null)
+			return false;
+
+		var rows = GitDiffParser.ParseHunks(file.DiffContent)
+			.SelectMany(hunk => hunk.Rows)
+			.Where(row => row.NewLine >= startLine && row.NewLine <= endLine)
+			.ToList();
+		if (rows.Count != endLine - startLine + 1)
+			return false;
+
+		lineText = string.Join('\n', rows.Select(row => row.Text));
+		if (lineText.Length > ValidationLimits.ReviewCommentLineTextMaxLength)
+			lineText = lineText[..ValidationLimits.ReviewCommentLineTextMaxLength];
+		isOnAddedLines = rows.All(row => row.Kind == DiffRowKind.Addition);
+		return true;
+	}
+
+	/// <summary>
+	/// Decides whether the run after the one a comment was made on changed the commented lines.
+	/// </summary>
+	/// <param name="comment">The comment, with the lines captured when it was made</param>
+	/// <param name="nextDiff">The full diff of the following run</param>
+	/// <param name="startsFromCommentedVersion">
+	/// True when the following run's diff starts from the commit the commented run made, so its old line numbers are
+	/// the comment's line numbers. Otherwise the diff still contains the commented run's uncommitted changes and the
+	/// lines are found by their text.
+	/// </param>
+	public static bool IsTouchedBy(JobReviewComment comment, string? nextDiff, bool startsFromCommentedVersion)
+	{
+		var file = string.IsNullOrEmpty(nextDiff)
+			? null
+			: GitDiffParser.ParseDiff(nextDiff).FirstOrDefault(f => f.FileName == comment.FilePath);
+		List<DiffHunk> hunks = file == null ? [] : GitDiffParser.ParseHunks(file.DiffContent);
+
+		if (startsFromCommentedVersion)
+			return hunks.Any(hunk => ChangesOldLines(hunk, comment.StartLine, comment.EndLine));
+
+		var commentedLines = (comment.LineText ?? string.Empty).Split('\n');
+		if (ContainsRun(hunks, commentedLines))
+			return false;
+
+		// Lines the commented run added only stay in the diff while they are unchanged. Existing code the comment
+		// pointed at is only in the diff as context, so it counts as changed once the diff removes it.
+		if (comment.IsOnAddedLines)
+			return true;
+
+		return hunks
+			.SelectMany(hunk => hunk.Rows)
+			.Any(row => row.Kind == DiffRowKind.Deletion && !string.IsNullOrWhiteSpace(row.Text) && commentedLines.Contains(row.Text));
+	}
+
+	/// <summary>
+	/// Writes open comments up as instructions for a follow-up run, quoting the lines each one refers to.
+	/// </summary>
+	/// <param name="comments">The comments, in the order they should be addressed</param>
+	/// <param name="note">Optional instructions to add after the comments</param>
+	/// <param name="maxLength">
+	/// Length the prompt should fit in; the quoted lines are left out when it doesn't fit with them
+	/// </param>
+	public static string BuildFollowUpPrompt(IReadOnlyList<JobReviewComment> comments, string? note, int maxLength = int.MaxValue)
+	{
+		var prompt = BuildFollowUpPrompt(comments, note, includeQuotes: true);
+		return prompt.Length <= maxLength ? prompt : BuildFollowUpPrompt(comments, note, includeQuotes: false);
+	}
+
+	private static string BuildFollowUpPrompt(IReadOnlyList<JobReviewComment> comments, string? note, bool includeQuotes)
+	{
+		var lines = new List<string>
+		{
+			"Address these review comments on your changes. Line numbers refer to the files as your last run left them."
+		};
+
+		var number = 1;
+		foreach (var comment in comments)
+		{
+			lines.Add(string.Empty);
+			lines.Add($"{number++}. {comment.FilePath}, {comment.LineLabel}:");
+			if (includeQuotes && !string.IsNullOrEmpty(comment.LineText))
+			{
+				var quoted = comment.LineText.Split('\n');
+				lines.Add("```");
+				lines.AddRange(quoted.Take(MaxQuotedLines));
+				if (quoted.Length > MaxQuotedLines)
+					lines.Add("...");
+				lines.Add("```");
+			}
+			lines.Add(comment.Body.Trim());
+		}
+
+		if (!string.IsNullOrWhiteSpace(note))
+		{
+			lines.Add(string.Empty);
+			lines.Add("Additional instructions:");
+			lines.Add(note.Trim());
+		}
+
+		return string.Join('\n', lines);
+	}
+
+	// A deleted line inside the range changes it, as does a line added between two of its lines
+	private static bool ChangesOldLines(DiffHunk hunk, int startLine, int endLine)
+	{
+		var previousOldLine = hunk.OldFirstLine - 1;
+		foreach (var row in hunk.Rows)
+		{
+			switch (row.Kind)
+			{
+				case DiffRowKind.Deletion when row.OldLine >= startLine && row.OldLine <= endLine:
+					return true;
+				case DiffRowKind.Addition when previousOldLine >= startLine && previousOldLine < endLine:
+					return true;
+			}
+
+			if (row.OldLine.HasValue)
+				previousOldLine = row.OldLine.Value;
+		}
+
+		return false;
+	}
+
+	private static bool ContainsRun(List<DiffHunk> hunks, string[] lines)
+	{
+		foreach (var hunk in hunks)
+		{
+			var newRows = hunk.Rows.Where(row => row.NewLine.HasValue).ToList();
+			for (var start = 0; start + lines.Length <= newRows.Count; start++)
+			{
+				var matches = true;
+				for (var offset = 0; offset < lines.Length && matches; offset++)
+				{
+					matches = newRows[start + offset].Text == lines[offset];
+				}
+
+				if (matches)
+					return true;
+			}
+		}
+
+		return false;
+	}
+}
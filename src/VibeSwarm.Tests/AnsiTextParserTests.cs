@@ -0,0 +1,71 @@
+using VibeSwarm.Shared.Utilities;
+
+namespace VibeSwarm.Tests;
+
+public sealed class AnsiTextParserTests
+{
+	[Fact]
+	public void ParseLines_MapsBasicColoursAndAttributesToClasses()
+	{
+		var lines = AnsiTextParser.ParseLines("plain \u001B[1;91mbold red\u001B[22m red\u001B[0m done");
+
+		var segments = Assert.Single(lines);
+		Assert.Collection(segments,
+			segment => Assert.True(segment.IsPlain),
+			segment =>
+			{
+				Assert.Equal("bold red", segment.Text);
+				Assert.Equal("ansi-bold ansi-fg-9", segment.CssClass);
+			},
+			segment => Assert.Equal("ansi-fg-9", segment.CssClass),
+			segment =>
+			{
+				Assert.Equal(" done", segment.Text);
+				Assert.True(segment.IsPlain);
+			});
+	}
+
+	[Fact]
+	public void ParseLines_UsesInlineStylesForExtendedColours()
+	{
+		var segments = Assert.Single(AnsiTextParser.ParseLines("\u001B[38;5;196mcube\u001B[48;2;0;128;255m both\u001B[38;5;4m low"));
+
+		Assert.Equal("color: #ff0000;", segments[0].Style);
+		Assert.Equal("color: #ff0000;background-color: #0080ff;", segments[1].Style);
+		Assert.Equal("ansi-fg-4", segments[2].CssClass);
+		Assert.Equal("background-color: #0080ff;", segments[2].Style);
+	}
+
+	[Fact]
+	public void ParseLines_CarriesStyleAcrossLinesAndTracksHyperlinks()
+	{
+		var text = "\u001B[32mfirst\r\nsecond\u001B[0m\n\u001B]8;;https://example.com\u001B\\link\u001B]8;;\u001B\\ after";
+
+		var lines = AnsiTextParser.ParseLines(text);
+
+		Assert.Equal(3, lines.Count);
+		Assert.Equal("ansi-fg-2", Assert.Single(lines[0]).CssClass);
+		Assert.Equal("ansi-fg-2", Assert.Single(lines[1]).CssClass);
+		Assert.Equal("https://example.com", lines[2][0].Href);
+		Assert.Null(lines[2][1].Href);
+		Assert.Equal("link after", AnsiTextParser.GetPlainText(lines[2]));
+	}
+
+	[Fact]
+	public void LinkFileReferences_LinksOnlyKnownProjectFiles()
+	{
+		var resolveFile = AnsiTextParser.CreateFileResolver(["src/App/Program.cs", "README.md"]);
+		var segments = Assert.Single(AnsiTextParser.ParseLines(
+			"/home/user/repo/src/App/Program.cs(42,7): error CS1002 in ./README.md:3 and Other.cs:9"));
+
+		var linked = AnsiTextParser.LinkFileReferences(segments, resolveFile);
+
+		var fileLinks = linked.Where(segment => segment.FilePath != null).ToList();
+		Assert.Equal(2, fileLinks.Count);
+		Assert.Equal("src/App/Program.cs", fileLinks[0].FilePath);
+		Assert.Equal(42, fileLinks[0].FileLine);
+		Assert.Equal("README.md", fileLinks[1].FilePath);
+		Assert.Equal(3, fileLinks[1].FileLine);
+		Assert.Equal(AnsiTextParser.GetPlainText(segments), AnsiTextParser.GetPlainText(linked));
+	}
+}
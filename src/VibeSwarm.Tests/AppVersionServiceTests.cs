@@ -0,0 +1,41 @@
+using VibeSwarm.Web.Services;
+
+namespace VibeSwarm.Tests;
+
+public sealed class AppVersionServiceTests
+{
+	private const string Changelog = """
+		# Changelog
+
+		## [1.4.0] - 2026-10-01
+
+		- Added push notification replies
+		* Fixed offline outbox retries
+
+		## [1.3.2] - 2026-09-12
+
+		- Older entry
+		""";
+
+	[Fact]
+	public void ParseChangelog_ReturnsEntriesForMatchingVersionIgnoringBuildMetadata()
+	{
+		var entries = AppVersionService.ParseChangelog(Changelog, "1.3.2+4f2c9ab");
+
+		Assert.Equal(["Older entry"], entries);
+	}
+
+	[Fact]
+	public void ParseChangelog_FallsBackToNewestSectionWhenVersionIsNotListed()
+	{
+		var entries = AppVersionService.ParseChangelog(Changelog, "2.0.0");
+
+		Assert.Equal(["Added push notification replies", "Fixed offline outbox retries"], entries);
+	}
+
+	[Fact]
+	public void ParseChangelog_ReturnsEmptyListWhenThereAreNoSections()
+	{
+		Assert.Empty(AppVersionService.ParseChangelog("Just some notes", "1.0.0"));
+	}
+}
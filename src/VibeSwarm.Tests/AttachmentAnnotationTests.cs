@@ -0,0 +1,79 @@
+using Bunit;
+using VibeSwarm.Client.Components.Common;
+using VibeSwarm.Client.Models;
+using VibeSwarm.Client.Services;
+
+namespace VibeSwarm.Tests;
+
+public sealed class AttachmentAnnotationTests
+{
+	[Fact]
+	public void AppendLabelsTo_AddsLabelsAsNotesAfterTheText()
+	{
+		var annotation = new AttachmentAnnotation
+		{
+			SourceFileName = "login.png",
+			Labels = ["Button overlaps the footer", " ", "Wrong colour "]
+		};
+
+		var result = annotation.AppendLabelsTo("The login page is broken.\n");
+
+		Assert.Equal("The login page is broken.\n\nNotes on login.png:\n- Button overlaps the footer\n- Wrong colour", result);
+	}
+
+	[Fact]
+	public void AppendLabelsTo_WithoutLabels_ReturnsTextUnchanged()
+	{
+		var annotation = new AttachmentAnnotation { SourceFileName = "login.png" };
+
+		Assert.Equal("Keep me", annotation.AppendLabelsTo("Keep me"));
+		Assert.Equal("Notes on login.png:\n- Arrow here", new AttachmentAnnotation
+		{
+			SourceFileName = "login.png",
+			Labels = ["Arrow here"]
+		}.AppendLabelsTo(null));
+	}
+
+	[Fact]
+	public async Task AttachmentDropZone_Bunit_AnnotateOpensEditorForUploadedImages()
+	{
+		using var context = new BunitContext();
+		context.JSInterop.SetupModule(JsModule.Dom).SetupVoid("setModalOpen", _ => true);
+		var attachmentsModule = context.JSInterop.SetupModule(JsModule.Attachments);
+		attachmentsModule.SetupVoid("register", _ => true);
+		attachmentsModule.SetupVoid("unregister", _ => true);
+		var annotationModule = context.JSInterop.SetupModule(JsModule.Annotation);
+		annotationModule.Setup<bool>("open", _ => true).SetResult(true);
+		annotationModule.SetupVoid("close", _ => true);
+
+		var image = new PendingAttachment
+		{
+			ClientId = "image",
+			FileName = "login.webp",
+			ThumbnailUrl = "data:image/webp;base64,AAAA",
+			State = PendingAttachmentState.Uploaded
+		};
+		var document = new PendingAttachment
+		{
+			ClientId = "document",
+			FileName = "notes.txt",
+			State = PendingAttachmentState.Uploaded
+		};
+		var attachments = new List<PendingAttachment> { image, document };
+
+		var cut = context.Render<AttachmentDropZone>(parameters => parameters
+			.Add(zone => zone.FileInputId, "files")
+			.Add(zone => zone.Attachments, attachments));
+
+		Assert.True(image.CanAnnotate);
+		Assert.False(document.CanAnnotate);
+
+		await cut.InvokeAsync(() => cut.Instance.Annotate(image));
+
+		cut.WaitForAssertion(() => Assert.Contains("Annotate login.webp", cut.Markup));
+		Assert.Contains(annotationModule.Invocations, invocation => invocation.Identifier == "open" && Equals(invocation.Arguments[2], "image"));
+
+		await cut.InvokeAsync(() => cut.Instance.Annotate(document));
+		Assert.DoesNotContain("Annotate notes.txt", cut.Markup);
+	}
+}
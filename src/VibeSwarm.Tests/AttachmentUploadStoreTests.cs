@@ -0,0 +1,138 @@
+using System.ComponentModel.DataAnnotations;
+using VibeSwarm.Shared.Models;
+using VibeSwarm.Shared.Validation;
+using VibeSwarm.Web.Services;
+
+namespace VibeSwarm.Tests;
+
+public sealed class AttachmentUploadStoreTests : IDisposable
+{
+	private readonly string _root = Path.Combine(Path.GetTempPath(), "vibeswarm-tests", "uploads-" + Guid.NewGuid().ToString("N"));
+	private readonly AttachmentUploadStore _store;
+
+	public AttachmentUploadStoreTests()
+	{
+		_store = new AttachmentUploadStore(Path.Combine(_root, "staging"));
+	}
+
+	[Fact]
+	public async Task AppendChunkAsync_AppendsChunksUntilComplete()
+	{
+		var upload = await _store.StartAsync(new StartAttachmentUploadRequest { FileName = "screen.png", ContentType = "image/png", SizeBytes = 6 });
+
+		var first = await _store.AppendChunkAsync(upload.UploadId, 0, new MemoryStream([1, 2, 3, 4]));
+		var second = await _store.AppendChunkAsync(upload.UploadId, 4, new MemoryStream([5, 6]));
+
+		Assert.True(first.Accepted);
+		Assert.Equal(4, first.Status.ReceivedBytes);
+		Assert.False(first.Status.IsComplete);
+		Assert.True(second.Accepted);
+		Assert.True(second.Status.IsComplete);
+		Assert.Equal(6, (await _store.GetStatusAsync(upload.UploadId)).ReceivedBytes);
+	}
+
+	[Fact]
+	public async Task AppendChunkAsync_WrongOffset_ReturnsResumeOffsetWithoutWriting()
+	{
+		var upload = await _store.StartAsync(new StartAttachmentUploadRequest { FileName = "notes.txt", SizeBytes = 4 });
+		await _store.AppendChunkAsync(upload.UploadId, 0, new MemoryStream([1, 2]));
+
+		var result = await _store.AppendChunkAsync(upload.UploadId, 0, new MemoryStream([1, 2]));
+
+		Assert.False(result.Accepted);
+		Assert.Equal(2, result.Status.ReceivedBytes);
+	}
+
+	[Fact]
+	public async Task AppendChunkAsync_MoreBytesThanDeclared_ThrowsAndKeepsOffset()
+	{
+		var upload = await _store.StartAsync(new StartAttachmentUploadRequest { FileName = "notes.txt", SizeBytes = 3 });
+		await _store.AppendChunkAsync(upload.UploadId, 0, new MemoryStream([1]));
+
+		await Assert.ThrowsAsync<ValidationException>(() => _store.AppendChunkAsync(upload.UploadId, 1, new MemoryStream([2, 3, 4])));
+
+		Assert.Equal(1, (await _store.GetStatusAsync(upload.UploadId)).ReceivedBytes);
+	}
+
+	[Fact]
+	public async Task StartAsync_RejectsFilesOverTheSizeLimit()
+	{
+		var request = new StartAttachmentUploadRequest
+		{
+			FileName = "video.mp4",
+			SizeBytes = ValidationLimits.IdeaAttachmentMaxFileBytes + 1
+		};
+
+		await Assert.ThrowsAsync<ValidationException>(() => _store.StartAsync(request));
+	}
+
+	[Theory]
+	[InlineData("IMG_0042.HEIC", null)]
+	[InlineData("photo.tiff", "image/tiff")]
+	[InlineData("animation", "image/gif")]
+	public async Task StartAsync_RejectsImagesTheBrowserCannotStripMetadataFrom(string fileName, string? contentType)
+	{
+		var request = new StartAttachmentUploadRequest { FileName = fileName, ContentType = contentType, SizeBytes = 10 };
+
+		var error = await Assert.ThrowsAsync<ValidationException>(() => _store.StartAsync(request));
+
+		Assert.Contains("metadata", error.Message);
+		Assert.False(Directory.Exists(_store.RootPath) && Directory.EnumerateFiles(_store.RootPath).Any());
+	}
+
+	[Fact]
+	public async Task StartAsync_RejectsUploadsOnceStagingIsFull()
+	{
+		var store = new AttachmentUploadStore(Path.Combine(_root, "small-staging"), stagingMaxBytes: 10);
+		var first = await store.StartAsync(new StartAttachmentUploadRequest { FileName = "a.txt", SizeBytes = 6 });
+
+		await Assert.ThrowsAsync<ValidationException>(() => store.StartAsync(new StartAttachmentUploadRequest { FileName = "b.txt", SizeBytes = 5 }));
+
+		store.Delete(first.UploadId);
+		var second = await store.StartAsync(new StartAttachmentUploadRequest { FileName = "b.txt", SizeBytes = 5 });
+		Assert.Equal(5, second.SizeBytes);
+	}
+
+	[Fact]
+	public async Task GetCompletedAsync_RejectsUnfinishedUploads()
+	{
+		var upload = await _store.StartAsync(new StartAttachmentUploadRequest { FileName = "screen.png", SizeBytes = 4 });
+		await _store.AppendChunkAsync(upload.UploadId, 0, new MemoryStream([1, 2]));
+
+		var error = await Assert.ThrowsAsync<ValidationException>(() => _store.GetCompletedAsync([upload.UploadId]));
+		Assert.Contains("screen.png", error.Message);
+	}
+
+	[Fact]
+	public async Task MoveToDirectory_MovesFileUnderUniqueNameAndRemovesUpload()
+	{
+		var targetDirectory = Path.Combine(_root, "attachments");
+		Directory.CreateDirectory(targetDirectory);
+		await File.WriteAllTextAsync(Path.Combine(targetDirectory, "screen.png"), "existing");
+
+		var upload = await _store.StartAsync(new StartAttachmentUploadRequest { FileName = "screen.png", SizeBytes = 3 });
+		await _store.AppendChunkAsync(upload.UploadId, 0, new MemoryStream([7, 8, 9]));
+		var completed = Assert.Single(await _store.GetCompletedAsync([upload.UploadId]));
+
+		var storedPath = _store.MoveToDirectory(completed, targetDirectory, new HashSet<string>(StringComparer.OrdinalIgnoreCase));
+
+		Assert.NotEqual(Path.Combine(targetDirectory, "screen.png"), storedPath);
+		Assert.Equal(new byte[] { 7, 8, 9 }, await File.ReadAllBytesAsync(storedPath));
+		await Assert.ThrowsAsync<ValidationException>(() => _store.GetCompletedAsync([upload.UploadId]));
+	}
+
+	public void Dispose()
+	{
+		try
+		{
+			if (Directory.Exists(_root))
+			{
+				Directory.Delete(_root, recursive: true);
+			}
+		}
+		catch
+		{
+			// best-effort
+		}
+	}
+}
@@ -1,7 +1,9 @@
 using Bunit;
 using Microsoft.AspNetCore.Components;
 using Microsoft.Extensions.DependencyInjection;
+using VibeSwarm.Client.Components.Common;
 using VibeSwarm.Client.Components.Jobs;
+using VibeSwarm.Client.Models;
 using VibeSwarm.Client.Services;
 using VibeSwarm.Shared.Data;
 using VibeSwarm.Shared.Providers;
@@ -16,8 +18,8 @@ public sealed class CreateJobModalTests
 	public void CreateJobModal_RendersTemplateLibraryControls()
 	{
 		using var context = new BunitContext();
-		context.JSInterop.SetupVoid("eval", "document.body.classList.add('vs-modal-open')");
-		context.JSInterop.SetupVoid("eval", "document.body.classList.remove('vs-modal-open')");
+		context.JSInterop.SetupModule(JsModule.Dom).SetupVoid("setModalOpen", _ => true);
+		SetupAttachmentInterop(context);
 		context.Services.AddSingleton<IProjectService>(new FakeProjectService([]));
 		context.Services.AddSingleton<IAgentService>(new FakeAgentService([]));
 		context.Services.AddSingleton<IJobTemplateService>(new FakeJobTemplateService());
@@ -56,8 +58,8 @@ public sealed class CreateJobModalTests
 	public void CreateJobModal_SelectingAgentPresetAppliesAssignedExecutionDefaults()
 	{
 		using var context = new BunitContext();
-		context.JSInterop.SetupVoid("eval", "document.body.classList.add('vs-modal-open')");
-		context.JSInterop.SetupVoid("eval", "document.body.classList.remove('vs-modal-open')");
+		context.JSInterop.SetupModule(JsModule.Dom).SetupVoid("setModalOpen", _ => true);
+		SetupAttachmentInterop(context);
 		context.Services.AddSingleton<IProjectService>(new FakeProjectService([]));
 		context.Services.AddSingleton<IJobTemplateService>(new FakeJobTemplateService());
 		context.Services.AddSingleton<NotificationService>();
@@ -118,8 +120,8 @@ public sealed class CreateJobModalTests
 	public void CreateJobModal_SelectedAgentWithInstructions_AllowsBlankGoalPromptAndSubmitsFallback()
 	{
 		using var context = new BunitContext();
-		context.JSInterop.SetupVoid("eval", "document.body.classList.add('vs-modal-open')");
-		context.JSInterop.SetupVoid("eval", "document.body.classList.remove('vs-modal-open')");
+		context.JSInterop.SetupModule(JsModule.Dom).SetupVoid("setModalOpen", _ => true);
+		SetupAttachmentInterop(context);
 		context.Services.AddSingleton<IProjectService>(new FakeProjectService([]));
 		context.Services.AddSingleton<IJobTemplateService>(new FakeJobTemplateService());
 		context.Services.AddSingleton<NotificationService>();
@@ -162,12 +164,74 @@ public sealed class CreateJobModalTests
 		Assert.DoesNotContain("Goal prompt is required", cut.Markup);
 	}
 
+	[Fact]
+	public async Task CreateJobModal_WaitsForUploadsAndSubmitsUploadIds()
+	{
+		using var context = new BunitContext();
+		context.JSInterop.SetupModule(JsModule.Dom).SetupVoid("setModalOpen", _ => true);
+		SetupAttachmentInterop(context);
+		context.Services.AddSingleton<IProjectService>(new FakeProjectService([]));
+		context.Services.AddSingleton<IJobTemplateService>(new FakeJobTemplateService());
+		context.Services.AddSingleton<NotificationService>();
+
+		var provider = new Provider
+		{
+			Id = Guid.NewGuid(),
+			Name = "GitHub Copilot",
+			Type = ProviderType.Copilot,
+			IsEnabled = true
+		};
+		var agent = new Agent
+		{
+			Id = Guid.NewGuid(),
+			Name = "Implementation Agent",
+			Responsibilities = "Implement the change shown in the attached screenshot.",
+			IsEnabled = true,
+			DefaultProviderId = provider.Id,
+			DefaultProvider = provider
+		};
+		context.Services.AddSingleton<IAgentService>(new FakeAgentService([agent]));
+
+		var submitted = false;
+		var job = new Job();
+		var cut = context.Render<CreateJobModal>(parameters => parameters
+			.Add(component => component.IsVisible, true)
+			.Add(component => component.JobModel, job)
+			.Add(component => component.Providers, [provider])
+			.Add(component => component.AvailableModels, new List<ProviderModel>())
+			.Add(component => component.Branches, new List<GitBranchInfo>())
+			.Add(component => component.TemplateLibrary, [])
+			.Add(component => component.OnSubmit, EventCallback.Factory.Create(this, () => submitted = true)));
+
+		var dropZone = cut.FindComponent<AttachmentDropZone>().Instance;
+		await cut.InvokeAsync(() => dropZone.OnAttachmentAdded(new PendingAttachment
+		{
+			ClientId = "screenshot",
+			FileName = "screenshot.webp",
+			ContentType = "image/webp",
+			SizeBytes = 2048
+		}));
+		cut.Find("#agentPreset").Change(agent.Id.ToString());
+
+		cut.Find("form").Submit();
+
+		Assert.False(submitted);
+		Assert.Contains("screenshot.webp", cut.Markup);
+
+		var uploadId = Guid.NewGuid();
+		await cut.InvokeAsync(() => dropZone.OnAttachmentUploaded("screenshot", uploadId));
+		cut.Find("form").Submit();
+
+		Assert.True(submitted);
+		Assert.Equal([uploadId], job.AttachmentUploadIds);
+	}
+
 	[Fact]
 	public void CreateJobModal_SelectedAgentWithoutInstructions_StillRequiresGoalPrompt()
 	{
 		using var context = new BunitContext();
-		context.JSInterop.SetupVoid("eval", "document.body.classList.add('vs-modal-open')");
-		context.JSInterop.SetupVoid("eval", "document.body.classList.remove('vs-modal-open')");
+		context.JSInterop.SetupModule(JsModule.Dom).SetupVoid("setModalOpen", _ => true);
+		SetupAttachmentInterop(context);
 		context.Services.AddSingleton<IProjectService>(new FakeProjectService([]));
 		context.Services.AddSingleton<IJobTemplateService>(new FakeJobTemplateService());
 		context.Services.AddSingleton<NotificationService>();
@@ -208,8 +272,8 @@ public sealed class CreateJobModalTests
 	public void CreateJobModal_RefreshesAgentAssignmentsFromProjectService_WhenParentProjectIsStale()
 	{
 		using var context = new BunitContext();
-		context.JSInterop.SetupVoid("eval", "document.body.classList.add('vs-modal-open')");
-		context.JSInterop.SetupVoid("eval", "document.body.classList.remove('vs-modal-open')");
+		context.JSInterop.SetupModule(JsModule.Dom).SetupVoid("setModalOpen", _ => true);
+		SetupAttachmentInterop(context);
 		context.Services.AddSingleton<IJobTemplateService>(new FakeJobTemplateService());
 		context.Services.AddSingleton<NotificationService>();
 
@@ -280,6 +344,14 @@ public sealed class CreateJobModalTests
 		Assert.Contains("Fixed count (2 cycles)", cut.Markup);
 	}
 
+	private static void SetupAttachmentInterop(BunitContext context)
+	{
+		var attachmentsModule = context.JSInterop.SetupModule(JsModule.Attachments);
+		attachmentsModule.SetupVoid("register", _ => true);
+		attachmentsModule.SetupVoid("unregister", _ => true);
+		attachmentsModule.SetupVoid("release", _ => true);
+	}
+
 	private sealed class FakeJobTemplateService : IJobTemplateService
 	{
 		public Task<IEnumerable<JobTemplate>> GetAllAsync(CancellationToken cancellationToken = default) => Task.FromResult<IEnumerable<JobTemplate>>([]);
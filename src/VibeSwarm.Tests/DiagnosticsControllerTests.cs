@@ -0,0 +1,94 @@
+using System.Text;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.Services;
+using VibeSwarm.Web.Controllers;
+
+namespace VibeSwarm.Tests;
+
+public sealed class DiagnosticsControllerTests
+{
+	[Fact]
+	public async Task CreateCspReport_LogsLegacyReportUriBody()
+	{
+		var logService = new RecordingCriticalErrorLogService();
+		var controller = CreateController(logService, """
+			{"csp-report":{"document-uri":"https://vibeswarm.local/jobs","violated-directive":"script-src-elem","effective-directive":"script-src-elem","blocked-uri":"inline","disposition":"enforce"}}
+			""");
+
+		var result = await controller.CreateCspReport(CancellationToken.None);
+
+		Assert.IsType<NoContentResult>(result);
+		var entry = Assert.Single(logService.Entries);
+		Assert.Equal("browser", entry.Source);
+		Assert.Equal("csp-violation", entry.Category);
+		Assert.Equal("warning", entry.Severity);
+		Assert.Equal("https://vibeswarm.local/jobs", entry.Url);
+		Assert.Equal("Content Security Policy blocked inline (script-src-elem)", entry.Message);
+		Assert.Equal("test-agent", entry.UserAgent);
+	}
+
+	[Fact]
+	public async Task CreateCspReport_LogsOnlyViolationsFromReportingApiBatch()
+	{
+		var logService = new RecordingCriticalErrorLogService();
+		var controller = CreateController(logService, """
+			[
+				{"type":"csp-violation","body":{"documentURL":"https://vibeswarm.local/","effectiveDirective":"script-src-elem","blockedURL":"https://cdn.example.com/x.js","disposition":"report"}},
+				{"type":"deprecation","body":{"id":"old-api"}}
+			]
+			""");
+
+		var result = await controller.CreateCspReport(CancellationToken.None);
+
+		Assert.IsType<NoContentResult>(result);
+		var entry = Assert.Single(logService.Entries);
+		Assert.Equal("Content Security Policy would block https://cdn.example.com/x.js (script-src-elem)", entry.Message);
+		Assert.Contains("cdn.example.com", entry.AdditionalDataJson);
+	}
+
+	[Theory]
+	[InlineData("not json")]
+	[InlineData("{\"unexpected\":true}")]
+	public async Task CreateCspReport_ReturnsBadRequest_ForUnrecognisedBody(string body)
+	{
+		var logService = new RecordingCriticalErrorLogService();
+		var controller = CreateController(logService, body);
+
+		var result = await controller.CreateCspReport(CancellationToken.None);
+
+		Assert.IsType<BadRequestObjectResult>(result);
+		Assert.Empty(logService.Entries);
+	}
+
+	private static DiagnosticsController CreateController(ICriticalErrorLogService logService, string body)
+	{
+		var context = new DefaultHttpContext();
+		context.Request.Method = HttpMethods.Post;
+		context.Request.ContentType = "application/csp-report";
+		context.Request.Headers.UserAgent = "test-agent";
+		context.Request.Body = new MemoryStream(Encoding.UTF8.GetBytes(body));
+
+		return new DiagnosticsController(logService)
+		{
+			ControllerContext = new ControllerContext { HttpContext = context }
+		};
+	}
+
+	private sealed class RecordingCriticalErrorLogService : ICriticalErrorLogService
+	{
+		public List<CriticalErrorLogEntry> Entries { get; } = [];
+
+		public Task<CriticalErrorLogEntry> LogAsync(CriticalErrorLogEntry entry, CancellationToken cancellationToken = default)
+		{
+			Entries.Add(entry);
+			return Task.FromResult(entry);
+		}
+
+		public Task<IReadOnlyList<CriticalErrorLogEntry>> GetRecentAsync(int limit = 25, CancellationToken cancellationToken = default)
+			=> Task.FromResult<IReadOnlyList<CriticalErrorLogEntry>>(Entries);
+
+		public Task ApplyRetentionPolicyAsync(CancellationToken cancellationToken = default) => Task.CompletedTask;
+	}
+}
@@ -0,0 +1,94 @@
+using Bunit;
+using Microsoft.AspNetCore.Components.Web;
+using VibeSwarm.Client.Components.Common;
+using VibeSwarm.Client.Services;
+
+namespace VibeSwarm.Tests;
+
+public sealed class DragDropListTests
+{
+	private static readonly string[] Items = ["Alpha", "Beta", "Gamma"];
+
+	[Fact]
+	public void DragDropList_Bunit_KeyboardLiftMoveAndDropReorders()
+	{
+		using var context = CreateContext(out var dragDropModule);
+		DragDropReorderArgs? reorder = null;
+
+		var cut = context.Render<DragDropList<string>>(parameters => parameters
+			.Add(list => list.Items, Items)
+			.Add(list => list.ItemTemplate, item => $"<span class=\"label\">{item}</span>")
+			.Add(list => list.ItemLabel, item => item)
+			.Add(list => list.OnReorder, (DragDropReorderArgs args) => reorder = args));
+
+		cut.FindAll("[data-drag-handle]")[0].KeyDown(new KeyboardEventArgs { Key = " " });
+		Assert.Contains("Alpha picked up, position 1 of 3", cut.Find("[role=status]").TextContent);
+		Assert.Equal("true", cut.FindAll("[data-drag-handle]")[0].GetAttribute("aria-pressed"));
+
+		cut.FindAll("[data-drag-handle]")[0].KeyDown(new KeyboardEventArgs { Key = "ArrowDown" });
+		Assert.Equal(new[] { "Beta", "Alpha", "Gamma" }, cut.FindAll(".label").Select(label => label.TextContent));
+		Assert.Contains("Alpha moved to position 2 of 3", cut.Find("[role=status]").TextContent);
+		Assert.Null(reorder);
+
+		cut.FindAll("[data-drag-handle]")[1].KeyDown(new KeyboardEventArgs { Key = " " });
+
+		Assert.Equal(new DragDropReorderArgs(0, 1), reorder);
+		Assert.Contains("Alpha dropped at position 2 of 3", cut.Find("[role=status]").TextContent);
+		Assert.Contains(dragDropModule.Invocations, invocation => invocation.Identifier == "focusHandle" && Equals(invocation.Arguments[1], 1));
+	}
+
+	[Fact]
+	public void DragDropList_Bunit_EscapeRestoresOriginalOrder()
+	{
+		using var context = CreateContext(out _);
+		DragDropReorderArgs? reorder = null;
+
+		var cut = context.Render<DragDropList<string>>(parameters => parameters
+			.Add(list => list.Items, Items)
+			.Add(list => list.ItemTemplate, item => $"<span class=\"label\">{item}</span>")
+			.Add(list => list.OnReorder, (DragDropReorderArgs args) => reorder = args));
+
+		cut.FindAll("[data-drag-handle]")[2].KeyDown(new KeyboardEventArgs { Key = " " });
+		cut.FindAll("[data-drag-handle]")[2].KeyDown(new KeyboardEventArgs { Key = "Home" });
+		Assert.Equal(new[] { "Gamma", "Alpha", "Beta" }, cut.FindAll(".label").Select(label => label.TextContent));
+
+		cut.FindAll("[data-drag-handle]")[0].KeyDown(new KeyboardEventArgs { Key = "Escape" });
+
+		Assert.Equal(Items, cut.FindAll(".label").Select(label => label.TextContent));
+		Assert.Contains("Reorder cancelled. item 3 returned to position 3", cut.Find("[role=status]").TextContent);
+		Assert.Null(reorder);
+	}
+
+	[Fact]
+	public async Task DragDropList_Bunit_DropOnTargetReportsItemAndTarget()
+	{
+		using var context = CreateContext(out var dragDropModule);
+		DragDropTargetArgs? dropped = null;
+		var targetProjectId = Guid.NewGuid().ToString();
+
+		var cut = context.Render<DragDropList<string>>(parameters => parameters
+			.Add(list => list.Items, Items)
+			.Add(list => list.ItemTemplate, item => $"<span class=\"label\">{item}</span>")
+			.Add(list => list.ReorderEnabled, false)
+			.Add(list => list.DropGroup, "ideas")
+			.Add(list => list.OnDropOnTarget, (DragDropTargetArgs args) => dropped = args));
+
+		Assert.Empty(cut.FindAll("button[data-drag-handle]"));
+		var attach = Assert.Single(dragDropModule.Invocations, invocation => invocation.Identifier == "attach");
+		Assert.Contains("ideas", System.Text.Json.JsonSerializer.Serialize(attach.Arguments[2]));
+
+		await cut.InvokeAsync(() => cut.Instance.OnPointerDrop(1, targetProjectId));
+
+		Assert.Equal(new DragDropTargetArgs(1, targetProjectId), dropped);
+	}
+
+	private static BunitContext CreateContext(out BunitJSModuleInterop dragDropModule)
+	{
+		var context = new BunitContext();
+		dragDropModule = context.JSInterop.SetupModule(JsModule.DragDrop);
+		dragDropModule.SetupVoid("attach", _ => true);
+		dragDropModule.SetupVoid("detach", _ => true);
+		dragDropModule.SetupVoid("focusHandle", _ => true);
+		return context;
+	}
+}
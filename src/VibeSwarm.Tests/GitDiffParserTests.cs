@@ -1,4 +1,5 @@
 using VibeSwarm.Shared.VersionControl;
+using VibeSwarm.Shared.VersionControl.Models;
 
 namespace VibeSwarm.Tests;
 
@@ -120,4 +121,62 @@ Command completed successfully.
 		Assert.Contains("new value", html);
 		Assert.Contains("diff-hunk", html);
 	}
+
+	[Fact]
+	public void ParseHunks_NumbersRowsFromTheHunkHeaders()
+	{
+		const string diff = """
+diff --git a/src/Sample.cs b/src/Sample.cs
+index 1111111..2222222 100644
+--- a/src/Sample.cs
++++ b/src/Sample.cs
+@@ -3,3 +3,3 @@ public class Sample
+ 	public int A;
+-	public int B;
++	public long B;
+ 	public int C;
+@@ -20,0 +21,2 @@ public class Sample
++	public int D;
++	public int E;
+""";
+
+		var hunks = GitDiffParser.ParseHunks(diff);
+
+		Assert.Equal(2, hunks.Count);
+		Assert.Equal("public class Sample", hunks[0].Section);
+		Assert.Equal(new int?[] { 3, 4, null, 5 }, hunks[0].Rows.Select(row => row.OldLine));
+		Assert.Equal(new int?[] { 3, null, 4, 5 }, hunks[0].Rows.Select(row => row.NewLine));
+		Assert.Equal("\tpublic long B;", hunks[0].Rows[2].Text);
+
+		// An insertion-only hunk names the line it follows
+		Assert.Equal(21, hunks[1].OldFirstLine);
+		Assert.Equal(20, hunks[1].OldLastLine);
+		Assert.Equal(new int?[] { 21, 22 }, hunks[1].Rows.Select(row => row.NewLine));
+	}
+
+	[Fact]
+	public void PairRows_LinesUpDeletionsWithTheAdditionsThatReplaceThem()
+	{
+		const string diff = """
+@@ -1,4 +1,3 @@
+ keep
+-old one
+-old two
++new one
+ tail
+\ No newline at end of file
+""";
+
+		var hunk = Assert.Single(GitDiffParser.ParseHunks("diff --git a/f b/f\n" + diff));
+		var pairs = GitDiffParser.PairRows(hunk);
+
+		Assert.Equal(5, pairs.Count);
+		Assert.Same(pairs[0].Old, pairs[0].New);
+		Assert.Equal(("old one", "new one"), (pairs[1].Old?.Text, pairs[1].New?.Text));
+		Assert.Equal("old two", pairs[2].Old?.Text);
+		Assert.Null(pairs[2].New);
+		Assert.Equal("tail", pairs[3].New?.Text);
+		Assert.Equal(DiffRowKind.Note, pairs[4].Old?.Kind);
+		Assert.Same(pairs[4].Old, pairs[4].New);
+	}
 }
@@ -1,6 +1,12 @@
 using Bunit;
 using Microsoft.AspNetCore.Components;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.JSInterop;
 using VibeSwarm.Client.Components.Git;
+using VibeSwarm.Client.Models;
+using VibeSwarm.Client.Services;
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.Utilities;
 using VibeSwarm.Shared.VersionControl.Models;
 
 namespace VibeSwarm.Tests;
@@ -10,7 +16,7 @@ public sealed class GitDiffViewerTests
 	[Fact]
 	public void GitDiffViewer_Bunit_ExpandsAndCollapsesAllFiles()
 	{
-		using var context = new BunitContext();
+		using var context = CreateContext();
 
 		var cut = context.Render<GitDiffViewer>(parameters => parameters
 			.Add(viewer => viewer.DiffFiles, CreateDiffFiles()));
@@ -41,7 +47,7 @@ public sealed class GitDiffViewerTests
 	[Fact]
 	public void GitDiffViewer_Bunit_TogglesVisibilityAndInvokesCallback()
 	{
-		using var context = new BunitContext();
+		using var context = CreateContext();
 		bool? visibleState = null;
 
 		var cut = context.Render<GitDiffViewer>(parameters => parameters
@@ -65,7 +71,7 @@ public sealed class GitDiffViewerTests
 	[Fact]
 	public void GitDiffViewer_Bunit_ShowsDivergenceDetailsAndHandlesRecheck()
 	{
-		using var context = new BunitContext();
+		using var context = CreateContext();
 		var rechecked = false;
 
 		var cut = context.Render<GitDiffViewer>(parameters => parameters
@@ -94,7 +100,7 @@ public sealed class GitDiffViewerTests
 	[Fact]
 	public void GitDiffViewer_Bunit_HidesCommandNoise_FromRenderedDiff()
 	{
-		using var context = new BunitContext();
+		using var context = CreateContext();
 
 		var cut = context.Render<GitDiffViewer>(parameters => parameters
 			.Add(viewer => viewer.DiffFiles, new List<DiffFile>
@@ -127,7 +133,7 @@ public sealed class GitDiffViewerTests
 	[Fact]
 	public void GitDiffViewer_Bunit_RendersCustomTitleAndFooterTemplate()
 	{
-		using var context = new BunitContext();
+		using var context = CreateContext();
 		RenderFragment<DiffFile> footerTemplate = file => builder =>
 		{
 			builder.AddMarkupContent(0, $"<div class=\"conflict-editor\">Editor for {file.FileName}</div>");
@@ -143,6 +149,173 @@ public sealed class GitDiffViewerTests
 		Assert.Contains("Editor for src/First.cs", cut.Markup);
 	}
 
+	[Fact]
+	public async Task GitDiffViewer_Bunit_FocusFileExpandsFileAndRevealsLine()
+	{
+		using var context = CreateContext();
+		var diffViewerModule = context.JSInterop.SetupModule(JsModule.DiffViewer);
+		diffViewerModule.SetupVoid("revealLine", "diffCollapse1", 1);
+		bool? visibleState = null;
+
+		var cut = context.Render<GitDiffViewer>(parameters => parameters
+			.Add(viewer => viewer.DiffFiles, CreateDiffFiles())
+			.Add(viewer => viewer.IsVisible, false)
+			.Add(viewer => viewer.IsVisibleChanged, (bool isVisible) => visibleState = isVisible));
+
+		Assert.False(await cut.InvokeAsync(() => cut.Instance.FocusFileAsync("src/Missing.cs", 3)));
+
+		Assert.True(await cut.InvokeAsync(() => cut.Instance.FocusFileAsync("src/Second.cs", 1)));
+
+		Assert.True(visibleState);
+		Assert.Contains("show", cut.Find("#diffCollapse1").ClassName);
+		Assert.NotNull(cut.Find("#diffCollapse1 [data-new-line='1']"));
+		Assert.Single(diffViewerModule.Invocations, invocation => invocation.Identifier == "revealLine");
+	}
+
+	[Fact]
+	public async Task GitDiffViewer_Bunit_BracketShortcutsStepThroughFiles()
+	{
+		using var context = CreateContext(out var keyboardModule);
+		var diffViewerModule = context.JSInterop.SetupModule(JsModule.DiffViewer);
+		diffViewerModule.SetupVoid("revealLine", _ => true);
+
+		var cut = context.Render<GitDiffViewer>(parameters => parameters
+			.Add(viewer => viewer.DiffFiles, CreateDiffFiles()));
+
+		var register = Assert.Single(keyboardModule.Invocations, invocation => invocation.Identifier == "register");
+		var registration = Assert.IsType<DotNetObjectReference<KeyboardShortcutRegistration>>(register.Arguments[1]).Value;
+		Assert.Equal(
+			new[] { KeyboardShortcutCatalog.NextFile, KeyboardShortcutCatalog.PreviousFile },
+			Assert.IsAssignableFrom<IReadOnlyDictionary<string, string>>(register.Arguments[2]).Keys.Order());
+
+		await cut.InvokeAsync(() => registration.InvokeShortcut(KeyboardShortcutCatalog.NextFile));
+		await cut.InvokeAsync(() => registration.InvokeShortcut(KeyboardShortcutCatalog.NextFile));
+
+		Assert.Contains("show", cut.Find("#diffCollapse1").ClassName);
+		Assert.Equal("diffCollapse1", diffViewerModule.Invocations.Last(invocation => invocation.Identifier == "revealLine").Arguments[0]);
+
+		await cut.InvokeAsync(() => registration.InvokeShortcut(KeyboardShortcutCatalog.PreviousFile));
+
+		Assert.Equal("diffCollapse0", diffViewerModule.Invocations.Last(invocation => invocation.Identifier == "revealLine").Arguments[0]);
+	}
+
+	[Fact]
+	public void GitDiffViewer_Bunit_SwitchesToSideBySideView()
+	{
+		using var context = CreateContext();
+
+		var cut = context.Render<GitDiffViewer>(parameters => parameters
+			.Add(viewer => viewer.DiffFiles, CreateDiffFiles()));
+
+		Assert.NotEmpty(cut.FindAll("#diffCollapse0 .diff-row"));
+		Assert.Empty(cut.FindAll("#diffCollapse0 .diff-split-row"));
+
+		cut.Find("button[title='Side-by-side view']").Click();
+
+		var rows = cut.FindAll("#diffCollapse0 .diff-split-row");
+		Assert.Equal(4, rows.Count);
+		Assert.Contains("old line", rows[0].TextContent);
+		Assert.Contains("new line", rows[2].TextContent);
+		Assert.Equal(DiffViewMode.Split, context.Services.GetRequiredService<DiffViewPreferenceService>().Mode);
+	}
+
+	[Fact]
+	public void GitDiffViewer_Bunit_ExpandsUnchangedLinesFromTheFullFileDiff()
+	{
+		using var context = CreateContext();
+		var fullFile = string.Join("\n", Enumerable.Range(1, 12).Select(line => line == 6 ? "-line 6\n+line six" : $" line {line}"));
+		DiffFile? requested = null;
+
+		var cut = context.Render<GitDiffViewer>(parameters => parameters
+			.Add(viewer => viewer.DiffFiles, new List<DiffFile>
+			{
+				new()
+				{
+					FileName = "notes.txt",
+					Additions = 1,
+					Deletions = 1,
+					DiffContent = """
+						diff --git a/notes.txt b/notes.txt
+						--- a/notes.txt
+						+++ b/notes.txt
+						@@ -5,3 +5,3 @@
+						 line 5
+						-line 6
+						+line six
+						 line 7
+						"""
+				}
+			})
+			.Add(viewer => viewer.LoadFileContext, file =>
+			{
+				requested = file;
+				return Task.FromResult<string?>($"diff --git a/notes.txt b/notes.txt\n@@ -1,12 +1,12 @@\n{fullFile}");
+			}));
+
+		Assert.DoesNotContain("line 2", cut.Markup, StringComparison.Ordinal);
+		Assert.Contains("4 unchanged lines", cut.Markup);
+
+		cut.FindAll(".diff-gap button").First(button => button.TextContent.Contains("Show all", StringComparison.Ordinal)).Click();
+
+		Assert.Equal("notes.txt", requested?.FileName);
+		Assert.Contains("line 2", cut.Markup);
+		Assert.NotNull(cut.Find("[data-new-line='1']"));
+		Assert.Contains("5 unchanged lines", cut.Markup);
+	}
+
+	[Fact]
+	public void GitDiffViewer_Bunit_WritesReviewCommentsOnSelectedLines()
+	{
+		using var context = CreateContext();
+		(string FileName, int StartLine, int EndLine, string Body)? saved = null;
+		var existing = new JobReviewComment
+		{
+			Id = Guid.NewGuid(),
+			FilePath = "src/First.cs",
+			StartLine = 1,
+			EndLine = 1,
+			Body = "Is this still needed?",
+			Status = ReviewCommentStatus.Open
+		};
+
+		var cut = context.Render<GitDiffViewer>(parameters => parameters
+			.Add(viewer => viewer.DiffFiles, CreateDiffFiles())
+			.Add(viewer => viewer.ReviewComments, new List<JobReviewComment> { existing })
+			.Add(viewer => viewer.AddReviewComment, (file, draft) =>
+			{
+				saved = (file.FileName, draft.StartLine, draft.EndLine, draft.Body);
+				return Task.FromResult<string?>(null);
+			}));
+
+		Assert.Contains("Is this still needed?", cut.Find(".diff-review-thread").TextContent);
+		Assert.Contains("diff-commented", cut.Find("[data-new-line='1']").ClassName);
+
+		cut.Find("[data-new-line='2'] .diff-comment-button").Click();
+		cut.Find("[data-new-line='3'] .diff-comment-button").Click(new Microsoft.AspNetCore.Components.Web.MouseEventArgs { ShiftKey = true });
+
+		Assert.Contains("lines 2-3", cut.Find(".diff-review-composer").TextContent);
+		cut.Find(".diff-review-composer textarea").Input("Split these into two methods.");
+		cut.FindAll(".diff-review-composer button").Single(button => button.TextContent.Trim() == "Comment").Click();
+
+		Assert.Equal(("src/First.cs", 2, 3, "Split these into two methods."), saved);
+		Assert.Empty(cut.FindAll(".diff-review-composer"));
+	}
+
+	private static BunitContext CreateContext() => CreateContext(out _);
+
+	private static BunitContext CreateContext(out BunitJSModuleInterop keyboardModule)
+	{
+		var context = new BunitContext();
+		context.Services.AddLogging();
+		context.Services.AddSingleton(new HttpClient());
+		context.Services.AddScoped<KeyboardShortcutService>();
+		context.Services.AddScoped<DiffViewPreferenceService>();
+		keyboardModule = context.JSInterop.SetupModule(JsModule.Keyboard);
+		keyboardModule.Setup<KeyboardShortcutConflict[]?>("register", _ => true).SetResult([]);
+		keyboardModule.SetupVoid("unregister", _ => true);
+		return context;
+	}
+
 	private static List<DiffFile> CreateDiffFiles()
 	{
 		return new List<DiffFile>
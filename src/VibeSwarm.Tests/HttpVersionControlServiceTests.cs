@@ -2,6 +2,7 @@ using System.Net;
 using System.Text;
 using System.Text.Json;
 using VibeSwarm.Client.Services;
+using VibeSwarm.Shared.VersionControl;
 using VibeSwarm.Shared.VersionControl.Models;
 
 namespace VibeSwarm.Tests;
@@ -81,6 +82,33 @@ index 3333333..4444444 100644
 		Assert.Equal(diff, result);
 	}
 
+	[Fact]
+	public async Task GetFileDiffAsync_RequestsTheFileWithTheGivenContext()
+	{
+		const string diff = """
+diff --git a/src/My File.cs b/src/My File.cs
+--- a/src/My File.cs
++++ b/src/My File.cs
+@@ -1,3 +1,3 @@
+ namespace Demo;
+-class A { }
++class B { }
+""";
+
+		var service = CreateService(request =>
+		{
+			Assert.Equal("/api/git/file-diff?path=%2Frepo&file=src%2FMy%20File.cs&context=100000&from=abc123", request.RequestUri?.PathAndQuery);
+			return new HttpResponseMessage(HttpStatusCode.OK)
+			{
+				Content = new StringContent(diff, Encoding.UTF8, "text/plain")
+			};
+		});
+
+		var result = await service.GetFileDiffAsync("/repo", "src/My File.cs", "abc123", null, GitDiffParser.FullFileContextLines);
+
+		Assert.Equal(diff, result);
+	}
+
 	[Fact]
 	public async Task GetRemoteUrlAsync_ReturnsJsonStringValue_WhenEndpointReturnsApplicationJson()
 	{
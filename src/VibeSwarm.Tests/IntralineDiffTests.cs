@@ -0,0 +1,49 @@
+using VibeSwarm.Shared.VersionControl;
+using VibeSwarm.Shared.VersionControl.Models;
+
+namespace VibeSwarm.Tests;
+
+public sealed class IntralineDiffTests
+{
+	[Fact]
+	public void Compare_MarksOnlyTheWordsThatChanged()
+	{
+		const string oldText = "var total = price * quantity;";
+		const string newText = "var total = price * count + tax;";
+
+		var ranges = IntralineDiff.Compare(oldText, newText);
+
+		Assert.NotNull(ranges);
+		Assert.Equal(new[] { "quantity" }, ranges.Value.Old.Select(range => oldText.Substring(range.Start, range.Length)));
+		Assert.Equal(new[] { "count + tax" }, ranges.Value.New.Select(range => newText.Substring(range.Start, range.Length)));
+	}
+
+	[Fact]
+	public void Compare_ReturnsNull_WhenTheLinesHaveLittleInCommon()
+	{
+		Assert.Null(IntralineDiff.Compare("return cache.Get(key);", "throw new InvalidOperationException();"));
+	}
+
+	[Fact]
+	public void Annotate_SetsRangesOnPairedLinesOnly()
+	{
+		var hunk = Assert.Single(GitDiffParser.ParseHunks("""
+diff --git a/src/Sample.cs b/src/Sample.cs
+@@ -1,2 +1,3 @@
+-int retries = 3;
++int retries = 5;
++int delay = 100;
+ done();
+"""));
+
+		IntralineDiff.Annotate([hunk]);
+
+		var deleted = hunk.Rows[0];
+		var added = hunk.Rows[1];
+		Assert.Equal(new[] { (14, 1) }, deleted.ChangedRanges);
+		Assert.Equal(new[] { (14, 1) }, added.ChangedRanges);
+		Assert.Null(hunk.Rows[2].ChangedRanges);
+		Assert.Equal(DiffRowKind.Context, hunk.Rows[3].Kind);
+		Assert.Null(hunk.Rows[3].ChangedRanges);
+	}
+}
@@ -0,0 +1,76 @@
+using Bunit;
+using Microsoft.Extensions.Logging.Abstractions;
+using VibeSwarm.Client.Services;
+using VibeSwarm.Shared.Data;
+
+namespace VibeSwarm.Tests;
+
+public sealed class JobActivityBadgeServiceTests
+{
+	[Fact]
+	public async Task ResetAsync_CountsRunningAndPausedJobsOnly()
+	{
+		using var context = new BunitContext();
+		var badgeModule = SetupBadgeModule(context);
+		var service = new JobActivityBadgeService(context.JSInterop.JSRuntime, NullLogger<JobActivityBadgeService>.Instance);
+
+		await service.ResetAsync(
+		[
+			(Guid.NewGuid(), JobStatus.Processing),
+			(Guid.NewGuid(), JobStatus.Planning),
+			(Guid.NewGuid(), JobStatus.New),
+			(Guid.NewGuid(), JobStatus.Paused)
+		]);
+
+		Assert.Equal(2, service.RunningCount);
+		Assert.Equal(1, service.WaitingCount);
+		var update = Assert.Single(badgeModule.Invocations, invocation => invocation.Identifier == "update");
+		Assert.Equal(new object?[] { 2, 1 }, update.Arguments);
+	}
+
+	[Fact]
+	public async Task StatusEvents_MoveJobsBetweenRunningAndWaiting()
+	{
+		using var context = new BunitContext();
+		var badgeModule = SetupBadgeModule(context);
+		var service = new JobActivityBadgeService(context.JSInterop.JSRuntime, NullLogger<JobActivityBadgeService>.Instance);
+		var jobId = Guid.NewGuid();
+
+		await service.SetStatusAsync(jobId, JobStatus.Started);
+		await service.MarkWaitingAsync(jobId);
+		Assert.Equal((0, 1), (service.RunningCount, service.WaitingCount));
+
+		await service.SetStatusAsync(jobId, JobStatus.Processing);
+		await service.SetStatusAsync(jobId, JobStatus.Processing);
+		await service.SetStatusAsync(jobId, JobStatus.Completed);
+
+		Assert.Equal((0, 0), (service.RunningCount, service.WaitingCount));
+		Assert.Equal(
+			new[] { "1,0", "0,1", "1,0", "0,0" },
+			badgeModule.Invocations.Where(invocation => invocation.Identifier == "update").Select(invocation => string.Join(",", invocation.Arguments)));
+	}
+
+	[Fact]
+	public async Task CountsChanged_RaisedOnlyWhenCountsChange()
+	{
+		using var context = new BunitContext();
+		SetupBadgeModule(context);
+		var service = new JobActivityBadgeService(context.JSInterop.JSRuntime, NullLogger<JobActivityBadgeService>.Instance);
+		var runningCounts = new List<int>();
+		service.CountsChanged += () => runningCounts.Add(service.RunningCount);
+		var jobId = Guid.NewGuid();
+
+		await service.SetStatusAsync(jobId, JobStatus.Processing);
+		await service.SetStatusAsync(jobId, JobStatus.Processing);
+		await service.SetStatusAsync(jobId, JobStatus.Completed);
+
+		Assert.Equal(new[] { 1, 0 }, runningCounts);
+	}
+
+	private static BunitJSModuleInterop SetupBadgeModule(BunitContext context)
+	{
+		var badgeModule = context.JSInterop.SetupModule(JsModule.JobBadge);
+		badgeModule.SetupVoid("update", _ => true);
+		return badgeModule;
+	}
+}
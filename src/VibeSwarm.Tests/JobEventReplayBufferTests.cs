@@ -0,0 +1,84 @@
+using VibeSwarm.Web.Services;
+
+namespace VibeSwarm.Tests;
+
+public sealed class JobEventReplayBufferTests
+{
+	[Fact]
+	public void GetSince_ReturnsTheEventsAfterTheCursorInOrder()
+	{
+		var buffer = new JobEventReplayBuffer(maxEventsPerJob: 10, maxJobs: 10, new ManualTimeProvider());
+		var jobId = Guid.NewGuid();
+
+		var first = buffer.Append(jobId, "JobOutput", [jobId.ToString(), "one"]);
+		var second = buffer.Append(jobId, "JobOutput", [jobId.ToString(), "two"]);
+		var third = buffer.Append(jobId, "JobCompleted", [jobId.ToString(), true, null]);
+		buffer.Append(Guid.NewGuid(), "JobOutput", ["other", "line"]);
+
+		Assert.Equal(first + 1, second);
+		Assert.Equal(second + 1, third);
+
+		var replay = buffer.GetSince(jobId, first);
+
+		Assert.True(replay.IsComplete);
+		Assert.Equal(third, replay.LatestSequence);
+		Assert.Equal(new[] { second, third }, replay.Events.Select(record => record.Sequence));
+		Assert.Equal(new[] { "JobOutput", "JobCompleted" }, replay.Events.Select(record => record.Method));
+		Assert.Equal("two", replay.Events[0].Arguments[1]);
+	}
+
+	[Fact]
+	public void GetSince_WithoutCursorOnlyReturnsTheLatestSequence()
+	{
+		var buffer = new JobEventReplayBuffer(maxEventsPerJob: 10, maxJobs: 10, new ManualTimeProvider());
+		var jobId = Guid.NewGuid();
+		buffer.Append(jobId, "JobOutput", [jobId.ToString(), "one"]);
+		var latest = buffer.Append(jobId, "JobOutput", [jobId.ToString(), "two"]);
+
+		var replay = buffer.GetSince(jobId, afterSequence: null);
+
+		Assert.True(replay.IsComplete);
+		Assert.Equal(latest, replay.LatestSequence);
+		Assert.Empty(replay.Events);
+	}
+
+	[Fact]
+	public void GetSince_IsIncompleteOnceMissedEventsLeftTheBuffer()
+	{
+		var buffer = new JobEventReplayBuffer(maxEventsPerJob: 2, maxJobs: 10, new ManualTimeProvider());
+		var jobId = Guid.NewGuid();
+		var cursor = buffer.Append(jobId, "JobOutput", [jobId.ToString(), "one"]);
+		buffer.Append(jobId, "JobOutput", [jobId.ToString(), "two"]);
+		buffer.Append(jobId, "JobOutput", [jobId.ToString(), "three"]);
+		buffer.Append(jobId, "JobOutput", [jobId.ToString(), "four"]);
+
+		Assert.False(buffer.GetSince(jobId, cursor).IsComplete);
+		Assert.True(buffer.GetSince(jobId, cursor + 1).IsComplete);
+	}
+
+	[Fact]
+	public void Append_NumbersAnEvictedJobAboveItsEarlierEvents()
+	{
+		var clock = new ManualTimeProvider();
+		var buffer = new JobEventReplayBuffer(maxEventsPerJob: 10, maxJobs: 1, clock);
+		var jobId = Guid.NewGuid();
+		var before = buffer.Append(jobId, "JobOutput", [jobId.ToString(), "one"]);
+
+		clock.Advance(TimeSpan.FromSeconds(1));
+		buffer.Append(Guid.NewGuid(), "JobOutput", ["other", "line"]);
+		clock.Advance(TimeSpan.FromSeconds(1));
+		var after = buffer.Append(jobId, "JobOutput", [jobId.ToString(), "two"]);
+
+		Assert.True(after > before + 1);
+		Assert.False(buffer.GetSince(jobId, before).IsComplete);
+	}
+
+	private sealed class ManualTimeProvider : TimeProvider
+	{
+		private DateTimeOffset _now = new(2026, 1, 1, 0, 0, 0, TimeSpan.Zero);
+
+		public override DateTimeOffset GetUtcNow() => _now;
+
+		public void Advance(TimeSpan delta) => _now += delta;
+	}
+}
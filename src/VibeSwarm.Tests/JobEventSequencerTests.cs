@@ -0,0 +1,84 @@
+using VibeSwarm.Client.Services;
+using VibeSwarm.Shared.Models;
+
+namespace VibeSwarm.Tests;
+
+public sealed class JobEventSequencerTests
+{
+	[Fact]
+	public async Task AcceptAsync_AppliesEachNumberedEventOnce()
+	{
+		var applied = new List<long>();
+		var sequencer = await CreateSyncedAsync(latest: 10, onGap: () => { });
+
+		await sequencer.AcceptAsync(11, Record(applied, 11));
+		await sequencer.AcceptAsync(11, Record(applied, 11));
+		await sequencer.AcceptAsync(0, Record(applied, 0));
+		await sequencer.AcceptAsync(12, Record(applied, 12));
+
+		Assert.Equal(new long[] { 11, 12 }, applied);
+		Assert.Equal(12, sequencer.Cursor);
+	}
+
+	[Fact]
+	public async Task CompleteCatchUpAsync_AppliesMissedEventsBeforeLiveOnes()
+	{
+		var applied = new List<long>();
+		var gaps = 0;
+		var sequencer = await CreateSyncedAsync(latest: 10, onGap: () => gaps++);
+
+		await sequencer.AcceptAsync(13, Record(applied, 13));
+		await sequencer.AcceptAsync(14, Record(applied, 14));
+
+		Assert.Equal(1, gaps);
+		Assert.True(sequencer.IsCatchingUp);
+		Assert.Empty(applied);
+
+		var replay = new JobEventReplay
+		{
+			LatestSequence = 13,
+			Events = [new JobEventRecord { Sequence = 11 }, new JobEventRecord { Sequence = 12 }, new JobEventRecord { Sequence = 13 }]
+		};
+		var complete = await sequencer.CompleteCatchUpAsync(replay,
+			record => sequencer.AcceptAsync(record.Sequence, Record(applied, record.Sequence)));
+
+		Assert.True(complete);
+		Assert.False(sequencer.IsCatchingUp);
+		Assert.Equal(new long[] { 11, 12, 13, 14 }, applied);
+		Assert.Equal(14, sequencer.Cursor);
+	}
+
+	[Fact]
+	public async Task CompleteCatchUpAsync_AsksForAReloadWhenTheReplayCameUpShort()
+	{
+		var applied = new List<long>();
+		var sequencer = await CreateSyncedAsync(latest: 10, onGap: () => { });
+		sequencer.BeginCatchUp();
+		await sequencer.AcceptAsync(5000, Record(applied, 5000));
+
+		var complete = await sequencer.CompleteCatchUpAsync(
+			new JobEventReplay { LatestSequence = 4999, IsComplete = false },
+			_ => Task.CompletedTask);
+
+		Assert.False(complete);
+		Assert.Equal(new long[] { 5000 }, applied);
+		Assert.Equal(5000, sequencer.Cursor);
+	}
+
+	private static async Task<JobEventSequencer> CreateSyncedAsync(long latest, Action onGap)
+	{
+		var sequencer = new JobEventSequencer(onGap);
+		sequencer.BeginCatchUp();
+		await sequencer.CompleteCatchUpAsync(new JobEventReplay { LatestSequence = latest }, _ => Task.CompletedTask);
+		return sequencer;
+	}
+
+	private static Func<Task> Record(List<long> applied, long sequence)
+	{
+		return () =>
+		{
+			applied.Add(sequence);
+			return Task.CompletedTask;
+		};
+	}
+}
@@ -82,4 +82,41 @@ public sealed class JobHeaderSectionTests
 		Assert.Contains("$0.60", html);
 		Assert.Contains("$1.50", html);
 	}
+
+	[Theory]
+	[InlineData(false, false, null)]
+	[InlineData(true, false, "Pop Out")]
+	[InlineData(true, true, "Close Monitor")]
+	public async Task RenderedJobHeaderSection_OffersThePopOutMonitorWhenAllowed(bool canPopOut, bool isPoppedOut, string? expectedText)
+	{
+		var services = new ServiceCollection();
+		services.AddLogging();
+
+		await using var renderer = new HtmlRenderer(services.BuildServiceProvider(), NullLoggerFactory.Instance);
+
+		var html = await renderer.Dispatcher.InvokeAsync(async () =>
+		{
+			var parameters = ParameterView.FromDictionary(new Dictionary<string, object?>
+			{
+				[nameof(JobHeaderSection.Status)] = JobStatus.Processing,
+				[nameof(JobHeaderSection.JobTitle)] = "Watch from the editor",
+				[nameof(JobHeaderSection.CreatedAt)] = DateTime.UtcNow.AddMinutes(-5),
+				[nameof(JobHeaderSection.CanPopOut)] = canPopOut,
+				[nameof(JobHeaderSection.IsPoppedOut)] = isPoppedOut
+			});
+
+			var output = await renderer.RenderComponentAsync<JobHeaderSection>(parameters);
+			return output.ToHtmlString();
+		});
+
+		if (expectedText == null)
+		{
+			Assert.DoesNotContain("bi-pip", html);
+		}
+		else
+		{
+			Assert.Contains("bi-pip", html);
+			Assert.Contains(expectedText, html);
+		}
+	}
 }
@@ -0,0 +1,171 @@
+using System.Text.Json;
+using Bunit;
+using Microsoft.AspNetCore.Components;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging.Abstractions;
+using VibeSwarm.Client.Services;
+
+namespace VibeSwarm.Tests;
+
+public sealed class JobHubClientTests
+{
+	[Fact]
+	public async Task Connections_ReceiveOnlyTheEventsTheyHandle()
+	{
+		using var context = new BunitContext();
+		var hubModule = SetupHubModule(context);
+		var client = CreateClient(context, new NotificationService());
+
+		var jobs = client.CreateConnection();
+		var completed = new List<(string JobId, bool Success)>();
+		jobs.On<string, bool>("JobCompleted", (jobId, success) =>
+		{
+			completed.Add((jobId, success));
+			return Task.CompletedTask;
+		});
+		var ideas = client.CreateConnection();
+		var ideaEvents = 0;
+		ideas.On<string, string>("IdeaCreated", (_, _) =>
+		{
+			ideaEvents++;
+			return Task.CompletedTask;
+		});
+
+		var start = jobs.StartAsync();
+		await client.OnHubStateChanged("connected");
+		await start;
+		await ideas.StartAsync();
+
+		await client.OnHubEvent("JobCompleted", [JsonSerializer.SerializeToElement("job-1"), JsonSerializer.SerializeToElement(true)]);
+
+		Assert.Equal(("job-1", true), Assert.Single(completed));
+		Assert.Equal(0, ideaEvents);
+		Assert.Equal(JobHubState.Connected, jobs.State);
+		var listen = hubModule.Invocations.Last(invocation => invocation.Identifier == "listen");
+		Assert.Equal(new[] { "IdeaCreated", "JobCompleted" }, Assert.IsType<string[]>(listen.Arguments[0]));
+
+		await ideas.DisposeAsync();
+
+		Assert.Contains(hubModule.Invocations, invocation => invocation.Identifier == "release" && Equals(invocation.Arguments[0], 2));
+		Assert.Equal(new[] { "JobCompleted" }, Assert.IsType<string[]>(hubModule.Invocations.Last(invocation => invocation.Identifier == "listen").Arguments[0]));
+	}
+
+	[Fact]
+	public async Task Connections_RaiseReconnectedAfterTheSharedConnectionReturns()
+	{
+		using var context = new BunitContext();
+		SetupHubModule(context);
+		var notifications = new NotificationService();
+		var client = CreateClient(context, notifications);
+		var connection = client.CreateConnection();
+		var events = new List<string>();
+		connection.Reconnecting += _ =>
+		{
+			events.Add("reconnecting");
+			return Task.CompletedTask;
+		};
+		connection.Reconnected += _ =>
+		{
+			events.Add("reconnected");
+			return Task.CompletedTask;
+		};
+
+		var start = connection.StartAsync();
+		await client.OnHubStateChanged("connected");
+		await start;
+		await client.OnHubStateChanged("reconnecting");
+		await client.OnHubStateChanged("connected");
+
+		Assert.Equal(new[] { "reconnecting", "reconnected" }, events);
+	}
+
+	[Fact]
+	public async Task StartAsync_ThrowsWhenTheHostCannotConnect()
+	{
+		using var context = new BunitContext();
+		SetupHubModule(context);
+		var client = CreateClient(context, new NotificationService());
+		var connection = client.CreateConnection();
+		var reconnected = 0;
+		connection.Reconnected += _ =>
+		{
+			reconnected++;
+			return Task.CompletedTask;
+		};
+
+		var start = connection.StartAsync();
+		client.OnHubConnectFailed("Failed to fetch");
+
+		await Assert.ThrowsAsync<HttpRequestException>(() => start);
+
+		await client.OnHubStateChanged("connected");
+
+		Assert.Equal(1, reconnected);
+		Assert.Equal(JobHubState.Connected, connection.State);
+	}
+
+	[Fact]
+	public async Task WatchedJobIds_FollowJobGroupsUntilTheConnectionIsReleased()
+	{
+		using var context = new BunitContext();
+		var hubModule = SetupHubModule(context);
+		hubModule.Setup<JsonElement>("invoke", _ => true).SetResult(default);
+		var client = CreateClient(context, new NotificationService());
+		var watched = Guid.NewGuid();
+		var left = Guid.NewGuid();
+
+		var detail = client.CreateConnection();
+		var start = detail.StartAsync();
+		await client.OnHubStateChanged("connected");
+		await start;
+		await detail.InvokeAsync("SubscribeToJob", watched.ToString());
+		await detail.InvokeAsync("SubscribeToJob", left.ToString());
+		await detail.InvokeAsync("UnsubscribeFromJob", left.ToString());
+		await detail.InvokeAsync("SubscribeToJobList");
+
+		Assert.Equal(watched, Assert.Single(client.WatchedJobIds));
+
+		await detail.DisposeAsync();
+
+		Assert.Empty(client.WatchedJobIds);
+	}
+
+	[Fact]
+	public void ToastTab_OnlyRecordsHubEventsInOtherTabs()
+	{
+		using var context = new BunitContext();
+		SetupHubModule(context);
+		var notifications = new NotificationService();
+		var client = CreateClient(context, notifications);
+
+		client.OnToastTabChanged(false);
+		notifications.ShowJobCompleted(Guid.NewGuid(), success: true);
+
+		Assert.Empty(notifications.Notifications);
+		Assert.Single(notifications.NotificationHistory);
+
+		client.OnToastTabChanged(true);
+		notifications.ShowJobCompleted(Guid.NewGuid(), success: false);
+
+		Assert.Single(notifications.Notifications);
+		Assert.Equal(2, notifications.NotificationHistory.Count);
+	}
+
+	private static JobHubClient CreateClient(BunitContext context, NotificationService notifications)
+	{
+		return new JobHubClient(
+			context.JSInterop.JSRuntime,
+			context.Services.GetRequiredService<NavigationManager>(),
+			notifications,
+			NullLogger<JobHubClient>.Instance);
+	}
+
+	private static BunitJSModuleInterop SetupHubModule(BunitContext context)
+	{
+		var hubModule = context.JSInterop.SetupModule(JsModule.Hub);
+		hubModule.Setup<string?>("connect", _ => true).SetResult("connecting");
+		hubModule.SetupVoid("listen", _ => true);
+		hubModule.SetupVoid("release", _ => true);
+		return hubModule;
+	}
+}
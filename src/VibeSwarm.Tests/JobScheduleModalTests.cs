@@ -65,8 +65,7 @@ public sealed class JobScheduleModalTests
 		};
 
 		using var context = new BunitContext();
-		context.JSInterop.SetupVoid("eval", "document.body.classList.add('vs-modal-open')");
-		context.JSInterop.SetupVoid("eval", "document.body.classList.remove('vs-modal-open')");
+		context.JSInterop.SetupModule(JsModule.Dom).SetupVoid("setModalOpen", _ => true);
 		context.Services.AddSingleton<IProjectService>(new FakeProjectService([project]));
 		context.Services.AddSingleton<IAgentService>(new FakeAgentService([agent]));
 		context.Services.AddSingleton<IProviderService>(new FakeProviderService([provider]));
@@ -144,8 +143,7 @@ public sealed class JobScheduleModalTests
 		};
 
 		using var context = new BunitContext();
-		context.JSInterop.SetupVoid("eval", "document.body.classList.add('vs-modal-open')");
-		context.JSInterop.SetupVoid("eval", "document.body.classList.remove('vs-modal-open')");
+		context.JSInterop.SetupModule(JsModule.Dom).SetupVoid("setModalOpen", _ => true);
 		context.Services.AddSingleton<IProjectService>(new FakeProjectService([project]));
 		context.Services.AddSingleton<IAgentService>(new FakeAgentService([firstAgent, secondAgent]));
 		context.Services.AddSingleton<IProviderService>(new FakeProviderService([provider]));
@@ -192,8 +190,7 @@ public sealed class JobScheduleModalTests
 		};
 
 		using var context = new BunitContext();
-		context.JSInterop.SetupVoid("eval", "document.body.classList.add('vs-modal-open')");
-		context.JSInterop.SetupVoid("eval", "document.body.classList.remove('vs-modal-open')");
+		context.JSInterop.SetupModule(JsModule.Dom).SetupVoid("setModalOpen", _ => true);
 		context.Services.AddSingleton<IProjectService>(new FakeProjectService([project]));
 		context.Services.AddSingleton<IAgentService>(new FakeAgentService([]));
 		context.Services.AddSingleton<IProviderService>(new FakeProviderService([]));
@@ -259,8 +256,7 @@ public sealed class JobScheduleModalTests
 		};
 
 		using var context = new BunitContext();
-		context.JSInterop.SetupVoid("eval", "document.body.classList.add('vs-modal-open')");
-		context.JSInterop.SetupVoid("eval", "document.body.classList.remove('vs-modal-open')");
+		context.JSInterop.SetupModule(JsModule.Dom).SetupVoid("setModalOpen", _ => true);
 		context.Services.AddSingleton<IProjectService>(new FakeProjectService([project]));
 		context.Services.AddSingleton<IAgentService>(new FakeAgentService([agent]));
 		context.Services.AddSingleton<IProviderService>(new FakeProviderService([provider]));
@@ -7,6 +7,7 @@ using Microsoft.Extensions.Logging.Abstractions;
 using Microsoft.JSInterop;
 using VibeSwarm.Client.Components.Jobs;
 using VibeSwarm.Client.Models;
+using VibeSwarm.Client.Services;
 using VibeSwarm.Shared.Data;
 
 namespace VibeSwarm.Tests;
@@ -1175,7 +1176,8 @@ public sealed class JobSessionPanelTests
 	public void JobSessionPanel_Bunit_SwitchesTabsAndCopiesCommand()
 	{
 		using var context = new BunitContext();
-		context.JSInterop.SetupVoid("copyToClipboard", "dotnet test");
+		var clipboardModule = context.JSInterop.SetupModule(JsModule.Clipboard);
+		clipboardModule.SetupVoid("copyText", "dotnet test");
 
 		var cut = context.Render<JobSessionPanel>(parameters => parameters
 			.Add(panel => panel.Status, JobStatus.Completed)
@@ -1206,8 +1208,8 @@ public sealed class JobSessionPanelTests
 
 		cut.Find("button[title='Copy command to clipboard']").Click();
 
-		var invocation = Assert.Single(context.JSInterop.Invocations);
-		Assert.Equal("copyToClipboard", invocation.Identifier);
+		var invocation = Assert.Single(clipboardModule.Invocations);
+		Assert.Equal("copyText", invocation.Identifier);
 		Assert.Equal("dotnet test", invocation.Arguments[0]?.ToString());
 		Assert.Contains("session-123", cut.Markup);
 	}
@@ -1216,8 +1218,9 @@ public sealed class JobSessionPanelTests
 	public void JobSessionPanel_Bunit_RendersStepAccordionsForPlanningAndExecutionCommands()
 	{
 		using var context = new BunitContext();
-		context.JSInterop.SetupVoid("copyToClipboard", "copilot --plan");
-		context.JSInterop.SetupVoid("copyToClipboard", "copilot --run");
+		var clipboardModule = context.JSInterop.SetupModule(JsModule.Clipboard);
+		clipboardModule.SetupVoid("copyText", "copilot --plan");
+		clipboardModule.SetupVoid("copyText", "copilot --run");
 
 		var cut = context.Render<JobSessionPanel>(parameters => parameters
 			.Add(panel => panel.Status, JobStatus.Completed)
@@ -1250,7 +1253,8 @@ public sealed class JobSessionPanelTests
 	public void JobSessionPanel_Bunit_UsesExecutionFallbackWhenStepCommandsAreUnavailable()
 	{
 		using var context = new BunitContext();
-		context.JSInterop.SetupVoid("copyToClipboard", "dotnet test");
+		var clipboardModule = context.JSInterop.SetupModule(JsModule.Clipboard);
+		clipboardModule.SetupVoid("copyText", "dotnet test");
 
 		var cut = context.Render<JobSessionPanel>(parameters => parameters
 			.Add(panel => panel.Status, JobStatus.Completed)
@@ -1276,7 +1280,7 @@ public sealed class JobSessionPanelTests
 
 		cut.Find("button[title='Copy command to clipboard']").Click();
 
-		var invocation = Assert.Single(context.JSInterop.Invocations);
+		var invocation = Assert.Single(clipboardModule.Invocations);
 		Assert.Equal("dotnet test", invocation.Arguments[0]?.ToString());
 	}
 
@@ -1284,7 +1288,7 @@ public sealed class JobSessionPanelTests
 	public void JobSessionPanel_Bunit_CallsClearLiveOutputCallback()
 	{
 		using var context = new BunitContext();
-		context.JSInterop.SetupVoid("vibeSwarmLiveOutput.sync", _ => true);
+		context.JSInterop.SetupModule(JsModule.LiveOutput).SetupVoid("sync", _ => true);
 		var cleared = false;
 
 		var cut = context.Render<JobSessionPanel>(parameters => parameters
@@ -1311,6 +1315,33 @@ public sealed class JobSessionPanelTests
 		Assert.True(cleared);
 	}
 
+	[Fact]
+	public void JobSessionPanel_Bunit_StreamsEveryLiveOutputLineToViewer()
+	{
+		using var context = new BunitContext();
+		context.JSInterop.Mode = JSRuntimeMode.Loose;
+		var viewerModule = context.JSInterop.SetupModule(JsModule.OutputViewer);
+		viewerModule.Setup<int>("create", _ => true).SetResult(1);
+		context.Services.AddSingleton<NotificationService>();
+		var lines = Enumerable.Range(1, 1200)
+			.Select(index => new OutputLine { Content = $"line {index}", Timestamp = DateTime.UtcNow })
+			.ToList();
+
+		var cut = context.Render<JobSessionPanel>(parameters => parameters
+			.Add(panel => panel.Status, JobStatus.Processing)
+			.Add(panel => panel.IsJobActive, true)
+			.Add(panel => panel.LiveOutputLines, lines));
+
+		cut.FindAll("button")
+			.Single(button => button.TextContent.Contains("Live Output", StringComparison.Ordinal))
+			.Click();
+
+		var sent = viewerModule.Invocations
+			.Where(invocation => invocation.Identifier == "append")
+			.Sum(invocation => Assert.IsAssignableFrom<System.Collections.IEnumerable>(invocation.Arguments[1]).Cast<object>().Count());
+		Assert.Equal(1200, sent);
+	}
+
 	[Fact]
 	public void JobSessionPanel_Bunit_RendersGoalPromptBubbleWithDropdownActions()
 	{
@@ -1400,7 +1431,8 @@ public sealed class JobSessionPanelTests
 	public void JobSessionPanel_Bunit_AutoScrollsActiveSessionWhenLiveOutputChanges()
 	{
 		using var context = new BunitContext();
-		context.JSInterop.SetupVoid("vibeSwarmLiveOutput.sync", _ => true);
+		var liveOutputModule = context.JSInterop.SetupModule(JsModule.LiveOutput);
+		liveOutputModule.SetupVoid("sync", _ => true);
 
 		var firstTimestamp = DateTime.UtcNow;
 		var cut = context.Render<JobSessionPanel>(parameters => parameters
@@ -1415,7 +1447,7 @@ public sealed class JobSessionPanelTests
 				}
 			}));
 
-		Assert.Single(context.JSInterop.Invocations, invocation => invocation.Identifier == "vibeSwarmLiveOutput.sync");
+		Assert.Single(liveOutputModule.Invocations, invocation => invocation.Identifier == "sync");
 
 		context.Render<JobSessionPanel>(parameters => parameters
 			.Add(panel => panel.Status, JobStatus.Processing)
@@ -1434,15 +1466,16 @@ public sealed class JobSessionPanelTests
 				}
 			}));
 
-		Assert.Equal(2, context.JSInterop.Invocations.Count(invocation => invocation.Identifier == "vibeSwarmLiveOutput.sync"));
+		Assert.Equal(2, liveOutputModule.Invocations.Count(invocation => invocation.Identifier == "sync"));
 	}
 
 	[Fact]
 	public void JobSessionPanel_Bunit_DoesNotAutoScrollInactiveOrHiddenSessionView()
 	{
 		using var context = new BunitContext();
-		context.JSInterop.SetupVoid("copyToClipboard", "dotnet test");
-		context.JSInterop.SetupVoid("vibeSwarmLiveOutput.sync", _ => true);
+		context.JSInterop.SetupModule(JsModule.Clipboard).SetupVoid("copyText", "dotnet test");
+		var liveOutputModule = context.JSInterop.SetupModule(JsModule.LiveOutput);
+		liveOutputModule.SetupVoid("sync", _ => true);
 
 		var cut = context.Render<JobSessionPanel>(parameters => parameters
 			.Add(panel => panel.Status, JobStatus.Completed)
@@ -1460,13 +1493,46 @@ public sealed class JobSessionPanelTests
 			.Add(panel => panel.ConsoleOutput, "Build verified")
 			.Add(panel => panel.CommandUsed, "dotnet test"));
 
-		Assert.DoesNotContain(context.JSInterop.Invocations, invocation => invocation.Identifier == "vibeSwarmLiveOutput.sync");
+		Assert.DoesNotContain(liveOutputModule.Invocations, invocation => invocation.Identifier == "sync");
 
 		cut.FindAll("button[role='tab']")
 			.Single(button => button.TextContent.Contains("Command", StringComparison.Ordinal))
 			.Click();
 
-		Assert.DoesNotContain(context.JSInterop.Invocations, invocation => invocation.Identifier == "vibeSwarmLiveOutput.sync");
+		Assert.DoesNotContain(liveOutputModule.Invocations, invocation => invocation.Identifier == "sync");
+	}
+
+	[Fact]
+	public void JobSessionPanel_Bunit_RendersAnsiConsoleOutputWithFileLinks()
+	{
+		using var context = new BunitContext();
+		OutputFileReference? openedFile = null;
+
+		var cut = context.Render<JobSessionPanel>(parameters => parameters
+			.Add(panel => panel.Status, JobStatus.Completed)
+			.Add(panel => panel.Messages, new List<JobMessage>())
+			.Add(panel => panel.ConsoleOutput, "\u001B[32mok\u001B[0m \u001B]8;;https://example.com/run\u001B\\details\u001B]8;;\u001B\\")
+			.Add(panel => panel.BuildOutput, "src/App.cs(12,5): \u001B[1;31merror\u001B[0m CS1002")
+			.Add(panel => panel.LinkableFiles, new List<string> { "src/App.cs" })
+			.Add(panel => panel.OnOpenFile, (OutputFileReference reference) => openedFile = reference));
+
+		cut.FindAll("button[role='tab']")
+			.Single(button => button.TextContent.Contains("Console", StringComparison.Ordinal))
+			.Click();
+
+		Assert.Equal("ok", cut.Find("span.ansi-fg-2").TextContent);
+		var hyperlink = cut.Find("a[target='_blank']");
+		Assert.Equal("https://example.com/run", hyperlink.GetAttribute("href"));
+		Assert.Equal("noopener noreferrer", hyperlink.GetAttribute("rel"));
+		Assert.Contains("Build verification", cut.Markup);
+		Assert.Equal("error", cut.Find("span.ansi-bold.ansi-fg-1").TextContent);
+
+		cut.Find("a.ansi-file-link").Click();
+
+		Assert.NotNull(openedFile);
+		Assert.Equal("src/App.cs", openedFile.Path);
+		Assert.Equal(12, openedFile.Line);
+		Assert.Empty(context.JSInterop.Invocations);
 	}
 
 	[Fact]
@@ -1577,6 +1643,29 @@ public sealed class JobSessionPanelTests
 		Assert.Empty(cut.FindAll("button[title='Send follow-up']"));
 	}
 
+	[Fact]
+	public void RenderedJobSessionPanel_LabelsRepliesSentFromNotifications()
+	{
+		using var context = new BunitContext();
+
+		var cut = context.Render<JobSessionPanel>(parameters => parameters
+			.Add(panel => panel.Status, JobStatus.Processing)
+			.Add(panel => panel.Messages, new List<JobMessage>
+			{
+				new()
+				{
+					Id = Guid.NewGuid(),
+					JobId = Guid.NewGuid(),
+					Role = MessageRole.User,
+					Content = "y",
+					Source = MessageSource.Notification,
+					CreatedAt = DateTime.UtcNow
+				}
+			}));
+
+		Assert.Contains("User via notification", cut.Markup);
+	}
+
 	private sealed class NoOpJsRuntime : IJSRuntime
 	{
 		public ValueTask<TValue> InvokeAsync<TValue>(string identifier, object?[]? args)
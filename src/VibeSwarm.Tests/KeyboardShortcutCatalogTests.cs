@@ -0,0 +1,100 @@
+using VibeSwarm.Shared.Utilities;
+
+namespace VibeSwarm.Tests;
+
+public class KeyboardShortcutCatalogTests
+{
+	[Theory]
+	[InlineData("Ctrl+K", "mod+k")]
+	[InlineData("shift+cmd+P", "mod+shift+p")]
+	[InlineData("option+shift+/", "alt+/")]
+	[InlineData("shift+J", "shift+j")]
+	[InlineData("  g   J ", "g j")]
+	[InlineData("", "")]
+	public void TryNormalize_ReturnsCanonicalBinding(string keys, string expected)
+	{
+		Assert.True(KeyboardShortcutCatalog.TryNormalize(keys, out var normalized));
+		Assert.Equal(expected, normalized);
+	}
+
+	[Theory]
+	[InlineData("hyper+k")]
+	[InlineData("mod+mod+k")]
+	[InlineData("mod+")]
+	[InlineData("g j k l")]
+	[InlineData("page-down")]
+	public void TryNormalize_RejectsInvalidBindings(string keys)
+	{
+		Assert.False(KeyboardShortcutCatalog.TryNormalize(keys, out _));
+	}
+
+	[Fact]
+	public void TryNormalizeOverrides_DropsBindingsThatMatchTheDefault()
+	{
+		var overrides = new Dictionary<string, string>
+		{
+			[KeyboardShortcutCatalog.OpenSearch] = "Ctrl+K",
+			[KeyboardShortcutCatalog.NewIdea] = "i",
+			[KeyboardShortcutCatalog.CancelJob] = ""
+		};
+
+		Assert.True(KeyboardShortcutCatalog.TryNormalizeOverrides(overrides, out var normalized, out var error));
+
+		Assert.Null(error);
+		Assert.Equal(2, normalized.Count);
+		Assert.Equal("i", normalized[KeyboardShortcutCatalog.NewIdea]);
+		Assert.Equal(string.Empty, normalized[KeyboardShortcutCatalog.CancelJob]);
+	}
+
+	[Fact]
+	public void TryNormalizeOverrides_RejectsUnknownActions()
+	{
+		var overrides = new Dictionary<string, string> { ["jobs.delete-everything"] = "d" };
+
+		Assert.False(KeyboardShortcutCatalog.TryNormalizeOverrides(overrides, out _, out var error));
+		Assert.Contains("jobs.delete-everything", error);
+	}
+
+	[Fact]
+	public void TryNormalizeOverrides_RejectsDuplicateBindings()
+	{
+		var overrides = new Dictionary<string, string> { [KeyboardShortcutCatalog.NewIdea] = "j" };
+
+		Assert.False(KeyboardShortcutCatalog.TryNormalizeOverrides(overrides, out _, out var error));
+		Assert.Contains("both bound to j", error);
+	}
+
+	[Fact]
+	public void TryNormalizeOverrides_RejectsBindingsThatStartAnotherSequence()
+	{
+		var overrides = new Dictionary<string, string> { [KeyboardShortcutCatalog.NewIdea] = "g" };
+
+		Assert.False(KeyboardShortcutCatalog.TryNormalizeOverrides(overrides, out _, out var error));
+		Assert.Contains("overlap", error);
+	}
+
+	[Fact]
+	public void TryNormalizeOverrides_AllowsFreeingABindingForAnotherAction()
+	{
+		var overrides = new Dictionary<string, string>
+		{
+			[KeyboardShortcutCatalog.NextJob] = "",
+			[KeyboardShortcutCatalog.NewIdea] = "j"
+		};
+
+		Assert.True(KeyboardShortcutCatalog.TryNormalizeOverrides(overrides, out var normalized, out _));
+		Assert.Equal("j", KeyboardShortcutCatalog.Resolve(normalized)[KeyboardShortcutCatalog.NewIdea]);
+	}
+
+	[Fact]
+	public void Definitions_DefaultsAreCanonicalAndConflictFree()
+	{
+		foreach (var definition in KeyboardShortcutCatalog.Definitions)
+		{
+			Assert.True(KeyboardShortcutCatalog.TryNormalize(definition.DefaultKeys, out var normalized));
+			Assert.Equal(definition.DefaultKeys, normalized);
+		}
+
+		Assert.Empty(KeyboardShortcutCatalog.FindConflicts(KeyboardShortcutCatalog.Resolve(null)));
+	}
+}
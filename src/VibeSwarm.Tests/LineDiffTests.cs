@@ -0,0 +1,35 @@
+using VibeSwarm.Shared.VersionControl;
+
+namespace VibeSwarm.Tests;
+
+public sealed class LineDiffTests
+{
+	[Fact]
+	public void BuildUnifiedDiff_WritesGitStyleHunksWithContext()
+	{
+		var oldContent = string.Join('\n', Enumerable.Range(1, 20).Select(line => $"line {line}")) + "\n";
+		var newContent = oldContent.Replace("line 2\n", "line two\n").Replace("line 18\n", string.Empty);
+
+		var diff = LineDiff.BuildUnifiedDiff("src/app.cs", oldContent, newContent, contextLines: 1);
+
+		Assert.Equal(
+			"diff --git a/src/app.cs b/src/app.cs\n--- a/src/app.cs\n+++ b/src/app.cs\n" +
+			"@@ -1,3 +1,3 @@\n line 1\n-line 2\n+line two\n line 3\n" +
+			"@@ -17,3 +17,2 @@\n line 17\n-line 18\n line 19\n",
+			diff);
+	}
+
+	[Fact]
+	public void BuildUnifiedDiff_CountsAnEmptySideFromTheLineBefore()
+	{
+		var diff = LineDiff.BuildUnifiedDiff("notes.md", string.Empty, "first\nsecond\n");
+
+		Assert.Contains("@@ -0,0 +1,2 @@\n+first\n+second\n", diff);
+	}
+
+	[Fact]
+	public void BuildUnifiedDiff_ReturnsEmptyWhenNothingChanged()
+	{
+		Assert.Equal(string.Empty, LineDiff.BuildUnifiedDiff("notes.md", "same\n", "same\n"));
+	}
+}
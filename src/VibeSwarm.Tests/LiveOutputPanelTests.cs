@@ -0,0 +1,110 @@
+using System.Text.Json;
+using Bunit;
+using Microsoft.Extensions.DependencyInjection;
+using VibeSwarm.Client.Components.Jobs;
+using VibeSwarm.Client.Models;
+using VibeSwarm.Client.Services;
+
+namespace VibeSwarm.Tests;
+
+public sealed class LiveOutputPanelTests
+{
+	[Fact]
+	public void LiveOutputPanel_Bunit_AppendsOnlyNewLinesToViewer()
+	{
+		using var context = CreateContext(out var viewerModule);
+		var timestamp = DateTime.UtcNow;
+		var lines = new List<OutputLine>
+		{
+			new() { Content = "Building project", Timestamp = timestamp },
+			new() { Content = "Hidden thought", Timestamp = timestamp, IsThinking = true, IsCollapsed = true }
+		};
+
+		var cut = context.Render<LiveOutputPanel>(parameters => parameters
+			.Add(panel => panel.OutputLines, lines));
+
+		lines.Add(new OutputLine { Content = "error CS1002: ; expected", Timestamp = timestamp, IsError = true });
+		cut.Render(parameters => parameters.Add(panel => panel.OutputLines, lines));
+
+		var appends = viewerModule.Invocations
+			.Where(invocation => invocation.Identifier == "append")
+			.ToList();
+		Assert.Equal(2, appends.Count);
+		Assert.Single(Assert.IsAssignableFrom<System.Collections.IEnumerable>(appends[0].Arguments[1]).Cast<object>());
+		Assert.Single(Assert.IsAssignableFrom<System.Collections.IEnumerable>(appends[1].Arguments[1]).Cast<object>());
+		Assert.Empty(cut.FindAll(".output-line"));
+	}
+
+	[Fact]
+	public void LiveOutputPanel_Bunit_ClearsViewerWhenParentReplacesLines()
+	{
+		using var context = CreateContext(out var viewerModule);
+		var cleared = false;
+
+		var cut = context.Render<LiveOutputPanel>(parameters => parameters
+			.Add(panel => panel.OutputLines, new List<OutputLine> { new() { Content = "first run", Timestamp = DateTime.UtcNow } })
+			.Add(panel => panel.OnClear, () => cleared = true));
+
+		cut.Render(parameters => parameters.Add(panel => panel.OutputLines, new List<OutputLine>()));
+		Assert.Single(viewerModule.Invocations, invocation => invocation.Identifier == "clear");
+
+		cut.FindAll("button").Single(button => button.TextContent.Contains("Clear")).Click();
+		Assert.True(cleared);
+	}
+
+	[Fact]
+	public void LiveOutputPanel_Bunit_ClearsViewerWhenParentRefillsSameList()
+	{
+		using var context = CreateContext(out var viewerModule);
+		var lines = new List<OutputLine> { new() { Content = "first run", Timestamp = DateTime.UtcNow } };
+
+		var cut = context.Render<LiveOutputPanel>(parameters => parameters
+			.Add(panel => panel.OutputLines, lines));
+
+		lines.Clear();
+		lines.Add(new OutputLine { Content = "second run", Timestamp = DateTime.UtcNow });
+		lines.Add(new OutputLine { Content = "second run, more", Timestamp = DateTime.UtcNow });
+		cut.Render(parameters => parameters.Add(panel => panel.OutputLines, lines));
+
+		Assert.Single(viewerModule.Invocations, invocation => invocation.Identifier == "clear");
+		var append = viewerModule.Invocations.Last(invocation => invocation.Identifier == "append");
+		Assert.Equal(2, Assert.IsAssignableFrom<System.Collections.IEnumerable>(append.Arguments[1]).Cast<object>().Count());
+	}
+
+	[Fact]
+	public void LiveOutputPanel_Bunit_SendsStyledSegmentsForAnsiLines()
+	{
+		using var context = CreateContext(out var viewerModule);
+		var timestamp = DateTime.UtcNow;
+
+		context.Render<LiveOutputPanel>(parameters => parameters
+			.Add(panel => panel.OutputLines, new List<OutputLine>
+			{
+				new() { Content = "plain line", Timestamp = timestamp },
+				new() { Content = "\u001B[31mfailed\u001B[0m src/App.cs:7\n", Timestamp = timestamp }
+			})
+			.Add(panel => panel.LinkableFiles, new List<string> { "src/App.cs" })
+			.Add(panel => panel.OnFileSelected, (OutputFileReference _) => { }));
+
+		var append = Assert.Single(viewerModule.Invocations, invocation => invocation.Identifier == "append");
+		var lines = JsonSerializer.SerializeToElement(append.Arguments[1]);
+
+		Assert.Equal(2, lines.GetArrayLength());
+		Assert.Equal(JsonValueKind.Null, lines[0].GetProperty("Segments").ValueKind);
+		Assert.Equal("failed src/App.cs:7", lines[1].GetProperty("Text").GetString());
+		var segments = lines[1].GetProperty("Segments");
+		Assert.Equal("ansi-fg-1", segments[0].GetProperty("CssClass").GetString());
+		Assert.Equal("src/App.cs", segments[2].GetProperty("FilePath").GetString());
+		Assert.Equal(7, segments[2].GetProperty("FileLine").GetInt32());
+	}
+
+	private static BunitContext CreateContext(out BunitJSModuleInterop viewerModule)
+	{
+		var context = new BunitContext();
+		context.JSInterop.Mode = JSRuntimeMode.Loose;
+		viewerModule = context.JSInterop.SetupModule(JsModule.OutputViewer);
+		viewerModule.Setup<int>("create", _ => true).SetResult(1);
+		context.Services.AddSingleton<NotificationService>();
+		return context;
+	}
+}
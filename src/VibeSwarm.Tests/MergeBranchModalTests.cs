@@ -1,9 +1,12 @@
+using Bunit;
 using Microsoft.AspNetCore.Components;
 using Microsoft.AspNetCore.Components.Web;
 using Microsoft.Extensions.DependencyInjection;
 using Microsoft.Extensions.Logging.Abstractions;
 using Microsoft.JSInterop;
 using VibeSwarm.Client.Components.Git;
+using VibeSwarm.Client.Models;
+using VibeSwarm.Client.Services;
 using VibeSwarm.Shared.VersionControl.Models;
 
 namespace VibeSwarm.Tests;
@@ -51,6 +54,9 @@ public sealed class MergeBranchModalTests
 		var services = new ServiceCollection();
 		services.AddLogging();
 		services.AddSingleton<IJSRuntime>(new NoOpJsRuntime());
+		services.AddSingleton(new HttpClient());
+		services.AddScoped<KeyboardShortcutService>();
+		services.AddScoped<DiffViewPreferenceService>();
 
 		await using var renderer = new HtmlRenderer(services.BuildServiceProvider(), NullLoggerFactory.Instance);
 
@@ -94,10 +100,40 @@ public sealed class MergeBranchModalTests
 		Assert.Contains("Conflicted Files", html);
 		Assert.Contains("README.md", html);
 		Assert.Contains("Resolved content", html);
+		Assert.Contains("Conflict 1", html);
+		Assert.Contains("Take theirs", html);
 		Assert.Contains("Resolve & Merge", html);
 		Assert.Contains("Resolve conflicts locally first", html);
 	}
 
+	[Fact]
+	public void MergeConflictEditor_Bunit_ResolvesHunksOneAtATime()
+	{
+		using var context = new BunitContext();
+		const string content = "<<<<<<< main\nmain one\n||||||| base\nbase one\n=======\nfeature one\n>>>>>>> feature/test\nshared\n<<<<<<< main\nmain two\n=======\nfeature two\n>>>>>>> feature/test";
+		var file = new MergeConflictFile { FileName = "README.md", Content = content };
+		var state = new MergeConflictEditState(content);
+		var resolutions = new List<string>();
+
+		var cut = context.Render<MergeConflictEditor>(parameters => parameters
+			.Add(editor => editor.File, file)
+			.Add(editor => editor.State, state)
+			.Add(editor => editor.SourceBranch, "feature/test")
+			.Add(editor => editor.TargetBranch, "main")
+			.Add(editor => editor.OnResolutionChanged, (MergeConflictResolution resolution) => resolutions.Add(resolution.ResolvedContent)));
+
+		Assert.Contains("base one", cut.FindAll(".merge-conflict-pane pre")[0].TextContent);
+		Assert.Contains("0 of 2 resolved", cut.Markup);
+
+		cut.FindAll("button").First(button => button.TextContent.Trim() == "Take theirs").Click();
+		Assert.Equal("feature one\nshared\n<<<<<<< main\nmain two\n=======\nfeature two\n>>>>>>> feature/test", resolutions[^1]);
+
+		cut.FindAll("button").Last(button => button.TextContent.Trim() == "Take both").Click();
+		Assert.Equal("feature one\nshared\nmain two\nfeature two", resolutions[^1]);
+		Assert.Contains("2 of 2 resolved", cut.Markup);
+		Assert.DoesNotContain("Ask an agent", cut.Markup);
+	}
+
 	private sealed class NoOpJsRuntime : IJSRuntime
 	{
 		public ValueTask<TValue> InvokeAsync<TValue>(string identifier, object?[]? args)
@@ -0,0 +1,106 @@
+using VibeSwarm.Shared.VersionControl;
+
+namespace VibeSwarm.Tests;
+
+public sealed class MergeConflictParserTests
+{
+	private const string ThreeWayConflict = """
+# Title
+<<<<<<< HEAD
+main line
+||||||| merged common ancestors
+base line
+=======
+feature line
+>>>>>>> feature/test
+middle
+<<<<<<< HEAD
+second main
+=======
+second feature
+>>>>>>> feature/test
+end
+""";
+
+	[Fact]
+	public void Parse_SplitsDiff3ConflictsIntoTheirSides()
+	{
+		var document = MergeConflictParser.Parse(ThreeWayConflict);
+
+		Assert.Equal(2, document.Hunks.Count);
+
+		var first = document.Hunks[0];
+		Assert.Equal(new[] { "# Title" }, first.LinesBefore);
+		Assert.Equal(2, first.StartLine);
+		Assert.Equal("HEAD", first.OursLabel);
+		Assert.Equal(new[] { "main line" }, first.OursLines);
+		Assert.Equal(new[] { "base line" }, first.BaseLines);
+		Assert.Equal(new[] { "feature line" }, first.TheirsLines);
+		Assert.Equal("feature/test", first.TheirsLabel);
+
+		var second = document.Hunks[1];
+		Assert.Equal(new[] { "middle" }, second.LinesBefore);
+		Assert.Null(second.BaseLines);
+		Assert.Equal(new[] { "second main" }, second.OursLines);
+		Assert.Equal(new[] { "second feature" }, second.TheirsLines);
+		Assert.Equal(new[] { "end" }, document.TrailingLines);
+	}
+
+	[Fact]
+	public void Parse_KeepsAConflictWithoutItsClosingMarkerAsPlainLines()
+	{
+		const string content = "start\n<<<<<<< HEAD\nmain\n=======\nfeature\nend";
+
+		var document = MergeConflictParser.Parse(content);
+
+		Assert.Empty(document.Hunks);
+		Assert.Equal(content, MergeConflictParser.Compose(document, []));
+	}
+
+	[Fact]
+	public void Compose_ReplacesResolvedConflictsAndKeepsMarkersOnTheRest()
+	{
+		var document = MergeConflictParser.Parse(ThreeWayConflict);
+
+		var partial = MergeConflictParser.Compose(document, [["main line", "feature line"], null]);
+		Assert.Equal("# Title\nmain line\nfeature line\nmiddle\n<<<<<<< HEAD\nsecond main\n=======\nsecond feature\n>>>>>>> feature/test\nend", partial);
+
+		var resolved = MergeConflictParser.Compose(document, [[], ["second feature"]]);
+		Assert.Equal("# Title\nmiddle\nsecond feature\nend", resolved);
+	}
+
+	[Fact]
+	public void Compose_KeepsWindowsLineEndings()
+	{
+		const string content = "a\r\n<<<<<<< HEAD\r\nours\r\n=======\r\ntheirs\r\n>>>>>>> feature\r\nb\r\n";
+		var document = MergeConflictParser.Parse(content);
+
+		Assert.Equal(content, MergeConflictParser.Compose(document, [null]));
+		Assert.Equal("a\r\ntheirs\r\nb\r\n", MergeConflictParser.Compose(document, [["theirs"]]));
+	}
+
+	[Fact]
+	public void BuildAgentResolutionPrompt_QuotesConflictsAndScopesTheJobToTheFile()
+	{
+		var prompt = MergeConflictParser.BuildAgentResolutionPrompt("README.md", ThreeWayConflict, "feature/test", "main");
+
+		Assert.StartsWith("Resolve the merge conflicts in `README.md` between this branch (`feature/test`) and `main`.", prompt);
+		Assert.Contains("git diff feature/test...main -- README.md", prompt);
+		Assert.Contains("Only edit this file", prompt);
+		Assert.Contains("```\n<<<<<<< HEAD\nmain line\n||||||| merged common ancestors\nbase line\n=======\nfeature line\n>>>>>>> feature/test\n```", prompt);
+		Assert.DoesNotContain("middle", prompt);
+	}
+
+	[Fact]
+	public void BuildAgentResolutionPrompt_LeavesConflictsOutWhenTheyDoNotFit()
+	{
+		var longSide = string.Join('\n', Enumerable.Repeat(new string('x', 100), 30));
+		var content = $"<<<<<<< HEAD\n{longSide}\n=======\nfeature\n>>>>>>> feature/test\n";
+
+		var prompt = MergeConflictParser.BuildAgentResolutionPrompt("README.md", content, "feature/test", "main");
+
+		Assert.DoesNotContain("```", prompt);
+		Assert.Contains("git diff feature/test...main -- README.md", prompt);
+		Assert.True(prompt.Length <= 2000);
+	}
+}
@@ -0,0 +1,65 @@
+using System.Net;
+using VibeSwarm.Client.Services;
+using VibeSwarm.Shared.Models;
+
+namespace VibeSwarm.Tests;
+
+public sealed class OfflineQueuedResponseTests
+{
+	[Fact]
+	public async Task CreateAsync_ReportsQueued_InsteadOfReturningBlankIdea()
+	{
+		var service = new HttpIdeaService(CreateClient(QueuedResponse), new StartedJobTracker());
+
+		var queued = await Assert.ThrowsAsync<OfflineActionQueuedException>(() => service.CreateAsync(new CreateIdeaRequest
+		{
+			ProjectId = Guid.NewGuid(),
+			Description = "Add dark mode"
+		}));
+
+		Assert.Equal("outbox-entry-1", queued.OutboxItemId);
+	}
+
+	[Fact]
+	public async Task ApproveExpansionAsync_ReportsQueued_InsteadOfReturningNull()
+	{
+		var service = new HttpIdeaService(CreateClient(QueuedResponse), new StartedJobTracker());
+
+		await Assert.ThrowsAsync<OfflineActionQueuedException>(() => service.ApproveExpansionAsync(Guid.NewGuid()));
+	}
+
+	[Fact]
+	public async Task RequestCancellationAsync_ReportsQueued_InsteadOfReturningResult()
+	{
+		var service = new HttpJobService(CreateClient(QueuedResponse), new StartedJobTracker());
+
+		await Assert.ThrowsAsync<OfflineActionQueuedException>(() => service.RequestCancellationAsync(Guid.NewGuid()));
+	}
+
+	[Fact]
+	public async Task RequestCancellationAsync_ReturnsResult_WhenServerAccepts()
+	{
+		var service = new HttpJobService(CreateClient(_ => new HttpResponseMessage(HttpStatusCode.OK)), new StartedJobTracker());
+
+		Assert.True(await service.RequestCancellationAsync(Guid.NewGuid()));
+	}
+
+	private static HttpResponseMessage QueuedResponse(HttpRequestMessage request)
+	{
+		var response = new HttpResponseMessage(HttpStatusCode.Accepted);
+		response.Headers.Add(OfflineOutboxService.QueuedHeaderName, "outbox-entry-1");
+		return response;
+	}
+
+	private static HttpClient CreateClient(Func<HttpRequestMessage, HttpResponseMessage> respond)
+		=> new(new StubHttpMessageHandler(respond))
+		{
+			BaseAddress = new Uri("https://example.test")
+		};
+
+	private sealed class StubHttpMessageHandler(Func<HttpRequestMessage, HttpResponseMessage> respond) : HttpMessageHandler
+	{
+		protected override Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+			=> Task.FromResult(respond(request));
+	}
+}
@@ -0,0 +1,106 @@
+using System.Net;
+using VibeSwarm.Client.Services;
+
+namespace VibeSwarm.Tests;
+
+public sealed class OfflineSnapshotHandlerTests
+{
+	[Fact]
+	public async Task SendAsync_ReportsSnapshotTime_WhenServiceWorkerReplaysCachedResponse()
+	{
+		var snapshotService = new OfflineSnapshotService();
+		var client = CreateClient(snapshotService, _ =>
+		{
+			var response = new HttpResponseMessage(HttpStatusCode.OK);
+			response.Headers.Add(OfflineSnapshotService.SnapshotHeaderName, "2026-04-18T09:30:00.000Z");
+			return response;
+		});
+
+		await client.GetAsync("/api/jobs/paged?status=all&page=1&pageSize=25");
+
+		Assert.True(snapshotService.IsShowingSnapshot);
+		Assert.Equal(new DateTime(2026, 4, 18, 9, 30, 0, DateTimeKind.Utc), snapshotService.SnapshotSavedAtUtc);
+	}
+
+	[Fact]
+	public async Task SendAsync_KeepsOldestSnapshotTime_WhenSeveralSnapshotsAreShown()
+	{
+		var snapshotService = new OfflineSnapshotService();
+		var savedAt = new Queue<string>(["2026-04-18T09:30:00Z", "2026-04-18T08:00:00Z", "2026-04-18T10:00:00Z"]);
+		var client = CreateClient(snapshotService, _ =>
+		{
+			var response = new HttpResponseMessage(HttpStatusCode.OK);
+			response.Headers.Add(OfflineSnapshotService.SnapshotHeaderName, savedAt.Dequeue());
+			return response;
+		});
+
+		await client.GetAsync("/api/projects/with-stats");
+		await client.GetAsync($"/api/jobs/{Guid.NewGuid()}/with-messages");
+		await client.GetAsync("/api/jobs/paged");
+
+		Assert.Equal(new DateTime(2026, 4, 18, 8, 0, 0, DateTimeKind.Utc), snapshotService.SnapshotSavedAtUtc);
+	}
+
+	[Fact]
+	public async Task SendAsync_ClearsSnapshot_WhenSnapshotEndpointRespondsLive()
+	{
+		var snapshotService = new OfflineSnapshotService();
+		snapshotService.ReportSnapshot("2026-04-18T09:30:00Z");
+		var changeCount = 0;
+		snapshotService.OnChange += () => changeCount++;
+		var client = CreateClient(snapshotService, _ => new HttpResponseMessage(HttpStatusCode.OK));
+
+		await client.GetAsync("/api/projects/with-stats");
+
+		Assert.False(snapshotService.IsShowingSnapshot);
+		Assert.Equal(1, changeCount);
+	}
+
+	[Fact]
+	public async Task SendAsync_IgnoresLiveResponses_FromOtherEndpoints()
+	{
+		var snapshotService = new OfflineSnapshotService();
+		snapshotService.ReportSnapshot("2026-04-18T09:30:00Z");
+		var client = CreateClient(snapshotService, _ => new HttpResponseMessage(HttpStatusCode.OK));
+
+		await client.GetAsync("/api/settings");
+
+		Assert.True(snapshotService.IsShowingSnapshot);
+	}
+
+	[Fact]
+	public async Task SendAsync_LeavesSnapshotState_WhileServiceWorkerRevalidates()
+	{
+		var snapshotService = new OfflineSnapshotService();
+		snapshotService.ReportSnapshot("2026-04-18T09:30:00Z");
+		var client = CreateClient(snapshotService, _ =>
+		{
+			var response = new HttpResponseMessage(HttpStatusCode.OK);
+			response.Headers.Add(OfflineSnapshotService.RevalidatingHeaderName, "2026-04-18T10:00:00Z");
+			return response;
+		});
+
+		await client.GetAsync("/api/projects/with-stats");
+
+		Assert.Equal(new DateTime(2026, 4, 18, 9, 30, 0, DateTimeKind.Utc), snapshotService.SnapshotSavedAtUtc);
+	}
+
+	private static HttpClient CreateClient(OfflineSnapshotService snapshotService, Func<HttpRequestMessage, HttpResponseMessage> respond)
+	{
+		var handler = new OfflineSnapshotHandler(snapshotService)
+		{
+			InnerHandler = new StubHttpMessageHandler(respond)
+		};
+
+		return new HttpClient(handler)
+		{
+			BaseAddress = new Uri("https://example.test")
+		};
+	}
+
+	private sealed class StubHttpMessageHandler(Func<HttpRequestMessage, HttpResponseMessage> respond) : HttpMessageHandler
+	{
+		protected override Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+			=> Task.FromResult(respond(request));
+	}
+}
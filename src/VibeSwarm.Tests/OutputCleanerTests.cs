@@ -0,0 +1,49 @@
+using VibeSwarm.Shared.Utilities;
+
+namespace VibeSwarm.Tests;
+
+public sealed class OutputCleanerTests
+{
+	[Fact]
+	public void SanitizeAnsi_KeepsSgrStylingAndDropsCursorMovement()
+	{
+		var input = "\u001B[2K\u001B[1;31merror\u001B[0m at \u001B[38;5;208mline\u001B[39m \u001B[38;2;10;20;30mrgb\u001B[0m\u001B[3A";
+
+		var sanitized = OutputCleaner.SanitizeAnsi(input);
+
+		Assert.Equal("\u001B[1;31merror\u001B[0m at \u001B[38;5;208mline\u001B[39m \u001B[38;2;10;20;30mrgb\u001B[0m", sanitized);
+	}
+
+	[Fact]
+	public void SanitizeAnsi_FiltersUnsupportedSgrCodes()
+	{
+		Assert.Equal("\u001B[1mblink", OutputCleaner.SanitizeAnsi("\u001B[5;1mblink"));
+		Assert.Equal("hidden", OutputCleaner.SanitizeAnsi("\u001B[8mhidden"));
+	}
+
+	[Fact]
+	public void SanitizeAnsi_KeepsSafeHyperlinksOnly()
+	{
+		var safe = "\u001B]8;;https://example.com/docs\u0007docs\u001B]8;;\u0007";
+		var unsafeLink = "\u001B]8;;javascript:alert(1)\u001B\\click\u001B]8;;\u001B\\";
+
+		Assert.Equal($"\u001B]8;;https://example.com/docs{OutputCleaner.HyperlinkTerminator}docs{OutputCleaner.HyperlinkTerminator}", OutputCleaner.SanitizeAnsi(safe));
+		Assert.Equal($"click{OutputCleaner.HyperlinkTerminator}", OutputCleaner.SanitizeAnsi(unsafeLink));
+	}
+
+	[Fact]
+	public void SanitizeAnsi_RemovesOtherOscSequencesAndControlCharacters()
+	{
+		var input = "\u001B]0;window title\u0007build\u0008 ok\u0000\tdone";
+
+		Assert.Equal("build ok\tdone", OutputCleaner.SanitizeAnsi(input));
+	}
+
+	[Fact]
+	public void StripAnsiCodes_RemovesStylingAndHyperlinks()
+	{
+		var input = "\u001B[32mpassed\u001B[0m \u001B]8;;https://example.com\u001B\\report\u001B]8;;\u001B\\";
+
+		Assert.Equal("passed report", OutputCleaner.StripAnsiCodes(input));
+	}
+}
@@ -0,0 +1,104 @@
+using Bunit;
+using Microsoft.Extensions.DependencyInjection;
+using VibeSwarm.Client.Components.Git;
+using VibeSwarm.Client.Services;
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.Services;
+
+namespace VibeSwarm.Tests;
+
+public sealed class ProjectFileEditorTests
+{
+	[Fact]
+	public void ProjectFileEditor_Bunit_FindsReplacesAndSavesOnTheJob()
+	{
+		using var context = new BunitContext();
+		var fileService = new FakeProjectFileService(new ProjectFile
+		{
+			Path = "src/app.cs",
+			Content = "var total = 1;\nvar count = total;\n",
+			ContentHash = "hash-1"
+		});
+		context.Services.AddSingleton<IProjectFileService>(fileService);
+		context.JSInterop.SetupModule(JsModule.Dom).SetupVoid("setModalOpen", _ => true);
+		var editorModule = context.JSInterop.SetupModule(JsModule.CodeEditor);
+		editorModule.Mode = JSRuntimeMode.Loose;
+		var job = new Job { Id = Guid.NewGuid(), Title = "Tidy the app" };
+
+		var cut = context.Render<ProjectFileEditor>(parameters => parameters
+			.Add(editor => editor.ProjectId, Guid.NewGuid())
+			.Add(editor => editor.FilePath, "src/app.cs")
+			.Add(editor => editor.RecordOnJobs, new[] { job }));
+
+		cut.WaitForAssertion(() => Assert.Contains("tok-keyword", cut.Markup));
+		Assert.Contains(editorModule.Invocations, invocation => invocation.Identifier == "attach");
+		Assert.DoesNotContain("Unsaved changes", cut.Markup);
+
+		cut.FindAll("button").Single(button => button.TextContent.Trim() == "Find").Click();
+		cut.Find("input[aria-label='Find']").Input("total");
+		Assert.Contains("1 of 2", cut.Markup);
+
+		cut.Find("input[aria-label='Replace with']").Input("sum");
+		cut.FindAll("button").Single(button => button.TextContent.Trim() == "Replace all").Click();
+
+		Assert.Contains("Unsaved changes", cut.Markup);
+		Assert.Contains("No matches", cut.Markup);
+		Assert.Contains(editorModule.Invocations, invocation => invocation.Identifier == "setDirty" && Equals(invocation.Arguments[1], true));
+
+		cut.FindAll("button").Single(button => button.TextContent.Trim() == "Save").Click();
+
+		cut.WaitForAssertion(() => Assert.Contains("Saved and recorded on the job", cut.Markup));
+		var request = Assert.Single(fileService.SaveRequests);
+		Assert.Equal("var sum = 1;\nvar count = sum;\n", request.Content);
+		Assert.Equal("hash-1", request.ExpectedHash);
+		Assert.Equal(job.Id, request.JobId);
+	}
+
+	[Fact]
+	public void ProjectFileEditor_Bunit_AsksBeforeClosingWithUnsavedChanges()
+	{
+		using var context = new BunitContext();
+		context.Services.AddSingleton<IProjectFileService>(new FakeProjectFileService(new ProjectFile
+		{
+			Path = "README.md",
+			Content = "# Title\n",
+			ContentHash = "hash-1"
+		}));
+		context.JSInterop.SetupModule(JsModule.Dom).SetupVoid("setModalOpen", _ => true);
+		context.JSInterop.SetupModule(JsModule.CodeEditor).Mode = JSRuntimeMode.Loose;
+		var closed = false;
+
+		var cut = context.Render<ProjectFileEditor>(parameters => parameters
+			.Add(editor => editor.ProjectId, Guid.NewGuid())
+			.Add(editor => editor.FilePath, "README.md")
+			.Add(editor => editor.OnClose, () => closed = true));
+
+		cut.WaitForAssertion(() => cut.Find("textarea"));
+		cut.Find("textarea").Input("# Edited\n");
+		cut.FindAll("button").Single(button => button.TextContent.Trim() == "Close").Click();
+
+		Assert.False(closed);
+		Assert.Contains("Close without saving your changes", cut.Markup);
+
+		cut.FindAll("button").Single(button => button.TextContent.Trim() == "Discard changes").Click();
+		Assert.True(closed);
+	}
+
+	private sealed class FakeProjectFileService(ProjectFile file) : IProjectFileService
+	{
+		public List<ProjectFileSaveRequest> SaveRequests { get; } = [];
+
+		public Task<ProjectFile> GetFileAsync(Guid projectId, string path, CancellationToken cancellationToken = default)
+			=> Task.FromResult(file);
+
+		public Task<ProjectFileSaveResult> SaveFileAsync(Guid projectId, ProjectFileSaveRequest request, string? editedBy = null, CancellationToken cancellationToken = default)
+		{
+			SaveRequests.Add(request);
+			return Task.FromResult(new ProjectFileSaveResult
+			{
+				File = new ProjectFile { Path = request.Path, Content = request.Content, ContentHash = "hash-2" },
+				ChangeSet = request.JobId is { } jobId ? new JobChangeSet { JobId = jobId, IsManualEdit = true } : null
+			});
+		}
+	}
+}
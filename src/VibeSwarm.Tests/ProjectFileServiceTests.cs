@@ -0,0 +1,195 @@
+using System.ComponentModel.DataAnnotations;
+using Microsoft.Data.Sqlite;
+using Microsoft.EntityFrameworkCore;
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.Exceptions;
+using VibeSwarm.Shared.Providers;
+using VibeSwarm.Shared.Services;
+using VibeSwarm.Web.Services;
+
+namespace VibeSwarm.Tests;
+
+public sealed class ProjectFileServiceTests : IDisposable
+{
+	private readonly SqliteConnection _connection;
+	private readonly DbContextOptions<VibeSwarmDbContext> _dbOptions;
+	private readonly string _workingPath;
+	private readonly Guid _projectId = Guid.NewGuid();
+
+	public ProjectFileServiceTests()
+	{
+		_connection = new SqliteConnection("Data Source=:memory:");
+		_connection.Open();
+
+		_dbOptions = new DbContextOptionsBuilder<VibeSwarmDbContext>()
+			.UseSqlite(_connection)
+			.Options;
+
+		_workingPath = Path.Combine(Path.GetTempPath(), "vibeswarm-tests", "project-files-" + Guid.NewGuid().ToString("N"));
+		Directory.CreateDirectory(Path.Combine(_workingPath, "src"));
+		Directory.CreateDirectory(Path.Combine(_workingPath, ".git"));
+
+		using var dbContext = CreateDbContext();
+		dbContext.Database.EnsureCreated();
+		dbContext.Projects.Add(new Project
+		{
+			Id = _projectId,
+			Name = "VibeSwarm",
+			WorkingPath = _workingPath
+		});
+		dbContext.SaveChanges();
+	}
+
+	[Fact]
+	public async Task GetFileAsync_NormalisesLineEndingsAndRemembersThem()
+	{
+		await File.WriteAllTextAsync(Path.Combine(_workingPath, "src", "app.cs"), "one\r\ntwo\r\n");
+		await using var dbContext = CreateDbContext();
+		var service = new ProjectFileService(dbContext);
+
+		var file = await service.GetFileAsync(_projectId, "./src/app.cs");
+
+		Assert.Equal("src/app.cs", file.Path);
+		Assert.Equal("one\ntwo\n", file.Content);
+		Assert.True(file.UsesCrLf);
+		Assert.Equal(64, file.ContentHash.Length);
+	}
+
+	[Theory]
+	[InlineData("../outside.txt")]
+	[InlineData("src/../../outside.txt")]
+	[InlineData(".git/config")]
+	[InlineData("/etc/passwd")]
+	public async Task GetFileAsync_RefusesPathsOutsideTheWorkingCopy(string path)
+	{
+		await File.WriteAllTextAsync(Path.Combine(_workingPath, ".git", "config"), "[core]");
+		await using var dbContext = CreateDbContext();
+		var service = new ProjectFileService(dbContext);
+
+		await Assert.ThrowsAsync<PathAccessDeniedException>(() => service.GetFileAsync(_projectId, path));
+	}
+
+	[Fact]
+	public async Task GetFileAsync_RefusesMissingAndBinaryFiles()
+	{
+		await File.WriteAllBytesAsync(Path.Combine(_workingPath, "logo.png"), [0x89, 0x50, 0x4E, 0x47, 0x00, 0x01]);
+		await using var dbContext = CreateDbContext();
+		var service = new ProjectFileService(dbContext);
+
+		await Assert.ThrowsAsync<PathNotFoundException>(() => service.GetFileAsync(_projectId, "missing.txt"));
+		await Assert.ThrowsAsync<ValidationException>(() => service.GetFileAsync(_projectId, "logo.png"));
+	}
+
+	[Fact]
+	public async Task SaveFileAsync_RefusesAFileChangedSinceItWasOpened()
+	{
+		var path = Path.Combine(_workingPath, "README.md");
+		await File.WriteAllTextAsync(path, "# Title\n");
+		await using var dbContext = CreateDbContext();
+		var service = new ProjectFileService(dbContext);
+		var opened = await service.GetFileAsync(_projectId, "README.md");
+
+		await File.WriteAllTextAsync(path, "# Changed by an agent\n");
+
+		await Assert.ThrowsAsync<ValidationException>(() => service.SaveFileAsync(_projectId, new ProjectFileSaveRequest
+		{
+			Path = "README.md",
+			Content = "# Edited\n",
+			ExpectedHash = opened.ContentHash
+		}));
+		Assert.Equal("# Changed by an agent\n", await File.ReadAllTextAsync(path));
+	}
+
+	[Fact]
+	public async Task SaveFileAsync_WithJob_RecordsAManualChangeSetAndKeepsWindowsLineEndings()
+	{
+		var path = Path.Combine(_workingPath, "src", "app.cs");
+		await File.WriteAllTextAsync(path, "one\r\ntwo\r\nthree\r\n");
+		var jobId = await SeedJobAsync(JobStatus.Completed);
+		await using var dbContext = CreateDbContext();
+		dbContext.JobChangeSets.Add(new JobChangeSet { Id = Guid.NewGuid(), JobId = jobId, FollowUpIndex = 0 });
+		await dbContext.SaveChangesAsync();
+		var service = new ProjectFileService(dbContext);
+		var opened = await service.GetFileAsync(_projectId, "src/app.cs");
+
+		var result = await service.SaveFileAsync(_projectId, new ProjectFileSaveRequest
+		{
+			Path = "src/app.cs",
+			Content = "one\n2\nthree\n",
+			ExpectedHash = opened.ContentHash,
+			JobId = jobId
+		}, "reviewer@example.com");
+
+		Assert.Equal("one\r\n2\r\nthree\r\n", await File.ReadAllTextAsync(path));
+		Assert.NotEqual(opened.ContentHash, result.File.ContentHash);
+
+		var changeSet = Assert.IsType<JobChangeSet>(result.ChangeSet);
+		Assert.True(changeSet.IsManualEdit);
+		Assert.Equal(1, changeSet.FollowUpIndex);
+		Assert.Equal("src/app.cs", changeSet.FilePath);
+		Assert.Equal("reviewer@example.com", changeSet.EditedBy);
+		Assert.Contains("@@ -1,3 +1,3 @@\n one\n-two\n+2\n three\n", changeSet.GitDiff);
+		Assert.Equal(2, await dbContext.JobChangeSets.CountAsync(cs => cs.JobId == jobId));
+	}
+
+	[Fact]
+	public async Task SaveFileAsync_RefusesToRecordOnARunningJob()
+	{
+		var path = Path.Combine(_workingPath, "README.md");
+		await File.WriteAllTextAsync(path, "# Title\n");
+		var jobId = await SeedJobAsync(JobStatus.Processing);
+		await using var dbContext = CreateDbContext();
+		var service = new ProjectFileService(dbContext);
+
+		await Assert.ThrowsAsync<ValidationException>(() => service.SaveFileAsync(_projectId, new ProjectFileSaveRequest
+		{
+			Path = "README.md",
+			Content = "# Edited\n",
+			JobId = jobId
+		}));
+		Assert.Equal("# Title\n", await File.ReadAllTextAsync(path));
+	}
+
+	private async Task<Guid> SeedJobAsync(JobStatus status)
+	{
+		await using var dbContext = CreateDbContext();
+		var provider = new Provider
+		{
+			Id = Guid.NewGuid(),
+			Name = "GitHub Copilot",
+			Type = ProviderType.Copilot,
+			IsEnabled = true
+		};
+		var job = new Job
+		{
+			Id = Guid.NewGuid(),
+			ProjectId = _projectId,
+			ProviderId = provider.Id,
+			GoalPrompt = "Tidy the app",
+			Status = status
+		};
+		dbContext.Providers.Add(provider);
+		dbContext.Jobs.Add(job);
+		await dbContext.SaveChangesAsync();
+		return job.Id;
+	}
+
+	private VibeSwarmDbContext CreateDbContext() => new(_dbOptions);
+
+	public void Dispose()
+	{
+		_connection.Dispose();
+
+		try
+		{
+			if (Directory.Exists(_workingPath))
+			{
+				Directory.Delete(_workingPath, recursive: true);
+			}
+		}
+		catch
+		{
+			// best-effort cleanup
+		}
+	}
+}
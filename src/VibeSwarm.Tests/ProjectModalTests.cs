@@ -317,9 +317,10 @@ private static BunitContext CreateBunitContext(
 	IReadOnlyList<InferenceProvider>? inferenceProviders = null)
 {
 	var context = new BunitContext();
-	context.JSInterop.SetupVoid("eval", "document.body.classList.add('vs-modal-open')");
-	context.JSInterop.SetupVoid("eval", "document.body.classList.remove('vs-modal-open')");
-	context.JSInterop.SetupVoid("vibeSwarmInitTouchDrag", _ => true);
+	context.JSInterop.SetupModule(JsModule.Dom).SetupVoid("setModalOpen", _ => true);
+	var dragDropModule = context.JSInterop.SetupModule(JsModule.DragDrop);
+	dragDropModule.SetupVoid("attach", _ => true);
+	dragDropModule.SetupVoid("detach", _ => true);
 	context.Services.AddLogging();
 	var resolvedProvider = provider ?? new Provider
 	{
@@ -959,6 +959,139 @@ public sealed class QueueAndIdeaServiceTests : IDisposable
 		Assert.Equal("hash1", afterSecond[1].GitCommitHash);
 	}
 
+	private const string ReviewedDiff = """
+diff --git a/src/Greeter.cs b/src/Greeter.cs
+index 1111111..2222222 100644
+--- a/src/Greeter.cs
++++ b/src/Greeter.cs
+@@ -1,4 +1,5 @@
+ public class Greeter
+ {
++    public string Name { get; set; } = "";
+     public string Greet() => "Hello";
+ }
+""";
+
+	[Fact]
+	public async Task AddReviewCommentAsync_RejectsLinesOutsideTheDiffAndRunningJobs()
+	{
+		await using var dbContext = CreateDbContext();
+		var job = await SeedReviewedJobAsync(dbContext);
+		var jobService = new JobService(dbContext, new ServiceCollection().BuildServiceProvider());
+
+		var comment = await jobService.AddReviewCommentAsync(job.Id, "src/Greeter.cs", 3, 3, "  Make this read-only.  ");
+		Assert.Equal("Make this read-only.", comment.Body);
+		Assert.True(comment.IsOnAddedLines);
+		Assert.Equal(0, comment.FollowUpIndex);
+
+		await Assert.ThrowsAsync<System.ComponentModel.DataAnnotations.ValidationException>(() => jobService.AddReviewCommentAsync(job.Id, "src/Greeter.cs", 9, 9, "Not shown"));
+
+		job.Status = JobStatus.Processing;
+		await dbContext.SaveChangesAsync();
+		await Assert.ThrowsAsync<System.ComponentModel.DataAnnotations.ValidationException>(() => jobService.AddReviewCommentAsync(job.Id, "src/Greeter.cs", 3, 3, "Too early"));
+	}
+
+	[Fact]
+	public async Task ContinueJobAsync_WithReviewComments_SendsOpenCommentsAndMarksThemRequested()
+	{
+		await using var dbContext = CreateDbContext();
+		var job = await SeedReviewedJobAsync(dbContext);
+		var jobService = new JobService(dbContext, new ServiceCollection().BuildServiceProvider());
+		var open = await jobService.AddReviewCommentAsync(job.Id, "src/Greeter.cs", 3, 3, "Make this read-only.");
+		var resolved = await jobService.AddReviewCommentAsync(job.Id, "src/Greeter.cs", 4, 4, "Already fine.");
+		await jobService.SetReviewCommentResolvedAsync(job.Id, resolved.Id, true);
+
+		var continued = await jobService.ContinueJobAsync(job.Id, "Keep the tests passing.", includeReviewComments: true);
+
+		Assert.True(continued);
+		var savedJob = await dbContext.Jobs.AsNoTracking().SingleAsync(j => j.Id == job.Id);
+		Assert.Contains("1. src/Greeter.cs, line 3:", savedJob.GoalPrompt);
+		Assert.Contains("Make this read-only.", savedJob.GoalPrompt);
+		Assert.DoesNotContain("Already fine.", savedJob.GoalPrompt);
+		Assert.Contains("Additional instructions:\nKeep the tests passing.", savedJob.GoalPrompt);
+
+		var changeSet = await dbContext.JobChangeSets.SingleAsync(cs => cs.JobId == job.Id);
+		var comments = await dbContext.JobReviewComments.AsNoTracking().Where(c => c.JobId == job.Id).ToListAsync();
+		var requested = comments.Single(c => c.Id == open.Id);
+		Assert.Equal(ReviewCommentStatus.Requested, requested.Status);
+		Assert.NotNull(requested.RequestedAt);
+		Assert.All(comments, c => Assert.Equal(changeSet.Id, c.ChangeSetId));
+		Assert.Equal(ReviewCommentStatus.Resolved, comments.Single(c => c.Id == resolved.Id).Status);
+	}
+
+	[Fact]
+	public async Task ContinueJobAsync_WithReviewComments_ReturnsFalseWhenNoneAreOpen()
+	{
+		await using var dbContext = CreateDbContext();
+		var job = await SeedReviewedJobAsync(dbContext);
+		var jobService = new JobService(dbContext, new ServiceCollection().BuildServiceProvider());
+
+		var continued = await jobService.ContinueJobAsync(job.Id, string.Empty, includeReviewComments: true);
+
+		Assert.False(continued);
+		Assert.Empty(await dbContext.JobChangeSets.Where(cs => cs.JobId == job.Id).ToListAsync());
+	}
+
+	[Fact]
+	public async Task GetReviewCommentsAsync_ResolvesRequestedCommentsTheNextRunChanged()
+	{
+		await using var dbContext = CreateDbContext();
+		var job = await SeedReviewedJobAsync(dbContext);
+		var jobService = new JobService(dbContext, new ServiceCollection().BuildServiceProvider());
+		var changed = await jobService.AddReviewCommentAsync(job.Id, "src/Greeter.cs", 3, 3, "Make this read-only.");
+		var untouched = await jobService.AddReviewCommentAsync(job.Id, "src/Greeter.cs", 1, 1, "Rename the class.");
+		await jobService.ContinueJobAsync(job.Id, string.Empty, includeReviewComments: true);
+
+		// The follow-up run starts from the commit the reviewed run made and rewrites line 3
+		var savedJob = await dbContext.Jobs.SingleAsync(j => j.Id == job.Id);
+		savedJob.Status = JobStatus.Completed;
+		savedJob.CompletedAt = DateTime.UtcNow;
+		savedJob.GitCommitBefore = "reviewed-hash";
+		savedJob.GitCommitHash = "follow-up-hash";
+		savedJob.GitDiff = """
+diff --git a/src/Greeter.cs b/src/Greeter.cs
+index 2222222..3333333 100644
+--- a/src/Greeter.cs
++++ b/src/Greeter.cs
+@@ -2,3 +2,3 @@
+ {
+-    public string Name { get; set; } = "";
++    public string Name { get; init; } = "";
+     public string Greet() => "Hello";
+""";
+		await dbContext.SaveChangesAsync();
+
+		var comments = (await jobService.GetReviewCommentsAsync(job.Id)).ToList();
+
+		var resolved = comments.Single(c => c.Id == changed.Id);
+		Assert.Equal(ReviewCommentStatus.Resolved, resolved.Status);
+		Assert.Equal(1, resolved.ResolvedInFollowUpIndex);
+		Assert.Equal(ReviewCommentStatus.Requested, comments.Single(c => c.Id == untouched.Id).Status);
+	}
+
+	private static async Task<Job> SeedReviewedJobAsync(VibeSwarmDbContext dbContext)
+	{
+		var project = new Project { Id = Guid.NewGuid(), Name = "Review Project", WorkingPath = "/tmp/review" };
+		var provider = new Provider { Id = Guid.NewGuid(), Name = "Copilot", Type = ProviderType.Copilot, IsEnabled = true, IsDefault = true };
+		var job = new Job
+		{
+			Id = Guid.NewGuid(),
+			ProjectId = project.Id,
+			ProviderId = provider.Id,
+			GoalPrompt = "Add a name to the greeter",
+			Status = JobStatus.Completed,
+			CompletedAt = DateTime.UtcNow,
+			GitCommitBefore = "base-hash",
+			GitCommitHash = "reviewed-hash",
+			GitDiff = ReviewedDiff
+		};
+		dbContext.Projects.Add(project);
+		dbContext.Providers.Add(provider);
+		dbContext.Jobs.Add(job);
+		await dbContext.SaveChangesAsync();
+		return job;
+	}
+
 	[Fact]
 	public async Task ContinueJobAsync_AllowsContinuationForStalledJob()
 	{
@@ -3793,6 +3926,7 @@ public sealed class QueueAndIdeaServiceTests : IDisposable
 		public Task<IReadOnlyList<string>> GetChangedFilesAsync(string workingDirectory, string? baseCommit = null, CancellationToken cancellationToken = default) => throw new NotSupportedException();
 		public Task<string?> GetWorkingDirectoryDiffAsync(string workingDirectory, string? baseCommit = null, CancellationToken cancellationToken = default) => throw new NotSupportedException();
 		public Task<string?> GetCommitRangeDiffAsync(string workingDirectory, string fromCommit, string? toCommit = null, CancellationToken cancellationToken = default) => throw new NotSupportedException();
+		public Task<string?> GetFileDiffAsync(string workingDirectory, string filePath, string? fromCommit, string? toCommit, int contextLines, CancellationToken cancellationToken = default) => throw new NotSupportedException();
 		public Task<GitDiffSummary?> GetDiffSummaryAsync(string workingDirectory, string? baseCommit = null, CancellationToken cancellationToken = default) => throw new NotSupportedException();
 		public Task<GitOperationResult> CommitAllChangesAsync(string workingDirectory, string commitMessage, CancellationToken cancellationToken = default, GitCommitOptions? commitOptions = null) => throw new NotSupportedException();
 		public Task<GitOperationResult> PushAsync(string workingDirectory, string remoteName = "origin", string? branchName = null, CancellationToken cancellationToken = default) => throw new NotSupportedException();
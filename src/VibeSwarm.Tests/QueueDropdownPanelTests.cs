@@ -2,6 +2,7 @@ using Bunit;
 using Microsoft.Extensions.DependencyInjection;
 using Microsoft.JSInterop;
 using VibeSwarm.Client.Components.Common;
+using VibeSwarm.Client.Models;
 using VibeSwarm.Client.Services;
 using VibeSwarm.Shared.Data;
 using VibeSwarm.Shared.Models;
@@ -343,14 +344,62 @@ public sealed class QueueDropdownPanelTests
 		});
 	}
 
-	private static BunitContext CreateContext(FakeIdeaService ideaService, QueuePanelStateService? queuePanelStateService = null)
+	[Fact]
+	public void QueueDropdownPanel_ShowsOfflineOutboxItemsAndDiscardsRejectedOnes()
+	{
+		var jsRuntime = new OutboxJsRuntime(new OfflineOutboxState
+		{
+			BackgroundSync = false,
+			Items =
+			[
+				new OfflineOutboxItem
+				{
+					Id = "pending-cancel",
+					Path = $"/api/jobs/{Guid.NewGuid()}/cancel",
+					State = OfflineOutboxItem.PendingState,
+					CreatedAt = DateTime.UtcNow.AddMinutes(-2)
+				},
+				new OfflineOutboxItem
+				{
+					Id = "rejected-idea",
+					Path = "/api/ideas",
+					State = OfflineOutboxItem.RejectedState,
+					Attempts = 1,
+					Status = 400,
+					Error = "Project not found.",
+					CreatedAt = DateTime.UtcNow.AddMinutes(-5)
+				}
+			]
+		});
+
+		using var context = CreateContext(new FakeIdeaService(), jsRuntime: jsRuntime);
+		var cut = context.Render<QueueDropdownPanel>();
+
+		Assert.Contains("Waiting to Send", cut.Markup);
+		Assert.Contains("Cancel job", cut.Markup);
+		Assert.Contains("Create idea", cut.Markup);
+		Assert.Contains("Project not found.", cut.Markup);
+		Assert.Contains("can't send queued actions in the background", cut.Markup);
+		Assert.Equal("2 queue items", cut.Find(".notification-bell-badge").GetAttribute("aria-label"));
+
+		cut.FindAll("button[title='Discard']")[1].Click();
+
+		Assert.Contains(jsRuntime.Invocations, invocation =>
+			invocation.Identifier == "discard" && Equals(invocation.Args?[0], "rejected-idea"));
+	}
+
+	private static BunitContext CreateContext(
+		FakeIdeaService ideaService,
+		QueuePanelStateService? queuePanelStateService = null,
+		IJSRuntime? jsRuntime = null)
 	{
 		var context = new BunitContext();
 		context.Services.AddLogging();
 		context.Services.AddSingleton<IIdeaService>(ideaService);
 		context.Services.AddSingleton<NotificationService>();
 		context.Services.AddSingleton(queuePanelStateService ?? new QueuePanelStateService());
-		context.Services.AddSingleton<IJSRuntime>(new NoOpJsRuntime());
+		context.Services.AddSingleton(jsRuntime ?? new NoOpJsRuntime());
+		context.Services.AddSingleton<OfflineOutboxService>();
 		return context;
 	}
 
@@ -414,12 +463,36 @@ public sealed class QueueDropdownPanelTests
 			=> Task.FromResult(new SuggestIdeasResult());
 	}
 
-	private sealed class NoOpJsRuntime : IJSRuntime
+	// Also stands in for the imported JS modules, so module calls resolve against the same fake
+	private sealed class NoOpJsRuntime : IJSRuntime, IJSObjectReference
+	{
+		public ValueTask<TValue> InvokeAsync<TValue>(string identifier, object?[]? args)
+			=> ValueTask.FromResult(identifier == "import" ? (TValue)(object)this : default(TValue)!);
+
+		public ValueTask<TValue> InvokeAsync<TValue>(string identifier, CancellationToken cancellationToken, object?[]? args)
+			=> InvokeAsync<TValue>(identifier, args);
+
+		public ValueTask DisposeAsync() => ValueTask.CompletedTask;
+	}
+
+	private sealed class OutboxJsRuntime(OfflineOutboxState state) : IJSRuntime, IJSObjectReference
 	{
+		public List<(string Identifier, object?[]? Args)> Invocations { get; } = [];
+
 		public ValueTask<TValue> InvokeAsync<TValue>(string identifier, object?[]? args)
-			=> ValueTask.FromResult(default(TValue)!);
+		{
+			if (identifier == "import")
+			{
+				return ValueTask.FromResult((TValue)(object)this);
+			}
+
+			Invocations.Add((identifier, args));
+			return ValueTask.FromResult(typeof(TValue) == typeof(OfflineOutboxState) ? (TValue)(object)state : default(TValue)!);
+		}
 
 		public ValueTask<TValue> InvokeAsync<TValue>(string identifier, CancellationToken cancellationToken, object?[]? args)
-			=> ValueTask.FromResult(default(TValue)!);
+			=> InvokeAsync<TValue>(identifier, args);
+
+		public ValueTask DisposeAsync() => ValueTask.CompletedTask;
 	}
 }
@@ -0,0 +1,189 @@
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.VersionControl;
+
+namespace VibeSwarm.Tests;
+
+public sealed class ReviewCommentMatcherTests
+{
+	private const string CommentedRunDiff = """
+diff --git a/src/Greeter.cs b/src/Greeter.cs
+index 1111111..2222222 100644
+--- a/src/Greeter.cs
++++ b/src/Greeter.cs
+@@ -1,4 +1,5 @@
+ public class Greeter
+ {
++    public string Name { get; set; } = "";
+     public string Greet() => "Hello";
+ }
+""";
+
+	[Fact]
+	public void TryCaptureLines_CapturesNewSideText_AndWhetherEveryLineWasAdded()
+	{
+		Assert.True(ReviewCommentMatcher.TryCaptureLines(CommentedRunDiff, "src/Greeter.cs", 3, 3, out var addedText, out var addedOnly));
+		Assert.Equal("    public string Name { get; set; } = \"\";", addedText);
+		Assert.True(addedOnly);
+
+		Assert.True(ReviewCommentMatcher.TryCaptureLines(CommentedRunDiff, "src/Greeter.cs", 3, 4, out var mixedText, out var mixedAddedOnly));
+		Assert.Equal("    public string Name { get; set; } = \"\";\n    public string Greet() => \"Hello\";", mixedText);
+		Assert.False(mixedAddedOnly);
+	}
+
+	[Theory]
+	[InlineData("src/Greeter.cs", 4, 7)]
+	[InlineData("src/Greeter.cs", 0, 1)]
+	[InlineData("src/Other.cs", 1, 1)]
+	public void TryCaptureLines_RejectsLinesNotShownInTheDiff(string filePath, int startLine, int endLine)
+	{
+		Assert.False(ReviewCommentMatcher.TryCaptureLines(CommentedRunDiff, filePath, startLine, endLine, out _, out _));
+	}
+
+	[Fact]
+	public void IsTouchedBy_FromCommentedVersion_ComparesOldLineNumbers()
+	{
+		const string nextDiff = """
+diff --git a/src/Greeter.cs b/src/Greeter.cs
+index 2222222..3333333 100644
+--- a/src/Greeter.cs
++++ b/src/Greeter.cs
+@@ -3,3 +3,3 @@
+     public string Name { get; set; } = "";
+-    public string Greet() => "Hello";
++    public string Greet() => $"Hello {Name}";
+ }
+""";
+
+		Assert.True(ReviewCommentMatcher.IsTouchedBy(CreateComment(4, 4), nextDiff, startsFromCommentedVersion: true));
+		Assert.False(ReviewCommentMatcher.IsTouchedBy(CreateComment(3, 3), nextDiff, startsFromCommentedVersion: true));
+		Assert.False(ReviewCommentMatcher.IsTouchedBy(CreateComment(1, 2), nextDiff, startsFromCommentedVersion: true));
+	}
+
+	[Fact]
+	public void IsTouchedBy_FromCommentedVersion_CountsLinesInsertedInsideTheRange()
+	{
+		const string nextDiff = """
+diff --git a/src/Greeter.cs b/src/Greeter.cs
+index 2222222..3333333 100644
+--- a/src/Greeter.cs
++++ b/src/Greeter.cs
+@@ -3,2 +3,3 @@
+     public string Name { get; set; } = "";
++    public int Age { get; set; }
+     public string Greet() => "Hello";
+""";
+
+		Assert.True(ReviewCommentMatcher.IsTouchedBy(CreateComment(3, 4), nextDiff, startsFromCommentedVersion: true));
+		Assert.False(ReviewCommentMatcher.IsTouchedBy(CreateComment(4, 4), nextDiff, startsFromCommentedVersion: true));
+	}
+
+	[Fact]
+	public void IsTouchedBy_ByText_TreatsAddedLinesAsTouchedOnceTheyChange()
+	{
+		const string unchangedDiff = """
+diff --git a/src/Greeter.cs b/src/Greeter.cs
+index 1111111..3333333 100644
+--- a/src/Greeter.cs
++++ b/src/Greeter.cs
+@@ -1,4 +1,6 @@
+ public class Greeter
+ {
++    public string Name { get; set; } = "";
++    public int Age { get; set; }
+     public string Greet() => "Hello";
+ }
+""";
+		const string changedDiff = """
+diff --git a/src/Greeter.cs b/src/Greeter.cs
+index 1111111..3333333 100644
+--- a/src/Greeter.cs
++++ b/src/Greeter.cs
+@@ -1,4 +1,5 @@
+ public class Greeter
+ {
++    public string Name { get; init; } = "";
+     public string Greet() => "Hello";
+ }
+""";
+		var comment = CreateComment(3, 3);
+
+		Assert.False(ReviewCommentMatcher.IsTouchedBy(comment, unchangedDiff, startsFromCommentedVersion: false));
+		Assert.True(ReviewCommentMatcher.IsTouchedBy(comment, changedDiff, startsFromCommentedVersion: false));
+	}
+
+	[Fact]
+	public void IsTouchedBy_ByText_TreatsContextLinesAsTouchedOnlyWhenTheDiffRemovesThem()
+	{
+		const string removesGreetDiff = """
+diff --git a/src/Greeter.cs b/src/Greeter.cs
+index 1111111..3333333 100644
+--- a/src/Greeter.cs
++++ b/src/Greeter.cs
+@@ -1,4 +1,5 @@
+ public class Greeter
+ {
++    public string Name { get; set; } = "";
+-    public string Greet() => "Hello";
++    public string Greet() => $"Hello {Name}";
+ }
+""";
+		const string otherFileDiff = """
+diff --git a/src/Other.cs b/src/Other.cs
+index 1111111..3333333 100644
+--- a/src/Other.cs
++++ b/src/Other.cs
+@@ -1 +1 @@
+-old
++new
+""";
+		var comment = CreateComment(4, 4);
+		Assert.False(comment.IsOnAddedLines);
+
+		Assert.True(ReviewCommentMatcher.IsTouchedBy(comment, removesGreetDiff, startsFromCommentedVersion: false));
+		Assert.False(ReviewCommentMatcher.IsTouchedBy(comment, otherFileDiff, startsFromCommentedVersion: false));
+	}
+
+	[Fact]
+	public void BuildFollowUpPrompt_NumbersCommentsQuotesLinesAndAddsTheNote()
+	{
+		var comments = new[]
+		{
+			CreateComment(3, 4, "Use a record instead."),
+			CreateComment(4, 4, "Greet should use the name.")
+		};
+
+		var prompt = ReviewCommentMatcher.BuildFollowUpPrompt(comments, "  Keep the public API.  ");
+
+		Assert.StartsWith("Address these review comments on your changes.", prompt);
+		Assert.Contains("1. src/Greeter.cs, lines 3-4:\n```\n    public string Name { get; set; } = \"\";\n    public string Greet() => \"Hello\";\n```\nUse a record instead.", prompt);
+		Assert.Contains("2. src/Greeter.cs, line 4:", prompt);
+		Assert.EndsWith("Additional instructions:\nKeep the public API.", prompt);
+	}
+
+	[Fact]
+	public void BuildFollowUpPrompt_LeavesQuotesOutWhenTheyDoNotFit()
+	{
+		var comments = new[] { CreateComment(3, 4, "Use a record instead.") };
+		var withQuotes = ReviewCommentMatcher.BuildFollowUpPrompt(comments, null);
+
+		var prompt = ReviewCommentMatcher.BuildFollowUpPrompt(comments, null, withQuotes.Length - 1);
+
+		Assert.DoesNotContain("```", prompt);
+		Assert.Contains("1. src/Greeter.cs, lines 3-4:\nUse a record instead.", prompt);
+	}
+
+	private static JobReviewComment CreateComment(int startLine, int endLine, string body = "Change this.")
+	{
+		Assert.True(ReviewCommentMatcher.TryCaptureLines(CommentedRunDiff, "src/Greeter.cs", startLine, endLine, out var lineText, out var isOnAddedLines));
+		return new JobReviewComment
+		{
+			Id = Guid.NewGuid(),
+			FilePath = "src/Greeter.cs",
+			StartLine = startLine,
+			EndLine = endLine,
+			Body = body,
+			LineText = lineText,
+			IsOnAddedLines = isOnAddedLines
+		};
+	}
+}
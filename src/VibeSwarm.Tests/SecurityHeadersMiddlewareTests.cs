@@ -0,0 +1,56 @@
+using Microsoft.AspNetCore.Http;
+using Microsoft.Extensions.Options;
+using VibeSwarm.Web.Middleware;
+using VibeSwarm.Web.Services;
+
+namespace VibeSwarm.Tests;
+
+public sealed class SecurityHeadersMiddlewareTests
+{
+	[Fact]
+	public async Task InvokeAsync_EnforcesPolicyWithoutInlineScriptsOrEval()
+	{
+		var context = await InvokeAsync(new ContentSecurityPolicyOptions());
+
+		var policy = context.Response.Headers.ContentSecurityPolicy.ToString();
+		var scriptSource = Assert.Single(policy.Split(';'), directive => directive.Trim().StartsWith("script-src", StringComparison.Ordinal));
+		Assert.Equal("script-src 'self' 'wasm-unsafe-eval'", scriptSource.Trim());
+		Assert.Contains($"report-uri {SecurityHeadersMiddleware.ReportPath}", policy);
+		Assert.False(context.Response.Headers.ContainsKey("Content-Security-Policy-Report-Only"));
+	}
+
+	[Fact]
+	public async Task InvokeAsync_SendsReportOnlyPolicy_WhenConfigured()
+	{
+		var context = await InvokeAsync(new ContentSecurityPolicyOptions { ReportOnly = true });
+
+		Assert.False(context.Response.Headers.ContainsKey("Content-Security-Policy"));
+		Assert.Contains("script-src 'self' 'wasm-unsafe-eval';", context.Response.Headers["Content-Security-Policy-Report-Only"].ToString());
+		Assert.Equal($"csp-endpoint=\"{SecurityHeadersMiddleware.ReportPath}\"", context.Response.Headers["Reporting-Endpoints"].ToString());
+	}
+
+	private static async Task<DefaultHttpContext> InvokeAsync(ContentSecurityPolicyOptions options)
+	{
+		var nextCalled = false;
+		var middleware = new SecurityHeadersMiddleware(_ =>
+		{
+			nextCalled = true;
+			return Task.CompletedTask;
+		}, new StaticOptionsMonitor(options));
+
+		var context = new DefaultHttpContext();
+		await middleware.InvokeAsync(context);
+
+		Assert.True(nextCalled);
+		return context;
+	}
+
+	private sealed class StaticOptionsMonitor(ContentSecurityPolicyOptions options) : IOptionsMonitor<ContentSecurityPolicyOptions>
+	{
+		public ContentSecurityPolicyOptions CurrentValue => options;
+
+		public ContentSecurityPolicyOptions Get(string? name) => options;
+
+		public IDisposable? OnChange(Action<ContentSecurityPolicyOptions, string?> listener) => null;
+	}
+}
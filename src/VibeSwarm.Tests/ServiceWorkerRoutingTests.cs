@@ -0,0 +1,62 @@
+using System.Text.RegularExpressions;
+
+namespace VibeSwarm.Tests;
+
+public sealed class ServiceWorkerRoutingTests
+{
+	[Fact]
+	public void NetworkOnlyPaths_CoverSetupPage()
+	{
+		var prefixes = ReadNetworkOnlyPrefixes();
+
+		Assert.Contains(prefixes, prefix => "/setup".StartsWith(prefix, StringComparison.Ordinal));
+	}
+
+	[Fact]
+	public void NetworkOnlyPaths_CoverEveryServerRenderedRoute()
+	{
+		var prefixes = ReadNetworkOnlyPrefixes();
+		var webRoot = GetRepositoryPath("src", "VibeSwarm.Web");
+
+		// Razor Pages and minimal GET endpoints answer navigations themselves; the worker must not swap in the app shell
+		var pageRoutes = Directory.GetFiles(Path.Combine(webRoot, "Pages"), "*.cshtml")
+			.Select(File.ReadAllText)
+			.Select(markup => Regex.Match(markup, "^@page \"(?<route>/[^\"]*)\"", RegexOptions.Multiline))
+			.Where(match => match.Success)
+			.Select(match => match.Groups["route"].Value);
+		var endpointRoutes = Directory.GetFiles(Path.Combine(webRoot, "Endpoints"), "*.cs")
+			.SelectMany(path => Regex.Matches(File.ReadAllText(path), "MapGet\\(\"(?<route>/[^\"]*)\""))
+			.Select(match => match.Groups["route"].Value);
+		var routes = pageRoutes.Concat(endpointRoutes).ToList();
+
+		Assert.Contains("/setup", routes);
+		Assert.Contains("/cert", routes);
+		Assert.All(routes, route =>
+			Assert.True(prefixes.Any(prefix => route.StartsWith(prefix, StringComparison.Ordinal)),
+				$"service-worker.js would serve the app shell for {route}"));
+	}
+
+	private static List<string> ReadNetworkOnlyPrefixes()
+	{
+		var script = File.ReadAllText(GetRepositoryPath("src", "VibeSwarm.Client", "wwwroot", "service-worker.js"));
+		var list = Regex.Match(script, "const NETWORK_ONLY_PATH_PREFIXES = \\[(?<items>[^\\]]*)\\];");
+
+		Assert.True(list.Success, "NETWORK_ONLY_PATH_PREFIXES was not found in service-worker.js");
+		return Regex.Matches(list.Groups["items"].Value, "\"(?<prefix>[^\"]+)\"")
+			.Select(match => match.Groups["prefix"].Value)
+			.ToList();
+	}
+
+	private static string GetRepositoryPath(params string[] segments)
+	{
+		var directory = new DirectoryInfo(AppContext.BaseDirectory);
+
+		while (directory is not null && !File.Exists(Path.Combine(directory.FullName, "VibeSwarm.sln")))
+		{
+			directory = directory.Parent;
+		}
+
+		Assert.NotNull(directory);
+		return Path.Combine([directory.FullName, .. segments]);
+	}
+}
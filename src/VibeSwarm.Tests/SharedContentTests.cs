@@ -0,0 +1,33 @@
+using VibeSwarm.Client.Models;
+
+namespace VibeSwarm.Tests;
+
+public sealed class SharedContentTests
+{
+	[Fact]
+	public void ToIdeaDescription_JoinsTitleTextAndUrl()
+	{
+		var share = new SharedContent
+		{
+			Title = "Crash report",
+			Text = " The app crashes when saving. ",
+			Url = "https://example.com/issues/42"
+		};
+
+		Assert.Equal("Crash report\nThe app crashes when saving.\nhttps://example.com/issues/42", share.ToIdeaDescription());
+	}
+
+	[Fact]
+	public void ToIdeaDescription_SkipsPartsAlreadyInTheText()
+	{
+		var share = new SharedContent
+		{
+			Title = "Crash report",
+			Text = "Crash report: see https://example.com/issues/42",
+			Url = "https://example.com/issues/42"
+		};
+
+		Assert.Equal("Crash report: see https://example.com/issues/42", share.ToIdeaDescription());
+		Assert.Equal(string.Empty, new SharedContent().ToIdeaDescription());
+	}
+}
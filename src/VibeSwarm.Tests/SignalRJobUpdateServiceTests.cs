@@ -68,6 +68,53 @@ public sealed class SignalRJobUpdateServiceTests
 			status);
 	}
 
+	[Fact]
+	public async Task JobGroupEvents_CarryASequenceNumberAndCanBeReplayed()
+	{
+		var hubContext = new TestHubContext();
+		var replayBuffer = new JobEventReplayBuffer();
+		var service = new SignalRJobUpdateService(hubContext, NullLogger<SignalRJobUpdateService>.Instance, replayBuffer: replayBuffer);
+		var jobId = Guid.NewGuid();
+		var timestamp = new DateTime(2026, 1, 1, 12, 0, 0, DateTimeKind.Utc);
+
+		await service.NotifyJobOutput(jobId, "building", isError: false, timestamp);
+		await service.NotifyJobCompleted(jobId, success: true);
+
+		var output = Assert.Single(hubContext.Invocations, i => i.Target == $"group:job-{jobId}" && i.Method == "JobOutput");
+		var completed = Assert.Single(hubContext.Invocations, i => i.Target == $"group:job-{jobId}" && i.Method == "JobCompleted");
+		var outputSequence = Assert.IsType<long>(output.Args[^1]);
+		Assert.Equal(outputSequence + 1, Assert.IsType<long>(completed.Args[^1]));
+		AssertInvocation(hubContext, "group:job-list", "JobCompleted", jobId.ToString(), true, null);
+
+		var replay = replayBuffer.GetSince(jobId, outputSequence);
+		var missed = Assert.Single(replay.Events);
+		Assert.Equal("JobCompleted", missed.Method);
+		Assert.Equal(new object?[] { jobId.ToString(), true, null }, missed.Arguments);
+	}
+
+	[Fact]
+	public async Task JobLifecycleEvents_QueueWebPushForCompletionFailureStallAndInput()
+	{
+		var dispatcher = new RecordingWebPushDispatcher();
+		var service = new SignalRJobUpdateService(new TestHubContext(), NullLogger<SignalRJobUpdateService>.Instance, dispatcher);
+		var jobId = Guid.NewGuid();
+
+		await service.NotifyJobStatusChanged(jobId, "Processing");
+		await service.NotifyJobStatusChanged(jobId, "Stalled");
+		await service.NotifyJobInteractionRequired(jobId, "Overwrite config.json?", "confirmation");
+		await service.NotifyJobCompleted(jobId, success: false, errorMessage: "Build failed");
+		await service.NotifyJobCompleted(jobId, success: true);
+
+		Assert.Equal(
+			[
+				new WebPushJobEvent(jobId, WebPushNotificationKinds.JobStalled),
+				new WebPushJobEvent(jobId, WebPushNotificationKinds.JobInteractionRequired, "Overwrite config.json?"),
+				new WebPushJobEvent(jobId, WebPushNotificationKinds.JobFailed, "Build failed"),
+				new WebPushJobEvent(jobId, WebPushNotificationKinds.JobCompleted)
+			],
+			dispatcher.Events);
+	}
+
 	private static void AssertInvocation(
 		TestHubContext hubContext,
 		string target,
@@ -149,5 +196,16 @@ public sealed class SignalRJobUpdateServiceTests
 			=> Task.CompletedTask;
 	}
 
+	private sealed class RecordingWebPushDispatcher : IWebPushDispatcher
+	{
+		public List<WebPushJobEvent> Events { get; } = new();
+
+		public bool TryEnqueue(WebPushJobEvent jobEvent)
+		{
+			Events.Add(jobEvent);
+			return true;
+		}
+	}
+
 	private sealed record InvocationRecord(string Target, string Method, object?[] Args);
 }
@@ -0,0 +1,52 @@
+using VibeSwarm.Shared.Utilities;
+
+namespace VibeSwarm.Tests;
+
+public sealed class SyntaxHighlighterTests
+{
+	[Theory]
+	[InlineData("src/Service.cs", "csharp")]
+	[InlineData("wwwroot/js/app.mjs", "javascript")]
+	[InlineData("Pages/Index.razor", "markup")]
+	[InlineData("README.md", null)]
+	public void DetectLanguage_UsesTheFileExtension(string fileName, string? expected)
+	{
+		Assert.Equal(expected, SyntaxHighlighter.DetectLanguage(fileName));
+	}
+
+	[Fact]
+	public void Highlight_ClassifiesKeywordsStringsNumbersAndComments()
+	{
+		var spans = SyntaxHighlighter.Highlight("var name = \"a // b\"; int count = 42; // note", "csharp");
+
+		Assert.Equal("var name = \"a // b\"; int count = 42; // note", string.Concat(spans.Select(span => span.Text)));
+		Assert.Contains(new HighlightedSpan("var", "tok-keyword"), spans);
+		Assert.Contains(new HighlightedSpan("\"a // b\"", "tok-string"), spans);
+		Assert.Contains(new HighlightedSpan("int", "tok-type"), spans);
+		Assert.Contains(new HighlightedSpan("42", "tok-number"), spans);
+		Assert.Contains(new HighlightedSpan("// note", "tok-comment"), spans);
+	}
+
+	[Fact]
+	public void Highlight_CarriesBlockCommentsAcrossLines()
+	{
+		var state = new SyntaxHighlightState();
+
+		SyntaxHighlighter.Highlight("int a; /* starts", "csharp", state);
+		var spans = SyntaxHighlighter.Highlight("still comment */ return a;", "csharp", state);
+
+		Assert.Equal(new HighlightedSpan("still comment */", "tok-comment"), spans[0]);
+		Assert.Contains(new HighlightedSpan("return", "tok-keyword"), spans);
+	}
+
+	[Fact]
+	public void Highlight_SplitsTokensAtChangedRanges()
+	{
+		var spans = SyntaxHighlighter.Highlight("return total;", "csharp", changedRanges: [(7, 5)]);
+
+		Assert.Equal(
+			new[] { new HighlightedSpan("return", "tok-keyword"), new HighlightedSpan(" "), new HighlightedSpan("total", null, true), new HighlightedSpan(";") },
+			spans);
+		Assert.Equal("diff-word-change", spans[2].CssClass);
+	}
+}
@@ -19,6 +19,40 @@ public sealed class ThemePreferenceCookieHelperTests
 		Assert.Contains("samesite=lax", cookieHeader, StringComparison.OrdinalIgnoreCase);
 	}
 
+	[Fact]
+	public void Append_ForUserWithCustomAccentWritesStructuredPreference()
+	{
+		var httpContext = new DefaultHttpContext();
+		var user = new ApplicationUser
+		{
+			ThemePreference = ThemePreference.Light,
+			ThemeAccent = ThemeAccent.Teal,
+			ThemeDensity = ThemeDensity.Compact
+		};
+
+		ThemePreferenceCookieHelper.Append(httpContext.Response, httpContext.Request, user);
+
+		var cookieHeader = Uri.UnescapeDataString(httpContext.Response.Headers.SetCookie.ToString());
+		Assert.Contains($"{ThemePreferenceCookieHelper.CookieName}=light|teal|compact", cookieHeader, StringComparison.Ordinal);
+	}
+
+	[Fact]
+	public void ToCookieValue_KeepsBareThemeForDefaultAccentAndDensity()
+	{
+		Assert.Equal("dark", ThemePreferenceCookieHelper.ToCookieValue(ThemePreference.Dark, ThemeAccent.Indigo, ThemeDensity.Comfortable));
+		Assert.Equal("system|indigo|compact", ThemePreferenceCookieHelper.ToCookieValue(ThemePreference.System, ThemeAccent.Indigo, ThemeDensity.Compact));
+	}
+
+	[Theory]
+	[InlineData("high-contrast-dark", ThemePreference.HighContrastDark)]
+	[InlineData("HIGH-CONTRAST-LIGHT", ThemePreference.HighContrastLight)]
+	public void TryParse_AcceptsHighContrastThemes(string value, ThemePreference expected)
+	{
+		Assert.True(ThemePreferenceExtensions.TryParse(value, out var preference));
+		Assert.Equal(expected, preference);
+		Assert.Equal(value.ToLowerInvariant(), preference.ToValue());
+	}
+
 	[Fact]
 	public void Delete_ExpiresThemePreferenceCookie()
 	{
@@ -33,4 +33,56 @@ public sealed class ThemeSelectorTests
 		Assert.Contains("btn btn-primary", html);
 		Assert.Contains(">Dark</span>", html, StringComparison.Ordinal);
 	}
+
+	[Fact]
+	public async Task ThemeSelector_ShowsAccentAndDensityChoicesWhenHandled()
+	{
+		var services = new ServiceCollection();
+		services.AddLogging();
+
+		await using var renderer = new HtmlRenderer(services.BuildServiceProvider(), NullLoggerFactory.Instance);
+
+		var html = await renderer.Dispatcher.InvokeAsync(async () =>
+		{
+			var parameters = ParameterView.FromDictionary(new Dictionary<string, object?>
+			{
+				[nameof(ThemeSelector.SelectedAccent)] = ThemeAccent.Teal,
+				[nameof(ThemeSelector.OnAccentSelected)] = EventCallback.Factory.Create<ThemeAccent>(this, _ => { }),
+				[nameof(ThemeSelector.SelectedDensity)] = ThemeDensity.Compact,
+				[nameof(ThemeSelector.OnDensitySelected)] = EventCallback.Factory.Create<ThemeDensity>(this, _ => { })
+			});
+
+			var output = await renderer.RenderComponentAsync<ThemeSelector>(parameters);
+			return output.ToHtmlString();
+		});
+
+		Assert.Contains("var(--vs-accent-swatch-teal)", html, StringComparison.Ordinal);
+		Assert.Contains("theme-accent-swatch active", html, StringComparison.Ordinal);
+		Assert.Contains(">Compact</span>", html, StringComparison.Ordinal);
+	}
+
+	[Fact]
+	public async Task ThemeSelector_OffersHighContrastThemes()
+	{
+		var services = new ServiceCollection();
+		services.AddLogging();
+
+		await using var renderer = new HtmlRenderer(services.BuildServiceProvider(), NullLoggerFactory.Instance);
+
+		var html = await renderer.Dispatcher.InvokeAsync(async () =>
+		{
+			var parameters = ParameterView.FromDictionary(new Dictionary<string, object?>
+			{
+				[nameof(ThemeSelector.SelectedTheme)] = ThemePreference.HighContrastLight
+			});
+
+			var output = await renderer.RenderComponentAsync<ThemeSelector>(parameters);
+			return output.ToHtmlString();
+		});
+
+		Assert.Contains(">HC Dark</span>", html, StringComparison.Ordinal);
+		Assert.Contains(">HC Light</span>", html, StringComparison.Ordinal);
+		Assert.Contains("title=\"High contrast light\"", html, StringComparison.Ordinal);
+		Assert.Single(System.Text.RegularExpressions.Regex.Matches(html, "btn btn-primary"));
+	}
 }
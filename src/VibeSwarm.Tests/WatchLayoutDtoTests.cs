@@ -0,0 +1,35 @@
+using VibeSwarm.Shared.Models;
+using VibeSwarm.Shared.Validation;
+
+namespace VibeSwarm.Tests;
+
+public sealed class WatchLayoutDtoTests
+{
+	[Fact]
+	public void Normalize_DropsEmptyAndRepeatedJobsAndCapsTheWall()
+	{
+		var repeated = Guid.NewGuid();
+		var jobIds = new List<Guid> { repeated, Guid.Empty, repeated };
+		jobIds.AddRange(Enumerable.Range(0, ValidationLimits.WatchWallMaxJobs).Select(_ => Guid.NewGuid()));
+
+		var layout = new WatchLayoutDto { JobIds = jobIds, Columns = 7, FollowAllRunning = true }.Normalize();
+
+		Assert.Equal(ValidationLimits.WatchWallMaxJobs, layout.JobIds.Count);
+		Assert.Equal(repeated, layout.JobIds[0]);
+		Assert.DoesNotContain(Guid.Empty, layout.JobIds);
+		Assert.Equal(ValidationLimits.WatchWallMaxColumns, layout.Columns);
+		Assert.True(layout.FollowAllRunning);
+	}
+
+	[Fact]
+	public void Normalize_KeepsTheOrderOfTheTiles()
+	{
+		var first = Guid.NewGuid();
+		var second = Guid.NewGuid();
+
+		var layout = new WatchLayoutDto { JobIds = [second, first], Columns = -1 }.Normalize();
+
+		Assert.Equal(new[] { second, first }, layout.JobIds);
+		Assert.Equal(0, layout.Columns);
+	}
+}
@@ -0,0 +1,590 @@
+using System.Buffers.Binary;
+using System.Buffers.Text;
+using System.ComponentModel.DataAnnotations;
+using System.Net;
+using System.Security.Cryptography;
+using System.Security.Cryptography.X509Certificates;
+using System.Text;
+using System.Text.Json;
+using Microsoft.AspNetCore.Builder;
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.AspNetCore.Http;
+using Microsoft.Data.Sqlite;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging;
+using Microsoft.Extensions.Logging.Abstractions;
+using Microsoft.Extensions.Options;
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.Models;
+using VibeSwarm.Shared.Providers;
+using VibeSwarm.Shared.Services;
+using VibeSwarm.Web.Services;
+
+namespace VibeSwarm.Tests;
+
+public sealed class WebPushTests : IDisposable
+{
+	private const string PushEndpoint = "https://push.example.test/push/";
+
+	private readonly SqliteConnection _connection;
+	private readonly DbContextOptions<VibeSwarmDbContext> _dbOptions;
+	private readonly WebPushVapidKeys _vapidKeys = WebPushVapidKeyProvider.GenerateKeys();
+
+	public WebPushTests()
+	{
+		_connection = new SqliteConnection("Data Source=:memory:");
+		_connection.Open();
+
+		_dbOptions = new DbContextOptionsBuilder<VibeSwarmDbContext>()
+			.UseSqlite(_connection)
+			.Options;
+
+		using var dbContext = CreateDbContext();
+		dbContext.Database.EnsureCreated();
+	}
+
+	[Fact]
+	public void Encrypt_ProducesAes128GcmRecordTheBrowserCanDecrypt()
+	{
+		using var browserKey = ECDiffieHellman.Create(ECCurve.NamedCurves.nistP256);
+		var authSecret = RandomNumberGenerator.GetBytes(16);
+		var plaintext = Encoding.UTF8.GetBytes("{\"title\":\"Completed: Fix login\"}");
+
+		var body = WebPushPayloadEncryptor.Encrypt(
+			EncodePublicKey(browserKey),
+			Base64Url.EncodeToString(authSecret),
+			plaintext);
+
+		Assert.Equal(4096u, BinaryPrimitives.ReadUInt32BigEndian(body.AsSpan(16, 4)));
+		Assert.Equal(65, body[20]);
+		Assert.Equal(plaintext, Decrypt(body, browserKey, authSecret));
+	}
+
+	[Fact]
+	public async Task SendAsync_PostsEncryptedPayloadWithVapidAuthorization()
+	{
+		Uri? capturedUri = null;
+		string? contentEncoding = null;
+		string? urgency = null;
+		string? timeToLive = null;
+		string? authorization = null;
+		byte[]? capturedBody = null;
+		var sender = CreateSender(async request =>
+		{
+			capturedUri = request.RequestUri;
+			contentEncoding = Assert.Single(request.Content!.Headers.ContentEncoding);
+			urgency = Assert.Single(request.Headers.GetValues("Urgency"));
+			timeToLive = Assert.Single(request.Headers.GetValues("TTL"));
+			authorization = Assert.Single(request.Headers.GetValues("Authorization"));
+			capturedBody = await request.Content.ReadAsByteArrayAsync();
+			return new HttpResponseMessage(HttpStatusCode.Created);
+		});
+		using var browserKey = ECDiffieHellman.Create(ECCurve.NamedCurves.nistP256);
+		var authSecret = RandomNumberGenerator.GetBytes(16);
+		var jobId = Guid.NewGuid();
+
+		var status = await sender.SendAsync(
+			CreateSubscription(Guid.NewGuid(), browserKey, authSecret),
+			new WebPushNotificationPayload
+			{
+				Title = "Input needed: Fix login",
+				Body = "Overwrite config.json?",
+				Url = $"/jobs/view/{jobId}",
+				Tag = $"job-{jobId}",
+				Kind = WebPushNotificationKinds.JobInteractionRequired,
+				JobId = jobId,
+				RequireInteraction = true
+			});
+
+		Assert.Equal(WebPushDeliveryStatus.Delivered, status);
+		Assert.Equal(new Uri(PushEndpoint), capturedUri);
+		Assert.Equal("aes128gcm", contentEncoding);
+		Assert.Equal("high", urgency);
+		Assert.Equal("86400", timeToLive);
+		Assert.NotNull(authorization);
+		Assert.StartsWith("vapid t=", authorization);
+		Assert.EndsWith($", k={_vapidKeys.PublicKey}", authorization);
+		AssertValidVapidToken(authorization["vapid t=".Length..authorization.IndexOf(',')], "https://push.example.test");
+
+		using var payload = JsonDocument.Parse(Decrypt(capturedBody!, browserKey, authSecret));
+		Assert.Equal("Input needed: Fix login", payload.RootElement.GetProperty("title").GetString());
+		Assert.Equal($"/jobs/view/{jobId}", payload.RootElement.GetProperty("url").GetString());
+	}
+
+	[Fact]
+	public async Task SendAsync_DeliversToLocalPushServiceStandIn()
+	{
+		using var certificate = CreateLocalhostCertificate();
+		var received = new TaskCompletionSource<ReceivedPush>(TaskCreationOptions.RunContinuationsAsynchronously);
+
+		var builder = WebApplication.CreateSlimBuilder();
+		builder.Logging.ClearProviders();
+		builder.WebHost.ConfigureKestrel(kestrel => kestrel.Listen(IPAddress.Loopback, 0, listen => listen.UseHttps(certificate)));
+		await using var pushService = builder.Build();
+		pushService.MapPost("/push/{token}", async (HttpRequest request) =>
+		{
+			using var body = new MemoryStream();
+			await request.Body.CopyToAsync(body);
+			received.TrySetResult(new ReceivedPush(
+				request.Path.ToString(),
+				request.Headers.Authorization.ToString(),
+				request.Headers.ContentEncoding.ToString(),
+				request.Headers["TTL"].ToString(),
+				body.ToArray()));
+			return Results.StatusCode(StatusCodes.Status201Created);
+		});
+		await pushService.StartAsync();
+
+		var port = new Uri(pushService.Urls.Single()).Port;
+		var options = Options.Create(new WebPushOptions
+		{
+			Subject = "mailto:ops@example.test",
+			PublicKey = _vapidKeys.PublicKey,
+			PrivateKey = _vapidKeys.PrivateKey,
+			AdditionalEndpointHosts = ["localhost"]
+		});
+		var sender = new WebPushSender(
+			new TrustingHttpClientFactory(certificate),
+			new WebPushVapidKeyProvider(options, NullLogger<WebPushVapidKeyProvider>.Instance),
+			options,
+			NullLogger<WebPushSender>.Instance);
+		using var browserKey = ECDiffieHellman.Create(ECCurve.NamedCurves.nistP256);
+		var authSecret = RandomNumberGenerator.GetBytes(16);
+		var jobId = Guid.NewGuid();
+
+		var status = await sender.SendAsync(
+			CreateSubscription(Guid.NewGuid(), browserKey, authSecret, $"https://localhost:{port}/push/device-token"),
+			WebPushDispatchService.CreatePayload(new WebPushJobEvent(jobId, WebPushNotificationKinds.JobCompleted), "Fix login", "Web"));
+		var push = await received.Task.WaitAsync(TimeSpan.FromSeconds(10));
+
+		Assert.Equal(WebPushDeliveryStatus.Delivered, status);
+		Assert.Equal("/push/device-token", push.Path);
+		Assert.Equal("aes128gcm", push.ContentEncoding);
+		Assert.Equal("86400", push.TimeToLive);
+		Assert.StartsWith("vapid t=", push.Authorization);
+		Assert.EndsWith($", k={_vapidKeys.PublicKey}", push.Authorization);
+		AssertValidVapidToken(push.Authorization["vapid t=".Length..push.Authorization.IndexOf(',')], $"https://localhost:{port}");
+
+		using var payload = JsonDocument.Parse(Decrypt(push.Body, browserKey, authSecret));
+		Assert.Equal("Completed: Fix login", payload.RootElement.GetProperty("title").GetString());
+		Assert.Equal($"/jobs/view/{jobId}", payload.RootElement.GetProperty("url").GetString());
+	}
+
+	[Fact]
+	public async Task SendToAllAsync_RemovesSubscriptionsThePushServiceReportsGone()
+	{
+		var userId = await CreateUserAsync();
+		using var activeKey = ECDiffieHellman.Create(ECCurve.NamedCurves.nistP256);
+		using var goneKey = ECDiffieHellman.Create(ECCurve.NamedCurves.nistP256);
+		var active = CreateSubscription(userId, activeKey, RandomNumberGenerator.GetBytes(16), PushEndpoint + "active");
+		var gone = CreateSubscription(userId, goneKey, RandomNumberGenerator.GetBytes(16), PushEndpoint + "gone");
+
+		await using (var seedContext = CreateDbContext())
+		{
+			seedContext.WebPushSubscriptions.AddRange(active, gone);
+			await seedContext.SaveChangesAsync();
+		}
+
+		await using var dbContext = CreateDbContext();
+		var service = CreateSubscriptionService(dbContext, request => Task.FromResult(new HttpResponseMessage(
+			request.RequestUri!.AbsolutePath.EndsWith("/gone") ? HttpStatusCode.Gone : HttpStatusCode.Created)));
+
+		var delivered = await service.SendToAllAsync(WebPushDispatchService.CreatePayload(
+			new WebPushJobEvent(Guid.NewGuid(), WebPushNotificationKinds.JobCompleted), "Fix login", "Web"));
+
+		Assert.Equal(1, delivered);
+		var remaining = Assert.Single(await CreateDbContext().WebPushSubscriptions.ToListAsync());
+		Assert.Equal(active.Id, remaining.Id);
+		Assert.NotNull(remaining.LastDeliveredAt);
+	}
+
+	[Fact]
+	public async Task SubscribeAsync_ReusesExistingEndpointAndRefreshesKeys()
+	{
+		var userId = await CreateUserAsync();
+		await using var dbContext = CreateDbContext();
+		var service = CreateSubscriptionService(dbContext, _ => Task.FromResult(new HttpResponseMessage(HttpStatusCode.Created)));
+
+		var first = await service.SubscribeAsync(userId, new WebPushSubscribeRequest
+		{
+			Endpoint = PushEndpoint + "device",
+			P256dh = "first-key",
+			Auth = "first-auth",
+			DeviceName = "iPhone · Safari"
+		}, "Mozilla/5.0 (iPhone)");
+		var second = await service.SubscribeAsync(userId, new WebPushSubscribeRequest
+		{
+			Endpoint = PushEndpoint + "device",
+			P256dh = "second-key",
+			Auth = "second-auth",
+			DeviceName = "iPhone · Safari"
+		}, "Mozilla/5.0 (iPhone)");
+
+		Assert.NotNull(first);
+		Assert.Equal(first.Id, second?.Id);
+		var stored = Assert.Single(await CreateDbContext().WebPushSubscriptions.ToListAsync());
+		Assert.Equal("second-key", stored.P256dh);
+		Assert.Equal("second-auth", stored.Auth);
+	}
+
+	[Fact]
+	public async Task SubscribeAsync_RefusesEndpointRegisteredToAnotherUser()
+	{
+		var ownerId = await CreateUserAsync();
+		var otherUserId = await CreateUserAsync("guest");
+		await using var dbContext = CreateDbContext();
+		var service = CreateSubscriptionService(dbContext, _ => Task.FromResult(new HttpResponseMessage(HttpStatusCode.Created)));
+		await service.SubscribeAsync(ownerId, new WebPushSubscribeRequest
+		{
+			Endpoint = PushEndpoint + "device",
+			P256dh = "owner-key",
+			Auth = "owner-auth"
+		}, null);
+
+		var takeover = await service.SubscribeAsync(otherUserId, new WebPushSubscribeRequest
+		{
+			Endpoint = PushEndpoint + "device",
+			P256dh = "attacker-key",
+			Auth = "attacker-auth"
+		}, null);
+
+		Assert.Null(takeover);
+		var stored = Assert.Single(await CreateDbContext().WebPushSubscriptions.ToListAsync());
+		Assert.Equal(ownerId, stored.UserId);
+		Assert.Equal("owner-key", stored.P256dh);
+	}
+
+	[Theory]
+	[InlineData("http://localhost:8089/push/device")]
+	[InlineData("http://127.0.0.1/admin")]
+	[InlineData("file:///etc/passwd")]
+	[InlineData("https://localhost:8089/push/device")]
+	[InlineData("https://127.0.0.1/admin")]
+	[InlineData("https://[::1]/admin")]
+	[InlineData("https://10.0.0.5/internal")]
+	[InlineData("https://169.254.169.254/latest/meta-data/")]
+	[InlineData("https://fcm.googleapis.com.attacker.test/push")]
+	[InlineData("https://user@fcm.googleapis.com/fcm/send/device")]
+	public async Task SubscribeAsync_RefusesEndpointsOutsideKnownPushServices(string endpoint)
+	{
+		var userId = await CreateUserAsync();
+		await using var dbContext = CreateDbContext();
+		var service = CreateSubscriptionService(dbContext, _ => Task.FromResult(new HttpResponseMessage(HttpStatusCode.Created)));
+
+		await Assert.ThrowsAsync<ValidationException>(() => service.SubscribeAsync(userId, new WebPushSubscribeRequest
+		{
+			Endpoint = endpoint,
+			P256dh = "key",
+			Auth = "auth"
+		}, null));
+		Assert.Empty(await CreateDbContext().WebPushSubscriptions.ToListAsync());
+	}
+
+	[Theory]
+	[InlineData("https://fcm.googleapis.com/fcm/send/device-token")]
+	[InlineData("https://updates.push.services.mozilla.com/wpush/v2/device-token")]
+	[InlineData("https://wns2-by3p.notify.windows.com/w/?token=device-token")]
+	[InlineData("https://web.push.apple.com/device-token")]
+	public void IsValidEndpoint_AcceptsBrowserPushServices(string endpoint)
+	{
+		Assert.True(WebPushSubscriptionService.IsValidEndpoint(endpoint, new WebPushOptions(), out _));
+	}
+
+	[Fact]
+	public async Task SendAsync_DoesNotPostToLoopbackEndpoints()
+	{
+		var requested = false;
+		var sender = CreateSender(_ =>
+		{
+			requested = true;
+			return Task.FromResult(new HttpResponseMessage(HttpStatusCode.Created));
+		});
+		using var browserKey = ECDiffieHellman.Create(ECCurve.NamedCurves.nistP256);
+		var subscription = CreateSubscription(Guid.NewGuid(), browserKey, RandomNumberGenerator.GetBytes(16), "http://localhost:8089/push/");
+
+		var status = await sender.SendAsync(subscription, new WebPushNotificationPayload { Title = "Done" });
+
+		Assert.Equal(WebPushDeliveryStatus.Expired, status);
+		Assert.False(requested);
+	}
+
+	[Fact]
+	public void CreatePayload_LinksToJobAndSummarizesFailure()
+	{
+		var jobId = Guid.NewGuid();
+
+		var payload = WebPushDispatchService.CreatePayload(
+			new WebPushJobEvent(jobId, WebPushNotificationKinds.JobFailed, "Build failed: missing semicolon"),
+			"Fix login redirect",
+			"Web");
+
+		Assert.Equal("Failed: Fix login redirect", payload.Title);
+		Assert.Equal("Web: Build failed: missing semicolon", payload.Body);
+		Assert.Equal($"/jobs/view/{jobId}", payload.Url);
+		Assert.Equal($"job-{jobId}", payload.Tag);
+		Assert.False(payload.RequireInteraction);
+		Assert.Empty(payload.Actions);
+	}
+
+	[Fact]
+	public void CreatePayload_OffersApproveAndDenyForConfirmationPrompts()
+	{
+		var payload = WebPushDispatchService.CreatePayload(
+			new WebPushJobEvent(Guid.NewGuid(), WebPushNotificationKinds.JobInteractionRequired, "Apply changes? [Y/n]",
+				"Confirmation", ["Y", "n"]),
+			"Fix login redirect",
+			null);
+
+		Assert.True(payload.RequireInteraction);
+		Assert.Collection(payload.Actions,
+			approve =>
+			{
+				Assert.Equal("approve", approve.Action);
+				Assert.Equal("button", approve.Type);
+				Assert.Equal("Y", approve.Response);
+			},
+			deny =>
+			{
+				Assert.Equal("deny", deny.Action);
+				Assert.Equal("n", deny.Response);
+			});
+	}
+
+	[Fact]
+	public void CreatePayload_OffersTextReplyForOpenEndedPrompts()
+	{
+		var payload = WebPushDispatchService.CreatePayload(
+			new WebPushJobEvent(Guid.NewGuid(), WebPushNotificationKinds.JobInteractionRequired, "Which branch should I use?",
+				"TextInput"),
+			"Fix login redirect",
+			null);
+
+		var reply = Assert.Single(payload.Actions);
+		Assert.Equal("reply", reply.Action);
+		Assert.Equal("text", reply.Type);
+		Assert.Null(reply.Response);
+	}
+
+	[Fact]
+	public async Task SubmitFromNotificationAsync_DeliversResponseAndRecordsNotificationMessage()
+	{
+		var jobId = await CreateJobAsync();
+		var interactionResponses = new InMemoryInteractionResponseService();
+		var waitingResponse = interactionResponses.WaitForResponseAsync(jobId);
+		await using var dbContext = CreateDbContext();
+		var service = new JobInteractionReplyService(dbContext, interactionResponses, NullLogger<JobInteractionReplyService>.Instance);
+
+		var status = await service.SubmitFromNotificationAsync(jobId, "  y ");
+
+		Assert.Equal(JobInteractionReplyStatus.Delivered, status);
+		Assert.Equal("y", await waitingResponse);
+		var message = Assert.Single(await CreateDbContext().JobMessages.ToListAsync());
+		Assert.Equal(jobId, message.JobId);
+		Assert.Equal(MessageRole.User, message.Role);
+		Assert.Equal("y", message.Content);
+		Assert.Equal(MessageSource.Notification, message.Source);
+	}
+
+	[Fact]
+	public async Task SubmitFromNotificationAsync_DoesNotRecordReplyWhenJobIsNotWaiting()
+	{
+		var jobId = await CreateJobAsync();
+		await using var dbContext = CreateDbContext();
+		var service = new JobInteractionReplyService(dbContext, new InMemoryInteractionResponseService(), NullLogger<JobInteractionReplyService>.Instance);
+
+		var status = await service.SubmitFromNotificationAsync(jobId, "y");
+
+		Assert.Equal(JobInteractionReplyStatus.NotWaiting, status);
+		Assert.Empty(await CreateDbContext().JobMessages.ToListAsync());
+	}
+
+	public void Dispose()
+	{
+		_connection.Dispose();
+	}
+
+	private VibeSwarmDbContext CreateDbContext() => new(_dbOptions);
+
+	private async Task<Guid> CreateUserAsync(string userName = "admin")
+	{
+		await using var dbContext = CreateDbContext();
+		var user = new ApplicationUser
+		{
+			Id = Guid.NewGuid(),
+			UserName = userName,
+			NormalizedUserName = userName.ToUpperInvariant(),
+			SecurityStamp = "security-stamp",
+			CreatedAt = DateTime.UtcNow
+		};
+		dbContext.Users.Add(user);
+		await dbContext.SaveChangesAsync();
+		return user.Id;
+	}
+
+	private async Task<Guid> CreateJobAsync()
+	{
+		await using var dbContext = CreateDbContext();
+		var providerId = Guid.NewGuid();
+		var projectId = Guid.NewGuid();
+		dbContext.Providers.Add(new Provider
+		{
+			Id = providerId,
+			Name = "Claude",
+			Type = ProviderType.Claude,
+			ConnectionMode = ProviderConnectionMode.CLI
+		});
+		dbContext.Projects.Add(new Project
+		{
+			Id = projectId,
+			Name = "Web",
+			WorkingPath = "/tmp/web-push-project"
+		});
+		var job = new Job
+		{
+			Id = Guid.NewGuid(),
+			ProjectId = projectId,
+			ProviderId = providerId,
+			GoalPrompt = "Fix login redirect",
+			Status = JobStatus.Paused
+		};
+		dbContext.Jobs.Add(job);
+		await dbContext.SaveChangesAsync();
+		return job.Id;
+	}
+
+	private WebPushSender CreateSender(Func<HttpRequestMessage, Task<HttpResponseMessage>> pushEndpoint)
+	{
+		var options = CreateOptions();
+		return new WebPushSender(
+			new StubHttpClientFactory(new StubHttpMessageHandler(pushEndpoint)),
+			new WebPushVapidKeyProvider(options, NullLogger<WebPushVapidKeyProvider>.Instance),
+			options,
+			NullLogger<WebPushSender>.Instance);
+	}
+
+	private WebPushSubscriptionService CreateSubscriptionService(
+		VibeSwarmDbContext dbContext,
+		Func<HttpRequestMessage, Task<HttpResponseMessage>> pushEndpoint)
+	{
+		var options = CreateOptions();
+		return new WebPushSubscriptionService(
+			dbContext,
+			CreateSender(pushEndpoint),
+			new WebPushVapidKeyProvider(options, NullLogger<WebPushVapidKeyProvider>.Instance),
+			options,
+			NullLogger<WebPushSubscriptionService>.Instance);
+	}
+
+	private IOptions<WebPushOptions> CreateOptions() => Options.Create(new WebPushOptions
+	{
+		Subject = "mailto:ops@example.test",
+		PublicKey = _vapidKeys.PublicKey,
+		PrivateKey = _vapidKeys.PrivateKey,
+		AdditionalEndpointHosts = ["push.example.test"]
+	});
+
+	private static WebPushSubscription CreateSubscription(
+		Guid userId,
+		ECDiffieHellman browserKey,
+		byte[] authSecret,
+		string endpoint = PushEndpoint) => new()
+	{
+		Id = Guid.NewGuid(),
+		UserId = userId,
+		Endpoint = endpoint,
+		P256dh = EncodePublicKey(browserKey),
+		Auth = Base64Url.EncodeToString(authSecret),
+		CreatedAt = DateTime.UtcNow
+	};
+
+	private static X509Certificate2 CreateLocalhostCertificate()
+	{
+		using var key = ECDsa.Create(ECCurve.NamedCurves.nistP256);
+		var request = new CertificateRequest("CN=localhost", key, HashAlgorithmName.SHA256);
+		var subjectAlternativeNames = new SubjectAlternativeNameBuilder();
+		subjectAlternativeNames.AddDnsName("localhost");
+		request.CertificateExtensions.Add(subjectAlternativeNames.Build());
+
+		using var certificate = request.CreateSelfSigned(DateTimeOffset.UtcNow.AddMinutes(-5), DateTimeOffset.UtcNow.AddHours(1));
+		// Round-trip through PFX so the private key is usable by SslStream on every platform
+		return X509CertificateLoader.LoadPkcs12(certificate.Export(X509ContentType.Pfx), null);
+	}
+
+	private static string EncodePublicKey(ECDiffieHellman key)
+		=> Base64Url.EncodeToString(WebPushVapidKeyProvider.EncodeUncompressedPoint(key.ExportParameters(false).Q));
+
+	// Mirrors what the browser does on receipt (RFC 8291 section 3.4)
+	private static byte[] Decrypt(byte[] body, ECDiffieHellman browserKey, byte[] authSecret)
+	{
+		var salt = body[..16];
+		var keyIdLength = body[20];
+		var serverPublicKey = body[21..(21 + keyIdLength)];
+		var record = body[(21 + keyIdLength)..];
+
+		using var serverKey = ECDiffieHellman.Create(new ECParameters
+		{
+			Curve = ECCurve.NamedCurves.nistP256,
+			Q = WebPushVapidKeyProvider.DecodeUncompressedPoint(serverPublicKey)
+		});
+		var sharedSecret = browserKey.DeriveRawSecretAgreement(serverKey.PublicKey);
+		var browserPublicKey = WebPushVapidKeyProvider.EncodeUncompressedPoint(browserKey.ExportParameters(false).Q);
+
+		var keyInfo = Encoding.ASCII.GetBytes("WebPush: info\0").Concat(browserPublicKey).Concat(serverPublicKey).ToArray();
+		var inputKeyMaterial = HKDF.DeriveKey(HashAlgorithmName.SHA256, sharedSecret, 32, authSecret, keyInfo);
+		var contentEncryptionKey = HKDF.DeriveKey(HashAlgorithmName.SHA256, inputKeyMaterial, 16, salt, Encoding.ASCII.GetBytes("Content-Encoding: aes128gcm\0"));
+		var nonce = HKDF.DeriveKey(HashAlgorithmName.SHA256, inputKeyMaterial, 12, salt, Encoding.ASCII.GetBytes("Content-Encoding: nonce\0"));
+
+		var plaintext = new byte[record.Length - 16];
+		using var aes = new AesGcm(contentEncryptionKey, 16);
+		aes.Decrypt(nonce, record[..^16], record[^16..], plaintext);
+
+		Assert.Equal(0x02, plaintext[^1]);
+		return plaintext[..^1];
+	}
+
+	private void AssertValidVapidToken(string token, string expectedAudience)
+	{
+		var parts = token.Split('.');
+		Assert.Equal(3, parts.Length);
+
+		using var ecdsa = ECDsa.Create(new ECParameters
+		{
+			Curve = ECCurve.NamedCurves.nistP256,
+			Q = WebPushVapidKeyProvider.DecodeUncompressedPoint(Base64Url.DecodeFromChars(_vapidKeys.PublicKey))
+		});
+		Assert.True(ecdsa.VerifyData(
+			Encoding.ASCII.GetBytes($"{parts[0]}.{parts[1]}"),
+			Base64Url.DecodeFromChars(parts[2]),
+			HashAlgorithmName.SHA256));
+
+		using var claims = JsonDocument.Parse(Base64Url.DecodeFromChars(parts[1]));
+		Assert.Equal(expectedAudience, claims.RootElement.GetProperty("aud").GetString());
+		Assert.Equal("mailto:ops@example.test", claims.RootElement.GetProperty("sub").GetString());
+	}
+
+	private sealed class StubHttpClientFactory(HttpMessageHandler handler) : IHttpClientFactory
+	{
+		public HttpClient CreateClient(string name) => new(handler, disposeHandler: false);
+	}
+
+	private sealed class TrustingHttpClientFactory(X509Certificate2 certificate) : IHttpClientFactory
+	{
+		public HttpClient CreateClient(string name) => new(new SocketsHttpHandler
+		{
+			SslOptions =
+			{
+				RemoteCertificateValidationCallback = (_, presented, _, _)
+					=> presented?.GetCertHashString() == certificate.GetCertHashString()
+			}
+		});
+	}
+
+	private sealed record ReceivedPush(string Path, string Authorization, string ContentEncoding, string TimeToLive, byte[] Body);
+
+	private sealed class StubHttpMessageHandler(
+		Func<HttpRequestMessage, Task<HttpResponseMessage>> handler) : HttpMessageHandler
+	{
+		protected override Task<HttpResponseMessage> SendAsync(HttpRequestMessage request, CancellationToken cancellationToken)
+			=> handler(request);
+	}
+}
@@ -1,8 +1,10 @@
+using System.Text.Json;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Identity;
 using Microsoft.AspNetCore.Mvc;
 using VibeSwarm.Shared.Data;
 using VibeSwarm.Shared.Models;
+using VibeSwarm.Shared.Utilities;
 using VibeSwarm.Web.Services;
 
 namespace VibeSwarm.Web.Controllers;
@@ -25,7 +27,7 @@ public class AuthController : ControllerBase
         var user = await _userManager.GetUserAsync(User);
         if (user == null) return Unauthorized();
         var roles = await _userManager.GetRolesAsync(user);
-        ThemePreferenceCookieHelper.Append(Response, Request, user.ThemePreference);
+        ThemePreferenceCookieHelper.Append(Response, Request, user);
         return Ok(new
         {
             UserId = user.Id.ToString(),
@@ -48,12 +50,9 @@ public class AuthController : ControllerBase
             return Unauthorized();
         }
 
-        ThemePreferenceCookieHelper.Append(Response, Request, user.ThemePreference);
+        ThemePreferenceCookieHelper.Append(Response, Request, user);
 
-        return Ok(new ThemePreferenceDto
-        {
-            Theme = user.ThemePreference.ToValue()
-        });
+        return Ok(ToThemePreferenceDto(user));
     }
 
     [HttpPut("theme-preference")]
@@ -61,7 +60,29 @@ public class AuthController : ControllerBase
     {
         if (!ThemePreferenceExtensions.TryParse(request.Theme, out var themePreference))
         {
-            return BadRequest(new { Message = "Theme must be one of: system, light, dark." });
+            return BadRequest(new { Message = "Theme must be one of: system, light, dark, high-contrast-dark, high-contrast-light." });
+        }
+
+        ThemeAccent? accent = null;
+        if (request.Accent != null)
+        {
+            if (!ThemeAccentExtensions.TryParse(request.Accent, out ThemeAccent parsedAccent))
+            {
+                return BadRequest(new { Message = $"Accent must be one of: {string.Join(", ", Enum.GetValues<ThemeAccent>().Select(a => a.ToValue()))}." });
+            }
+
+            accent = parsedAccent;
+        }
+
+        ThemeDensity? density = null;
+        if (request.Density != null)
+        {
+            if (!ThemeAccentExtensions.TryParse(request.Density, out ThemeDensity parsedDensity))
+            {
+                return BadRequest(new { Message = "Density must be one of: comfortable, compact." });
+            }
+
+            density = parsedDensity;
         }
 
         var user = await _userManager.GetUserAsync(User);
@@ -71,6 +92,8 @@ public class AuthController : ControllerBase
         }
 
         user.ThemePreference = themePreference;
+        user.ThemeAccent = accent ?? user.ThemeAccent;
+        user.ThemeDensity = density ?? user.ThemeDensity;
         var result = await _userManager.UpdateAsync(user);
         if (!result.Succeeded)
         {
@@ -78,12 +101,116 @@ public class AuthController : ControllerBase
             return BadRequest(new { Message = errors });
         }
 
-        ThemePreferenceCookieHelper.Append(Response, Request, user.ThemePreference);
+        ThemePreferenceCookieHelper.Append(Response, Request, user);
+
+        return Ok(ToThemePreferenceDto(user));
+    }
+
+    [HttpGet("keyboard-shortcuts")]
+    public async Task<IActionResult> GetKeyboardShortcuts()
+    {
+        var user = await _userManager.GetUserAsync(User);
+        if (user == null)
+        {
+            return Unauthorized();
+        }
+
+        return Ok(ToKeyboardShortcutPreferencesDto(user));
+    }
+
+    [HttpPut("keyboard-shortcuts")]
+    public async Task<IActionResult> UpdateKeyboardShortcuts([FromBody] KeyboardShortcutPreferencesDto request)
+    {
+        if (!KeyboardShortcutCatalog.TryNormalizeOverrides(request.Bindings, out var bindings, out var error))
+        {
+            return BadRequest(new { Message = error });
+        }
 
-        return Ok(new ThemePreferenceDto
+        var user = await _userManager.GetUserAsync(User);
+        if (user == null)
         {
-            Theme = user.ThemePreference.ToValue()
-        });
+            return Unauthorized();
+        }
+
+        user.KeyboardShortcutsJson = bindings.Count == 0 ? null : JsonSerializer.Serialize(bindings);
+        var result = await _userManager.UpdateAsync(user);
+        if (!result.Succeeded)
+        {
+            var errors = string.Join(" ", result.Errors.Select(e => e.Description));
+            return BadRequest(new { Message = errors });
+        }
+
+        return Ok(ToKeyboardShortcutPreferencesDto(user));
+    }
+
+    [HttpGet("watch-layout")]
+    public async Task<IActionResult> GetWatchLayout()
+    {
+        var user = await _userManager.GetUserAsync(User);
+        if (user == null)
+        {
+            return Unauthorized();
+        }
+
+        return Ok(ToWatchLayoutDto(user));
+    }
+
+    [HttpPut("watch-layout")]
+    public async Task<IActionResult> UpdateWatchLayout([FromBody] WatchLayoutDto request)
+    {
+        var user = await _userManager.GetUserAsync(User);
+        if (user == null)
+        {
+            return Unauthorized();
+        }
+
+        var layout = request.Normalize();
+        user.WatchLayoutJson = JsonSerializer.Serialize(layout);
+        var result = await _userManager.UpdateAsync(user);
+        if (!result.Succeeded)
+        {
+            var errors = string.Join(" ", result.Errors.Select(e => e.Description));
+            return BadRequest(new { Message = errors });
+        }
+
+        return Ok(layout);
+    }
+
+    [HttpGet("diff-view-mode")]
+    public async Task<IActionResult> GetDiffViewMode()
+    {
+        var user = await _userManager.GetUserAsync(User);
+        if (user == null)
+        {
+            return Unauthorized();
+        }
+
+        return Ok(new DiffViewPreferenceDto { Mode = user.DiffViewMode });
+    }
+
+    [HttpPut("diff-view-mode")]
+    public async Task<IActionResult> UpdateDiffViewMode([FromBody] DiffViewPreferenceDto request)
+    {
+        if (!Enum.IsDefined(request.Mode))
+        {
+            return BadRequest(new { Message = "Diff view mode must be unified or split." });
+        }
+
+        var user = await _userManager.GetUserAsync(User);
+        if (user == null)
+        {
+            return Unauthorized();
+        }
+
+        user.DiffViewMode = request.Mode;
+        var result = await _userManager.UpdateAsync(user);
+        if (!result.Succeeded)
+        {
+            var errors = string.Join(" ", result.Errors.Select(e => e.Description));
+            return BadRequest(new { Message = errors });
+        }
+
+        return Ok(new DiffViewPreferenceDto { Mode = user.DiffViewMode });
     }
 
     [HttpPost("change-password")]
@@ -102,6 +229,53 @@ public class AuthController : ControllerBase
         var errors = string.Join(" ", result.Errors.Select(e => e.Description));
         return BadRequest(new { Success = false, Message = errors });
     }
+
+    private static ThemePreferenceDto ToThemePreferenceDto(ApplicationUser user) => new()
+    {
+        Theme = user.ThemePreference.ToValue(),
+        Accent = user.ThemeAccent.ToValue(),
+        Density = user.ThemeDensity.ToValue()
+    };
+
+    // Stored overrides that no longer parse (an action was removed, say) are dropped rather than failing the request
+    private static KeyboardShortcutPreferencesDto ToKeyboardShortcutPreferencesDto(ApplicationUser user)
+    {
+        Dictionary<string, string>? stored = null;
+        if (!string.IsNullOrEmpty(user.KeyboardShortcutsJson))
+        {
+            try
+            {
+                stored = JsonSerializer.Deserialize<Dictionary<string, string>>(user.KeyboardShortcutsJson);
+            }
+            catch (JsonException)
+            {
+            }
+        }
+
+        return new KeyboardShortcutPreferencesDto
+        {
+            Bindings = stored != null && KeyboardShortcutCatalog.TryNormalizeOverrides(stored, out var bindings, out _)
+                ? bindings
+                : new Dictionary<string, string>(StringComparer.Ordinal)
+        };
+    }
+
+    private static WatchLayoutDto ToWatchLayoutDto(ApplicationUser user)
+    {
+        if (string.IsNullOrEmpty(user.WatchLayoutJson))
+        {
+            return new WatchLayoutDto();
+        }
+
+        try
+        {
+            return JsonSerializer.Deserialize<WatchLayoutDto>(user.WatchLayoutJson)?.Normalize() ?? new WatchLayoutDto();
+        }
+        catch (JsonException)
+        {
+            return new WatchLayoutDto();
+        }
+    }
 }
 
 public class ChangePasswordRequest
@@ -1,4 +1,5 @@
 using System.Security.Claims;
+using System.Text.Json;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using VibeSwarm.Shared.Data;
@@ -10,6 +11,8 @@ namespace VibeSwarm.Web.Controllers;
 [Route("api/diagnostics")]
 public class DiagnosticsController : ControllerBase
 {
+	private const int MaxCspReportBytes = 64 * 1024;
+
 	private readonly ICriticalErrorLogService _criticalErrorLogService;
 
 	public DiagnosticsController(ICriticalErrorLogService criticalErrorLogService)
@@ -35,6 +38,38 @@ public class DiagnosticsController : ControllerBase
 		return Ok(await _criticalErrorLogService.LogAsync(entry, cancellationToken));
 	}
 
+	/// <summary>
+	/// Receives Content-Security-Policy violation reports, either the legacy <c>application/csp-report</c>
+	/// body sent for <c>report-uri</c> or the Reporting API's <c>application/reports+json</c> array.
+	/// </summary>
+	[HttpPost("csp-report")]
+	[AllowAnonymous]
+	[RequestSizeLimit(MaxCspReportBytes)]
+	public async Task<IActionResult> CreateCspReport(CancellationToken cancellationToken = default)
+	{
+		List<CriticalErrorLogEntry> entries;
+		try
+		{
+			using var document = await JsonDocument.ParseAsync(Request.Body, cancellationToken: cancellationToken);
+			entries = CreateCspLogEntries(document.RootElement);
+		}
+		catch (JsonException)
+		{
+			return BadRequest(new { error = "Invalid CSP report" });
+		}
+
+		var userId = TryGetUserId(User);
+		var userAgent = HttpContext.Request.Headers.UserAgent.ToString();
+		foreach (var entry in entries)
+		{
+			entry.UserId = userId;
+			entry.UserAgent = userAgent;
+			await _criticalErrorLogService.LogAsync(entry, cancellationToken);
+		}
+
+		return NoContent();
+	}
+
 	[HttpPost("critical-errors/prune")]
 	[Authorize]
 	public async Task<IActionResult> PruneCriticalErrors(CancellationToken cancellationToken = default)
@@ -54,6 +89,64 @@ public class DiagnosticsController : ControllerBase
 		});
 	}
 
+	private static List<CriticalErrorLogEntry> CreateCspLogEntries(JsonElement root)
+	{
+		var entries = new List<CriticalErrorLogEntry>();
+		if (root.ValueKind == JsonValueKind.Array)
+		{
+			foreach (var report in root.EnumerateArray())
+			{
+				if (report.ValueKind == JsonValueKind.Object
+					&& GetString(report, "type") == "csp-violation"
+					&& report.TryGetProperty("body", out var body)
+					&& body.ValueKind == JsonValueKind.Object)
+				{
+					entries.Add(CreateCspLogEntry(body, GetString(body, "documentURL"), GetString(body, "effectiveDirective"),
+						GetString(body, "blockedURL"), GetString(body, "sourceFile"), GetString(body, "disposition")));
+				}
+			}
+		}
+		else if (root.ValueKind == JsonValueKind.Object
+			&& root.TryGetProperty("csp-report", out var report)
+			&& report.ValueKind == JsonValueKind.Object)
+		{
+			entries.Add(CreateCspLogEntry(report, GetString(report, "document-uri"),
+				GetString(report, "effective-directive") ?? GetString(report, "violated-directive"),
+				GetString(report, "blocked-uri"), GetString(report, "source-file"), GetString(report, "disposition")));
+		}
+		else
+		{
+			throw new JsonException("Unrecognised CSP report format.");
+		}
+
+		return entries;
+	}
+
+	private static CriticalErrorLogEntry CreateCspLogEntry(JsonElement report, string? documentUrl, string? directive,
+		string? blockedUrl, string? sourceFile, string? disposition)
+	{
+		var blocked = string.IsNullOrWhiteSpace(blockedUrl) ? "inline" : blockedUrl;
+		var verb = disposition == "report" ? "would block" : "blocked";
+
+		return new CriticalErrorLogEntry
+		{
+			Source = "browser",
+			Category = "csp-violation",
+			Severity = "warning",
+			Message = $"Content Security Policy {verb} {blocked} ({directive ?? "unknown directive"})",
+			Details = sourceFile,
+			Url = documentUrl,
+			AdditionalDataJson = report.GetRawText()
+		};
+	}
+
+	private static string? GetString(JsonElement element, string propertyName)
+	{
+		return element.TryGetProperty(propertyName, out var value) && value.ValueKind == JsonValueKind.String
+			? value.GetString()
+			: null;
+	}
+
 	private static Guid? TryGetUserId(ClaimsPrincipal user)
 	{
 		var userId = user.FindFirstValue(ClaimTypes.NameIdentifier);
@@ -10,8 +10,13 @@ namespace VibeSwarm.Web.Controllers;
 public class FileSystemController : ControllerBase
 {
     private readonly IFileSystemService _fileSystemService;
+    private readonly IProjectFileService _projectFileService;
 
-    public FileSystemController(IFileSystemService fileSystemService) => _fileSystemService = fileSystemService;
+    public FileSystemController(IFileSystemService fileSystemService, IProjectFileService projectFileService)
+    {
+        _fileSystemService = fileSystemService;
+        _projectFileService = projectFileService;
+    }
 
     [HttpGet("list")]
     public async Task<IActionResult> List([FromQuery] string? path, [FromQuery] bool directoriesOnly = false)
@@ -23,4 +28,18 @@ public class FileSystemController : ControllerBase
 
     [HttpGet("drives")]
     public async Task<IActionResult> GetDrives() => Ok(await _fileSystemService.GetDrivesAsync());
+
+    /// <summary>
+    /// Opens a text file under the project's working directory for the file editor.
+    /// </summary>
+    [HttpGet("projects/{projectId:guid}/file")]
+    public async Task<IActionResult> GetProjectFile(Guid projectId, [FromQuery] string path, CancellationToken cancellationToken)
+        => Ok(await _projectFileService.GetFileAsync(projectId, path, cancellationToken));
+
+    /// <summary>
+    /// Saves an edited file, recording it on the request's job as a manual change set.
+    /// </summary>
+    [HttpPut("projects/{projectId:guid}/file")]
+    public async Task<IActionResult> SaveProjectFile(Guid projectId, [FromBody] ProjectFileSaveRequest request, CancellationToken cancellationToken)
+        => Ok(await _projectFileService.SaveFileAsync(projectId, request, User.Identity?.Name, cancellationToken));
 }
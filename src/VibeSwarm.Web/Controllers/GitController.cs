@@ -44,6 +44,9 @@ public class GitController : ControllerBase
     [HttpGet("diff-range")]
     public async Task<IActionResult> GetDiffRange([FromQuery] string path, [FromQuery] string from, [FromQuery] string? to = null, CancellationToken ct = default) => Ok(await _gitService.GetCommitRangeDiffAsync(path, from, to, ct));
 
+    [HttpGet("file-diff")]
+    public async Task<IActionResult> GetFileDiff([FromQuery] string path, [FromQuery] string file, [FromQuery] string? from = null, [FromQuery] string? to = null, [FromQuery] int context = 3, CancellationToken ct = default) => Ok(await _gitService.GetFileDiffAsync(path, file, from, to, context, ct));
+
     [HttpGet("diff-summary")]
     public async Task<IActionResult> GetDiffSummary([FromQuery] string path, [FromQuery] string? baseCommit = null, CancellationToken ct = default) => Ok(await _gitService.GetDiffSummaryAsync(path, baseCommit, ct));
 
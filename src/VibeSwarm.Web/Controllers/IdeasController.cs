@@ -5,6 +5,7 @@ using VibeSwarm.Shared.Data;
 using VibeSwarm.Shared.Models;
 using VibeSwarm.Shared.Services;
 using VibeSwarm.Shared.Validation;
+using VibeSwarm.Web.Services;
 
 namespace VibeSwarm.Web.Controllers;
 
@@ -86,6 +87,33 @@ public class IdeasController : ControllerBase
 	[HttpGet("by-job/{jobId:guid}")]
 	public async Task<IActionResult> GetByJobId(Guid jobId, CancellationToken ct) => Ok(await _ideaService.GetByJobIdAsync(jobId, ct));
 
+	[HttpPost("attachments/uploads")]
+	public async Task<IActionResult> StartAttachmentUpload([FromBody] StartAttachmentUploadRequest request, [FromServices] AttachmentUploadStore uploadStore, CancellationToken ct)
+		=> Ok(await uploadStore.StartAsync(request, ct));
+
+	[HttpGet("attachments/uploads/{uploadId:guid}")]
+	public async Task<IActionResult> GetAttachmentUpload(Guid uploadId, [FromServices] AttachmentUploadStore uploadStore, CancellationToken ct)
+		=> Ok(await uploadStore.GetStatusAsync(uploadId, ct));
+
+	/// <summary>
+	/// Appends the raw request body at <paramref name="offset"/>. Answers 409 with the current status when the
+	/// offset is not where the upload left off, so the client can resume from there.
+	/// </summary>
+	[HttpPut("attachments/uploads/{uploadId:guid}")]
+	[RequestSizeLimit(ValidationLimits.AttachmentUploadChunkMaxBytes)]
+	public async Task<IActionResult> AppendAttachmentUploadChunk(Guid uploadId, [FromQuery] long offset, [FromServices] AttachmentUploadStore uploadStore, CancellationToken ct)
+	{
+		var (status, accepted) = await uploadStore.AppendChunkAsync(uploadId, offset, Request.Body, ct);
+		return accepted ? Ok(status) : Conflict(status);
+	}
+
+	[HttpDelete("attachments/uploads/{uploadId:guid}")]
+	public IActionResult DeleteAttachmentUpload(Guid uploadId, [FromServices] AttachmentUploadStore uploadStore)
+	{
+		uploadStore.Delete(uploadId);
+		return NoContent();
+	}
+
 	[HttpGet("attachments/{attachmentId:guid}/metadata")]
 	public async Task<IActionResult> GetAttachmentMetadata(Guid attachmentId, CancellationToken ct)
 	{
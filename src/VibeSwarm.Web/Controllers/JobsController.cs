@@ -155,7 +155,7 @@ public class JobsController : ControllerBase
 
     [HttpPost("{id:guid}/continue")]
     public async Task<IActionResult> ContinueJob(Guid id, [FromBody] ContinueJobRequest req, CancellationToken ct)
-        => await _jobService.ContinueJobAsync(id, req.FollowUpPrompt, ct) ? Ok() : BadRequest();
+        => await _jobService.ContinueJobAsync(id, req.FollowUpPrompt ?? string.Empty, req.IncludeReviewComments, ct) ? Ok() : BadRequest();
 
     [HttpGet("last-model")]
     public async Task<IActionResult> GetLastUsedModel([FromQuery] Guid projectId, [FromQuery] Guid providerId, CancellationToken ct)
@@ -218,6 +218,22 @@ public class JobsController : ControllerBase
     public async Task<IActionResult> GetChangeSets(Guid id, CancellationToken ct)
         => Ok(await _jobService.GetChangeSetsAsync(id, ct));
 
+    [HttpGet("{id:guid}/review-comments")]
+    public async Task<IActionResult> GetReviewComments(Guid id, CancellationToken ct)
+        => Ok(await _jobService.GetReviewCommentsAsync(id, ct));
+
+    [HttpPost("{id:guid}/review-comments")]
+    public async Task<IActionResult> AddReviewComment(Guid id, [FromBody] AddReviewCommentRequest req, CancellationToken ct)
+        => Ok(await _jobService.AddReviewCommentAsync(id, req.FilePath, req.StartLine, req.EndLine, req.Body, ct));
+
+    [HttpPut("{id:guid}/review-comments/{commentId:guid}/resolved")]
+    public async Task<IActionResult> SetReviewCommentResolved(Guid id, Guid commentId, [FromBody] SetReviewCommentResolvedRequest req, CancellationToken ct)
+        => await _jobService.SetReviewCommentResolvedAsync(id, commentId, req.Resolved, ct) ? Ok() : NotFound();
+
+    [HttpDelete("{id:guid}/review-comments/{commentId:guid}")]
+    public async Task<IActionResult> DeleteReviewComment(Guid id, Guid commentId, CancellationToken ct)
+        => await _jobService.DeleteReviewCommentAsync(id, commentId, ct) ? NoContent() : NotFound();
+
     // Request DTOs
     public record UpdateStatusRequest(string Status, string? Output, string? ErrorMessage);
     public record UpdateResultRequest(string Status, string? SessionId, string? Output, string? ErrorMessage, int? InputTokens, int? OutputTokens, decimal? CostUsd);
@@ -226,8 +242,10 @@ public class JobsController : ControllerBase
     public record UpdateGitDiffRequest(string? GitDiff);
     public record UpdateGitDeliveryRequest(string? CommitHash, int? PullRequestNumber, string? PullRequestUrl, DateTime? PullRequestCreatedAt, DateTime? MergedAt);
     public record PauseInteractionRequest(string InteractionPrompt, string InteractionType, string? Choices);
-    public record ContinueJobRequest(string FollowUpPrompt);
+    public record ContinueJobRequest(string? FollowUpPrompt, bool IncludeReviewComments = false);
     public record RetryRequest(Guid? ProviderId, string? ModelId, string? ReasoningEffort);
     public record UpdatePromptRequest(string Prompt);
     public record SelectedJobsRequest(List<Guid> JobIds);
+    public record AddReviewCommentRequest(string FilePath, int StartLine, int EndLine, string Body);
+    public record SetReviewCommentResolvedRequest(bool Resolved);
 }
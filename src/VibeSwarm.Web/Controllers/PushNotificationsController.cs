@@ -0,0 +1,120 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using VibeSwarm.Shared.Models;
+using VibeSwarm.Web.Services;
+
+namespace VibeSwarm.Web.Controllers;
+
+[ApiController]
+[Route("api/push")]
+[Authorize]
+public class PushNotificationsController : ControllerBase
+{
+	private readonly WebPushSubscriptionService _subscriptionService;
+	private readonly JobInteractionReplyService _replyService;
+
+	public PushNotificationsController(WebPushSubscriptionService subscriptionService, JobInteractionReplyService replyService)
+	{
+		_subscriptionService = subscriptionService;
+		_replyService = replyService;
+	}
+
+	[HttpGet("config")]
+	public IActionResult GetConfiguration() => Ok(_subscriptionService.GetConfiguration());
+
+	[HttpGet("subscriptions")]
+	public async Task<IActionResult> GetSubscriptions(CancellationToken ct)
+	{
+		var userId = TryGetUserId();
+		return userId == null ? Unauthorized() : Ok(await _subscriptionService.GetForUserAsync(userId.Value, ct));
+	}
+
+	[HttpPost("subscriptions")]
+	public async Task<IActionResult> Subscribe([FromBody] WebPushSubscribeRequest request, CancellationToken ct)
+	{
+		var userId = TryGetUserId();
+		if (userId == null)
+		{
+			return Unauthorized();
+		}
+
+		if (!_subscriptionService.GetConfiguration().IsEnabled)
+		{
+			return BadRequest(new ApiErrorResponse
+			{
+				ErrorCode = "PUSH_DISABLED",
+				Message = "Push notifications are disabled on this server.",
+				TraceId = HttpContext.TraceIdentifier
+			});
+		}
+
+		var subscription = await _subscriptionService.SubscribeAsync(userId.Value, request, Request.Headers.UserAgent.ToString(), ct);
+		return subscription != null ? Ok(subscription) : Conflict(new ApiErrorResponse
+		{
+			ErrorCode = "PUSH_ENDPOINT_IN_USE",
+			Message = "This browser's push subscription is registered to another account.",
+			TraceId = HttpContext.TraceIdentifier
+		});
+	}
+
+	[HttpDelete("subscriptions/{id:guid}")]
+	public async Task<IActionResult> Unsubscribe(Guid id, CancellationToken ct)
+	{
+		var userId = TryGetUserId();
+		if (userId == null)
+		{
+			return Unauthorized();
+		}
+
+		return await _subscriptionService.DeleteAsync(userId.Value, id, ct) ? NoContent() : NotFound();
+	}
+
+	[HttpPost("subscriptions/{id:guid}/test")]
+	public async Task<IActionResult> SendTest(Guid id, CancellationToken ct)
+	{
+		var userId = TryGetUserId();
+		if (userId == null)
+		{
+			return Unauthorized();
+		}
+
+		var status = await _subscriptionService.SendTestAsync(userId.Value, id, ct);
+		return status == null ? NotFound() : Ok(new WebPushTestResult { Status = status.Value.ToString() });
+	}
+
+	/// <summary>
+	/// Answers a paused job from a notification action. Called by the service worker with the user's cookie.
+	/// </summary>
+	[HttpPost("jobs/{jobId:guid}/reply")]
+	public async Task<IActionResult> ReplyToJob(Guid jobId, [FromBody] WebPushInteractionReplyRequest request, CancellationToken ct)
+	{
+		if (string.IsNullOrWhiteSpace(request.Response))
+		{
+			return BadRequest(new ApiErrorResponse
+			{
+				ErrorCode = "REPLY_EMPTY",
+				Message = "A response is required.",
+				TraceId = HttpContext.TraceIdentifier
+			});
+		}
+
+		return await _replyService.SubmitFromNotificationAsync(jobId, request.Response, ct) switch
+		{
+			JobInteractionReplyStatus.Delivered => NoContent(),
+			JobInteractionReplyStatus.JobNotFound => NotFound(),
+			_ => Conflict(new ApiErrorResponse
+			{
+				ErrorCode = "JOB_NOT_WAITING",
+				Message = "The job is no longer waiting for a response.",
+				TraceId = HttpContext.TraceIdentifier
+			})
+		};
+	}
+
+	private Guid? TryGetUserId()
+	{
+		var userId = User.FindFirstValue(ClaimTypes.NameIdentifier);
+		return Guid.TryParse(userId, out var parsedUserId) ? parsedUserId : null;
+	}
+}
@@ -0,0 +1,22 @@
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using VibeSwarm.Web.Services;
+
+namespace VibeSwarm.Web.Controllers;
+
+[ApiController]
+[Route("api/version")]
+[Authorize]
+public class VersionController : ControllerBase
+{
+	private readonly AppVersionService _appVersionService;
+
+	public VersionController(AppVersionService appVersionService)
+	{
+		_appVersionService = appVersionService;
+	}
+
+	[HttpGet]
+	[ResponseCache(NoStore = true, Location = ResponseCacheLocation.None)]
+	public IActionResult GetVersion() => Ok(_appVersionService.GetVersionInfo());
+}
@@ -8,4 +8,17 @@ public class ApplicationUser : IdentityUser<Guid>
 	public DateTime? LastLoginAt { get; set; }
 	public bool IsActive { get; set; } = true;
 	public ThemePreference ThemePreference { get; set; } = ThemePreference.System;
+	public ThemeAccent ThemeAccent { get; set; } = ThemeAccent.Indigo;
+	public ThemeDensity ThemeDensity { get; set; } = ThemeDensity.Comfortable;
+	public DiffViewMode DiffViewMode { get; set; } = DiffViewMode.Unified;
+
+	/// <summary>
+	/// JSON object of keyboard shortcut overrides (action id to binding). Null when every shortcut uses its default.
+	/// </summary>
+	public string? KeyboardShortcutsJson { get; set; }
+
+	/// <summary>
+	/// JSON of the user's watch wall layout (<see cref="VibeSwarm.Shared.Models.WatchLayoutDto"/>). Null until it is first saved.
+	/// </summary>
+	public string? WatchLayoutJson { get; set; }
 }
@@ -35,6 +35,7 @@ public static class DataServiceExtensions
 		services.AddSingleton<IDatabaseRuntimeConfigurationStore>(_ => new DatabaseRuntimeConfigurationStore());
 		services.AddSingleton<IProjectEnvironmentCredentialService, ProjectEnvironmentCredentialService>();
 		services.AddScoped<IProjectService, ProjectService>();
+		services.AddScoped<IProjectFileService, ProjectFileService>();
 		services.AddScoped<IJobService, JobService>();
 		services.AddScoped<IJobScheduleService, JobScheduleService>();
 		services.AddScoped<IJobTemplateService, JobTemplateService>();
@@ -0,0 +1,53 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace VibeSwarm.Web.Data.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddThemePalettes : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "AccentColor",
+                table: "Projects",
+                type: "TEXT",
+                maxLength: 7,
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "ThemeAccent",
+                table: "AspNetUsers",
+                type: "TEXT",
+                maxLength: 20,
+                nullable: false,
+                defaultValue: "Indigo");
+
+            migrationBuilder.AddColumn<string>(
+                name: "ThemeDensity",
+                table: "AspNetUsers",
+                type: "TEXT",
+                maxLength: 20,
+                nullable: false,
+                defaultValue: "Comfortable");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "AccentColor",
+                table: "Projects");
+
+            migrationBuilder.DropColumn(
+                name: "ThemeAccent",
+                table: "AspNetUsers");
+
+            migrationBuilder.DropColumn(
+                name: "ThemeDensity",
+                table: "AspNetUsers");
+        }
+    }
+}
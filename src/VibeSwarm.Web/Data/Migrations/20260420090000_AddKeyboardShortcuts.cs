@@ -0,0 +1,29 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace VibeSwarm.Web.Data.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddKeyboardShortcuts : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "KeyboardShortcutsJson",
+                table: "AspNetUsers",
+                type: "TEXT",
+                maxLength: 4000,
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "KeyboardShortcutsJson",
+                table: "AspNetUsers");
+        }
+    }
+}
@@ -0,0 +1,30 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace VibeSwarm.Web.Data.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddDiffViewMode : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "DiffViewMode",
+                table: "AspNetUsers",
+                type: "TEXT",
+                maxLength: 20,
+                nullable: false,
+                defaultValue: "Unified");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "DiffViewMode",
+                table: "AspNetUsers");
+        }
+    }
+}
@@ -0,0 +1,69 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace VibeSwarm.Web.Data.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddJobReviewComments : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.CreateTable(
+                name: "JobReviewComments",
+                columns: table => new
+                {
+                    Id = table.Column<Guid>(type: "TEXT", nullable: false),
+                    JobId = table.Column<Guid>(type: "TEXT", nullable: false),
+                    FollowUpIndex = table.Column<int>(type: "INTEGER", nullable: false),
+                    ChangeSetId = table.Column<Guid>(type: "TEXT", nullable: true),
+                    FilePath = table.Column<string>(type: "TEXT", maxLength: 500, nullable: false),
+                    StartLine = table.Column<int>(type: "INTEGER", nullable: false),
+                    EndLine = table.Column<int>(type: "INTEGER", nullable: false),
+                    Body = table.Column<string>(type: "TEXT", maxLength: 4000, nullable: false),
+                    LineText = table.Column<string>(type: "TEXT", maxLength: 4000, nullable: true),
+                    IsOnAddedLines = table.Column<bool>(type: "INTEGER", nullable: false),
+                    Status = table.Column<string>(type: "TEXT", maxLength: 20, nullable: false),
+                    CreatedAt = table.Column<DateTime>(type: "TEXT", nullable: false),
+                    RequestedAt = table.Column<DateTime>(type: "TEXT", nullable: true),
+                    ResolvedAt = table.Column<DateTime>(type: "TEXT", nullable: true),
+                    ResolvedInFollowUpIndex = table.Column<int>(type: "INTEGER", nullable: true)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_JobReviewComments", x => x.Id);
+                    table.ForeignKey(
+                        name: "FK_JobReviewComments_JobChangeSets_ChangeSetId",
+                        column: x => x.ChangeSetId,
+                        principalTable: "JobChangeSets",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.SetNull);
+                    table.ForeignKey(
+                        name: "FK_JobReviewComments_Jobs_JobId",
+                        column: x => x.JobId,
+                        principalTable: "Jobs",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_JobReviewComments_ChangeSetId",
+                table: "JobReviewComments",
+                column: "ChangeSetId");
+
+            migrationBuilder.CreateIndex(
+                name: "IX_JobReviewComments_JobId_FollowUpIndex",
+                table: "JobReviewComments",
+                columns: new[] { "JobId", "FollowUpIndex" });
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "JobReviewComments");
+        }
+    }
+}
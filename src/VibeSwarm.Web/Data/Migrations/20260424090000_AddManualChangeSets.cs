@@ -0,0 +1,61 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace VibeSwarm.Web.Data.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddManualChangeSets : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<bool>(
+                name: "IsManualEdit",
+                table: "JobChangeSets",
+                type: "INTEGER",
+                nullable: false,
+                defaultValue: false);
+
+            migrationBuilder.AddColumn<string>(
+                name: "EditedBy",
+                table: "JobChangeSets",
+                type: "TEXT",
+                maxLength: 256,
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "FilePath",
+                table: "JobChangeSets",
+                type: "TEXT",
+                maxLength: 500,
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "GitDiff",
+                table: "JobChangeSets",
+                type: "TEXT",
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "IsManualEdit",
+                table: "JobChangeSets");
+
+            migrationBuilder.DropColumn(
+                name: "EditedBy",
+                table: "JobChangeSets");
+
+            migrationBuilder.DropColumn(
+                name: "FilePath",
+                table: "JobChangeSets");
+
+            migrationBuilder.DropColumn(
+                name: "GitDiff",
+                table: "JobChangeSets");
+        }
+    }
+}
@@ -0,0 +1,38 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace VibeSwarm.Web.Data.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddJobMessageSource : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "Source",
+                table: "JobMessages",
+                type: "TEXT",
+                maxLength: 20,
+                nullable: false,
+                defaultValue: "System");
+
+            // Notification replies used to be marked with a "[Notification]" prefix in their content
+            migrationBuilder.Sql(
+                "UPDATE JobMessages SET Source = 'Notification', Content = trim(substr(Content, 15)) " +
+                "WHERE Role = 'User' AND substr(Content, 1, 14) = '[Notification]';");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.Sql(
+                "UPDATE JobMessages SET Content = '[Notification] ' || Content WHERE Source = 'Notification';");
+
+            migrationBuilder.DropColumn(
+                name: "Source",
+                table: "JobMessages");
+        }
+    }
+}
@@ -30,6 +30,7 @@ public class VibeSwarmDbContext : IdentityDbContext<ApplicationUser, IdentityRol
 	public DbSet<JobExecutionStatistics> JobExecutionStatistics { get; set; }
 	public DbSet<JobMessage> JobMessages { get; set; }
 	public DbSet<JobChangeSet> JobChangeSets { get; set; }
+	public DbSet<JobReviewComment> JobReviewComments { get; set; }
 	public DbSet<JobProviderAttempt> JobProviderAttempts { get; set; }
 	public DbSet<Skill> Skills { get; set; }
 	public DbSet<Agent> Agents { get; set; }
@@ -38,6 +39,7 @@ public class VibeSwarmDbContext : IdentityDbContext<ApplicationUser, IdentityRol
 	public DbSet<IdeaAttachment> IdeaAttachments { get; set; }
 	public DbSet<AppSettings> AppSettings { get; set; }
 	public DbSet<CriticalErrorLogEntry> CriticalErrorLogs { get; set; }
+	public DbSet<WebPushSubscription> WebPushSubscriptions { get; set; }
 	public DbSet<InferenceProvider> InferenceProviders { get; set; }
 	public DbSet<InferenceModel> InferenceModels { get; set; }
 	public DbSet<IterationLoop> IterationLoops { get; set; }
@@ -52,6 +54,22 @@ public class VibeSwarmDbContext : IdentityDbContext<ApplicationUser, IdentityRol
 				.HasConversion<string>()
 				.HasMaxLength(20)
 				.HasDefaultValue(ThemePreference.System);
+			entity.Property(e => e.ThemeAccent)
+				.HasConversion<string>()
+				.HasMaxLength(20)
+				.HasDefaultValue(ThemeAccent.Indigo);
+			entity.Property(e => e.ThemeDensity)
+				.HasConversion<string>()
+				.HasMaxLength(20)
+				.HasDefaultValue(ThemeDensity.Comfortable);
+			entity.Property(e => e.DiffViewMode)
+				.HasConversion<string>()
+				.HasMaxLength(20)
+				.HasDefaultValue(DiffViewMode.Unified);
+			entity.Property(e => e.KeyboardShortcutsJson)
+				.HasMaxLength(ValidationLimits.KeyboardShortcutsJsonMaxLength);
+			entity.Property(e => e.WatchLayoutJson)
+				.HasMaxLength(ValidationLimits.WatchLayoutJsonMaxLength);
 		});
 
 		modelBuilder.Entity<Provider>(entity =>
@@ -329,6 +347,7 @@ public class VibeSwarmDbContext : IdentityDbContext<ApplicationUser, IdentityRol
 		{
 			entity.HasKey(e => e.Id);
 			entity.Property(e => e.Role).HasConversion<string>();
+			entity.Property(e => e.Source).HasConversion<string>().HasMaxLength(20);
 			entity.Property(e => e.Content).IsRequired();
 			entity.Property(e => e.ToolName).HasMaxLength(200);
 			entity.HasOne(e => e.Job)
@@ -346,6 +365,8 @@ public class VibeSwarmDbContext : IdentityDbContext<ApplicationUser, IdentityRol
 			entity.Property(e => e.GitCommitBefore).HasMaxLength(100);
 			entity.Property(e => e.PullRequestUrl).HasMaxLength(500);
 			entity.Property(e => e.ModelUsed).HasMaxLength(200);
+			entity.Property(e => e.EditedBy).HasMaxLength(ValidationLimits.ChangeSetEditedByMaxLength);
+			entity.Property(e => e.FilePath).HasMaxLength(ValidationLimits.ProjectFilePathMaxLength);
 			entity.HasOne(e => e.Job)
 				.WithMany(j => j.ChangeSets)
 				.HasForeignKey(e => e.JobId)
@@ -354,6 +375,25 @@ public class VibeSwarmDbContext : IdentityDbContext<ApplicationUser, IdentityRol
 			entity.HasIndex(e => new { e.JobId, e.FollowUpIndex });
 		});
 
+		modelBuilder.Entity<JobReviewComment>(entity =>
+		{
+			entity.HasKey(e => e.Id);
+			entity.Property(e => e.FilePath).IsRequired().HasMaxLength(ValidationLimits.ReviewCommentFilePathMaxLength);
+			entity.Property(e => e.Body).IsRequired().HasMaxLength(ValidationLimits.ReviewCommentBodyMaxLength);
+			entity.Property(e => e.LineText).HasMaxLength(ValidationLimits.ReviewCommentLineTextMaxLength);
+			entity.Property(e => e.Status).HasConversion<string>().HasMaxLength(20);
+			entity.HasOne(e => e.Job)
+				.WithMany()
+				.HasForeignKey(e => e.JobId)
+				.OnDelete(DeleteBehavior.Cascade);
+			entity.HasOne(e => e.ChangeSet)
+				.WithMany()
+				.HasForeignKey(e => e.ChangeSetId)
+				.OnDelete(DeleteBehavior.SetNull);
+			entity.HasIndex(e => new { e.JobId, e.FollowUpIndex });
+			entity.HasIndex(e => e.ChangeSetId);
+		});
+
 		modelBuilder.Entity<JobProviderAttempt>(entity =>
 		{
 			entity.HasKey(e => e.Id);
@@ -477,6 +517,21 @@ public class VibeSwarmDbContext : IdentityDbContext<ApplicationUser, IdentityRol
 			entity.HasIndex(e => new { e.Source, e.CreatedAt });
 		});
 
+		modelBuilder.Entity<WebPushSubscription>(entity =>
+		{
+			entity.HasKey(e => e.Id);
+			entity.Property(e => e.Endpoint).IsRequired().HasMaxLength(ValidationLimits.WebPushEndpointMaxLength);
+			entity.Property(e => e.P256dh).IsRequired().HasMaxLength(ValidationLimits.WebPushKeyMaxLength);
+			entity.Property(e => e.Auth).IsRequired().HasMaxLength(ValidationLimits.WebPushKeyMaxLength);
+			entity.Property(e => e.DeviceName).HasMaxLength(ValidationLimits.WebPushDeviceNameMaxLength);
+			entity.Property(e => e.UserAgent).HasMaxLength(ValidationLimits.WebPushUserAgentMaxLength);
+			entity.HasOne<ApplicationUser>()
+				.WithMany()
+				.HasForeignKey(e => e.UserId)
+				.OnDelete(DeleteBehavior.Cascade);
+			entity.HasIndex(e => e.UserId);
+		});
+
 		modelBuilder.Entity<InferenceProvider>(entity =>
 		{
 			entity.HasKey(e => e.Id);
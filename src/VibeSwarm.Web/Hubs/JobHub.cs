@@ -1,5 +1,7 @@
 using Microsoft.AspNetCore.SignalR;
+using VibeSwarm.Shared.Models;
 using VibeSwarm.Shared.Services;
+using VibeSwarm.Web.Services;
 
 namespace VibeSwarm.Web.Hubs;
 
@@ -12,12 +14,18 @@ public class JobHub : Hub
 {
     private readonly IJobService _jobService;
     private readonly IInteractionResponseService _interactionResponseService;
+    private readonly JobEventReplayBuffer _replayBuffer;
     private readonly ILogger<JobHub> _logger;
 
-    public JobHub(IJobService jobService, IInteractionResponseService interactionResponseService, ILogger<JobHub> logger)
+    public JobHub(
+        IJobService jobService,
+        IInteractionResponseService interactionResponseService,
+        JobEventReplayBuffer replayBuffer,
+        ILogger<JobHub> logger)
     {
         _jobService = jobService;
         _interactionResponseService = interactionResponseService;
+        _replayBuffer = replayBuffer;
         _logger = logger;
     }
 
@@ -37,6 +45,20 @@ public class JobHub : Hub
         await Groups.RemoveFromGroupAsync(Context.ConnectionId, $"job-{jobId}");
     }
 
+    /// <summary>
+    /// Get the events sent to a job's group after the given sequence number, so a client that was disconnected can
+    /// apply what it missed. Without a cursor only the latest sequence number is returned.
+    /// </summary>
+    public JobEventReplay GetJobEventsSince(string jobId, long? afterSequence)
+    {
+        if (!Guid.TryParse(jobId, out var jobGuid))
+        {
+            return new JobEventReplay { IsComplete = false };
+        }
+
+        return _replayBuffer.GetSince(jobGuid, afterSequence);
+    }
+
     /// <summary>
     /// Subscribe to global job list updates (for job list pages)
     /// </summary>
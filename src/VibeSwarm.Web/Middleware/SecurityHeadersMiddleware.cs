@@ -1,12 +1,19 @@
+using Microsoft.Extensions.Options;
+using VibeSwarm.Web.Services;
+
 namespace VibeSwarm.Web.Middleware;
 
 public class SecurityHeadersMiddleware
 {
+    public const string ReportPath = "/api/diagnostics/csp-report";
+
     private readonly RequestDelegate _next;
+    private readonly IOptionsMonitor<ContentSecurityPolicyOptions> _cspOptions;
 
-    public SecurityHeadersMiddleware(RequestDelegate next)
+    public SecurityHeadersMiddleware(RequestDelegate next, IOptionsMonitor<ContentSecurityPolicyOptions> cspOptions)
     {
         _next = next;
+        _cspOptions = cspOptions;
     }
 
     public async Task InvokeAsync(HttpContext context)
@@ -24,17 +31,24 @@ public class SecurityHeadersMiddleware
         context.Response.Headers.Append("Referrer-Policy", "no-referrer");
 
         // Content-Security-Policy: Restricts resource loading
-        // Note: Blazor WebAssembly requires 'wasm-unsafe-eval' for proper operation
+        // Note: Blazor WebAssembly requires 'wasm-unsafe-eval' for proper operation. Every script is
+        // an external file and JS interop goes through ES modules, so neither inline scripts nor eval are allowed.
         var csp = "default-src 'self'; " +
-                  "script-src 'self' 'unsafe-eval' 'unsafe-inline' 'wasm-unsafe-eval'; " +
+                  "script-src 'self' 'wasm-unsafe-eval'; " +
                   "style-src 'self' 'unsafe-inline'; " +
                   "img-src 'self' data:; " +
                   "font-src 'self'; " +
                   "connect-src 'self' ws: wss:; " +
                   "worker-src 'self' blob:; " +
                   "manifest-src 'self'; " +
-                  "frame-ancestors 'none';";
-        context.Response.Headers.Append("Content-Security-Policy", csp);
+                  "frame-ancestors 'none'; " +
+                  $"report-uri {ReportPath}; " +
+                  "report-to csp-endpoint;";
+        var headerName = _cspOptions.CurrentValue.ReportOnly
+            ? "Content-Security-Policy-Report-Only"
+            : "Content-Security-Policy";
+        context.Response.Headers.Append("Reporting-Endpoints", $"csp-endpoint=\"{ReportPath}\"");
+        context.Response.Headers.Append(headerName, csp);
 
         await _next(context);
     }
@@ -96,7 +96,7 @@ public class LoginModel : PageModel
                 {
                     user.LastLoginAt = DateTime.UtcNow;
                     await _userManager.UpdateAsync(user);
-                    ThemePreferenceCookieHelper.Append(Response, Request, user.ThemePreference);
+                    ThemePreferenceCookieHelper.Append(Response, Request, user);
                 }
 
                 return LocalRedirect(returnUrl);
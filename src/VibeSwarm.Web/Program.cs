@@ -175,10 +175,13 @@ builder.Services.AddSignalR(options =>
 });
 
 builder.Services.Configure<DeveloperModeOptions>(builder.Configuration.GetSection(DeveloperModeOptions.SectionName));
+builder.Services.Configure<ContentSecurityPolicyOptions>(builder.Configuration.GetSection(ContentSecurityPolicyOptions.SectionName));
 builder.Services.AddWorkerServices();
 builder.Services.AddVibeSwarmData(connectionString, databaseProvider);
 builder.Services.AddSingleton<ISystemCommandRunner, SystemCommandRunner>();
 builder.Services.AddSingleton<IDeveloperModeService, DeveloperUpdateService>();
+builder.Services.AddSingleton<AppVersionService>();
+builder.Services.AddSingleton<AttachmentUploadStore>();
 
 // Add Identity services
 builder.Services.AddIdentity<ApplicationUser, IdentityRole<Guid>>(options =>
@@ -254,7 +257,22 @@ builder.Services.ConfigureApplicationCookie(options =>
     };
 });
 
+// Register Web Push delivery (job events reach devices even when no tab is open)
+builder.Services.Configure<WebPushOptions>(builder.Configuration.GetSection(WebPushOptions.SectionName));
+builder.Services.AddHttpClient(WebPushSender.HttpClientName, client =>
+{
+    client.Timeout = TimeSpan.FromSeconds(15);
+});
+builder.Services.AddSingleton<WebPushVapidKeyProvider>();
+builder.Services.AddSingleton<WebPushSender>();
+builder.Services.AddScoped<WebPushSubscriptionService>();
+builder.Services.AddScoped<JobInteractionReplyService>();
+builder.Services.AddSingleton<WebPushDispatchService>();
+builder.Services.AddSingleton<IWebPushDispatcher>(sp => sp.GetRequiredService<WebPushDispatchService>());
+builder.Services.AddHostedService(sp => sp.GetRequiredService<WebPushDispatchService>());
+
 // Register SignalR job update service
+builder.Services.AddSingleton<JobEventReplayBuffer>();
 builder.Services.AddSingleton<IJobUpdateService, SignalRJobUpdateService>();
 
 // Register interaction response service (singleton for cross-service communication)
@@ -349,6 +367,9 @@ app.MapRazorPages();
 // Map SignalR hub
 app.MapHub<JobHub>("/hubs/job");
 
+// The service worker answers Web Share Target posts; without one the share page opens empty
+app.MapPost("/share-target", () => Results.Redirect("/share"));
+
 // Fallback to WASM entry point for client-side routing
 app.MapFallbackToFile("index.html");
 
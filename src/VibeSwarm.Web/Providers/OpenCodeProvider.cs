@@ -418,8 +418,9 @@ public class OpenCodeProvider : CliProviderBase
 
             if (string.IsNullOrEmpty(e.Data)) return;
 
-            // Strip ANSI codes for storage and parsing
+            // Strip ANSI codes for storage and parsing; the live stream keeps colours and links
             var cleanedData = OutputCleaner.StripAnsiCodes(e.Data);
+            var styledData = OutputCleaner.SanitizeAnsi(e.Data);
 
             lock (outputLock)
             {
@@ -435,7 +436,7 @@ public class OpenCodeProvider : CliProviderBase
                 result.Success = false;
                 progress?.Report(new ExecutionProgress
                 {
-                    OutputLine = cleanedData,
+                    OutputLine = styledData,
                     IsErrorOutput = true,
                     IsStreaming = true,
                     CurrentMessage = $"CLI Error: {cleanedData}"
@@ -462,7 +463,7 @@ public class OpenCodeProvider : CliProviderBase
             currentAssistantMessage.AppendLine(cleanedData);
             progress?.Report(new ExecutionProgress
             {
-                OutputLine = cleanedData,
+                OutputLine = styledData,
                 IsStreaming = true
             });
         };
@@ -479,6 +480,7 @@ public class OpenCodeProvider : CliProviderBase
             {
                 // Strip ANSI codes from stderr as well
                 var cleanedError = OutputCleaner.StripAnsiCodes(e.Data);
+                var styledError = OutputCleaner.SanitizeAnsi(e.Data);
                 errorBuilder.AppendLine(cleanedError);
 
                 // OpenCode outputs tool progress (Read, Edit, Write, etc.) to stderr
@@ -504,7 +506,7 @@ public class OpenCodeProvider : CliProviderBase
                     // Tool progress - show as normal output with tool indicator
                     progress?.Report(new ExecutionProgress
                     {
-                        OutputLine = cleanedError,
+                        OutputLine = styledError,
                         IsErrorOutput = false, // Don't mark tool progress as error
                         IsStreaming = true,
                         ToolName = ExtractToolNameFromProgress(cleanedError)
@@ -515,7 +517,7 @@ public class OpenCodeProvider : CliProviderBase
                     // Actual stderr content
                     progress?.Report(new ExecutionProgress
                     {
-                        OutputLine = cleanedError,
+                        OutputLine = styledError,
                         IsErrorOutput = true,
                         IsStreaming = true,
                         CurrentMessage = earlyErrorDetected ? $"CLI Error: {cleanedError}" : null
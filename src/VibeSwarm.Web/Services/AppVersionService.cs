@@ -0,0 +1,84 @@
+using System.Reflection;
+using VibeSwarm.Shared.Models;
+
+namespace VibeSwarm.Web.Services;
+
+/// <summary>
+/// Reports the running build's version and the matching CHANGELOG.md section so clients
+/// with a waiting service worker can show what the update contains.
+/// </summary>
+public class AppVersionService
+{
+	public const string ChangelogFileName = "CHANGELOG.md";
+	private const int MaxChangelogEntries = 20;
+
+	private readonly Lazy<AppVersionInfo> _versionInfo;
+
+	public AppVersionService(IWebHostEnvironment environment, ILogger<AppVersionService> logger)
+	{
+		_versionInfo = new Lazy<AppVersionInfo>(() =>
+		{
+			var version = GetBuildVersion();
+			var changelogPath = Path.Combine(environment.ContentRootPath, ChangelogFileName);
+			var changelog = new List<string>();
+
+			try
+			{
+				if (File.Exists(changelogPath))
+				{
+					changelog = ParseChangelog(File.ReadAllText(changelogPath), version);
+				}
+			}
+			catch (Exception ex)
+			{
+				logger.LogWarning(ex, "Failed to read {ChangelogPath}", changelogPath);
+			}
+
+			return new AppVersionInfo { Version = version, Changelog = changelog };
+		});
+	}
+
+	public AppVersionInfo GetVersionInfo() => _versionInfo.Value;
+
+	private static string GetBuildVersion()
+	{
+		var assembly = typeof(AppVersionService).Assembly;
+		return assembly.GetCustomAttribute<AssemblyInformationalVersionAttribute>()?.InformationalVersion
+			?? assembly.GetName().Version?.ToString()
+			?? "unknown";
+	}
+
+	/// <summary>
+	/// Returns the bullet entries of the "## ..." section whose heading names <paramref name="version"/>
+	/// (ignoring any "+commit" build metadata), or of the first section when none does.
+	/// </summary>
+	internal static List<string> ParseChangelog(string markdown, string version)
+	{
+		var releaseVersion = version.Split('+', 2)[0];
+		var sections = new List<(string Heading, List<string> Entries)>();
+
+		foreach (var rawLine in markdown.Split('\n'))
+		{
+			var line = rawLine.Trim();
+			if (line.StartsWith("## ", StringComparison.Ordinal))
+			{
+				sections.Add((line[3..], []));
+			}
+			else if (sections.Count > 0 && (line.StartsWith("- ", StringComparison.Ordinal) || line.StartsWith("* ", StringComparison.Ordinal)))
+			{
+				sections[^1].Entries.Add(line[2..].Trim());
+			}
+		}
+
+		if (sections.Count == 0)
+		{
+			return [];
+		}
+
+		var matchIndex = sections.FindIndex(section =>
+			!string.IsNullOrEmpty(releaseVersion) &&
+			section.Heading.Contains(releaseVersion, StringComparison.OrdinalIgnoreCase));
+
+		return sections[Math.Max(matchIndex, 0)].Entries.Take(MaxChangelogEntries).ToList();
+	}
+}
@@ -0,0 +1,319 @@
+using System.Collections.Concurrent;
+using System.ComponentModel.DataAnnotations;
+using System.Text.Json;
+using Microsoft.Extensions.Logging.Abstractions;
+using VibeSwarm.Shared.Exceptions;
+using VibeSwarm.Shared.Models;
+using VibeSwarm.Shared.Services;
+using VibeSwarm.Shared.Validation;
+
+namespace VibeSwarm.Web.Services;
+
+/// <summary>
+/// Stages resumable attachment uploads until an idea or job claims them. Each upload is a <c>.part</c> file that
+/// chunks are appended to plus a <c>.json</c> manifest, so the byte count on disk is the resume offset and an
+/// interrupted upload can continue after a dropped connection or a server restart. The declared sizes of all staged
+/// uploads together are capped, so unfinished uploads can't fill the temp directory.
+/// </summary>
+public sealed class AttachmentUploadStore
+{
+	private static readonly TimeSpan AbandonedUploadAge = TimeSpan.FromHours(24);
+
+	/// <summary>
+	/// Image types the browser re-encodes to. The canvas redraw keeps the pixels only, so these arrive without their
+	/// EXIF and location data; any other image would be stored with its metadata intact and is refused.
+	/// </summary>
+	private static readonly HashSet<string> StrippedImageContentTypes = new(StringComparer.OrdinalIgnoreCase)
+	{
+		"image/jpeg", "image/png", "image/webp", "image/svg+xml"
+	};
+
+	/// <summary>
+	/// Photo formats browsers often send without a content type
+	/// </summary>
+	private static readonly HashSet<string> UnstrippedImageExtensions = new(StringComparer.OrdinalIgnoreCase)
+	{
+		".heic", ".heif", ".avif", ".gif", ".tif", ".tiff", ".dng", ".jxl"
+	};
+
+	private readonly ConcurrentDictionary<Guid, SemaphoreSlim> _uploadLocks = new();
+	private readonly SemaphoreSlim _startLock = new(1, 1);
+	private readonly long _stagingMaxBytes;
+	private readonly ILogger<AttachmentUploadStore> _logger;
+
+	public AttachmentUploadStore(ILogger<AttachmentUploadStore>? logger = null)
+		: this(Path.Combine(Path.GetTempPath(), "vibeswarm", "attachment-uploads"), logger)
+	{
+	}
+
+	internal AttachmentUploadStore(string rootPath, ILogger<AttachmentUploadStore>? logger = null, long stagingMaxBytes = ValidationLimits.AttachmentUploadStagingMaxBytes)
+	{
+		RootPath = rootPath;
+		_stagingMaxBytes = stagingMaxBytes;
+		_logger = logger ?? NullLogger<AttachmentUploadStore>.Instance;
+	}
+
+	public string RootPath { get; }
+
+	public async Task<AttachmentUploadStatus> StartAsync(StartAttachmentUploadRequest request, CancellationToken cancellationToken = default)
+	{
+		ArgumentNullException.ThrowIfNull(request);
+
+		var fileName = Path.GetFileName(request.FileName?.Trim() ?? string.Empty);
+		if (string.IsNullOrWhiteSpace(fileName))
+		{
+			throw new ValidationException("Attachment file name is required.");
+		}
+
+		if (fileName.Length > ValidationLimits.IdeaAttachmentFileNameMaxLength)
+		{
+			throw new ValidationException($"Attachment file names must be {ValidationLimits.IdeaAttachmentFileNameMaxLength} characters or fewer.");
+		}
+
+		if (request.SizeBytes <= 0)
+		{
+			throw new ValidationException($"Attachment '{fileName}' is empty.");
+		}
+
+		if (request.SizeBytes > ValidationLimits.IdeaAttachmentMaxFileBytes)
+		{
+			throw new ValidationException($"Attachment '{fileName}' exceeds the {ValidationLimits.IdeaAttachmentMaxFileBytes / (1024 * 1024)} MB limit.");
+		}
+
+		var contentType = string.IsNullOrWhiteSpace(request.ContentType) ? null : request.ContentType.Trim();
+		if (UnstrippedImageExtensions.Contains(Path.GetExtension(fileName))
+			|| (contentType?.StartsWith("image/", StringComparison.OrdinalIgnoreCase) == true && !StrippedImageContentTypes.Contains(contentType)))
+		{
+			throw new ValidationException($"'{fileName}' can't have its photo metadata removed, so it can't be attached. Save it as PNG, JPEG or WebP first.");
+		}
+
+		await _startLock.WaitAsync(cancellationToken);
+		try
+		{
+			Directory.CreateDirectory(RootPath);
+			DeleteAbandonedUploads();
+
+			if (await GetStagedBytesAsync(cancellationToken) + request.SizeBytes > _stagingMaxBytes)
+			{
+				throw new ValidationException("Too many attachment uploads are waiting on the server. Try again once they have finished.");
+			}
+
+			var manifest = new UploadManifest(fileName, contentType, request.SizeBytes, DateTime.UtcNow);
+			var uploadId = Guid.NewGuid();
+
+			await File.WriteAllBytesAsync(GetPartPath(uploadId), [], cancellationToken);
+			await File.WriteAllTextAsync(GetManifestPath(uploadId), JsonSerializer.Serialize(manifest), cancellationToken);
+
+			return ToStatus(uploadId, manifest, 0);
+		}
+		finally
+		{
+			_startLock.Release();
+		}
+	}
+
+	public async Task<AttachmentUploadStatus> GetStatusAsync(Guid uploadId, CancellationToken cancellationToken = default)
+	{
+		var manifest = await ReadManifestAsync(uploadId, cancellationToken);
+		return ToStatus(uploadId, manifest, GetReceivedBytes(uploadId));
+	}
+
+	/// <summary>
+	/// Appends a chunk written at <paramref name="offset"/>. A chunk for any other offset is not applied and
+	/// <c>Accepted</c> is false, so the caller can resume from the returned <see cref="AttachmentUploadStatus.ReceivedBytes"/>.
+	/// </summary>
+	public async Task<(AttachmentUploadStatus Status, bool Accepted)> AppendChunkAsync(
+		Guid uploadId,
+		long offset,
+		Stream content,
+		CancellationToken cancellationToken = default)
+	{
+		ArgumentNullException.ThrowIfNull(content);
+
+		var uploadLock = _uploadLocks.GetOrAdd(uploadId, _ => new SemaphoreSlim(1, 1));
+		await uploadLock.WaitAsync(cancellationToken);
+		try
+		{
+			var manifest = await ReadManifestAsync(uploadId, cancellationToken);
+			var received = GetReceivedBytes(uploadId);
+			if (offset != received)
+			{
+				return (ToStatus(uploadId, manifest, received), false);
+			}
+
+			var remaining = Math.Min(manifest.SizeBytes - received, ValidationLimits.AttachmentUploadChunkMaxBytes);
+			await using (var part = new FileStream(GetPartPath(uploadId), FileMode.Open, FileAccess.Write, FileShare.None))
+			{
+				part.Seek(received, SeekOrigin.Begin);
+				var buffer = new byte[81920];
+				long written = 0;
+				int read;
+				while ((read = await content.ReadAsync(buffer, cancellationToken)) > 0)
+				{
+					if (written + read > remaining)
+					{
+						// Drop the partial chunk so the client can resend it from the same offset
+						part.SetLength(received);
+						throw new ValidationException(received + written + read > manifest.SizeBytes
+							? $"Attachment '{manifest.FileName}' is larger than the size declared when the upload started."
+							: $"Upload chunks must be {ValidationLimits.AttachmentUploadChunkMaxBytes / 1024} KB or smaller.");
+					}
+
+					await part.WriteAsync(buffer.AsMemory(0, read), cancellationToken);
+					written += read;
+				}
+
+				received += written;
+			}
+
+			return (ToStatus(uploadId, manifest, received), true);
+		}
+		finally
+		{
+			uploadLock.Release();
+		}
+	}
+
+	/// <summary>
+	/// Checks that every upload exists and has received all of its bytes, returning them in the given order.
+	/// </summary>
+	public async Task<IReadOnlyList<AttachmentUploadStatus>> GetCompletedAsync(IEnumerable<Guid> uploadIds, CancellationToken cancellationToken = default)
+	{
+		var uploads = new List<AttachmentUploadStatus>();
+		foreach (var uploadId in uploadIds.Distinct())
+		{
+			if (!File.Exists(GetManifestPath(uploadId)))
+			{
+				throw new ValidationException("An attachment upload has expired or was removed. Attach the file again.");
+			}
+
+			var status = await GetStatusAsync(uploadId, cancellationToken);
+			if (!status.IsComplete)
+			{
+				throw new ValidationException($"Attachment '{status.FileName}' has not finished uploading.");
+			}
+
+			uploads.Add(status);
+		}
+
+		return uploads;
+	}
+
+	/// <summary>
+	/// Moves a completed upload into <paramref name="directoryPath"/> under a file name not yet in
+	/// <paramref name="usedNames"/> and returns its absolute path. The upload is gone from the store afterwards.
+	/// </summary>
+	public string MoveToDirectory(AttachmentUploadStatus upload, string directoryPath, HashSet<string> usedNames)
+	{
+		Directory.CreateDirectory(directoryPath);
+		var storedFileName = IdeaService.BuildUniqueAttachmentFileName(directoryPath, upload.FileName, usedNames);
+		var absolutePath = Path.Combine(directoryPath, storedFileName);
+
+		File.Move(GetPartPath(upload.UploadId), absolutePath);
+		File.Delete(GetManifestPath(upload.UploadId));
+		_uploadLocks.TryRemove(upload.UploadId, out _);
+
+		return absolutePath;
+	}
+
+	/// <summary>
+	/// Discards a staged upload. Uploads an idea or job already claimed are gone, so deleting them is a no-op.
+	/// </summary>
+	public void Delete(Guid uploadId)
+	{
+		DeleteUploadFiles(uploadId);
+	}
+
+	private async Task<UploadManifest> ReadManifestAsync(Guid uploadId, CancellationToken cancellationToken)
+	{
+		var manifestPath = GetManifestPath(uploadId);
+		if (!File.Exists(manifestPath))
+		{
+			throw new EntityNotFoundException("Attachment upload", uploadId.ToString());
+		}
+
+		await using var stream = File.OpenRead(manifestPath);
+		return await JsonSerializer.DeserializeAsync<UploadManifest>(stream, cancellationToken: cancellationToken)
+			?? throw new EntityNotFoundException("Attachment upload", uploadId.ToString());
+	}
+
+	private long GetReceivedBytes(Guid uploadId)
+	{
+		var part = new FileInfo(GetPartPath(uploadId));
+		return part.Exists ? part.Length : 0;
+	}
+
+	/// <summary>
+	/// Bytes reserved by the uploads still staged: their declared sizes, since every started upload may still finish.
+	/// </summary>
+	private async Task<long> GetStagedBytesAsync(CancellationToken cancellationToken)
+	{
+		long total = 0;
+		foreach (var manifestPath in Directory.EnumerateFiles(RootPath, "*.json"))
+		{
+			if (!Guid.TryParseExact(Path.GetFileNameWithoutExtension(manifestPath), "N", out var uploadId))
+			{
+				continue;
+			}
+
+			try
+			{
+				total += (await ReadManifestAsync(uploadId, cancellationToken)).SizeBytes;
+			}
+			catch (Exception ex) when (ex is EntityNotFoundException or IOException or JsonException)
+			{
+				// Claimed or deleted while counting
+			}
+		}
+
+		return total;
+	}
+
+	private void DeleteAbandonedUploads()
+	{
+		var cutoff = DateTime.UtcNow - AbandonedUploadAge;
+		foreach (var manifestPath in Directory.EnumerateFiles(RootPath, "*.json"))
+		{
+			if (File.GetLastWriteTimeUtc(manifestPath) >= cutoff
+				|| !Guid.TryParseExact(Path.GetFileNameWithoutExtension(manifestPath), "N", out var uploadId))
+			{
+				continue;
+			}
+
+			DeleteUploadFiles(uploadId);
+		}
+	}
+
+	private void DeleteUploadFiles(Guid uploadId)
+	{
+		try
+		{
+			File.Delete(GetPartPath(uploadId));
+			File.Delete(GetManifestPath(uploadId));
+		}
+		catch (IOException ex)
+		{
+			_logger.LogWarning(ex, "Failed to delete staged attachment upload {UploadId}", uploadId);
+		}
+
+		_uploadLocks.TryRemove(uploadId, out _);
+	}
+
+	private string GetPartPath(Guid uploadId) => Path.Combine(RootPath, uploadId.ToString("N") + ".part");
+
+	private string GetManifestPath(Guid uploadId) => Path.Combine(RootPath, uploadId.ToString("N") + ".json");
+
+	private static AttachmentUploadStatus ToStatus(Guid uploadId, UploadManifest manifest, long receivedBytes)
+	{
+		return new AttachmentUploadStatus
+		{
+			UploadId = uploadId,
+			FileName = manifest.FileName,
+			ContentType = manifest.ContentType,
+			SizeBytes = manifest.SizeBytes,
+			ReceivedBytes = receivedBytes
+		};
+	}
+
+	private sealed record UploadManifest(string FileName, string? ContentType, long SizeBytes, DateTime CreatedAt);
+}
@@ -0,0 +1,12 @@
+namespace VibeSwarm.Web.Services;
+
+public class ContentSecurityPolicyOptions
+{
+	public const string SectionName = "ContentSecurityPolicy";
+
+	/// <summary>
+	/// Sends the policy as Content-Security-Policy-Report-Only so violations are reported to
+	/// /api/diagnostics/csp-report without being blocked.
+	/// </summary>
+	public bool ReportOnly { get; set; }
+}
@@ -82,6 +82,7 @@ public class DatabaseService : IDatabaseService
 				AutoCommitMode = p.AutoCommitMode,
 				GitChangeDeliveryMode = p.GitChangeDeliveryMode,
 				DefaultTargetBranch = p.DefaultTargetBranch,
+				AccentColor = p.AccentColor,
 				PlanningEnabled = p.PlanningEnabled,
 				PromptContext = p.PromptContext,
 				IdeasAutoCommit = p.IdeasAutoCommit,
@@ -289,6 +290,7 @@ public class DatabaseService : IDatabaseService
 				AutoCommitMode = projectDto.AutoCommitMode,
 				GitChangeDeliveryMode = projectDto.GitChangeDeliveryMode,
 				DefaultTargetBranch = projectDto.DefaultTargetBranch,
+				AccentColor = projectDto.AccentColor,
 				PlanningEnabled = projectDto.PlanningEnabled,
 				PromptContext = projectDto.PromptContext,
 				IdeasAutoCommit = projectDto.IdeasAutoCommit,
@@ -353,7 +353,7 @@ public partial class IdeaService
 		return resolved;
 	}
 
-	private static string BuildPromptWithAttachments(string prompt, IEnumerable<IdeaAttachment> attachments, IReadOnlyList<string> attachmentPaths)
+	internal static string BuildPromptWithAttachments(string prompt, IEnumerable<IdeaAttachment> attachments, IReadOnlyList<string> attachmentPaths)
 	{
 		var attachmentList = attachments.ToList();
 		if (attachmentList.Count == 0 || attachmentPaths.Count == 0)
@@ -23,6 +23,7 @@ public partial class IdeaService : IIdeaService
 	private readonly IProjectMemoryService _projectMemoryService;
 	private readonly IInferenceService? _inferenceService;
 	private readonly IJobUpdateService? _jobUpdateService;
+	private readonly AttachmentUploadStore? _attachmentUploadStore;
 	private readonly ILogger<IdeaService> _logger;
 
 	/// <summary>
@@ -108,7 +109,8 @@ public partial class IdeaService : IIdeaService
 		IProjectMemoryService projectMemoryService,
 		ILogger<IdeaService> logger,
 		IInferenceService? inferenceService = null,
-		IJobUpdateService? jobUpdateService = null)
+		IJobUpdateService? jobUpdateService = null,
+		AttachmentUploadStore? attachmentUploadStore = null)
 	{
 		_dbContext = dbContext;
 		_jobService = jobService;
@@ -118,6 +120,7 @@ public partial class IdeaService : IIdeaService
 		_logger = logger;
 		_inferenceService = inferenceService;
 		_jobUpdateService = jobUpdateService;
+		_attachmentUploadStore = attachmentUploadStore;
 	}
 
 	public async Task<IEnumerable<Idea>> GetByProjectIdAsync(Guid projectId, CancellationToken cancellationToken = default)
@@ -186,7 +189,8 @@ public partial class IdeaService : IIdeaService
 		};
 
 		ValidateIdea(idea);
-		ValidateAttachmentUploads(request.Attachments);
+		var uploadedAttachments = await GetUploadedAttachmentsAsync(request.AttachmentUploadIds, cancellationToken);
+		ValidateAttachmentUploads(request.Attachments, uploadedAttachments);
 
 		var project = await _dbContext.Projects
 			.FirstOrDefaultAsync(project => project.Id == request.ProjectId, cancellationToken)
@@ -216,7 +220,7 @@ public partial class IdeaService : IIdeaService
 			.MaxAsync(i => (int?)i.SortOrder, cancellationToken) ?? -1;
 		idea.SortOrder = maxSortOrder + 1;
 
-		var persistedAttachments = await PersistIdeaAttachmentsAsync(project, idea.Id, request.Attachments, cancellationToken);
+		var persistedAttachments = await PersistIdeaAttachmentsAsync(project, idea.Id, request.Attachments, uploadedAttachments, cancellationToken);
 		foreach (var attachment in persistedAttachments)
 		{
 			idea.Attachments.Add(attachment);
@@ -364,19 +368,36 @@ public partial class IdeaService : IIdeaService
 		return Math.Min(Math.Max(pageNumber, 1), totalPages);
 	}
 
-	private static void ValidateAttachmentUploads(IReadOnlyCollection<IdeaAttachmentUpload>? attachments)
+	private async Task<IReadOnlyList<AttachmentUploadStatus>> GetUploadedAttachmentsAsync(IReadOnlyCollection<Guid>? uploadIds, CancellationToken cancellationToken)
 	{
-		if (attachments == null || attachments.Count == 0)
+		if (uploadIds == null || uploadIds.Count == 0)
+		{
+			return [];
+		}
+
+		if (_attachmentUploadStore == null)
+		{
+			throw new ValidationException("Uploaded attachments are not available on this server.");
+		}
+
+		return await _attachmentUploadStore.GetCompletedAsync(uploadIds, cancellationToken);
+	}
+
+	private static void ValidateAttachmentUploads(IReadOnlyCollection<IdeaAttachmentUpload>? attachments, IReadOnlyCollection<AttachmentUploadStatus> uploadedAttachments)
+	{
+		attachments ??= [];
+		if (attachments.Count + uploadedAttachments.Count == 0)
 		{
 			return;
 		}
 
-		if (attachments.Count > ValidationLimits.IdeaAttachmentMaxCount)
+		if (attachments.Count + uploadedAttachments.Count > ValidationLimits.IdeaAttachmentMaxCount)
 		{
 			throw new ValidationException($"Ideas can include at most {ValidationLimits.IdeaAttachmentMaxCount} attachments.");
 		}
 
-		long totalBytes = 0;
+		// Chunked uploads were checked for name and size when they started
+		long totalBytes = uploadedAttachments.Sum(upload => upload.SizeBytes);
 		foreach (var attachment in attachments)
 		{
 			if (attachment == null)
@@ -414,10 +435,16 @@ public partial class IdeaService : IIdeaService
 		}
 	}
 
-	private async Task<List<IdeaAttachment>> PersistIdeaAttachmentsAsync(Project project, Guid ideaId, IReadOnlyCollection<IdeaAttachmentUpload>? attachments, CancellationToken cancellationToken)
+	private async Task<List<IdeaAttachment>> PersistIdeaAttachmentsAsync(
+		Project project,
+		Guid ideaId,
+		IReadOnlyCollection<IdeaAttachmentUpload>? attachments,
+		IReadOnlyCollection<AttachmentUploadStatus> uploadedAttachments,
+		CancellationToken cancellationToken)
 	{
 		var persisted = new List<IdeaAttachment>();
-		if (attachments == null || attachments.Count == 0)
+		attachments ??= [];
+		if (attachments.Count == 0 && uploadedAttachments.Count == 0)
 		{
 			return persisted;
 		}
@@ -453,10 +480,25 @@ public partial class IdeaService : IIdeaService
 			});
 		}
 
+		foreach (var upload in uploadedAttachments)
+		{
+			var absolutePath = _attachmentUploadStore!.MoveToDirectory(upload, rootDirectory, usedNames);
+			persisted.Add(new IdeaAttachment
+			{
+				Id = Guid.NewGuid(),
+				IdeaId = ideaId,
+				FileName = upload.FileName,
+				ContentType = upload.ContentType,
+				RelativePath = Path.GetRelativePath(workingPath, absolutePath),
+				SizeBytes = upload.SizeBytes,
+				CreatedAt = DateTime.UtcNow
+			});
+		}
+
 		return persisted;
 	}
 
-	private static string BuildUniqueAttachmentFileName(string directoryPath, string originalFileName, HashSet<string> usedNames)
+	internal static string BuildUniqueAttachmentFileName(string directoryPath, string originalFileName, HashSet<string> usedNames)
 	{
 		var baseName = Path.GetFileNameWithoutExtension(originalFileName);
 		var extension = Path.GetExtension(originalFileName);
@@ -0,0 +1,115 @@
+using VibeSwarm.Shared.Models;
+
+namespace VibeSwarm.Web.Services;
+
+/// <summary>
+/// Numbers the events sent to each job's SignalR group and keeps the most recent ones, so a client that lost its
+/// connection can ask for everything after the last sequence number it saw (<see cref="GetSince"/>).
+/// </summary>
+/// <remarks>
+/// Sequence numbers are contiguous within a job. A job's numbering starts from the current time rather than 1, so
+/// after a server restart, or after an idle job was evicted, new events are numbered above anything a client saw
+/// before; the client treats the jump as a gap it cannot replay and reloads the job.
+/// </remarks>
+public sealed class JobEventReplayBuffer
+{
+	public const int DefaultMaxEventsPerJob = 2000;
+	public const int DefaultMaxJobs = 200;
+
+	private readonly object _sync = new();
+	private readonly Dictionary<Guid, JobEventStream> _streams = new();
+	private readonly int _maxEventsPerJob;
+	private readonly int _maxJobs;
+	private readonly TimeProvider _timeProvider;
+
+	public JobEventReplayBuffer()
+		: this(DefaultMaxEventsPerJob, DefaultMaxJobs, TimeProvider.System)
+	{
+	}
+
+	internal JobEventReplayBuffer(int maxEventsPerJob, int maxJobs, TimeProvider timeProvider)
+	{
+		_maxEventsPerJob = maxEventsPerJob;
+		_maxJobs = maxJobs;
+		_timeProvider = timeProvider;
+	}
+
+	/// <summary>
+	/// Records an event for the job and returns its sequence number.
+	/// </summary>
+	public long Append(Guid jobId, string method, object?[] arguments)
+	{
+		lock (_sync)
+		{
+			if (!_streams.TryGetValue(jobId, out var stream))
+			{
+				EvictLeastRecentlyUsed();
+				// Milliseconds * 1000 stays below 2^53, so the numbers survive a trip through JavaScript
+				stream = new JobEventStream(_timeProvider.GetUtcNow().ToUnixTimeMilliseconds() * 1000);
+				_streams[jobId] = stream;
+			}
+
+			var record = new JobEventRecord
+			{
+				Sequence = ++stream.LatestSequence,
+				Method = method,
+				Arguments = arguments
+			};
+			stream.Events.Enqueue(record);
+			if (stream.Events.Count > _maxEventsPerJob)
+			{
+				stream.Events.Dequeue();
+			}
+
+			stream.LastAppendedAt = _timeProvider.GetUtcNow();
+			return record.Sequence;
+		}
+	}
+
+	/// <summary>
+	/// Returns the job's events after <paramref name="afterSequence"/>. Without a cursor only the latest sequence
+	/// number is returned, which is where a client that just loaded the job starts counting.
+	/// </summary>
+	public JobEventReplay GetSince(Guid jobId, long? afterSequence)
+	{
+		lock (_sync)
+		{
+			if (!_streams.TryGetValue(jobId, out var stream))
+			{
+				return new JobEventReplay { IsComplete = afterSequence is null or 0 };
+			}
+
+			var replay = new JobEventReplay { LatestSequence = stream.LatestSequence };
+			if (afterSequence is not { } cursor)
+			{
+				return replay;
+			}
+
+			var oldest = stream.Events.Count > 0 ? stream.Events.Peek().Sequence : stream.LatestSequence + 1;
+			if (cursor < oldest - 1 || cursor > stream.LatestSequence)
+			{
+				replay.IsComplete = false;
+				return replay;
+			}
+
+			replay.Events = stream.Events.Where(record => record.Sequence > cursor).ToList();
+			return replay;
+		}
+	}
+
+	private void EvictLeastRecentlyUsed()
+	{
+		while (_streams.Count >= _maxJobs)
+		{
+			var oldest = _streams.MinBy(entry => entry.Value.LastAppendedAt);
+			_streams.Remove(oldest.Key);
+		}
+	}
+
+	private sealed class JobEventStream(long firstSequence)
+	{
+		public long LatestSequence { get; set; } = firstSequence - 1;
+		public Queue<JobEventRecord> Events { get; } = new();
+		public DateTimeOffset LastAppendedAt { get; set; }
+	}
+}
@@ -0,0 +1,76 @@
+using Microsoft.EntityFrameworkCore;
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.Services;
+
+namespace VibeSwarm.Web.Services;
+
+public enum JobInteractionReplyStatus
+{
+	Delivered,
+	JobNotFound,
+	NotWaiting
+}
+
+/// <summary>
+/// Delivers replies to paused jobs that arrive outside the job page, such as push notification actions,
+/// and records them in the job's session history.
+/// </summary>
+public class JobInteractionReplyService
+{
+	private readonly VibeSwarmDbContext _dbContext;
+	private readonly IInteractionResponseService _interactionResponseService;
+	private readonly IJobUpdateService? _jobUpdateService;
+	private readonly ILogger<JobInteractionReplyService> _logger;
+
+	public JobInteractionReplyService(
+		VibeSwarmDbContext dbContext,
+		IInteractionResponseService interactionResponseService,
+		ILogger<JobInteractionReplyService> logger,
+		IJobUpdateService? jobUpdateService = null)
+	{
+		_dbContext = dbContext;
+		_interactionResponseService = interactionResponseService;
+		_logger = logger;
+		_jobUpdateService = jobUpdateService;
+	}
+
+	public async Task<JobInteractionReplyStatus> SubmitFromNotificationAsync(Guid jobId, string response, CancellationToken cancellationToken = default)
+	{
+		var trimmedResponse = response.Trim();
+		var jobExists = await _dbContext.Jobs.AnyAsync(job => job.Id == jobId, cancellationToken);
+		if (!jobExists)
+		{
+			return JobInteractionReplyStatus.JobNotFound;
+		}
+
+		if (!_interactionResponseService.SubmitResponse(jobId, trimmedResponse))
+		{
+			_logger.LogWarning("No pending interaction handler found for job {JobId} (notification reply)", jobId);
+			return JobInteractionReplyStatus.NotWaiting;
+		}
+
+		_logger.LogInformation("Interaction response delivered to job {JobId} from a push notification", jobId);
+
+		_dbContext.JobMessages.Add(new JobMessage
+		{
+			Id = Guid.NewGuid(),
+			JobId = jobId,
+			Role = MessageRole.User,
+			Content = trimmedResponse,
+			Source = MessageSource.Notification,
+			CreatedAt = DateTime.UtcNow
+		});
+		await _dbContext.SaveChangesAsync(cancellationToken);
+
+		if (_jobUpdateService != null)
+		{
+			try
+			{
+				await _jobUpdateService.NotifyJobMessageAdded(jobId);
+			}
+			catch { }
+		}
+
+		return JobInteractionReplyStatus.Delivered;
+	}
+}
@@ -3,6 +3,7 @@ using System.Text;
 using VibeSwarm.Shared.Data;
 using VibeSwarm.Shared.Inference;
 using VibeSwarm.Shared.Services;
+using VibeSwarm.Shared.Utilities;
 using VibeSwarm.Shared.VersionControl.Models;
 using VibeSwarm.Shared;
 
@@ -289,6 +290,11 @@ public partial class JobProcessingService
             CreateNoWindow = true
         };
 
+        // Build tools drop colour when output is redirected; ask for it so the job page can render it
+        process.StartInfo.Environment["FORCE_COLOR"] = "1";
+        process.StartInfo.Environment["CLICOLOR_FORCE"] = "1";
+        process.StartInfo.Environment["DOTNET_SYSTEM_CONSOLE_ALLOW_ANSI_COLOR_REDIRECTION"] = "1";
+
         process.Start();
 
         var outputTask = process.StandardOutput.ReadToEndAsync(cancellationToken);
@@ -306,10 +312,10 @@ public partial class JobProcessingService
         {
             // Timeout — kill process
             try { process.Kill(entireProcessTree: true); } catch { /* best effort */ }
-            return (-1, await outputTask, "Build verification timed out after 5 minutes.");
+            return (-1, OutputCleaner.SanitizeAnsi(await outputTask), "Build verification timed out after 5 minutes.");
         }
 
-        return (process.ExitCode, await outputTask, await errorTask);
+        return (process.ExitCode, OutputCleaner.SanitizeAnsi(await outputTask), OutputCleaner.SanitizeAnsi(await errorTask));
     }
 
     private static string EscapeShellArgument(string argument)
@@ -362,8 +362,11 @@ public partial class JobProcessingService
                 // Stream output lines to UI in real-time AND accumulate in buffer for storage
                 if (!string.IsNullOrEmpty(p.OutputLine))
                 {
+                    // Keep colours and hyperlinks for the viewers, but nothing that could move the cursor or spoof the UI
+                    var outputLine = OutputCleaner.SanitizeAnsi(p.OutputLine);
+
                     // Accumulate output for database storage
-                    executionContext.AppendOutput(p.OutputLine, p.IsErrorOutput);
+                    executionContext.AppendOutput(outputLine, p.IsErrorOutput);
 
                     _ = Task.Run(async () =>
                     {
@@ -371,7 +374,7 @@ public partial class JobProcessingService
                         {
                             if (_jobUpdateService != null)
                             {
-                                await _jobUpdateService.NotifyJobOutput(job.Id, p.OutputLine, p.IsErrorOutput, DateTime.UtcNow);
+                                await _jobUpdateService.NotifyJobOutput(job.Id, outputLine, p.IsErrorOutput, DateTime.UtcNow);
                             }
                         }
                         catch { }
@@ -381,7 +384,7 @@ public partial class JobProcessingService
                     if (!executionContext.IsPausedForInteraction)
                     {
                         var interactionRequest = InteractionDetector.DetectInteraction(
-                            p.OutputLine,
+                            OutputCleaner.StripAnsiCodes(outputLine),
                             executionContext.GetRecentOutputLines());
 
                         if (interactionRequest != null && interactionRequest.IsInteractionRequested && interactionRequest.Confidence >= 0.70)
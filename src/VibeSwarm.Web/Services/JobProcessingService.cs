@@ -183,7 +183,7 @@ public partial class JobProcessingService : BackgroundService
                 {
                     RecentOutputLines.Dequeue();
                 }
-                RecentOutputLines.Enqueue(line);
+                RecentOutputLines.Enqueue(OutputCleaner.StripAnsiCodes(line));
             }
         }
 
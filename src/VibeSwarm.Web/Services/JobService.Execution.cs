@@ -9,6 +9,15 @@ namespace VibeSwarm.Shared.Services;
 
 public partial class JobService
 {
+    private const int MaxContinuationPromptLength = 2000;
+    private const string ContinuationPromptPrefix = "Continue the previous job for this project.\nPrevious goal: ";
+    private const string ContinuationPromptMiddle = "\n\nFollow-up instructions:\n";
+
+    /// <summary>
+    /// Longest follow-up that fits in a continuation prompt; the previous goal is shortened to make room for it
+    /// </summary>
+    private static readonly int MaxFollowUpLength = Math.Max(0, MaxContinuationPromptLength - ContinuationPromptPrefix.Length - ContinuationPromptMiddle.Length);
+
     public async Task RefreshExecutionPlanAsync(Guid id, CancellationToken cancellationToken = default)
     {
         var job = await _dbContext.Jobs
@@ -43,6 +52,8 @@ public partial class JobService
         return await _dbContext.JobChangeSets
             .Where(cs => cs.JobId == jobId)
             .OrderBy(cs => cs.FollowUpIndex)
+            .ThenBy(cs => cs.IsManualEdit)
+            .ThenBy(cs => cs.CreatedAt)
             .AsNoTracking()
             .ToListAsync(cancellationToken);
     }
@@ -73,21 +84,16 @@ public partial class JobService
 
     private static string BuildContinuationPrompt(string previousGoalPrompt, string followUpPrompt)
     {
-        const int maxPromptLength = 2000;
-        const string templatePrefix = "Continue the previous job for this project.\nPrevious goal: ";
-        const string templateMiddle = "\n\nFollow-up instructions:\n";
-
         var trimmedFollowUp = followUpPrompt.Trim();
-        var maxFollowUpLength = Math.Max(0, maxPromptLength - templatePrefix.Length - templateMiddle.Length);
-        if (trimmedFollowUp.Length > maxFollowUpLength)
+        if (trimmedFollowUp.Length > MaxFollowUpLength)
         {
-            trimmedFollowUp = maxFollowUpLength <= 3
-                ? trimmedFollowUp[..maxFollowUpLength]
-                : trimmedFollowUp[..(maxFollowUpLength - 3)] + "...";
+            trimmedFollowUp = MaxFollowUpLength <= 3
+                ? trimmedFollowUp[..MaxFollowUpLength]
+                : trimmedFollowUp[..(MaxFollowUpLength - 3)] + "...";
         }
 
-        var reservedLength = templatePrefix.Length + templateMiddle.Length + trimmedFollowUp.Length;
-        var availableForPreviousGoal = Math.Max(0, maxPromptLength - reservedLength);
+        var reservedLength = ContinuationPromptPrefix.Length + ContinuationPromptMiddle.Length + trimmedFollowUp.Length;
+        var availableForPreviousGoal = Math.Max(0, MaxContinuationPromptLength - reservedLength);
         var previousGoalSnippet = previousGoalPrompt;
 
         if (previousGoalSnippet.Length > availableForPreviousGoal)
@@ -100,7 +106,7 @@ public partial class JobService
             };
         }
 
-        return $"{templatePrefix}{previousGoalSnippet}{templateMiddle}{trimmedFollowUp}";
+        return $"{ContinuationPromptPrefix}{previousGoalSnippet}{ContinuationPromptMiddle}{trimmedFollowUp}";
     }
 
     private async Task ResetJobForFollowUp(Job job, DateTime submittedAt, CancellationToken cancellationToken)
@@ -124,10 +124,10 @@ public partial class JobService
         return true;
     }
 
-    public async Task<bool> ContinueJobAsync(Guid id, string followUpPrompt, CancellationToken cancellationToken = default)
+    public async Task<bool> ContinueJobAsync(Guid id, string followUpPrompt, bool includeReviewComments = false, CancellationToken cancellationToken = default)
     {
-        var trimmedFollowUp = followUpPrompt?.Trim();
-        if (string.IsNullOrWhiteSpace(trimmedFollowUp))
+        var trimmedFollowUp = followUpPrompt?.Trim() ?? string.Empty;
+        if (trimmedFollowUp.Length == 0 && !includeReviewComments)
         {
             return false;
         }
@@ -143,6 +143,21 @@ public partial class JobService
             return false;
         }
 
+        // Settle the previous review before this run's diff is cleared
+        await ResolveTouchedReviewCommentsAsync(job.Id, job.Status, job.GitDiff, job.GitCommitBefore, cancellationToken);
+
+        List<JobReviewComment> requestedComments = [];
+        if (includeReviewComments)
+        {
+            requestedComments = await GetOpenReviewCommentsAsync(job.Id, cancellationToken);
+            if (requestedComments.Count == 0)
+            {
+                return false;
+            }
+
+            trimmedFollowUp = ReviewCommentMatcher.BuildFollowUpPrompt(requestedComments, trimmedFollowUp, MaxFollowUpLength);
+        }
+
         var submittedAt = DateTime.UtcNow;
         var message = new JobMessage
         {
@@ -155,9 +170,10 @@ public partial class JobService
 
         _dbContext.JobMessages.Add(message);
 
-        // Capture the current change set before clearing it for the follow-up.
+        // Capture the current change set before clearing it for the follow-up. Manual edits are recorded alongside
+        // the run they followed and don't count as runs.
         var followUpIndex = await _dbContext.JobChangeSets
-            .Where(cs => cs.JobId == job.Id)
+            .Where(cs => cs.JobId == job.Id && !cs.IsManualEdit)
             .CountAsync(cancellationToken);
 
         var changeSet = new JobChangeSet
@@ -180,6 +196,20 @@ public partial class JobService
 
         _dbContext.JobChangeSets.Add(changeSet);
 
+        var runComments = await _dbContext.JobReviewComments
+            .Where(c => c.JobId == job.Id && c.FollowUpIndex == followUpIndex)
+            .ToListAsync(cancellationToken);
+        foreach (var comment in runComments)
+        {
+            comment.ChangeSetId = changeSet.Id;
+        }
+
+        foreach (var comment in requestedComments)
+        {
+            comment.Status = ReviewCommentStatus.Requested;
+            comment.RequestedAt = submittedAt;
+        }
+
         job.GoalPrompt = BuildContinuationPrompt(job.GoalPrompt, trimmedFollowUp);
         await ResetJobForFollowUp(job, submittedAt, cancellationToken);
         await InitializeExecutionPlanAsync(job, cancellationToken);
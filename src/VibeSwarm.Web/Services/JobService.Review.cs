@@ -0,0 +1,193 @@
+using Microsoft.EntityFrameworkCore;
+using System.ComponentModel.DataAnnotations;
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.Exceptions;
+using VibeSwarm.Shared.Validation;
+using VibeSwarm.Shared.VersionControl;
+
+namespace VibeSwarm.Shared.Services;
+
+public partial class JobService
+{
+    public async Task<IEnumerable<JobReviewComment>> GetReviewCommentsAsync(Guid jobId, CancellationToken cancellationToken = default)
+    {
+        var job = await _dbContext.Jobs
+            .AsNoTracking()
+            .Where(j => j.Id == jobId)
+            .Select(j => new { j.Status, j.GitDiff, j.GitCommitBefore })
+            .FirstOrDefaultAsync(cancellationToken);
+
+        if (job == null)
+        {
+            return [];
+        }
+
+        // The run that follows a review may have finished since the comments were last read
+        if (await ResolveTouchedReviewCommentsAsync(jobId, job.Status, job.GitDiff, job.GitCommitBefore, cancellationToken))
+        {
+            await _dbContext.SaveChangesAsync(cancellationToken);
+        }
+
+        return await _dbContext.JobReviewComments
+            .Where(c => c.JobId == jobId)
+            .OrderBy(c => c.FollowUpIndex)
+            .ThenBy(c => c.FilePath)
+            .ThenBy(c => c.StartLine)
+            .ThenBy(c => c.CreatedAt)
+            .AsNoTracking()
+            .ToListAsync(cancellationToken);
+    }
+
+    public async Task<JobReviewComment> AddReviewCommentAsync(Guid jobId, string filePath, int startLine, int endLine, string body, CancellationToken cancellationToken = default)
+    {
+        var trimmedBody = body?.Trim();
+        if (string.IsNullOrEmpty(trimmedBody))
+        {
+            throw new ValidationException("Comment text is required.");
+        }
+
+        if (trimmedBody.Length > ValidationLimits.ReviewCommentBodyMaxLength)
+        {
+            throw new ValidationException($"Comments can be at most {ValidationLimits.ReviewCommentBodyMaxLength} characters.");
+        }
+
+        var job = await _dbContext.Jobs
+            .AsNoTracking()
+            .Where(j => j.Id == jobId)
+            .Select(j => new { j.Status, j.GitDiff })
+            .FirstOrDefaultAsync(cancellationToken)
+            ?? throw new EntityNotFoundException("Job", jobId.ToString());
+
+        if (job.Status is JobStatus.New or JobStatus.Pending or JobStatus.Started or JobStatus.Planning or JobStatus.Processing)
+        {
+            throw new ValidationException("Comments can be added once the job has finished running.");
+        }
+
+        if (!ReviewCommentMatcher.TryCaptureLines(job.GitDiff, filePath, startLine, endLine, out var lineText, out var isOnAddedLines))
+        {
+            throw new ValidationException("Comments can only be left on lines shown in the job's diff.");
+        }
+
+        var comment = new JobReviewComment
+        {
+            Id = Guid.NewGuid(),
+            JobId = jobId,
+            FollowUpIndex = await _dbContext.JobChangeSets.CountAsync(cs => cs.JobId == jobId && !cs.IsManualEdit, cancellationToken),
+            FilePath = filePath,
+            StartLine = startLine,
+            EndLine = endLine,
+            Body = trimmedBody,
+            LineText = lineText,
+            IsOnAddedLines = isOnAddedLines,
+            Status = ReviewCommentStatus.Open,
+            CreatedAt = DateTime.UtcNow
+        };
+
+        _dbContext.JobReviewComments.Add(comment);
+        await _dbContext.SaveChangesAsync(cancellationToken);
+        return comment;
+    }
+
+    public async Task<bool> SetReviewCommentResolvedAsync(Guid jobId, Guid commentId, bool resolved, CancellationToken cancellationToken = default)
+    {
+        var comment = await _dbContext.JobReviewComments
+            .FirstOrDefaultAsync(c => c.Id == commentId && c.JobId == jobId, cancellationToken);
+
+        if (comment == null)
+        {
+            return false;
+        }
+
+        if (resolved)
+        {
+            comment.Status = ReviewCommentStatus.Resolved;
+            comment.ResolvedAt = DateTime.UtcNow;
+        }
+        else
+        {
+            comment.Status = ReviewCommentStatus.Open;
+            comment.RequestedAt = null;
+            comment.ResolvedAt = null;
+        }
+
+        comment.ResolvedInFollowUpIndex = null;
+        await _dbContext.SaveChangesAsync(cancellationToken);
+        return true;
+    }
+
+    public async Task<bool> DeleteReviewCommentAsync(Guid jobId, Guid commentId, CancellationToken cancellationToken = default)
+    {
+        var comment = await _dbContext.JobReviewComments
+            .FirstOrDefaultAsync(c => c.Id == commentId && c.JobId == jobId, cancellationToken);
+
+        if (comment == null)
+        {
+            return false;
+        }
+
+        _dbContext.JobReviewComments.Remove(comment);
+        await _dbContext.SaveChangesAsync(cancellationToken);
+        return true;
+    }
+
+    /// <summary>
+    /// Loads the open comments to send with a "request changes" follow-up, in the order they are listed.
+    /// </summary>
+    private Task<List<JobReviewComment>> GetOpenReviewCommentsAsync(Guid jobId, CancellationToken cancellationToken)
+    {
+        return _dbContext.JobReviewComments
+            .Where(c => c.JobId == jobId && c.Status == ReviewCommentStatus.Open)
+            .OrderBy(c => c.FollowUpIndex)
+            .ThenBy(c => c.FilePath)
+            .ThenBy(c => c.StartLine)
+            .ThenBy(c => c.CreatedAt)
+            .ToListAsync(cancellationToken);
+    }
+
+    /// <summary>
+    /// Resolves the comments on the previous run whose lines the job's latest run changed. Only the run straight
+    /// after the commented one is compared; later runs number the lines differently.
+    /// </summary>
+    /// <returns>True when any comment was resolved; the caller saves the changes.</returns>
+    private async Task<bool> ResolveTouchedReviewCommentsAsync(Guid jobId, JobStatus status, string? gitDiff, string? gitCommitBefore, CancellationToken cancellationToken)
+    {
+        if (status is not (JobStatus.Completed or JobStatus.Failed or JobStatus.Stalled or JobStatus.Cancelled)
+            || string.IsNullOrWhiteSpace(gitDiff))
+        {
+            return false;
+        }
+
+        var runIndex = await _dbContext.JobChangeSets.CountAsync(cs => cs.JobId == jobId && !cs.IsManualEdit, cancellationToken);
+        if (runIndex == 0)
+        {
+            return false;
+        }
+
+        var comments = await _dbContext.JobReviewComments
+            .Where(c => c.JobId == jobId && c.FollowUpIndex == runIndex - 1 && c.Status != ReviewCommentStatus.Resolved)
+            .ToListAsync(cancellationToken);
+
+        if (comments.Count == 0)
+        {
+            return false;
+        }
+
+        var commentedRunCommit = await _dbContext.JobChangeSets
+            .Where(cs => cs.JobId == jobId && cs.FollowUpIndex == runIndex - 1 && !cs.IsManualEdit)
+            .Select(cs => cs.GitCommitHash)
+            .FirstOrDefaultAsync(cancellationToken);
+        var startsFromCommentedVersion = !string.IsNullOrEmpty(commentedRunCommit) && commentedRunCommit == gitCommitBefore;
+
+        var resolvedAt = DateTime.UtcNow;
+        var anyResolved = false;
+        foreach (var comment in comments.Where(c => ReviewCommentMatcher.IsTouchedBy(c, gitDiff, startsFromCommentedVersion)))
+        {
+            comment.Status = ReviewCommentStatus.Resolved;
+            comment.ResolvedAt = resolvedAt;
+            comment.ResolvedInFollowUpIndex = runIndex;
+            anyResolved = true;
+        }
+
+        return anyResolved;
+    }
+}
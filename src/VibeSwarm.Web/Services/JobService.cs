@@ -1,11 +1,13 @@
 using Microsoft.EntityFrameworkCore;
 using Microsoft.EntityFrameworkCore.Infrastructure;
 using Microsoft.Extensions.DependencyInjection;
+using System.ComponentModel.DataAnnotations;
 using System.Text.Json;
 using VibeSwarm.Shared.Data;
 using VibeSwarm.Shared.Models;
 using VibeSwarm.Shared.Providers;
 using VibeSwarm.Shared.Utilities;
+using VibeSwarm.Shared.Validation;
 using VibeSwarm.Shared.VersionControl;
 using VibeSwarm.Web.Services;
 
@@ -428,6 +430,8 @@ public partial class JobService : IJobService
 			throw new InvalidOperationException("No enabled providers are available for this job.");
 		}
 
+		await StoreUploadedAttachmentsAsync(job, cancellationToken);
+
         // Persist via a brand-new DbContext constructed from the same options as _dbContext.
         // This guarantees an empty change tracker at the moment of Add, regardless of what
         // the request-scoped _dbContext (or callers like IdeaService) already have attached.
@@ -609,6 +613,55 @@ public partial class JobService : IJobService
 		job.TargetBranch = string.IsNullOrWhiteSpace(job.TargetBranch) ? null : job.TargetBranch.Trim();
 	}
 
+	private async Task StoreUploadedAttachmentsAsync(Job job, CancellationToken cancellationToken)
+	{
+		if (job.AttachmentUploadIds is not { Count: > 0 } uploadIds)
+		{
+			return;
+		}
+
+		var uploadStore = _serviceProvider.GetService<AttachmentUploadStore>()
+			?? throw new ValidationException("Uploaded attachments are not available on this server.");
+		var uploads = await uploadStore.GetCompletedAsync(uploadIds, cancellationToken);
+		if (uploads.Count > ValidationLimits.IdeaAttachmentMaxCount)
+		{
+			throw new ValidationException($"Jobs can include at most {ValidationLimits.IdeaAttachmentMaxCount} attachments.");
+		}
+
+		if (uploads.Sum(upload => upload.SizeBytes) > ValidationLimits.IdeaAttachmentMaxTotalBytes)
+		{
+			throw new ValidationException($"Job attachments exceed the total limit of {ValidationLimits.IdeaAttachmentMaxTotalBytes / (1024 * 1024)} MB.");
+		}
+
+		var workingPath = await _dbContext.Projects
+			.Where(project => project.Id == job.ProjectId)
+			.Select(project => project.WorkingPath)
+			.FirstOrDefaultAsync(cancellationToken);
+		if (string.IsNullOrWhiteSpace(workingPath) || !Directory.Exists(workingPath))
+		{
+			throw new ValidationException("Project working directory was not found, so job attachments cannot be stored.");
+		}
+
+		var projectMemoryService = _serviceProvider.GetService<IProjectMemoryService>();
+		if (projectMemoryService != null)
+		{
+			await projectMemoryService.EnsureGitExcludeAsync(workingPath, cancellationToken);
+		}
+
+		var rootDirectory = Path.Combine(workingPath, ".vibeswarm", "job-attachments", job.Id.ToString("N"));
+		var usedNames = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+		var paths = uploads
+			.Select(upload => uploadStore.MoveToDirectory(upload, rootDirectory, usedNames))
+			.ToList();
+
+		job.GoalPrompt = IdeaService.BuildPromptWithAttachments(
+			job.GoalPrompt,
+			uploads.Select(upload => new IdeaAttachment { FileName = upload.FileName, ContentType = upload.ContentType }),
+			paths);
+		job.AttachedFilesJson = JsonSerializer.Serialize(paths);
+		job.AttachmentUploadIds = null;
+	}
+
 	private static IQueryable<Job> IncludeStatistics(IQueryable<Job> query)
 	{
 		return query
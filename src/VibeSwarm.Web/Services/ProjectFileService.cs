@@ -0,0 +1,206 @@
+using System.ComponentModel.DataAnnotations;
+using System.Security.Cryptography;
+using System.Text;
+using Microsoft.EntityFrameworkCore;
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.Exceptions;
+using VibeSwarm.Shared.Services;
+using VibeSwarm.Shared.Validation;
+using VibeSwarm.Shared.VersionControl;
+
+namespace VibeSwarm.Web.Services;
+
+/// <summary>
+/// Reads and writes text files under a project's working directory for the in-browser editor. Only existing files
+/// inside the directory can be opened: absolute paths, paths that climb out of it, symbolic links and anything under
+/// .git are refused.
+/// </summary>
+public sealed class ProjectFileService(VibeSwarmDbContext dbContext) : IProjectFileService
+{
+	/// <summary>
+	/// Bytes checked for a NUL character to tell binary files from text
+	/// </summary>
+	private const int BinarySniffLength = 8000;
+
+	private static readonly UTF8Encoding StrictUtf8 = new(encoderShouldEmitUTF8Identifier: false, throwOnInvalidBytes: true);
+	private static readonly byte[] Utf8Bom = [0xEF, 0xBB, 0xBF];
+
+	private static StringComparison PathComparison => OperatingSystem.IsWindows()
+		? StringComparison.OrdinalIgnoreCase
+		: StringComparison.Ordinal;
+
+	public async Task<ProjectFile> GetFileAsync(Guid projectId, string path, CancellationToken cancellationToken = default)
+	{
+		var (root, fullPath) = await ResolveFileAsync(projectId, path, FileSystemOperation.Read, cancellationToken);
+		var bytes = await File.ReadAllBytesAsync(fullPath, cancellationToken);
+		var text = DecodeText(bytes, path);
+		return CreateProjectFile(root, fullPath, bytes, text);
+	}
+
+	public async Task<ProjectFileSaveResult> SaveFileAsync(Guid projectId, ProjectFileSaveRequest request, string? editedBy = null, CancellationToken cancellationToken = default)
+	{
+		ArgumentNullException.ThrowIfNull(request);
+
+		var (root, fullPath) = await ResolveFileAsync(projectId, request.Path, FileSystemOperation.Write, cancellationToken);
+		var currentBytes = await File.ReadAllBytesAsync(fullPath, cancellationToken);
+		if (!string.IsNullOrEmpty(request.ExpectedHash) && !string.Equals(request.ExpectedHash, ComputeHash(currentBytes), StringComparison.OrdinalIgnoreCase))
+		{
+			throw new ValidationException($"{request.Path} changed on disk after it was opened. Reload it before saving.");
+		}
+
+		var currentText = DecodeText(currentBytes, request.Path);
+		var oldContent = NormalizeLineEndings(currentText);
+		var newContent = NormalizeLineEndings(request.Content ?? string.Empty);
+
+		var job = request.JobId is { } jobId
+			? await dbContext.Jobs
+				.AsNoTracking()
+				.Where(j => j.Id == jobId)
+				.Select(j => new { j.ProjectId, j.Status })
+				.FirstOrDefaultAsync(cancellationToken)
+				?? throw new EntityNotFoundException("Job", jobId.ToString())
+			: null;
+
+		if (job != null && job.ProjectId != projectId)
+		{
+			throw new ValidationException("Edits can only be recorded on a job of the same project.");
+		}
+
+		if (job?.Status is JobStatus.New or JobStatus.Pending or JobStatus.Started or JobStatus.Planning or JobStatus.Processing or JobStatus.Paused)
+		{
+			throw new ValidationException("Files can be edited once the job has finished running.");
+		}
+
+		if (newContent == oldContent)
+		{
+			return new ProjectFileSaveResult { File = CreateProjectFile(root, fullPath, currentBytes, currentText) };
+		}
+
+		// Written back the way the file was stored, so an edit doesn't also change every line ending
+		var storedText = currentText.Contains("\r\n", StringComparison.Ordinal) ? newContent.Replace("\n", "\r\n") : newContent;
+		var encoded = StrictUtf8.GetBytes(storedText);
+		byte[] bytes = currentBytes.AsSpan().StartsWith(Utf8Bom) ? [.. Utf8Bom, .. encoded] : encoded;
+		if (bytes.Length > ValidationLimits.ProjectFileMaxEditableBytes)
+		{
+			throw new ValidationException($"Files edited here can be at most {ValidationLimits.ProjectFileMaxEditableBytes / 1024} KB.");
+		}
+
+		await File.WriteAllBytesAsync(fullPath, bytes, cancellationToken);
+
+		var file = CreateProjectFile(root, fullPath, bytes, storedText);
+		JobChangeSet? changeSet = null;
+		if (request.JobId is { } editedJobId)
+		{
+			var now = DateTime.UtcNow;
+			changeSet = new JobChangeSet
+			{
+				Id = Guid.NewGuid(),
+				JobId = editedJobId,
+				FollowUpIndex = await dbContext.JobChangeSets.CountAsync(cs => cs.JobId == editedJobId && !cs.IsManualEdit, cancellationToken),
+				IsManualEdit = true,
+				EditedBy = Truncate(editedBy, ValidationLimits.ChangeSetEditedByMaxLength),
+				FilePath = file.Path,
+				GitDiff = LineDiff.BuildUnifiedDiff(file.Path, oldContent, newContent),
+				ChangedFilesCount = 1,
+				CompletedAt = now,
+				CreatedAt = now
+			};
+
+			dbContext.JobChangeSets.Add(changeSet);
+			await dbContext.SaveChangesAsync(cancellationToken);
+		}
+
+		return new ProjectFileSaveResult { File = file, ChangeSet = changeSet };
+	}
+
+	private async Task<(string Root, string FullPath)> ResolveFileAsync(Guid projectId, string? path, FileSystemOperation operation, CancellationToken cancellationToken)
+	{
+		var project = await dbContext.Projects
+			.AsNoTracking()
+			.Where(p => p.Id == projectId)
+			.Select(p => new { p.WorkingPath })
+			.FirstOrDefaultAsync(cancellationToken)
+			?? throw new EntityNotFoundException("Project", projectId.ToString());
+
+		var workingPath = project.WorkingPath?.Trim();
+		if (string.IsNullOrEmpty(workingPath) || !Directory.Exists(workingPath))
+		{
+			throw new ValidationException("The project's working directory is not available.");
+		}
+
+		if (string.IsNullOrWhiteSpace(path) || path.Length > ValidationLimits.ProjectFilePathMaxLength)
+		{
+			throw new ValidationException("A file path inside the project is required.");
+		}
+
+		var segments = path.Split('/', '\\');
+		if (Path.IsPathRooted(path) || segments.Any(segment => string.Equals(segment, ".git", PathComparison)))
+		{
+			throw new PathAccessDeniedException(path, operation);
+		}
+
+		var root = Path.TrimEndingDirectorySeparator(Path.GetFullPath(workingPath));
+		var fullPath = Path.GetFullPath(Path.Combine(root, path));
+		if (!fullPath.StartsWith(root + Path.DirectorySeparatorChar, PathComparison))
+		{
+			throw new PathAccessDeniedException(path, operation);
+		}
+
+		if (!File.Exists(fullPath))
+		{
+			throw new PathNotFoundException(path);
+		}
+
+		// A link could lead anywhere on the host, so none are followed below the working directory
+		for (var current = fullPath; current.Length > root.Length; current = Path.GetDirectoryName(current)!)
+		{
+			FileSystemInfo entry = current == fullPath ? new FileInfo(current) : new DirectoryInfo(current);
+			if (entry.LinkTarget != null)
+			{
+				throw new PathAccessDeniedException(path, operation);
+			}
+		}
+
+		return (root, fullPath);
+	}
+
+	private static string DecodeText(byte[] bytes, string path)
+	{
+		if (bytes.Length > ValidationLimits.ProjectFileMaxEditableBytes)
+		{
+			throw new ValidationException($"{path} is too large to edit here; files can be at most {ValidationLimits.ProjectFileMaxEditableBytes / 1024} KB.");
+		}
+
+		if (bytes.AsSpan(0, Math.Min(bytes.Length, BinarySniffLength)).Contains((byte)0))
+		{
+			throw new ValidationException($"{path} is a binary file and can't be edited here.");
+		}
+
+		var content = bytes.AsSpan().StartsWith(Utf8Bom) ? bytes.AsSpan(Utf8Bom.Length) : bytes.AsSpan();
+		try
+		{
+			return StrictUtf8.GetString(content);
+		}
+		catch (DecoderFallbackException)
+		{
+			throw new ValidationException($"{path} isn't UTF-8 text and can't be edited here.");
+		}
+	}
+
+	private static ProjectFile CreateProjectFile(string root, string fullPath, byte[] bytes, string text)
+		=> new()
+		{
+			Path = Path.GetRelativePath(root, fullPath).Replace('\\', '/'),
+			Content = NormalizeLineEndings(text),
+			ContentHash = ComputeHash(bytes),
+			UsesCrLf = text.Contains("\r\n", StringComparison.Ordinal),
+			LastModified = File.GetLastWriteTimeUtc(fullPath)
+		};
+
+	private static string NormalizeLineEndings(string text) => text.Replace("\r\n", "\n");
+
+	private static string ComputeHash(byte[] bytes) => Convert.ToHexStringLower(SHA256.HashData(bytes));
+
+	private static string? Truncate(string? value, int maxLength)
+		=> value == null || value.Length <= maxLength ? value : value[..maxLength];
+}
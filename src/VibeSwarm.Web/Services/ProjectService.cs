@@ -81,6 +81,7 @@ public class ProjectService : IProjectService
 		}
 		NormalizePlanningSettings(project);
 		project.DefaultTargetBranch = string.IsNullOrWhiteSpace(project.DefaultTargetBranch) ? null : project.DefaultTargetBranch.Trim();
+		project.AccentColor = string.IsNullOrWhiteSpace(project.AccentColor) ? null : project.AccentColor.Trim().ToLowerInvariant();
 		project.BuildCommand = string.IsNullOrWhiteSpace(project.BuildCommand) ? null : project.BuildCommand.Trim();
 		project.TestCommand = string.IsNullOrWhiteSpace(project.TestCommand) ? null : project.TestCommand.Trim();
 		project.IdeaInferenceModelId = string.IsNullOrWhiteSpace(project.IdeaInferenceModelId) ? null : project.IdeaInferenceModelId.Trim();
@@ -150,6 +151,7 @@ public class ProjectService : IProjectService
 		existing.AutoCommitMode = project.AutoCommitMode;
 		existing.GitChangeDeliveryMode = project.GitChangeDeliveryMode;
 		existing.DefaultTargetBranch = string.IsNullOrWhiteSpace(project.DefaultTargetBranch) ? null : project.DefaultTargetBranch.Trim();
+		existing.AccentColor = string.IsNullOrWhiteSpace(project.AccentColor) ? null : project.AccentColor.Trim().ToLowerInvariant();
 		existing.PlanningEnabled = project.PlanningEnabled;
 		existing.PlanningProviderId = project.PlanningProviderId;
 		existing.PlanningModelId = project.PlanningModelId;
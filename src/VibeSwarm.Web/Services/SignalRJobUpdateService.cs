@@ -1,4 +1,5 @@
 using Microsoft.AspNetCore.SignalR;
+using VibeSwarm.Shared.Data;
 using VibeSwarm.Shared.Models;
 using VibeSwarm.Shared.Services;
 using VibeSwarm.Web.Hubs;
@@ -12,13 +13,19 @@ public class SignalRJobUpdateService : IJobUpdateService
 {
     private readonly IHubContext<JobHub> _hubContext;
     private readonly ILogger<SignalRJobUpdateService> _logger;
+    private readonly IWebPushDispatcher? _webPushDispatcher;
+    private readonly JobEventReplayBuffer _replayBuffer;
 
     public SignalRJobUpdateService(
         IHubContext<JobHub> hubContext,
-        ILogger<SignalRJobUpdateService> logger)
+        ILogger<SignalRJobUpdateService> logger,
+        IWebPushDispatcher? webPushDispatcher = null,
+        JobEventReplayBuffer? replayBuffer = null)
     {
         _hubContext = hubContext;
         _logger = logger;
+        _webPushDispatcher = webPushDispatcher;
+        _replayBuffer = replayBuffer ?? new JobEventReplayBuffer();
     }
 
     public async Task NotifyJobStatusChanged(Guid jobId, string status)
@@ -26,9 +33,7 @@ public class SignalRJobUpdateService : IJobUpdateService
         try
         {
             // Notify job-specific subscribers
-            await _hubContext.Clients
-                .Group($"job-{jobId}")
-                .SendAsync("JobStatusChanged", jobId.ToString(), status);
+            await SendToJobAsync(jobId, "JobStatusChanged", jobId.ToString(), status);
 
             // Also notify global job list subscribers
             await _hubContext.Clients
@@ -46,6 +51,12 @@ public class SignalRJobUpdateService : IJobUpdateService
         {
             _logger.LogError(ex, "Error sending JobStatusChanged notification for job {JobId}", jobId);
         }
+
+        // Completion and failure are pushed from NotifyJobCompleted; only stalls surface here
+        if (string.Equals(status, nameof(JobStatus.Stalled), StringComparison.OrdinalIgnoreCase))
+        {
+            QueueWebPush(jobId, WebPushNotificationKinds.JobStalled);
+        }
     }
 
     public async Task NotifyJobActivity(Guid jobId, string activity, DateTime timestamp)
@@ -53,9 +64,7 @@ public class SignalRJobUpdateService : IJobUpdateService
         try
         {
             // Notify job-specific subscribers
-            await _hubContext.Clients
-                .Group($"job-{jobId}")
-                .SendAsync("JobActivityUpdated", jobId.ToString(), activity, timestamp);
+            await SendToJobAsync(jobId, "JobActivityUpdated", jobId.ToString(), activity, timestamp);
 
             // Also notify global job list subscribers with compact update
             await _hubContext.Clients
@@ -74,9 +83,7 @@ public class SignalRJobUpdateService : IJobUpdateService
     {
         try
         {
-            await _hubContext.Clients
-                .Group($"job-{jobId}")
-                .SendAsync("JobMessageAdded", jobId.ToString());
+            await SendToJobAsync(jobId, "JobMessageAdded", jobId.ToString());
 
             _logger.LogDebug("Sent JobMessageAdded notification for job {JobId}", jobId);
         }
@@ -91,9 +98,7 @@ public class SignalRJobUpdateService : IJobUpdateService
         try
         {
             // Notify job-specific subscribers
-            await _hubContext.Clients
-                .Group($"job-{jobId}")
-                .SendAsync("JobCompleted", jobId.ToString(), success, errorMessage);
+            await SendToJobAsync(jobId, "JobCompleted", jobId.ToString(), success, errorMessage);
 
             // Also notify global job list subscribers
             await _hubContext.Clients
@@ -111,6 +116,11 @@ public class SignalRJobUpdateService : IJobUpdateService
         {
             _logger.LogError(ex, "Error sending JobCompleted notification for job {JobId}", jobId);
         }
+
+        QueueWebPush(
+            jobId,
+            success ? WebPushNotificationKinds.JobCompleted : WebPushNotificationKinds.JobFailed,
+            success ? null : errorMessage);
     }
 
     public async Task NotifyJobListChanged()
@@ -178,9 +188,7 @@ public class SignalRJobUpdateService : IJobUpdateService
         try
         {
             // Notify job-specific subscribers
-            await _hubContext.Clients
-                .Group($"job-{jobId}")
-                .SendAsync("JobHeartbeat", jobId.ToString(), timestamp);
+            await SendToJobAsync(jobId, "JobHeartbeat", jobId.ToString(), timestamp);
 
             _logger.LogDebug("Sent JobHeartbeat notification for job {JobId}", jobId);
         }
@@ -195,9 +203,7 @@ public class SignalRJobUpdateService : IJobUpdateService
         try
         {
             // Notify job-specific subscribers with real-time output
-            await _hubContext.Clients
-                .Group($"job-{jobId}")
-                .SendAsync("JobOutput", jobId.ToString(), line, isError, timestamp);
+            await SendToJobAsync(jobId, "JobOutput", jobId.ToString(), line, isError, timestamp);
 
             // Don't log every line to avoid log spam
         }
@@ -211,9 +217,7 @@ public class SignalRJobUpdateService : IJobUpdateService
     {
         try
         {
-            await _hubContext.Clients
-                .Group($"job-{jobId}")
-                .SendAsync("ProcessStarted", jobId.ToString(), processId, command);
+            await SendToJobAsync(jobId, "ProcessStarted", jobId.ToString(), processId, command);
 
             _logger.LogDebug("Sent ProcessStarted notification for job {JobId}: PID={ProcessId}", jobId, processId);
         }
@@ -227,9 +231,7 @@ public class SignalRJobUpdateService : IJobUpdateService
     {
         try
         {
-            await _hubContext.Clients
-                .Group($"job-{jobId}")
-                .SendAsync("ProcessExited", jobId.ToString(), processId, exitCode, duration.TotalSeconds);
+            await SendToJobAsync(jobId, "ProcessExited", jobId.ToString(), processId, exitCode, duration.TotalSeconds);
 
             _logger.LogDebug("Sent ProcessExited notification for job {JobId}: PID={ProcessId}, ExitCode={ExitCode}",
                 jobId, processId, exitCode);
@@ -244,9 +246,7 @@ public class SignalRJobUpdateService : IJobUpdateService
     {
         try
         {
-            await _hubContext.Clients
-                .Group($"job-{jobId}")
-                .SendAsync("JobGitDiffUpdated", jobId.ToString(), hasChanges);
+            await SendToJobAsync(jobId, "JobGitDiffUpdated", jobId.ToString(), hasChanges);
 
             await _hubContext.Clients
                 .Group("job-list")
@@ -267,9 +267,7 @@ public class SignalRJobUpdateService : IJobUpdateService
         try
         {
             // Notify job-specific subscribers
-            await _hubContext.Clients
-                .Group($"job-{jobId}")
-                .SendAsync("JobInteractionRequired", jobId.ToString(), prompt, interactionType, choices, defaultResponse);
+            await SendToJobAsync(jobId, "JobInteractionRequired", jobId.ToString(), prompt, interactionType, choices, defaultResponse);
 
             // Also notify global job list subscribers for dashboard alerts
             await _hubContext.Clients
@@ -283,6 +281,8 @@ public class SignalRJobUpdateService : IJobUpdateService
         {
             _logger.LogError(ex, "Error sending JobInteractionRequired notification for job {JobId}", jobId);
         }
+
+        QueueWebPush(new WebPushJobEvent(jobId, WebPushNotificationKinds.JobInteractionRequired, prompt, interactionType, choices));
     }
 
     public async Task NotifyJobResumed(Guid jobId)
@@ -290,9 +290,7 @@ public class SignalRJobUpdateService : IJobUpdateService
         try
         {
             // Notify job-specific subscribers
-            await _hubContext.Clients
-                .Group($"job-{jobId}")
-                .SendAsync("JobResumed", jobId.ToString());
+            await SendToJobAsync(jobId, "JobResumed", jobId.ToString());
 
             // Also notify global job list subscribers
             await _hubContext.Clients
@@ -312,9 +310,7 @@ public class SignalRJobUpdateService : IJobUpdateService
         try
         {
             // Notify job-specific subscribers
-            await _hubContext.Clients
-                .Group($"job-{jobId}")
-                .SendAsync("JobCycleProgress", jobId.ToString(), currentCycle, maxCycles);
+            await SendToJobAsync(jobId, "JobCycleProgress", jobId.ToString(), currentCycle, maxCycles);
 
             // Also notify global job list subscribers
             await _hubContext.Clients
@@ -553,4 +549,32 @@ public class SignalRJobUpdateService : IJobUpdateService
 			_logger.LogWarning(ex, "Error sending DeveloperUpdateOutputAdded notification");
 		}
 	}
+
+    /// <summary>
+    /// Sends an event to the job's group with its sequence number appended as the last argument, and keeps it in
+    /// the replay buffer for clients that missed it. Copies sent to the job list and global groups are not numbered.
+    /// </summary>
+    private Task SendToJobAsync(Guid jobId, string method, params object?[] args)
+    {
+        var sequence = _replayBuffer.Append(jobId, method, args);
+        return _hubContext.Clients
+            .Group($"job-{jobId}")
+            .SendCoreAsync(method, [.. args, sequence]);
+    }
+
+    private void QueueWebPush(Guid jobId, string kind, string? detail = null)
+        => QueueWebPush(new WebPushJobEvent(jobId, kind, detail));
+
+    private void QueueWebPush(WebPushJobEvent jobEvent)
+    {
+        if (_webPushDispatcher == null)
+        {
+            return;
+        }
+
+        if (!_webPushDispatcher.TryEnqueue(jobEvent))
+        {
+            _logger.LogWarning("Dropped Web Push {Kind} for job {JobId}; the dispatch queue is closed", jobEvent.Kind, jobEvent.JobId);
+        }
+    }
 }
@@ -8,9 +8,30 @@ public static class ThemePreferenceCookieHelper
 	public const string CookieName = "VibeSwarm.ThemePreference";
 	private static readonly TimeSpan CookieLifetime = TimeSpan.FromDays(365);
 
+	public static void Append(HttpResponse response, HttpRequest request, ApplicationUser user)
+	{
+		Append(response, request, ToCookieValue(user.ThemePreference, user.ThemeAccent, user.ThemeDensity));
+	}
+
 	public static void Append(HttpResponse response, HttpRequest request, ThemePreference preference)
 	{
-		response.Cookies.Append(CookieName, preference.ToValue(), new CookieOptions
+		Append(response, request, preference.ToValue());
+	}
+
+	/// <summary>
+	/// Encodes the appearance for theme.js as "theme|accent|density". Default accent and density are
+	/// omitted so the cookie stays a bare theme name for users who never customised them.
+	/// </summary>
+	public static string ToCookieValue(ThemePreference preference, ThemeAccent accent, ThemeDensity density)
+	{
+		return accent == ThemeAccent.Indigo && density == ThemeDensity.Comfortable
+			? preference.ToValue()
+			: $"{preference.ToValue()}|{accent.ToValue()}|{density.ToValue()}";
+	}
+
+	private static void Append(HttpResponse response, HttpRequest request, string value)
+	{
+		response.Cookies.Append(CookieName, value, new CookieOptions
 		{
 			HttpOnly = false,
 			IsEssential = true,
@@ -0,0 +1,185 @@
+using System.Threading.Channels;
+using Microsoft.EntityFrameworkCore;
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.Models;
+using VibeSwarm.Shared.Utilities;
+
+namespace VibeSwarm.Web.Services;
+
+/// <summary>
+/// A job event that should reach the user's devices even when no tab is open.
+/// Interaction events carry the detected prompt type and choices so the notification can offer inline replies.
+/// </summary>
+public sealed record WebPushJobEvent(
+	Guid JobId,
+	string Kind,
+	string? Detail = null,
+	string? InteractionType = null,
+	IReadOnlyList<string>? Choices = null);
+
+public interface IWebPushDispatcher
+{
+	/// <summary>
+	/// Queues a job event for delivery without waiting on push services.
+	/// </summary>
+	bool TryEnqueue(WebPushJobEvent jobEvent);
+}
+
+/// <summary>
+/// Drains queued job events in the background and fans each one out as a Web Push notification,
+/// so slow or unreachable push services never hold up job processing.
+/// </summary>
+public class WebPushDispatchService : BackgroundService, IWebPushDispatcher
+{
+	private const int QueueCapacity = 256;
+	private const int MaxBodyLength = 180;
+	private const int MaxChoiceActions = 2;
+
+	private readonly Channel<WebPushJobEvent> _queue = Channel.CreateBounded<WebPushJobEvent>(
+		new BoundedChannelOptions(QueueCapacity)
+		{
+			FullMode = BoundedChannelFullMode.DropOldest,
+			SingleReader = true
+		});
+
+	private readonly IServiceScopeFactory _scopeFactory;
+	private readonly ILogger<WebPushDispatchService> _logger;
+
+	public WebPushDispatchService(IServiceScopeFactory scopeFactory, ILogger<WebPushDispatchService> logger)
+	{
+		_scopeFactory = scopeFactory;
+		_logger = logger;
+	}
+
+	public bool TryEnqueue(WebPushJobEvent jobEvent) => _queue.Writer.TryWrite(jobEvent);
+
+	protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+	{
+		try
+		{
+			await foreach (var jobEvent in _queue.Reader.ReadAllAsync(stoppingToken))
+			{
+				try
+				{
+					await DispatchAsync(jobEvent, stoppingToken);
+				}
+				catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+				{
+					break;
+				}
+				catch (Exception ex)
+				{
+					_logger.LogError(ex, "Error sending Web Push for job {JobId} ({Kind})", jobEvent.JobId, jobEvent.Kind);
+				}
+			}
+		}
+		catch (OperationCanceledException) when (stoppingToken.IsCancellationRequested)
+		{
+		}
+	}
+
+	private async Task DispatchAsync(WebPushJobEvent jobEvent, CancellationToken cancellationToken)
+	{
+		using var scope = _scopeFactory.CreateScope();
+		var dbContext = scope.ServiceProvider.GetRequiredService<VibeSwarmDbContext>();
+		var subscriptionService = scope.ServiceProvider.GetRequiredService<WebPushSubscriptionService>();
+
+		var job = await dbContext.Jobs
+			.AsNoTracking()
+			.Where(candidate => candidate.Id == jobEvent.JobId)
+			.Select(candidate => new { candidate.Title, candidate.GoalPrompt, ProjectName = candidate.Project != null ? candidate.Project.Name : null })
+			.FirstOrDefaultAsync(cancellationToken);
+
+		var jobTitle = !string.IsNullOrWhiteSpace(job?.Title) ? job.Title : job?.GoalPrompt;
+		var payload = CreatePayload(jobEvent, jobTitle, job?.ProjectName);
+		var delivered = await subscriptionService.SendToAllAsync(payload, cancellationToken);
+
+		_logger.LogDebug("Sent Web Push {Kind} for job {JobId} to {DeliveredCount} device(s)", jobEvent.Kind, jobEvent.JobId, delivered);
+	}
+
+	internal static WebPushNotificationPayload CreatePayload(WebPushJobEvent jobEvent, string? jobTitle, string? projectName)
+	{
+		var name = Shorten(string.IsNullOrWhiteSpace(jobTitle) ? "Job" : jobTitle.Trim(), 60);
+		var prefix = string.IsNullOrWhiteSpace(projectName) ? string.Empty : $"{projectName}: ";
+
+		var (title, fallbackBody) = jobEvent.Kind switch
+		{
+			WebPushNotificationKinds.JobCompleted => ($"Completed: {name}", "The job finished successfully."),
+			WebPushNotificationKinds.JobFailed => ($"Failed: {name}", "The job failed."),
+			WebPushNotificationKinds.JobStalled => ($"Stalled: {name}", "The job stopped responding and may need attention."),
+			WebPushNotificationKinds.JobInteractionRequired => ($"Input needed: {name}", "The agent is waiting for your response."),
+			_ => (name, "Job updated.")
+		};
+
+		var detail = string.IsNullOrWhiteSpace(jobEvent.Detail) ? fallbackBody : jobEvent.Detail.Trim();
+
+		return new WebPushNotificationPayload
+		{
+			Title = title,
+			Body = Shorten(prefix + detail, MaxBodyLength),
+			Url = $"/jobs/view/{jobEvent.JobId}",
+			Tag = $"job-{jobEvent.JobId}",
+			Kind = jobEvent.Kind,
+			JobId = jobEvent.JobId,
+			RequireInteraction = jobEvent.Kind is WebPushNotificationKinds.JobInteractionRequired or WebPushNotificationKinds.JobStalled,
+			Actions = jobEvent.Kind == WebPushNotificationKinds.JobInteractionRequired
+				? CreateInteractionActions(jobEvent.InteractionType, jobEvent.Choices)
+				: []
+		};
+	}
+
+	internal static List<WebPushNotificationAction> CreateInteractionActions(string? interactionType, IReadOnlyList<string>? choices)
+	{
+		var availableChoices = choices?.Where(choice => !string.IsNullOrWhiteSpace(choice)).ToList() ?? [];
+
+		if (interactionType is nameof(InteractionDetector.InteractionType.Confirmation)
+			or nameof(InteractionDetector.InteractionType.Permission))
+		{
+			return
+			[
+				new WebPushNotificationAction
+				{
+					Action = "approve",
+					Title = "Approve",
+					Response = FindChoice(availableChoices, "y", "yes") ?? "y"
+				},
+				new WebPushNotificationAction
+				{
+					Action = "deny",
+					Title = "Deny",
+					Response = FindChoice(availableChoices, "n", "no") ?? "n"
+				}
+			];
+		}
+
+		if (interactionType == nameof(InteractionDetector.InteractionType.Choice)
+			&& availableChoices.Count is > 0 and <= MaxChoiceActions)
+		{
+			return availableChoices
+				.Select((choice, index) => new WebPushNotificationAction
+				{
+					Action = $"choice-{index}",
+					Title = Shorten(choice.Trim(), 30),
+					Response = choice.Trim()
+				})
+				.ToList();
+		}
+
+		return
+		[
+			new WebPushNotificationAction
+			{
+				Action = "reply",
+				Title = "Reply",
+				Type = "text",
+				Placeholder = "Type your response..."
+			}
+		];
+	}
+
+	private static string? FindChoice(IReadOnlyList<string> choices, params string[] candidates)
+		=> choices.FirstOrDefault(choice => candidates.Contains(choice.Trim(), StringComparer.OrdinalIgnoreCase))?.Trim();
+
+	private static string Shorten(string value, int maxLength)
+		=> value.Length <= maxLength ? value : value[..(maxLength - 1)].TrimEnd() + "…";
+}
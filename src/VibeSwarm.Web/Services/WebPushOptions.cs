@@ -0,0 +1,44 @@
+namespace VibeSwarm.Web.Services;
+
+public class WebPushOptions
+{
+	public const string SectionName = "WebPush";
+
+	public bool Enabled { get; set; } = true;
+
+	/// <summary>
+	/// Contact URI (mailto: or https:) sent to push services in the VAPID token.
+	/// </summary>
+	public string Subject { get; set; } = "mailto:admin@vibeswarm.local";
+
+	/// <summary>
+	/// Base64url-encoded VAPID public key. Generated and persisted to <see cref="KeyFilePath"/> when omitted.
+	/// </summary>
+	public string? PublicKey { get; set; }
+
+	/// <summary>
+	/// Base64url-encoded VAPID private key. Generated and persisted to <see cref="KeyFilePath"/> when omitted.
+	/// </summary>
+	public string? PrivateKey { get; set; }
+
+	public string? KeyFilePath { get; set; }
+
+	public int TimeToLiveSeconds { get; set; } = 24 * 60 * 60;
+
+	/// <summary>
+	/// Push services used by Chrome, Firefox, Edge and Safari. Subscription endpoints must be on one of these hosts
+	/// or a subdomain of one.
+	/// </summary>
+	public static readonly IReadOnlyList<string> PushServiceHosts =
+	[
+		"fcm.googleapis.com",
+		"push.services.mozilla.com",
+		"notify.windows.com",
+		"push.apple.com"
+	];
+
+	/// <summary>
+	/// Extra endpoint hosts to accept alongside <see cref="PushServiceHosts"/>, for browsers that use another push service.
+	/// </summary>
+	public string[] AdditionalEndpointHosts { get; set; } = [];
+}
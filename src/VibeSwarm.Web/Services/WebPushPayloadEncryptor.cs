@@ -0,0 +1,86 @@
+using System.Buffers.Binary;
+using System.Buffers.Text;
+using System.Security.Cryptography;
+using System.Text;
+
+namespace VibeSwarm.Web.Services;
+
+/// <summary>
+/// Encrypts push message bodies with the "aes128gcm" content coding from RFC 8188,
+/// keyed as described in RFC 8291 (Message Encryption for Web Push).
+/// </summary>
+internal static class WebPushPayloadEncryptor
+{
+	private const int RecordSize = 4096;
+	private const int TagLength = 16;
+	private const byte LastRecordDelimiter = 0x02;
+
+	public static byte[] Encrypt(string p256dh, string auth, ReadOnlySpan<byte> plaintext)
+	{
+		var userAgentPublicKey = Base64Url.DecodeFromChars(p256dh);
+		var authSecret = Base64Url.DecodeFromChars(auth);
+		var salt = RandomNumberGenerator.GetBytes(16);
+
+		using var serverKey = ECDiffieHellman.Create(ECCurve.NamedCurves.nistP256);
+		return Encrypt(userAgentPublicKey, authSecret, plaintext, serverKey, salt);
+	}
+
+	internal static byte[] Encrypt(
+		byte[] userAgentPublicKey,
+		byte[] authSecret,
+		ReadOnlySpan<byte> plaintext,
+		ECDiffieHellman serverKey,
+		byte[] salt)
+	{
+		if (plaintext.Length + 1 + TagLength > RecordSize)
+		{
+			throw new ArgumentException("Push payload is too large for a single record.", nameof(plaintext));
+		}
+
+		using var userAgentKey = ECDiffieHellman.Create(new ECParameters
+		{
+			Curve = ECCurve.NamedCurves.nistP256,
+			Q = WebPushVapidKeyProvider.DecodeUncompressedPoint(userAgentPublicKey)
+		});
+
+		var serverPublicKey = WebPushVapidKeyProvider.EncodeUncompressedPoint(serverKey.ExportParameters(false).Q);
+		var sharedSecret = serverKey.DeriveRawSecretAgreement(userAgentKey.PublicKey);
+
+		var keyInfo = Concat(Encoding.ASCII.GetBytes("WebPush: info\0"), userAgentPublicKey, serverPublicKey);
+		var inputKeyMaterial = HKDF.DeriveKey(HashAlgorithmName.SHA256, sharedSecret, 32, authSecret, keyInfo);
+		var contentEncryptionKey = HKDF.DeriveKey(HashAlgorithmName.SHA256, inputKeyMaterial, 16, salt, Encoding.ASCII.GetBytes("Content-Encoding: aes128gcm\0"));
+		var nonce = HKDF.DeriveKey(HashAlgorithmName.SHA256, inputKeyMaterial, 12, salt, Encoding.ASCII.GetBytes("Content-Encoding: nonce\0"));
+
+		var record = new byte[plaintext.Length + 1];
+		plaintext.CopyTo(record);
+		record[^1] = LastRecordDelimiter;
+
+		var ciphertext = new byte[record.Length];
+		var tag = new byte[TagLength];
+		using (var aes = new AesGcm(contentEncryptionKey, TagLength))
+		{
+			aes.Encrypt(nonce, record, ciphertext, tag);
+		}
+
+		var header = new byte[16 + 4 + 1 + serverPublicKey.Length];
+		salt.CopyTo(header, 0);
+		BinaryPrimitives.WriteUInt32BigEndian(header.AsSpan(16, 4), RecordSize);
+		header[20] = (byte)serverPublicKey.Length;
+		serverPublicKey.CopyTo(header, 21);
+
+		return Concat(header, ciphertext, tag);
+	}
+
+	private static byte[] Concat(params byte[][] parts)
+	{
+		var result = new byte[parts.Sum(part => part.Length)];
+		var offset = 0;
+		foreach (var part in parts)
+		{
+			part.CopyTo(result, offset);
+			offset += part.Length;
+		}
+
+		return result;
+	}
+}
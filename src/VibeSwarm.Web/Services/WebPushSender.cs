@@ -0,0 +1,148 @@
+using System.Buffers.Text;
+using System.Net;
+using System.Net.Http.Headers;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Json;
+using Microsoft.Extensions.Options;
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.Models;
+
+namespace VibeSwarm.Web.Services;
+
+public enum WebPushDeliveryStatus
+{
+	Delivered,
+
+	/// <summary>
+	/// The push service no longer recognizes the subscription; it should be deleted.
+	/// </summary>
+	Expired,
+
+	Failed
+}
+
+/// <summary>
+/// Delivers encrypted notifications to browser push services using VAPID authentication.
+/// </summary>
+public class WebPushSender
+{
+	public const string HttpClientName = "WebPush";
+
+	private static readonly JsonSerializerOptions PayloadSerializerOptions = new(JsonSerializerDefaults.Web);
+	private static readonly TimeSpan VapidTokenLifetime = TimeSpan.FromHours(12);
+
+	private readonly IHttpClientFactory _httpClientFactory;
+	private readonly WebPushVapidKeyProvider _keyProvider;
+	private readonly WebPushOptions _options;
+	private readonly ILogger<WebPushSender> _logger;
+
+	public WebPushSender(
+		IHttpClientFactory httpClientFactory,
+		WebPushVapidKeyProvider keyProvider,
+		IOptions<WebPushOptions> options,
+		ILogger<WebPushSender> logger)
+	{
+		_httpClientFactory = httpClientFactory;
+		_keyProvider = keyProvider;
+		_options = options.Value;
+		_logger = logger;
+	}
+
+	public async Task<WebPushDeliveryStatus> SendAsync(
+		WebPushSubscription subscription,
+		WebPushNotificationPayload payload,
+		CancellationToken cancellationToken = default)
+	{
+		ArgumentNullException.ThrowIfNull(subscription);
+		ArgumentNullException.ThrowIfNull(payload);
+
+		if (!WebPushSubscriptionService.IsValidEndpoint(subscription.Endpoint, _options, out var endpoint))
+		{
+			_logger.LogWarning("Skipping Web Push subscription {SubscriptionId} with invalid endpoint", subscription.Id);
+			return WebPushDeliveryStatus.Expired;
+		}
+
+		byte[] body;
+		try
+		{
+			var plaintext = JsonSerializer.SerializeToUtf8Bytes(payload, PayloadSerializerOptions);
+			body = WebPushPayloadEncryptor.Encrypt(subscription.P256dh, subscription.Auth, plaintext);
+		}
+		catch (Exception ex) when (ex is CryptographicException or FormatException)
+		{
+			_logger.LogWarning(ex, "Web Push subscription {SubscriptionId} has invalid keys", subscription.Id);
+			return WebPushDeliveryStatus.Expired;
+		}
+
+		using var request = new HttpRequestMessage(HttpMethod.Post, endpoint)
+		{
+			Content = new ByteArrayContent(body)
+		};
+		request.Content.Headers.ContentType = new MediaTypeHeaderValue("application/octet-stream");
+		request.Content.Headers.ContentEncoding.Add("aes128gcm");
+		request.Headers.TryAddWithoutValidation("TTL", _options.TimeToLiveSeconds.ToString());
+		request.Headers.TryAddWithoutValidation("Urgency", payload.RequireInteraction ? "high" : "normal");
+		if (!string.IsNullOrWhiteSpace(payload.Tag))
+		{
+			request.Headers.TryAddWithoutValidation("Topic", CreateTopic(payload.Tag));
+		}
+
+		var keys = _keyProvider.GetKeys();
+		request.Headers.TryAddWithoutValidation(
+			"Authorization",
+			$"vapid t={CreateVapidToken(endpoint, keys, _options.Subject, DateTimeOffset.UtcNow)}, k={keys.PublicKey}");
+
+		try
+		{
+			using var response = await _httpClientFactory.CreateClient(HttpClientName).SendAsync(request, cancellationToken);
+			if (response.IsSuccessStatusCode)
+			{
+				return WebPushDeliveryStatus.Delivered;
+			}
+
+			if (response.StatusCode is HttpStatusCode.NotFound or HttpStatusCode.Gone)
+			{
+				return WebPushDeliveryStatus.Expired;
+			}
+
+			_logger.LogWarning(
+				"Web Push delivery to subscription {SubscriptionId} failed with {StatusCode}",
+				subscription.Id,
+				(int)response.StatusCode);
+			return WebPushDeliveryStatus.Failed;
+		}
+		catch (HttpRequestException ex)
+		{
+			_logger.LogWarning(ex, "Web Push delivery to subscription {SubscriptionId} failed", subscription.Id);
+			return WebPushDeliveryStatus.Failed;
+		}
+	}
+
+	internal static string CreateVapidToken(Uri endpoint, WebPushVapidKeys keys, string subject, DateTimeOffset now)
+	{
+		var header = JsonSerializer.SerializeToUtf8Bytes(new { typ = "JWT", alg = "ES256" });
+		var claims = JsonSerializer.SerializeToUtf8Bytes(new
+		{
+			aud = endpoint.GetLeftPart(UriPartial.Authority),
+			exp = now.Add(VapidTokenLifetime).ToUnixTimeSeconds(),
+			sub = subject
+		});
+
+		var signingInput = $"{Base64Url.EncodeToString(header)}.{Base64Url.EncodeToString(claims)}";
+
+		using var ecdsa = ECDsa.Create(new ECParameters
+		{
+			Curve = ECCurve.NamedCurves.nistP256,
+			D = Base64Url.DecodeFromChars(keys.PrivateKey),
+			Q = WebPushVapidKeyProvider.DecodeUncompressedPoint(Base64Url.DecodeFromChars(keys.PublicKey))
+		});
+		var signature = ecdsa.SignData(Encoding.ASCII.GetBytes(signingInput), HashAlgorithmName.SHA256);
+
+		return $"{signingInput}.{Base64Url.EncodeToString(signature)}";
+	}
+
+	// Topics may only contain URL-safe base64 characters and are limited to 32 characters
+	private static string CreateTopic(string tag)
+		=> Base64Url.EncodeToString(SHA256.HashData(Encoding.UTF8.GetBytes(tag)))[..32];
+}
@@ -0,0 +1,258 @@
+using System.ComponentModel.DataAnnotations;
+using System.Diagnostics.CodeAnalysis;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
+using VibeSwarm.Shared.Data;
+using VibeSwarm.Shared.Models;
+using VibeSwarm.Shared.Validation;
+
+namespace VibeSwarm.Web.Services;
+
+/// <summary>
+/// Manages each user's per-device push subscriptions and fans notifications out to them.
+/// </summary>
+public class WebPushSubscriptionService
+{
+	internal const int MaxConsecutiveFailures = 5;
+
+	private readonly VibeSwarmDbContext _dbContext;
+	private readonly WebPushSender _sender;
+	private readonly WebPushVapidKeyProvider _keyProvider;
+	private readonly WebPushOptions _options;
+	private readonly ILogger<WebPushSubscriptionService> _logger;
+
+	public WebPushSubscriptionService(
+		VibeSwarmDbContext dbContext,
+		WebPushSender sender,
+		WebPushVapidKeyProvider keyProvider,
+		IOptions<WebPushOptions> options,
+		ILogger<WebPushSubscriptionService> logger)
+	{
+		_dbContext = dbContext;
+		_sender = sender;
+		_keyProvider = keyProvider;
+		_options = options.Value;
+		_logger = logger;
+	}
+
+	public WebPushConfigurationDto GetConfiguration()
+	{
+		if (!_options.Enabled)
+		{
+			return new WebPushConfigurationDto();
+		}
+
+		return new WebPushConfigurationDto
+		{
+			IsEnabled = true,
+			PublicKey = _keyProvider.GetKeys().PublicKey
+		};
+	}
+
+	public async Task<List<WebPushSubscriptionDto>> GetForUserAsync(Guid userId, CancellationToken cancellationToken = default)
+	{
+		var subscriptions = await _dbContext.WebPushSubscriptions
+			.AsNoTracking()
+			.Where(subscription => subscription.UserId == userId)
+			.OrderByDescending(subscription => subscription.CreatedAt)
+			.ToListAsync(cancellationToken);
+
+		return subscriptions.Select(ToDto).ToList();
+	}
+
+	/// <summary>
+	/// Registers a device, or refreshes its keys when the browser re-subscribes with the same endpoint.
+	/// Returns null when the endpoint is already registered to another user.
+	/// </summary>
+	public async Task<WebPushSubscriptionDto?> SubscribeAsync(
+		Guid userId,
+		WebPushSubscribeRequest request,
+		string? userAgent,
+		CancellationToken cancellationToken = default)
+	{
+		ArgumentNullException.ThrowIfNull(request);
+
+		var endpoint = request.Endpoint.Trim();
+		if (!IsValidEndpoint(endpoint, _options, out _))
+		{
+			throw new ValidationException("Push subscription endpoints must be HTTPS URLs on a known push service.");
+		}
+
+		var subscription = await _dbContext.WebPushSubscriptions
+			.FirstOrDefaultAsync(existing => existing.Endpoint == endpoint, cancellationToken);
+
+		if (subscription == null)
+		{
+			subscription = new WebPushSubscription
+			{
+				Id = Guid.NewGuid(),
+				UserId = userId,
+				Endpoint = endpoint,
+				CreatedAt = DateTime.UtcNow
+			};
+			_dbContext.WebPushSubscriptions.Add(subscription);
+		}
+		else if (subscription.UserId != userId)
+		{
+			// Knowing an endpoint doesn't make it yours; reassigning it would hand another user's notifications to
+			// whoever posted it. A second user on the same browser renews the subscription instead (push.js renew).
+			return null;
+		}
+
+		subscription.P256dh = request.P256dh.Trim();
+		subscription.Auth = request.Auth.Trim();
+		subscription.DeviceName = Truncate(request.DeviceName?.Trim(), ValidationLimits.WebPushDeviceNameMaxLength);
+		subscription.UserAgent = Truncate(userAgent, ValidationLimits.WebPushUserAgentMaxLength);
+		subscription.FailureCount = 0;
+
+		await _dbContext.SaveChangesAsync(cancellationToken);
+		return ToDto(subscription);
+	}
+
+	/// <summary>
+	/// Only HTTPS endpoints on the browser vendors' push services (plus any hosts an administrator adds) are accepted.
+	/// An open list would let a user point the server's requests at services on its own network, whether by IP
+	/// literal or by a hostname that resolves to one.
+	/// </summary>
+	public static bool IsValidEndpoint(string? value, WebPushOptions options, [NotNullWhen(true)] out Uri? endpoint)
+	{
+		ArgumentNullException.ThrowIfNull(options);
+
+		if (Uri.TryCreate(value, UriKind.Absolute, out endpoint)
+			&& endpoint.Scheme == Uri.UriSchemeHttps
+			&& string.IsNullOrEmpty(endpoint.UserInfo)
+			&& IsAllowedHost(endpoint.IdnHost, options))
+		{
+			return true;
+		}
+
+		endpoint = null;
+		return false;
+	}
+
+	private static bool IsAllowedHost(string host, WebPushOptions options)
+		=> WebPushOptions.PushServiceHosts
+			.Concat(options.AdditionalEndpointHosts)
+			.Select(allowed => allowed.Trim().TrimEnd('.'))
+			.Where(allowed => allowed.Length > 0)
+			.Any(allowed => host.Equals(allowed, StringComparison.OrdinalIgnoreCase)
+				|| host.EndsWith("." + allowed, StringComparison.OrdinalIgnoreCase));
+
+	public async Task<bool> DeleteAsync(Guid userId, Guid subscriptionId, CancellationToken cancellationToken = default)
+	{
+		var subscription = await _dbContext.WebPushSubscriptions
+			.FirstOrDefaultAsync(existing => existing.Id == subscriptionId && existing.UserId == userId, cancellationToken);
+
+		if (subscription == null)
+		{
+			return false;
+		}
+
+		_dbContext.WebPushSubscriptions.Remove(subscription);
+		await _dbContext.SaveChangesAsync(cancellationToken);
+		return true;
+	}
+
+	public async Task<WebPushDeliveryStatus?> SendTestAsync(Guid userId, Guid subscriptionId, CancellationToken cancellationToken = default)
+	{
+		var subscription = await _dbContext.WebPushSubscriptions
+			.FirstOrDefaultAsync(existing => existing.Id == subscriptionId && existing.UserId == userId, cancellationToken);
+
+		if (subscription == null)
+		{
+			return null;
+		}
+
+		var status = await _sender.SendAsync(subscription, new WebPushNotificationPayload
+		{
+			Title = "VibeSwarm notifications are on",
+			Body = "This device will be notified when jobs finish or need your input.",
+			Url = "/settings",
+			Tag = $"test-{subscription.Id}",
+			Kind = WebPushNotificationKinds.Test
+		}, cancellationToken);
+
+		ApplyDeliveryResult(subscription, status);
+		await _dbContext.SaveChangesAsync(cancellationToken);
+		return status;
+	}
+
+	/// <summary>
+	/// Sends a notification to every registered device, pruning subscriptions the push service rejects.
+	/// </summary>
+	public async Task<int> SendToAllAsync(WebPushNotificationPayload payload, CancellationToken cancellationToken = default)
+	{
+		if (!_options.Enabled)
+		{
+			return 0;
+		}
+
+		var subscriptions = await _dbContext.WebPushSubscriptions.ToListAsync(cancellationToken);
+		var delivered = 0;
+
+		foreach (var subscription in subscriptions)
+		{
+			var status = await _sender.SendAsync(subscription, payload, cancellationToken);
+			ApplyDeliveryResult(subscription, status);
+			if (status == WebPushDeliveryStatus.Delivered)
+			{
+				delivered++;
+			}
+		}
+
+		if (subscriptions.Count > 0)
+		{
+			await _dbContext.SaveChangesAsync(cancellationToken);
+		}
+
+		return delivered;
+	}
+
+	private void ApplyDeliveryResult(WebPushSubscription subscription, WebPushDeliveryStatus status)
+	{
+		switch (status)
+		{
+			case WebPushDeliveryStatus.Delivered:
+				subscription.LastDeliveredAt = DateTime.UtcNow;
+				subscription.FailureCount = 0;
+				break;
+			case WebPushDeliveryStatus.Expired:
+				_logger.LogInformation("Removing expired Web Push subscription {SubscriptionId}", subscription.Id);
+				_dbContext.WebPushSubscriptions.Remove(subscription);
+				break;
+			default:
+				subscription.LastFailedAt = DateTime.UtcNow;
+				subscription.FailureCount++;
+				if (subscription.FailureCount >= MaxConsecutiveFailures)
+				{
+					_logger.LogInformation(
+						"Removing Web Push subscription {SubscriptionId} after {FailureCount} consecutive failures",
+						subscription.Id,
+						subscription.FailureCount);
+					_dbContext.WebPushSubscriptions.Remove(subscription);
+				}
+				break;
+		}
+	}
+
+	private static WebPushSubscriptionDto ToDto(WebPushSubscription subscription) => new()
+	{
+		Id = subscription.Id,
+		Endpoint = subscription.Endpoint,
+		DeviceName = subscription.DeviceName,
+		UserAgent = subscription.UserAgent,
+		CreatedAt = subscription.CreatedAt,
+		LastDeliveredAt = subscription.LastDeliveredAt,
+		LastFailedAt = subscription.LastFailedAt
+	};
+
+	private static string? Truncate(string? value, int maxLength)
+	{
+		if (string.IsNullOrWhiteSpace(value))
+		{
+			return null;
+		}
+
+		return value.Length <= maxLength ? value : value[..maxLength];
+	}
+}
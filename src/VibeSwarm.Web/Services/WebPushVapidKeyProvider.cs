@@ -0,0 +1,113 @@
+using System.Buffers.Text;
+using System.Security.Cryptography;
+using System.Text.Json;
+using Microsoft.Extensions.Options;
+
+namespace VibeSwarm.Web.Services;
+
+public sealed record WebPushVapidKeys(string PublicKey, string PrivateKey);
+
+/// <summary>
+/// Supplies the VAPID key pair that identifies this server to browser push services.
+/// Configured keys win; otherwise a key pair is generated once and stored on disk so
+/// existing browser subscriptions keep working across restarts.
+/// </summary>
+public class WebPushVapidKeyProvider
+{
+	private readonly WebPushOptions _options;
+	private readonly ILogger<WebPushVapidKeyProvider> _logger;
+	private readonly object _lock = new();
+	private WebPushVapidKeys? _keys;
+
+	public WebPushVapidKeyProvider(IOptions<WebPushOptions> options, ILogger<WebPushVapidKeyProvider> logger)
+	{
+		_options = options.Value;
+		_logger = logger;
+	}
+
+	public string KeyFilePath => string.IsNullOrWhiteSpace(_options.KeyFilePath)
+		? Path.Combine(
+			Environment.GetFolderPath(Environment.SpecialFolder.LocalApplicationData),
+			"VibeSwarm",
+			"web-push-vapid.json")
+		: _options.KeyFilePath;
+
+	public WebPushVapidKeys GetKeys()
+	{
+		if (_keys != null)
+		{
+			return _keys;
+		}
+
+		lock (_lock)
+		{
+			_keys ??= LoadOrCreateKeys();
+			return _keys;
+		}
+	}
+
+	public static WebPushVapidKeys GenerateKeys()
+	{
+		using var ecdsa = ECDsa.Create(ECCurve.NamedCurves.nistP256);
+		var parameters = ecdsa.ExportParameters(includePrivateParameters: true);
+
+		return new WebPushVapidKeys(
+			Base64Url.EncodeToString(EncodeUncompressedPoint(parameters.Q)),
+			Base64Url.EncodeToString(parameters.D!));
+	}
+
+	internal static byte[] EncodeUncompressedPoint(ECPoint point)
+	{
+		var encoded = new byte[65];
+		encoded[0] = 0x04;
+		point.X!.CopyTo(encoded, 1);
+		point.Y!.CopyTo(encoded, 33);
+		return encoded;
+	}
+
+	internal static ECPoint DecodeUncompressedPoint(ReadOnlySpan<byte> encoded)
+	{
+		if (encoded.Length != 65 || encoded[0] != 0x04)
+		{
+			throw new CryptographicException("Expected an uncompressed P-256 public key.");
+		}
+
+		return new ECPoint
+		{
+			X = encoded[1..33].ToArray(),
+			Y = encoded[33..65].ToArray()
+		};
+	}
+
+	private WebPushVapidKeys LoadOrCreateKeys()
+	{
+		if (!string.IsNullOrWhiteSpace(_options.PublicKey) && !string.IsNullOrWhiteSpace(_options.PrivateKey))
+		{
+			return new WebPushVapidKeys(_options.PublicKey.Trim(), _options.PrivateKey.Trim());
+		}
+
+		var keyFilePath = KeyFilePath;
+		if (File.Exists(keyFilePath))
+		{
+			try
+			{
+				var stored = JsonSerializer.Deserialize<WebPushVapidKeys>(File.ReadAllText(keyFilePath));
+				if (stored != null && !string.IsNullOrWhiteSpace(stored.PublicKey) && !string.IsNullOrWhiteSpace(stored.PrivateKey))
+				{
+					return stored;
+				}
+			}
+			catch (Exception ex) when (ex is JsonException or IOException)
+			{
+				_logger.LogWarning(ex, "Failed to read VAPID keys from {KeyFilePath}. A new key pair will be generated.", keyFilePath);
+			}
+		}
+
+		var keys = GenerateKeys();
+		Directory.CreateDirectory(Path.GetDirectoryName(keyFilePath)!);
+		File.WriteAllText(keyFilePath, JsonSerializer.Serialize(keys));
+		_logger.LogInformation("Generated VAPID keys for Web Push at {KeyFilePath}", keyFilePath);
+
+		return keys;
+	}
+}
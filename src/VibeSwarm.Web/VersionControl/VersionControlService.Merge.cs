@@ -225,9 +225,10 @@ public sealed partial class VersionControlService
 				? $"Checking whether {sourceBranch} can merge into {targetBranch}..."
 				: $"Merging {sourceBranch} into {targetBranch}...");
 
+			// diff3 markers carry the common ancestor's lines, which the conflict editor shows next to both sides
 			var mergeArguments = previewOnly
-				? $"merge --no-commit --no-ff \"{EscapeCommandArgument(sourceRef)}\""
-				: $"merge --no-ff --no-edit \"{EscapeCommandArgument(sourceRef)}\"";
+				? $"-c merge.conflictStyle=diff3 merge --no-commit --no-ff \"{EscapeCommandArgument(sourceRef)}\""
+				: $"-c merge.conflictStyle=diff3 merge --no-ff --no-edit \"{EscapeCommandArgument(sourceRef)}\"";
 			var mergeResult = await _commandExecutor.ExecuteAsync(
 				mergeArguments,
 				tempWorktreePath,
@@ -691,6 +692,7 @@ public sealed partial class VersionControlService
 
 	private static bool ContainsConflictMarkers(string content)
 		=> content.Contains("<<<<<<<", StringComparison.Ordinal)
+			|| content.Contains("|||||||", StringComparison.Ordinal)
 			|| content.Contains("=======", StringComparison.Ordinal)
 			|| content.Contains(">>>>>>>", StringComparison.Ordinal);
 
@@ -186,6 +186,50 @@ public sealed partial class VersionControlService
 		return null;
 	}
 
+	/// <inheritdoc />
+	public async Task<string?> GetFileDiffAsync(string workingDirectory, string filePath, string? fromCommit, string? toCommit, int contextLines, CancellationToken cancellationToken = default)
+	{
+		if (string.IsNullOrWhiteSpace(filePath) || !IsDiffableRevision(fromCommit) || !IsDiffableRevision(toCommit))
+		{
+			return null;
+		}
+
+		try
+		{
+			var fromTarget = string.IsNullOrEmpty(fromCommit) ? "HEAD" : fromCommit;
+			var range = string.IsNullOrEmpty(toCommit) ? fromTarget : $"{fromTarget}..{toCommit}";
+			var context = Math.Clamp(contextLines, 0, GitDiffParser.FullFileContextLines);
+			var result = await _commandExecutor.ExecuteAsync(
+				$"diff {range} -U{context} --find-renames -- \"{EscapeCommandArgument(filePath)}\"",
+				workingDirectory,
+				cancellationToken,
+				timeoutSeconds: 60);
+
+			if (result.Success)
+			{
+				var diff = result.Output;
+
+				if (!string.IsNullOrEmpty(diff) && Encoding.UTF8.GetByteCount(diff) > MaxDiffSizeBytes)
+				{
+					diff = TruncateDiff(diff, MaxDiffSizeBytes);
+				}
+
+				return string.IsNullOrWhiteSpace(diff) ? null : diff;
+			}
+		}
+		catch (Exception ex)
+		{
+			_logger.LogWarning(ex, "Failed to get file diff for {File} in {Directory} (from: {FromCommit}, to: {ToCommit})", filePath, workingDirectory, fromCommit, toCommit);
+		}
+
+		return null;
+	}
+
+	// Revisions come from the query string; anything that could be read as an option or a second argument is refused
+	private static bool IsDiffableRevision(string? revision)
+		=> string.IsNullOrEmpty(revision)
+			|| (!revision.StartsWith('-') && !revision.Any(char.IsWhiteSpace) && !revision.Contains('"') && !revision.Contains(".."));
+
 	/// <inheritdoc />
 	public async Task<GitDiffSummary?> GetDiffSummaryAsync(string workingDirectory, string? baseCommit = null, CancellationToken cancellationToken = default)
 	{
@@ -2,17 +2,81 @@
 	const cookieName = 'VibeSwarm.ThemePreference';
 	const themeColorMap = {
 		light: '#f8f9fa',
-		dark: '#1a1d21'
+		dark: '#1a1d21',
+		'high-contrast-light': '#ffffff',
+		'high-contrast-dark': '#000000'
 	};
+	const themes = ['system', 'light', 'dark', 'high-contrast-dark', 'high-contrast-light'];
+	// Accent palettes, one shade per applied theme. Indigo matches the defaults in site.css,
+	// so it needs no inline overrides.
+	const defaultAccent = 'indigo';
+	const accentPalettes = {
+		indigo: { dark: '#5b7cfa', light: '#4a6ad9' },
+		teal: { dark: '#2bb3a6', light: '#1d8a80' },
+		violet: { dark: '#9b7bf5', light: '#7453d6' },
+		rose: { dark: '#f06a9b', light: '#c9416f' },
+		amber: { dark: '#e8a23c', light: '#a96b0c' },
+		emerald: { dark: '#37c08a', light: '#218a5e' }
+	};
+	const densities = ['comfortable', 'compact'];
+	const accentProperties = ['--bs-primary', '--bs-primary-rgb', '--bs-link-color', '--bs-link-color-rgb', '--bs-link-hover-color'];
+	const hexColorPattern = /^#[0-9a-f]{6}$/i;
 	const mediaQuery = window.matchMedia
 		? window.matchMedia('(prefers-color-scheme: dark)')
 		: null;
+	// OS accessibility settings: "system" follows prefers-contrast, and reduced motion
+	// applies on top of every theme.
+	const contrastQuery = window.matchMedia
+		? window.matchMedia('(prefers-contrast: more)')
+		: null;
+	const motionQuery = window.matchMedia
+		? window.matchMedia('(prefers-reduced-motion: reduce)')
+		: null;
+	let projectAccent = null;
 
 	function normalizeTheme(value) {
 		const normalized = String(value || 'system').trim().toLowerCase();
-		return normalized === 'light' || normalized === 'dark' || normalized === 'system'
-			? normalized
-			: 'system';
+		return themes.indexOf(normalized) >= 0 ? normalized : 'system';
+	}
+
+	function normalizeAccent(value) {
+		const normalized = String(value || defaultAccent).trim().toLowerCase();
+		return Object.prototype.hasOwnProperty.call(accentPalettes, normalized) ? normalized : defaultAccent;
+	}
+
+	function normalizeDensity(value) {
+		const normalized = String(value || densities[0]).trim().toLowerCase();
+		return densities.indexOf(normalized) >= 0 ? normalized : densities[0];
+	}
+
+	// Accepts a structured { theme, accent, density } object, the "theme|accent|density"
+	// cookie format, or a bare theme name (which keeps the current accent and density).
+	function normalizePreference(value, current) {
+		const fallback = current || { accent: defaultAccent, density: densities[0] };
+
+		if (value && typeof value === 'object') {
+			return {
+				theme: normalizeTheme(value.theme),
+				accent: normalizeAccent(value.accent || fallback.accent),
+				density: normalizeDensity(value.density || fallback.density)
+			};
+		}
+
+		const parts = String(value || '').split('|');
+		return {
+			theme: normalizeTheme(parts[0]),
+			accent: normalizeAccent(parts.length > 1 ? parts[1] : fallback.accent),
+			density: normalizeDensity(parts.length > 2 ? parts[2] : fallback.density)
+		};
+	}
+
+	function getCurrentPreference() {
+		const root = document.documentElement;
+		return {
+			theme: normalizeTheme(root.getAttribute('data-vs-theme')),
+			accent: normalizeAccent(root.getAttribute('data-vs-accent')),
+			density: normalizeDensity(root.getAttribute('data-vs-density'))
+		};
 	}
 
 	function getSystemTheme() {
@@ -21,12 +85,77 @@
 
 	function getEffectiveTheme(preference) {
 		const normalized = normalizeTheme(preference);
-		return normalized === 'system' ? getSystemTheme() : normalized;
+		if (normalized === 'system') {
+			return getSystemTheme();
+		}
+
+		return normalized === 'high-contrast-dark' ? 'dark'
+			: normalized === 'high-contrast-light' ? 'light'
+			: normalized;
+	}
+
+	function isHighContrast(preference) {
+		const normalized = normalizeTheme(preference);
+		return normalized.indexOf('high-contrast-') === 0
+			|| (normalized === 'system' && !!contrastQuery && contrastQuery.matches);
+	}
+
+	function prefersReducedMotion() {
+		return !!motionQuery && motionQuery.matches;
 	}
 
-	function updateThemeColor() {
-		const appliedTheme = document.documentElement.getAttribute('data-bs-theme') || 'light';
-		const themeColor = themeColorMap[appliedTheme] || themeColorMap.light;
+	function hexToRgb(hex) {
+		const value = parseInt(hex.substring(1), 16);
+		return ((value >> 16) & 255) + ', ' + ((value >> 8) & 255) + ', ' + (value & 255);
+	}
+
+	// Returns the accent colour overriding the stylesheet default, or null when the
+	// default palette is active and no project accent is set. High-contrast themes
+	// keep their own primary colour so custom accents can't reduce contrast.
+	function getActiveAccentColor(accent, effectiveTheme, highContrast) {
+		if (highContrast) {
+			return null;
+		}
+
+		if (projectAccent) {
+			return projectAccent;
+		}
+
+		return accent === defaultAccent ? null : accentPalettes[accent][effectiveTheme];
+	}
+
+	function applyAccent(accent, effectiveTheme, highContrast) {
+		const style = document.documentElement.style;
+		const color = getActiveAccentColor(accent, effectiveTheme, highContrast);
+
+		if (color) {
+			style.setProperty('--bs-primary', color);
+			style.setProperty('--bs-primary-rgb', hexToRgb(color));
+			style.setProperty('--bs-link-color', color);
+			style.setProperty('--bs-link-color-rgb', hexToRgb(color));
+			style.setProperty('--bs-link-hover-color', color);
+		}
+		else {
+			accentProperties.forEach(function (property) {
+				style.removeProperty(property);
+			});
+		}
+
+		// Swatch colours for the accent picker
+		Object.keys(accentPalettes).forEach(function (name) {
+			style.setProperty('--vs-accent-swatch-' + name, accentPalettes[name][effectiveTheme]);
+		});
+
+		return color;
+	}
+
+	function updateThemeColor(accentColor) {
+		const root = document.documentElement;
+		const appliedTheme = root.getAttribute('data-bs-theme') || 'light';
+		const colorKey = root.getAttribute('data-vs-contrast') === 'more'
+			? 'high-contrast-' + appliedTheme
+			: appliedTheme;
+		const themeColor = accentColor || themeColorMap[colorKey] || themeColorMap.light;
 		const metaTag = document.querySelector('meta[name="theme-color"]');
 
 		if (metaTag) {
@@ -35,16 +164,22 @@
 	}
 
 	function applyTheme(preference) {
-		const normalized = normalizeTheme(preference);
-		const effective = getEffectiveTheme(normalized);
-		document.documentElement.setAttribute('data-vs-theme', normalized);
-		document.documentElement.setAttribute('data-bs-theme', effective);
-		document.documentElement.setAttribute('data-theme', effective);
-		updateThemeColor();
+		const normalized = normalizePreference(preference, getCurrentPreference());
+		const effective = getEffectiveTheme(normalized.theme);
+		const highContrast = isHighContrast(normalized.theme);
+		const root = document.documentElement;
+		root.setAttribute('data-vs-theme', normalized.theme);
+		root.setAttribute('data-vs-accent', normalized.accent);
+		root.setAttribute('data-vs-density', normalized.density);
+		root.setAttribute('data-vs-contrast', highContrast ? 'more' : 'normal');
+		root.setAttribute('data-vs-motion', prefersReducedMotion() ? 'reduce' : 'no-preference');
+		root.setAttribute('data-bs-theme', effective);
+		root.setAttribute('data-theme', effective);
+		updateThemeColor(applyAccent(normalized.accent, effective, highContrast));
 		return normalized;
 	}
 
-	function readCookieTheme() {
+	function readCookiePreference() {
 		const cookies = document.cookie ? document.cookie.split(';') : [];
 
 		for (let index = 0; index < cookies.length; index += 1) {
@@ -53,57 +188,90 @@
 				continue;
 			}
 
-			return normalizeTheme(decodeURIComponent(cookie.substring(cookieName.length + 1)));
+			return normalizePreference(decodeURIComponent(cookie.substring(cookieName.length + 1)));
 		}
 
 		return null;
 	}
 
-	function writeCookieTheme(preference) {
-		document.cookie = cookieName + '=' + encodeURIComponent(normalizeTheme(preference))
+	function writeCookiePreference(preference) {
+		const value = preference.accent === defaultAccent && preference.density === densities[0]
+			? preference.theme
+			: [preference.theme, preference.accent, preference.density].join('|');
+
+		document.cookie = cookieName + '=' + encodeURIComponent(value)
 			+ '; path=/; max-age=31536000; samesite=lax';
 	}
 
-	function clearCookieTheme() {
+	function clearCookiePreference() {
 		document.cookie = cookieName + '=; path=/; max-age=0; samesite=lax';
 	}
 
 	function handleSystemThemeChanged() {
-		if (normalizeTheme(document.documentElement.getAttribute('data-vs-theme')) === 'system') {
-			applyTheme('system');
+		const current = getCurrentPreference();
+		if (current.theme === 'system') {
+			applyTheme(current);
 		}
 	}
 
-	if (mediaQuery) {
-		if (typeof mediaQuery.addEventListener === 'function') {
-			mediaQuery.addEventListener('change', handleSystemThemeChanged);
+	function handleMotionPreferenceChanged() {
+		applyTheme(getCurrentPreference());
+	}
+
+	function listen(query, handler) {
+		if (!query) {
+			return;
+		}
+
+		if (typeof query.addEventListener === 'function') {
+			query.addEventListener('change', handler);
 		}
-		else if (typeof mediaQuery.addListener === 'function') {
-			mediaQuery.addListener(handleSystemThemeChanged);
+		else if (typeof query.addListener === 'function') {
+			query.addListener(handler);
 		}
 	}
 
+	listen(mediaQuery, handleSystemThemeChanged);
+	listen(contrastQuery, handleSystemThemeChanged);
+	listen(motionQuery, handleMotionPreferenceChanged);
+
 	window.vibeSwarmTheme = {
 		bootstrap: function () {
-			applyTheme(readCookieTheme() || 'system');
+			applyTheme(readCookiePreference() || 'system');
 		},
 		getPreference: function () {
-			return normalizeTheme(document.documentElement.getAttribute('data-vs-theme'));
+			return getCurrentPreference().theme;
+		},
+		getAppearance: function () {
+			return getCurrentPreference();
 		},
 		getAppliedTheme: function () {
 			return document.documentElement.getAttribute('data-bs-theme') || getEffectiveTheme('system');
 		},
+		prefersReducedMotion: function () {
+			return document.documentElement.getAttribute('data-vs-motion') === 'reduce';
+		},
 		setPreference: function (preference, persistCookie) {
 			const normalized = applyTheme(preference);
 			if (persistCookie !== false) {
-				writeCookieTheme(normalized);
+				writeCookiePreference(normalized);
 			}
 
 			return normalized;
 		},
+		// Per-tab override used while a project with its own accent is open. Not persisted.
+		setProjectAccent: function (color) {
+			projectAccent = typeof color === 'string' && hexColorPattern.test(color.trim())
+				? color.trim().toLowerCase()
+				: null;
+			return applyTheme(getCurrentPreference());
+		},
 		clearPreference: function () {
-			clearCookieTheme();
-			return applyTheme('system');
+			clearCookiePreference();
+			return applyTheme({ theme: 'system', accent: defaultAccent, density: densities[0] });
 		}
 	};
+
+	// Loaded synchronously in <head> so the saved theme applies before first paint
+	window.vibeSwarmTheme.bootstrap();
 })();